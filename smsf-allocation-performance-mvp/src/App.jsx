@@ -27,7 +27,7 @@ import FundSummary from './components/FundSummary.jsx';
 import PerformanceAnalysis from './components/PerformanceAnalysis.jsx';
 import Insights, { PerformanceScoreCard } from './components/Insights.jsx';
 
-import { createFundModel, generateFundId, validateFundModel } from './engines/fundModel.js';
+import { applyCashCategoryRules, createFundModel, generateFundId, validateFundModel } from './engines/fundModel.js';
 import { getClassificationStyle } from './engines/performanceEngine.js';
 import { classifyGrowthDefensive } from './engines/classificationEngine.js';
 
@@ -45,10 +45,8 @@ export default function App() {
   const handleUploadComplete = useCallback((parsedData) => {
     const fundId = generateFundId(parsedData);
 
-    const fundModel = createFundModel(fundId, {
-      assetAllocation: parsedData.asset_allocation,
-      performance: parsedData.performance,
-    });
+    // Wizard data is keyed by fund-model slot, including plugin slots
+    const fundModel = createFundModel(fundId, parsedData);
 
     if (fundModel.assetAllocation?.assetClasses?.length) {
       fundModel.classification = classifyGrowthDefensive(
@@ -68,16 +66,21 @@ export default function App() {
   }, []);
 
 
-  // Handle partial data (after first report upload)
-  const handlePartialData = useCallback((reportType, data) => {
-    console.log(`[App] Partial data received: ${reportType}`);
+  // Handle partial data (after each report upload or slot reset) - every slot filled so far
+  const handlePartialData = useCallback((slotData) => {
+    const filledSlots = Object.keys(slotData).filter(slot => slotData[slot]);
+    console.log(`[App] Partial data received: ${filledSlots.join(', ') || 'none'}`);
+
+    // Every slot was reset - nothing left to preview
+    if (filledSlots.length === 0) {
+      setFund(null);
+      setValidation(null);
+      return;
+    }
     
     // Create partial model for preview
-    const fundId = generateFundId({ [reportType]: data });
-    const partialModel = createFundModel(fundId, {
-      assetAllocation: reportType === 'asset_allocation' ? data : null,
-      performance: reportType === 'performance' ? data : null,
-    });
+    const fundId = generateFundId(slotData);
+    const partialModel = createFundModel(fundId, slotData);
     
     const validationResult = validateFundModel(partialModel);
     
@@ -85,6 +88,11 @@ export default function App() {
     setValidation(validationResult);
   }, []);
 
+  // Re-categorise the bank statement after the rules are edited
+  const handleCashRulesChange = useCallback((rules) => {
+    setFund(prev => applyCashCategoryRules(prev, rules));
+  }, []);
+
   // Reset application state
   const handleReset = useCallback(() => {
     setFund(null);
@@ -118,6 +126,7 @@ export default function App() {
     return (
       <FinancialDashboard
         fund={fund}
+        onCashRulesChange={handleCashRulesChange}
         onReset={() => {
           setPresentationMode(false);
           setFund(null);
@@ -212,7 +221,6 @@ export default function App() {
           </div>
         </section>
 
-
        
         {/* Empty State */}
         {!fund && (
@@ -0,0 +1,365 @@
+/**
+ * BatchUpload Component
+ *
+ * One drop target for many PDFs at once, e.g. a whole year-end pack, or a
+ * ZIP of them as administrators email it (unpacked in the browser).
+ * Each PDF is read with readReportPdf, identified, and routed to the
+ * fund-model slot its report fills. The review list shows where every file
+ * goes, including duplicates (a second report for a slot that is already
+ * taken) and files skipped because no parser recognises them. A slot that
+ * takes multiple reports (contract notes) gets every file that fills it.
+ * Nothing reaches the analysis until the user applies the batch.
+ */
+
+import React, { useMemo, useRef, useState } from 'react';
+import DropZone from './DropZone.jsx';
+import { readReportPdf, parseReportAs } from '../utils/reportIntake.js';
+import { isAbortError } from '../utils/reportWorkerClient.js';
+import { isSpreadsheetFile } from '../utils/spreadsheetReader.js';
+import { isZipFile, readZipFile, ZIP_ACCEPT } from '../utils/zipReader.js';
+import { isPasswordError } from '../utils/pdfParser.js';
+
+export default function BatchUpload({ steps, acceptedTypes, onApply }) {
+  const [items, setItems] = useState([]);
+  // Slot -> item id the user picked over the first file for that slot
+  const [preferred, setPreferred] = useState({});
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
+  const nextId = useRef(1);
+
+  const isProcessing = progress !== null;
+  const multipleSlots = useMemo(() => steps.filter(s => s.multiple).map(s => s.key), [steps]);
+  const assignments = useMemo(() => assignSlots(items, preferred, multipleSlots), [items, preferred, multipleSlots]);
+  const assignedSlots = Object.keys(assignments);
+
+  const slotTitle = (slot) => steps.find(s => s.key === slot)?.title || slot;
+
+  const updateItem = (id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  // Unpack any ZIPs, then read the PDFs one at a time, adding each to the
+  // review list as it is done
+  const handleFiles = async (files, error) => {
+    if (error || !files) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    try {
+      const entries = [];
+
+      for (const file of files) {
+        if (!isZipFile(file)) {
+          entries.push({ file, name: file.name });
+          continue;
+        }
+
+        setProgress(`Unpacking ${file.name}…`);
+        try {
+          const { pdfs, skipped } = await readZipFile(file);
+          entries.push(...pdfs.map(pdf => ({ file: pdf.file, name: `${file.name} › ${pdf.path}` })));
+          setItems(prev => [
+            ...prev,
+            ...skipped.map(entry => ({ ...emptyItem(nextId.current++, `${file.name} › ${entry.path}`), status: 'skipped', reason: entry.reason })),
+          ]);
+        } catch (err) {
+          setItems(prev => [...prev, { ...emptyItem(nextId.current++, file.name), status: 'error', error: err.message }]);
+        }
+      }
+
+      for (const [index, { file, name }] of entries.entries()) {
+        if (controller.signal.aborted) break;
+
+        const showProgress = (message) => setProgress(`${name} (${index + 1} of ${entries.length}) · ${message}`);
+        showProgress('Starting…');
+
+        const item = await readBatchFile(file, nextId.current++, name, { acceptedTypes, signal: controller.signal, onProgress: showProgress });
+        if (!item) break;
+        setItems(prev => [...prev, item]);
+      }
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  // Parse an ambiguous file as the report type the user chose
+  const handleChooseType = async (item, reportType) => {
+    updateItem(item.id, { status: 'processing' });
+
+    try {
+      const report = await parseReportAs(item.extractedPdf, reportType);
+      updateItem(item.id, { status: 'parsed', report, inspection: { ...item.inspection, report } });
+    } catch (err) {
+      updateItem(item.id, { status: 'error', error: err.message });
+    }
+  };
+
+  const handleUse = (item) => {
+    const slots = item.report.slots.filter(slot => item.report.slotData[slot]);
+    setPreferred(prev => ({ ...prev, ...Object.fromEntries(slots.map(slot => [slot, item.id])) }));
+  };
+
+  const handleRemove = (id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+  };
+
+  const handleClear = () => {
+    setItems([]);
+    setPreferred({});
+  };
+
+  const handleApply = () => {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const slotData = {};
+    const inspections = {};
+
+    for (const [slot, id] of Object.entries(assignments)) {
+      if (Array.isArray(id)) {
+        slotData[slot] = id.map(each => byId.get(each).report.slotData[slot]);
+        inspections[slot] = byId.get(id[id.length - 1]).inspection;
+        continue;
+      }
+      const item = byId.get(id);
+      slotData[slot] = item.report.slotData[slot];
+      inspections[slot] = item.inspection;
+    }
+
+    onApply(slotData, inspections);
+    handleClear();
+  };
+
+  return (
+    <div className="rounded-lg border border-[#1e2736]/60 bg-[#0f1318] overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2.5 border-b border-[#1e2736]/40">
+        <div>
+          <h4 className="text-xs font-medium text-slate-300">Report Pack</h4>
+          <p className="text-[9px] text-slate-600">Several PDFs or a ZIP - each PDF is filed under its report slot</p>
+        </div>
+        {isProcessing && (
+          <button
+            onClick={() => controllerRef.current?.abort()}
+            className="text-[9px] text-slate-600 hover:text-slate-400 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+
+      <div className="p-3 space-y-3">
+        <DropZone
+          onFileSelect={handleFiles}
+          status={isProcessing ? 'processing' : 'idle'}
+          label={null}
+          description="Drop a year-end pack: several PDFs or a ZIP"
+          processingMessage={progress}
+          accept={`application/pdf,${ZIP_ACCEPT}`}
+          fileTypesLabel="PDF or ZIP"
+          multiple
+        />
+
+        {items.length > 0 && (
+          <div className="space-y-1">
+            <p className="text-[9px] text-slate-600 uppercase">Review ({items.length} file{items.length === 1 ? '' : 's'})</p>
+
+            {items.map(item => (
+              <ReviewRow
+                key={item.id}
+                item={item}
+                assignments={assignments}
+                items={items}
+                slotTitle={slotTitle}
+                onChooseType={(reportType) => handleChooseType(item, reportType)}
+                onUse={() => handleUse(item)}
+                onRemove={() => handleRemove(item.id)}
+              />
+            ))}
+
+            <div className="flex items-center justify-end gap-2 pt-1">
+              <button
+                onClick={handleClear}
+                disabled={isProcessing}
+                className="px-2.5 py-1 rounded text-[10px] text-slate-500 hover:text-slate-300 transition-colors disabled:opacity-40"
+              >
+                Clear
+              </button>
+              <button
+                onClick={handleApply}
+                disabled={isProcessing || assignedSlots.length === 0}
+                className="px-2.5 py-1 rounded text-[10px] font-medium bg-emerald-500/15 text-emerald-400 hover:bg-emerald-500/25 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Use {assignedSlots.length} report{assignedSlots.length === 1 ? '' : 's'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One file in the review list, with where it goes and what can be done about it
+ */
+function ReviewRow({ item, assignments, items, slotTitle, onChooseType, onUse, onRemove }) {
+  let tone = 'text-slate-500';
+  let detail;
+  let actions = null;
+
+  if (item.status === 'processing') {
+    detail = 'Parsing…';
+  } else if (item.status === 'parsed') {
+    const slots = item.report.slots.filter(slot => item.report.slotData[slot]);
+    const used = slots.filter(slot => [assignments[slot]].flat().includes(item.id));
+
+    if (used.length > 0) {
+      tone = 'text-emerald-400/80';
+      detail = `${item.report.reportName} → ${used.map(slotTitle).join(', ')}`;
+    } else {
+      const other = items.find(i => i.id === assignments[slots[0]]);
+      tone = 'text-amber-400/80';
+      detail = `Duplicate ${item.report.reportName} - ${slotTitle(slots[0])} uses ${other?.name}`;
+      actions = <RowButton onClick={onUse}>Use this</RowButton>;
+    }
+  } else if (item.status === 'ambiguous') {
+    tone = 'text-amber-400/80';
+    detail = 'Matches more than one report type:';
+    actions = item.identification.candidates.map(candidate => (
+      <RowButton key={candidate.type} onClick={() => onChooseType(candidate.type)}>
+        {candidate.name}
+      </RowButton>
+    ));
+  } else if (item.status === 'error') {
+    tone = 'text-red-400/80';
+    detail = item.error;
+  } else {
+    detail = `Skipped - ${item.reason}`;
+  }
+
+  return (
+    <div className="flex items-start justify-between gap-2 px-2 py-1.5 rounded bg-[#0b0e12] border border-[#1e2736]/60">
+      <div className="min-w-0">
+        <p className="text-[10px] text-slate-300 truncate" title={item.name}>{item.name}</p>
+        <p className={`text-[9px] ${tone}`}>{detail}</p>
+        {actions && <div className="mt-1 flex flex-wrap gap-1">{actions}</div>}
+      </div>
+      <button
+        onClick={onRemove}
+        className="shrink-0 text-[9px] text-slate-600 hover:text-slate-400 transition-colors"
+        title="Leave this file out"
+      >
+        Remove
+      </button>
+    </div>
+  );
+}
+
+function RowButton({ onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className="px-1.5 py-0.5 rounded text-[9px] bg-[#1e2736] text-slate-400 hover:text-slate-200 transition-colors"
+    >
+      {children}
+    </button>
+  );
+}
+
+/* ---------------------------------------------
+   Helpers
+---------------------------------------------- */
+
+function emptyItem(id, name) {
+  return {
+    id,
+    name,
+    status: 'unknown',
+    reason: null,
+    error: null,
+    report: null,
+    identification: null,
+    extractedPdf: null,
+    inspection: null,
+  };
+}
+
+/**
+ * Read one file of the batch into a review item
+ * Files no parser recognises are skipped, not errors.
+ * @param {File} file
+ * @param {number} id
+ * @param {string} name - Shown in the review list (includes the ZIP name for unpacked files)
+ * @returns {Promise<Object|null>} null when the batch was cancelled
+ */
+async function readBatchFile(file, id, name, { acceptedTypes, signal, onProgress }) {
+  const item = emptyItem(id, name);
+
+  if (isSpreadsheetFile(file)) {
+    return { ...item, status: 'skipped', reason: 'spreadsheets need a column mapping, upload it in its report slot' };
+  }
+  if (!/\.pdf$/i.test(file.name) && file.type !== 'application/pdf') {
+    return { ...item, status: 'skipped', reason: 'not a PDF' };
+  }
+
+  try {
+    const { extractedPdf, identification, report } = await readReportPdf(file, { acceptedTypes, signal, onProgress });
+
+    let status = 'unknown';
+    if (report) status = 'parsed';
+    else if (identification?.ambiguous) status = 'ambiguous';
+
+    return {
+      ...item,
+      status,
+      reason: status === 'unknown' ? 'not a report any parser recognises' : null,
+      report,
+      identification,
+      extractedPdf,
+      inspection: {
+        fileName: name,
+        pages: extractedPdf.pages,
+        ocrConfidence: extractedPdf.ocr?.confidence ?? null,
+        identification,
+        report,
+        error: null,
+      },
+    };
+  } catch (err) {
+    if (isAbortError(err)) return null;
+    if (isPasswordError(err)) {
+      return { ...item, status: 'skipped', reason: 'password-protected, upload it in its report slot to enter the password' };
+    }
+    console.error(`[BatchUpload] Could not read ${name}:`, err);
+    return { ...item, status: 'error', error: err.message };
+  }
+}
+
+/**
+ * Pick one file per fund-model slot: the user's choice, else the first
+ * parsed file that fills the slot. Multiple slots take every file that fills them.
+ * @returns {Object<string, number|number[]>} slot -> item id, or item ids for a multiple slot
+ */
+function assignSlots(items, preferred, multipleSlots = []) {
+  const parsed = items.filter(item => item.status === 'parsed');
+  const fills = (item, slot) => Boolean(item.report.slotData[slot]);
+  const assignments = {};
+
+  for (const slot of multipleSlots) {
+    const ids = parsed.filter(item => fills(item, slot)).map(item => item.id);
+    if (ids.length > 0) assignments[slot] = ids;
+  }
+
+  for (const [slot, id] of Object.entries(preferred)) {
+    const item = parsed.find(i => i.id === id);
+    if (item && fills(item, slot)) assignments[slot] = id;
+  }
+
+  for (const item of parsed) {
+    for (const slot of item.report.slots) {
+      if (!assignments[slot] && fills(item, slot)) assignments[slot] = item.id;
+    }
+  }
+
+  return assignments;
+}
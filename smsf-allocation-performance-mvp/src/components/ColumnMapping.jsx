@@ -0,0 +1,126 @@
+/**
+ * ColumnMapping Component
+ *
+ * Column-mapping step for CSV / XLSX uploads. Shown inside an upload slot:
+ * the user picks the spreadsheet column for each field, checks the preview
+ * and can save the mapping so the same export imports directly next time.
+ */
+
+import React, { useState } from 'react';
+import { SPREADSHEET_FIELDS } from '../parsers/spreadsheetImport.js';
+
+export default function ColumnMapping({ slot, sheet, initialMapping, initialOptions, onConfirm, onCancel }) {
+  const fields = SPREADSHEET_FIELDS[slot] || [];
+  const [mapping, setMapping] = useState(initialMapping);
+  const [percentsAsFractions, setPercentsAsFractions] = useState(initialOptions?.percentsAsFractions ?? false);
+  const [saveAs, setSaveAs] = useState(sheet.fileName.replace(/\.(csv|xlsx)$/i, ''));
+  const [remember, setRemember] = useState(true);
+
+  const missingRequired = fields.some(f => f.required && (mapping[f.key] === null || mapping[f.key] === undefined));
+  const hasPercentFields = fields.some(f => f.type === 'percent');
+  const sampleRow = sheet.rows[0] || [];
+
+  const handleChange = (key, value) => {
+    setMapping(prev => ({ ...prev, [key]: value === '' ? null : Number(value) }));
+  };
+
+  const handleConfirm = () => {
+    onConfirm({
+      mapping,
+      options: { percentsAsFractions },
+      saveAs: remember && saveAs.trim() ? saveAs.trim() : null,
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-[10px] text-slate-400">
+          Map columns from <span className="text-slate-300">{sheet.fileName}</span>
+        </p>
+        <span className="text-[9px] text-slate-600">{sheet.rows.length} rows</span>
+      </div>
+
+      <div className="space-y-1.5">
+        {fields.map(field => {
+          const column = mapping[field.key];
+          const sample = column !== null && column !== undefined ? formatSample(sampleRow[column]) : null;
+
+          return (
+            <div key={field.key} className="grid grid-cols-[1fr_1.2fr_0.8fr] items-center gap-2">
+              <label className="text-[10px] text-slate-400" htmlFor={`map-${slot}-${field.key}`}>
+                {field.label}
+                {field.required && <span className="text-red-400/70"> *</span>}
+              </label>
+              <select
+                id={`map-${slot}-${field.key}`}
+                value={column ?? ''}
+                onChange={(e) => handleChange(field.key, e.target.value)}
+                className="bg-[#0f1318] border border-[#1e2736] rounded px-1.5 py-1 text-[10px] text-slate-300"
+              >
+                <option value="">— not in file —</option>
+                {sheet.headers.map((header, index) => (
+                  <option key={index} value={index}>{header}</option>
+                ))}
+              </select>
+              <span className="text-[9px] text-slate-600 truncate" title={sample ?? ''}>
+                {sample ?? ''}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      {hasPercentFields && (
+        <label className="flex items-center gap-2 text-[10px] text-slate-400">
+          <input
+            type="checkbox"
+            checked={percentsAsFractions}
+            onChange={(e) => setPercentsAsFractions(e.target.checked)}
+          />
+          Returns are fractions (0.0985 = 9.85%)
+        </label>
+      )}
+
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-2 text-[10px] text-slate-400">
+          <input
+            type="checkbox"
+            checked={remember}
+            onChange={(e) => setRemember(e.target.checked)}
+          />
+          Remember for this source as
+        </label>
+        <input
+          type="text"
+          value={saveAs}
+          onChange={(e) => setSaveAs(e.target.value)}
+          disabled={!remember}
+          className="flex-1 bg-[#0f1318] border border-[#1e2736] rounded px-1.5 py-1 text-[10px] text-slate-300 disabled:opacity-40"
+        />
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          className="px-2.5 py-1 rounded text-[10px] text-slate-500 hover:text-slate-300 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleConfirm}
+          disabled={missingRequired}
+          className="px-2.5 py-1 rounded text-[10px] font-medium bg-emerald-500/15 text-emerald-400 hover:bg-emerald-500/25 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Import
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function formatSample(cell) {
+  if (cell === null || cell === undefined) return null;
+  if (cell instanceof Date) return cell.toISOString().split('T')[0];
+  return String(cell);
+}
@@ -5,6 +5,16 @@
 // REFACTORED: All displayed values are now derived from the fund model.
 // No hard-coded numbers - the dashboard dynamically reflects parsed report data.
 
+import { useState } from 'react';
+import { RETURN_HORIZONS } from '../utils/constants.js';
+import { getFieldSource } from '../engines/fundModel.js';
+import {
+  CASH_CATEGORY_LABELS,
+  DEFAULT_CATEGORY_RULES,
+  loadCategoryRules,
+  saveCategoryRules,
+} from '../engines/cashAccountEngine.js';
+
 /**
  * Format a number as currency with appropriate suffix (K, M, B)
  */
@@ -93,6 +103,21 @@ function formatPeriodDate(dateStr) {
   }
 }
 
+/**
+ * Tooltip naming the report, page and line a figure was read from
+ * e.g. "Investment Allocation Report, page 2 (90% confidence)"
+ */
+function formatSource(fund, path) {
+  const source = getFieldSource(fund, path);
+  if (!source) return undefined;
+
+  const place = [source.report || 'Uploaded report', source.page ? `page ${source.page}` : null]
+    .filter(Boolean)
+    .join(', ');
+  const line = source.line ? `\n"${source.line.trim()}"` : '';
+  return `${place} (${Math.round(source.confidence * 100)}% confidence)${line}`;
+}
+
 /**
  * Capitalize first letter of a string
  */
@@ -153,6 +178,11 @@ const ASSET_CLASS_LABELS = {
   'Unknown': 'Unknown'
 };
 
+/**
+ * Transaction direction a cash categorisation rule applies to
+ */
+const CASH_DIRECTION_LABELS = { in: 'Money in', out: 'Money out', any: 'Either' };
+
 /**
  * Calculate bar height based on percentage (for benchmark comparison)
  * Maps percentage to pixel height, with a baseline for visibility
@@ -166,7 +196,7 @@ function calcBarHeight(percent, maxHeight = 100) {
   return Math.max(scaled, 10); // minimum 10px for visibility
 }
 
-export default function FinancialDashboard({ fund }) {
+export default function FinancialDashboard({ fund, onCashRulesChange }) {
   // === EXTRACT ALL DATA FROM FUND MODEL ===
   
   // Classification data
@@ -180,13 +210,17 @@ export default function FinancialDashboard({ fund }) {
   const assetClasses = fund?.assetAllocation?.assetClasses || [];
   const asAtDate = fund?.assetAllocation?.asAtDate || null;
   
+  // Where the headline figures were read from (tooltips)
+  const totalValueSource = formatSource(fund, fund?.assetAllocation?.totalValue ? 'assetAllocation.totalValue' : 'performance.endingValue');
+  const dollarReturnSource = formatSource(fund, 'performance.dollarReturn');
+  const oneYearReturnSource = formatSource(fund, 'performance.twr.oneYear');
+  
   // Performance data
   const dollarReturn = fund?.performance?.dollarReturn || null;
   const periodStart = fund?.performance?.period?.start || null;
   const periodEnd = fund?.performance?.period?.end || null;
   const oneYearReturn = fund?.performance?.twr?.oneYear ?? null;
-  const threeYearsReturn = fund?.performance?.twr?.threeYears ?? null;
-  const sinceStartReturn = fund?.performance?.twr?.sinceStart ?? null;
+  const valueSeries = fund?.performance?.valueSeries || [];
   
   // Benchmark data
   const benchmarkName = fund?.benchmark?.name || 'Benchmark';
@@ -216,14 +250,23 @@ export default function FinancialDashboard({ fund }) {
   // Benchmark comparison values
   const oneYearBenchmark = benchmarkComparison?.oneYear?.benchmarkReturn ?? null;
   const oneYearDiff = benchmarkComparison?.oneYear?.difference ?? null;
-  const sinceInceptionBenchmark = benchmarkComparison?.sinceInception?.benchmarkReturn ?? null;
-  const sinceInceptionDiff = benchmarkComparison?.sinceInception?.difference ?? null;
+  
+  // Every horizon compared with the benchmark, shortest first
+  const horizonComparisons = RETURN_HORIZONS
+    .filter(horizon => benchmarkComparison[horizon.key])
+    .map(horizon => ({
+      ...benchmarkComparison[horizon.key],
+      key: horizon.key,
+      label: horizon.label,
+      source: formatSource(fund, `performance.twr.${horizon.twrKey ?? horizon.key}`),
+    }));
   
   // Performance score for conic gradient (clamp between 0-100)
   const scorePercent = performanceScore !== null ? Math.min(Math.max(performanceScore, 0), 100) : 0;
   
-  // Prepare asset class data for visualization
-  const sortedAssetClasses = [...assetClasses]
+  // Prepare asset class data for visualization (index keys their provenance)
+  const sortedAssetClasses = assetClasses
+    .map((ac, index) => ({ ...ac, index }))
     .filter(ac => ac.value && ac.value > 0)
     .sort((a, b) => (b.value || 0) - (a.value || 0));
   
@@ -238,6 +281,33 @@ export default function FinancialDashboard({ fund }) {
     };
   });
   
+  // Return by asset class - the allocation's classes when the returns were
+  // attached to them, otherwise the performance report's own breakdown
+  const attachedReturns = assetClasses.filter(ac => ac.dollarReturn != null || ac.twr != null);
+  const sleeveReturns = (attachedReturns.length > 0 ? attachedReturns : fund?.performance?.assetClassReturns || [])
+    .filter(sleeve => sleeve.dollarReturn != null || sleeve.twr != null)
+    .map(sleeve => ({
+      ...sleeve,
+      color: ASSET_CLASS_COLORS[sleeve.name] || '#718096',
+      label: ASSET_CLASS_LABELS[sleeve.name] || sleeve.name
+    }))
+    .sort((a, b) => (b.dollarReturn ?? 0) - (a.dollarReturn ?? 0));
+  const sleeveTotal = sleeveReturns.reduce((sum, sleeve) => sum + (sleeve.dollarReturn ?? 0), 0);
+  const sleeveMax = Math.max(...sleeveReturns.map(sleeve => Math.abs(sleeve.dollarReturn ?? 0)), 0);
+  
+  // Fund costs and net assets - from the financial statements
+  const financials = fund?.financials || null;
+  const reconciliation = financials?.netAssetReconciliation || null;
+  const expenseMax = Math.max(...(financials?.expenseBreakdown || []).map(item => item.amount), 0);
+  
+  // Income yield - from the Investment Income report
+  const incomeYield = fund?.incomeYield || null;
+  const fundIncome = incomeYield?.fund || null;
+  
+  // Realised capital gains - from the CGT report
+  const cgtSummary = fund?.cgtSummary || null;
+  const cgtReconciliation = cgtSummary?.reconciliation || null;
+  
   // Top asset classes for the bar chart (show top 4 in main bar, rest in legend)
   const topAssetClasses = assetClassesWithPercent.slice(0, 4);
   const allAssetClassesForLegend = assetClassesWithPercent.slice(0, 6);
@@ -412,7 +482,7 @@ export default function FinancialDashboard({ fund }) {
             }}>
               Total Portfolio Value
             </div>
-            <div style={{
+            <div title={totalValueSource} style={{
               fontFamily: '"Playfair Display", Georgia, serif',
               fontSize: '52px',
               fontWeight: '600',
@@ -446,7 +516,7 @@ export default function FinancialDashboard({ fund }) {
             }}>
               Period Return
             </div>
-            <div style={{
+            <div title={dollarReturnSource} style={{
               fontFamily: '"Playfair Display", Georgia, serif',
               fontSize: '52px',
               fontWeight: '600',
@@ -482,7 +552,7 @@ export default function FinancialDashboard({ fund }) {
             }}>
               1-Year Return
             </div>
-            <div style={{
+            <div title={oneYearReturnSource} style={{
               fontFamily: '"Playfair Display", Georgia, serif',
               fontSize: '52px',
               fontWeight: '600',
@@ -608,7 +678,7 @@ export default function FinancialDashboard({ fund }) {
                     }} />
                     <div>
                       <div style={{ fontSize: '12px', color: 'rgba(255,255,255,0.6)' }}>{item.label}</div>
-                      <div style={{ fontSize: '14px', fontWeight: '600' }}>{formatCurrencyCompact(item.value)}</div>
+                      <div title={formatSource(fund, `assetAllocation.assetClasses.${item.index}.value`)} style={{ fontSize: '14px', fontWeight: '600' }}>{formatCurrencyCompact(item.value)}</div>
                     </div>
                   </div>
                 ))
@@ -702,9 +772,501 @@ export default function FinancialDashboard({ fund }) {
               </div>
             </div>
 
+            {/* All Horizons */}
+            {horizonComparisons.length > 0 && (
+              <div>
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1.4fr 1fr 1fr 1fr',
+                  fontSize: '10px',
+                  letterSpacing: '1px',
+                  textTransform: 'uppercase',
+                  color: 'rgba(255,255,255,0.35)',
+                  paddingBottom: '8px',
+                  borderBottom: '1px solid rgba(255,255,255,0.06)'
+                }}>
+                  <span>Period</span>
+                  <span style={{ textAlign: 'right' }}>Fund</span>
+                  <span style={{ textAlign: 'right' }}>Bench</span>
+                  <span style={{ textAlign: 'right' }}>Alpha</span>
+                </div>
+                {horizonComparisons.map(row => (
+                  <div key={row.key} style={{
+                    display: 'grid',
+                    gridTemplateColumns: '1.4fr 1fr 1fr 1fr',
+                    fontSize: '13px',
+                    padding: '8px 0',
+                    borderBottom: '1px solid rgba(255,255,255,0.04)'
+                  }}>
+                    <span style={{ color: 'rgba(255,255,255,0.6)' }}>{row.label}</span>
+                    <span title={row.source} style={{ textAlign: 'right', fontWeight: '600', color: row.fundReturn >= 0 ? '#48bb78' : '#f56565' }}>{formatPercent(row.fundReturn, 2)}</span>
+                    <span style={{ textAlign: 'right', color: 'rgba(255,255,255,0.6)' }}>{formatPercent(row.benchmarkReturn, 2)}</span>
+                    <span style={{ textAlign: 'right', fontWeight: '600', color: row.difference >= 0 ? '#48bb78' : '#f56565' }}>{formatPercent(row.difference, 2, true)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
           </div>
         </section>
 
+        {/* ═══════════════════════════════════════════════════════════════════
+            SECTION 3a: INCOME YIELD - Grossed-up for franking and foreign tax
+            Only when an Investment Income report was uploaded
+            ═══════════════════════════════════════════════════════════════════ */}
+        {incomeYield && (
+          <section style={{
+            display: 'grid',
+            gridTemplateColumns: '0.8fr 1.2fr',
+            gap: '32px',
+            marginBottom: '56px',
+            position: 'relative',
+            zIndex: 1
+          }}>
+            {/* Grossed-up yield and the credits behind it */}
+            <div style={{
+              background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+              borderRadius: '20px',
+              padding: '32px 36px',
+              border: '1px solid rgba(255,255,255,0.06)'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.45)',
+                marginBottom: '24px'
+              }}>
+                Income Yield
+              </div>
+
+              <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px', marginBottom: '8px' }}>
+                <span style={{ fontSize: '40px', fontWeight: '700', color: '#48bb78' }}>{formatPercent(fundIncome.grossedUpYield, 2)}</span>
+                <span style={{ fontSize: '13px', color: 'rgba(255,255,255,0.5)' }}>grossed-up</span>
+              </div>
+              <div style={{ fontSize: '11px', color: 'rgba(255,255,255,0.35)', marginBottom: '24px' }}>
+                {fundIncome.grossedUpYield != null
+                  ? `${formatPercent(fundIncome.cashYield, 2)} cash yield before franking and foreign tax credits`
+                  : 'Upload the asset allocation report to calculate yields'}
+              </div>
+
+              <ReconciliationRow label="Income received" value={formatCurrencyCompact(fundIncome.income)} />
+              <ReconciliationRow
+                label="Franking credits"
+                value={formatCurrencyCompact(fundIncome.frankingCredits)}
+                note={fundIncome.frankingShare != null ? `${formatPercent(fundIncome.frankingShare, 1)} of grossed-up income` : null}
+              />
+              <ReconciliationRow label="Foreign tax credits" value={formatCurrencyCompact(fundIncome.foreignTaxCredits)} />
+              <ReconciliationRow label="Grossed-up income" value={formatCurrencyCompact(fundIncome.grossedUpIncome)} strong />
+            </div>
+
+            {/* Per asset class */}
+            <div style={{
+              background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+              borderRadius: '20px',
+              padding: '32px 36px',
+              border: '1px solid rgba(255,255,255,0.06)'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.45)',
+                marginBottom: '24px'
+              }}>
+                Income by Asset Class
+              </div>
+
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: '1.4fr 1fr 0.8fr 0.8fr',
+                gap: '16px',
+                fontSize: '10px',
+                letterSpacing: '1px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.35)',
+                paddingBottom: '8px',
+                borderBottom: '1px solid rgba(255,255,255,0.06)'
+              }}>
+                <span>Asset Class</span>
+                <span style={{ textAlign: 'right' }}>Grossed-Up $</span>
+                <span style={{ textAlign: 'right' }}>Cash</span>
+                <span style={{ textAlign: 'right' }}>Grossed-Up</span>
+              </div>
+              {incomeYield.assetClasses.map(ac => (
+                <div key={ac.name} style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1.4fr 1fr 0.8fr 0.8fr',
+                  gap: '16px',
+                  alignItems: 'center',
+                  fontSize: '13px',
+                  padding: '10px 0',
+                  borderBottom: '1px solid rgba(255,255,255,0.04)'
+                }}>
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '10px', color: 'rgba(255,255,255,0.7)' }}>
+                    <span style={{ width: '10px', height: '10px', borderRadius: '3px', background: ASSET_CLASS_COLORS[ac.name] || '#718096' }} />
+                    {ASSET_CLASS_LABELS[ac.name] || ac.name}
+                  </span>
+                  <span style={{ textAlign: 'right', fontWeight: '600' }}>{formatCurrencyCompact(ac.grossedUpIncome)}</span>
+                  <span style={{ textAlign: 'right', color: 'rgba(255,255,255,0.6)' }}>{formatPercent(ac.cashYield, 2)}</span>
+                  <span style={{ textAlign: 'right', fontWeight: '600', color: '#48bb78' }}>{formatPercent(ac.grossedUpYield, 2)}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* ═══════════════════════════════════════════════════════════════════
+            SECTION 3b: VALUE OVER TIME - Portfolio value vs net contributions
+            Only when the performance report carries the monthly series
+            ═══════════════════════════════════════════════════════════════════ */}
+        {valueSeries.length >= 2 && (
+          <section style={{
+            background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+            borderRadius: '20px',
+            padding: '32px 36px',
+            border: '1px solid rgba(255,255,255,0.06)',
+            marginBottom: '56px',
+            position: 'relative',
+            zIndex: 1
+          }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'baseline',
+              marginBottom: '24px'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.45)'
+              }}>
+                Portfolio Value vs Net Contributions
+              </div>
+              <div style={{ display: 'flex', gap: '20px', fontSize: '12px' }}>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '8px', color: 'rgba(255,255,255,0.6)' }}>
+                  <span style={{ width: '16px', height: '3px', borderRadius: '2px', background: '#63b3ed' }} />
+                  Portfolio value
+                </span>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '8px', color: 'rgba(255,255,255,0.6)' }}>
+                  <span style={{ width: '16px', height: '0', borderTop: '2px dashed rgba(255,255,255,0.5)' }} />
+                  Net contributions (cumulative)
+                </span>
+              </div>
+            </div>
+
+            <ValueSeriesChart series={valueSeries} />
+          </section>
+        )}
+
+        {/* ═══════════════════════════════════════════════════════════════════
+            SECTION 3c: RETURN BY ASSET CLASS - Which sleeves drove the result
+            Only when the performance report breaks returns down by asset class
+            ═══════════════════════════════════════════════════════════════════ */}
+        {sleeveReturns.length > 0 && (
+          <section style={{
+            background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+            borderRadius: '20px',
+            padding: '32px 36px',
+            border: '1px solid rgba(255,255,255,0.06)',
+            marginBottom: '56px',
+            position: 'relative',
+            zIndex: 1
+          }}>
+            <div style={{
+              fontSize: '11px',
+              letterSpacing: '2px',
+              textTransform: 'uppercase',
+              color: 'rgba(255,255,255,0.45)',
+              marginBottom: '24px'
+            }}>
+              Return by Asset Class
+            </div>
+
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: '1.2fr 2fr 1fr 0.8fr 0.8fr',
+              gap: '16px',
+              fontSize: '10px',
+              letterSpacing: '1px',
+              textTransform: 'uppercase',
+              color: 'rgba(255,255,255,0.35)',
+              paddingBottom: '8px',
+              borderBottom: '1px solid rgba(255,255,255,0.06)'
+            }}>
+              <span>Asset Class</span>
+              <span>Contribution</span>
+              <span style={{ textAlign: 'right' }}>Return $</span>
+              <span style={{ textAlign: 'right' }}>TWR</span>
+              <span style={{ textAlign: 'right' }}>Share</span>
+            </div>
+            {sleeveReturns.map(sleeve => {
+              const positive = (sleeve.dollarReturn ?? 0) >= 0;
+              const barWidth = sleeveMax > 0 ? (Math.abs(sleeve.dollarReturn ?? 0) / sleeveMax) * 50 : 0;
+              const share = sleeve.dollarReturn != null && sleeveTotal !== 0 ? (sleeve.dollarReturn / sleeveTotal) * 100 : null;
+
+              return (
+                <div key={sleeve.name} style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1.2fr 2fr 1fr 0.8fr 0.8fr',
+                  gap: '16px',
+                  alignItems: 'center',
+                  fontSize: '13px',
+                  padding: '10px 0',
+                  borderBottom: '1px solid rgba(255,255,255,0.04)'
+                }}>
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '10px', color: 'rgba(255,255,255,0.7)' }}>
+                    <span style={{ width: '10px', height: '10px', borderRadius: '3px', background: sleeve.color }} />
+                    {sleeve.label}
+                  </span>
+                  {/* Diverging bar - gains right of the centre line, losses left */}
+                  <div style={{ position: 'relative', height: '10px', background: 'rgba(255,255,255,0.04)', borderRadius: '5px' }}>
+                    <div style={{ position: 'absolute', left: '50%', top: '-3px', bottom: '-3px', width: '1px', background: 'rgba(255,255,255,0.2)' }} />
+                    <div style={{
+                      position: 'absolute',
+                      top: 0,
+                      bottom: 0,
+                      left: positive ? '50%' : `${50 - barWidth}%`,
+                      width: `${barWidth}%`,
+                      borderRadius: '5px',
+                      background: positive ? 'linear-gradient(90deg, #38a169, #48bb78)' : 'linear-gradient(90deg, #f56565, #c53030)'
+                    }} />
+                  </div>
+                  <span style={{ textAlign: 'right', fontWeight: '600', color: positive ? '#48bb78' : '#f56565' }}>{formatCurrencyCompact(sleeve.dollarReturn)}</span>
+                  <span style={{ textAlign: 'right', color: 'rgba(255,255,255,0.6)' }}>{formatPercent(sleeve.twr, 2)}</span>
+                  <span style={{ textAlign: 'right', color: 'rgba(255,255,255,0.5)' }}>{formatPercent(share, 0)}</span>
+                </div>
+              );
+            })}
+          </section>
+        )}
+
+        {/* ═══════════════════════════════════════════════════════════════════
+            SECTION 3d: FUND COSTS & NET ASSETS - From the financial statements
+            Only when an Operating Statement or Statement of Financial Position
+            was uploaded
+            ═══════════════════════════════════════════════════════════════════ */}
+        {financials && (
+          <section style={{
+            display: 'grid',
+            gridTemplateColumns: '1fr 1fr',
+            gap: '24px',
+            marginBottom: '56px',
+            position: 'relative',
+            zIndex: 1
+          }}>
+            {/* Expense ratio and breakdown */}
+            <div style={{
+              background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+              borderRadius: '20px',
+              padding: '32px 36px',
+              border: '1px solid rgba(255,255,255,0.06)'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.45)',
+                marginBottom: '24px'
+              }}>
+                Fund Costs
+              </div>
+
+              <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px', marginBottom: '8px' }}>
+                <span style={{ fontSize: '40px', fontWeight: '700' }}>{formatPercent(financials.expenseRatio, 2)}</span>
+                <span style={{ fontSize: '13px', color: 'rgba(255,255,255,0.5)' }}>
+                  expense ratio · {formatCurrencyCompact(financials.operatingExpenses)} a year
+                </span>
+              </div>
+              <div style={{ fontSize: '11px', color: 'rgba(255,255,255,0.35)', marginBottom: '24px' }}>
+                {financials.expenseRatioBasis === 'investmentValue'
+                  ? 'Operating expenses as a share of the investment value (no Statement of Financial Position)'
+                  : 'Operating expenses as a share of net assets, excluding member payments'}
+              </div>
+
+              {financials.expenseBreakdown.map(item => (
+                <div key={item.key} style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1.4fr 2fr 0.8fr 0.8fr',
+                  gap: '16px',
+                  alignItems: 'center',
+                  fontSize: '13px',
+                  padding: '8px 0',
+                  borderBottom: '1px solid rgba(255,255,255,0.04)'
+                }}>
+                  <span style={{ color: 'rgba(255,255,255,0.7)' }}>{item.label}</span>
+                  <div style={{ height: '8px', background: 'rgba(255,255,255,0.04)', borderRadius: '4px' }}>
+                    <div style={{
+                      height: '100%',
+                      width: `${expenseMax > 0 ? (item.amount / expenseMax) * 100 : 0}%`,
+                      borderRadius: '4px',
+                      background: 'linear-gradient(90deg, #ed8936, #dd6b20)'
+                    }} />
+                  </div>
+                  <span style={{ textAlign: 'right', fontWeight: '600' }}>{formatCurrencyCompact(item.amount)}</span>
+                  <span style={{ textAlign: 'right', color: 'rgba(255,255,255,0.5)' }}>{formatPercent(item.percentOfNetAssets, 2)}</span>
+                </div>
+              ))}
+            </div>
+
+            {/* Net asset reconciliation */}
+            <div style={{
+              background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+              borderRadius: '20px',
+              padding: '32px 36px',
+              border: '1px solid rgba(255,255,255,0.06)'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.45)',
+                marginBottom: '24px'
+              }}>
+                Net Asset Reconciliation
+              </div>
+
+              {reconciliation ? (
+                <>
+                  <ReconciliationRow label={`Net assets at ${formatDate(reconciliation.asAtDate)}`} value={formatCurrencyCompact(reconciliation.netAssets)} strong />
+                  <ReconciliationRow
+                    label="Investment report value"
+                    value={formatCurrencyCompact(reconciliation.investmentValue)}
+                    note={reconciliation.investmentDifference != null
+                      ? `${formatCurrencyCompact(reconciliation.investmentDifference)} other assets and liabilities${reconciliation.datesMatch ? '' : ` · valued at ${formatDate(reconciliation.investmentAsAtDate)}`}`
+                      : 'No investment report'}
+                  />
+                  <ReconciliationRow
+                    label={reconciliation.memberBalancesSource === 'memberStatements' ? 'Member statement balances' : 'Liability for member benefits'}
+                    value={formatCurrencyCompact(reconciliation.memberBalances)}
+                    note={reconciliation.membersReconciled == null
+                      ? 'No member balances'
+                      : reconciliation.membersReconciled
+                        ? 'Matches net assets'
+                        : `${formatCurrencyCompact(reconciliation.memberDifference)} not allocated to members`}
+                    warning={reconciliation.membersReconciled === false}
+                  />
+                </>
+              ) : (
+                <div style={{ fontSize: '13px', color: 'rgba(255,255,255,0.5)' }}>
+                  Upload the Statement of Financial Position to reconcile net assets.
+                </div>
+              )}
+            </div>
+          </section>
+        )}
+
+        {/* ═══════════════════════════════════════════════════════════════════
+            SECTION 3e: CAPITAL GAINS - Net capital gain from the CGT report
+            Only when a realised capital gains report was uploaded
+            ═══════════════════════════════════════════════════════════════════ */}
+        {cgtSummary && (
+          <section style={{
+            display: 'grid',
+            gridTemplateColumns: '1fr 1fr',
+            gap: '24px',
+            marginBottom: '56px',
+            position: 'relative',
+            zIndex: 1
+          }}>
+            {/* Gross gains to net capital gain */}
+            <div style={{
+              background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+              borderRadius: '20px',
+              padding: '32px 36px',
+              border: '1px solid rgba(255,255,255,0.06)'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.45)',
+                marginBottom: '24px'
+              }}>
+                Capital Gains Tax
+              </div>
+
+              <ReconciliationRow
+                label="Gross capital gains"
+                value={formatCurrencyCompact(cgtSummary.grossGains)}
+                note={`${formatCurrencyCompact(cgtSummary.discountableGains)} eligible for the discount`}
+              />
+              <ReconciliationRow
+                label="Less capital losses applied"
+                value={formatCurrencyCompact(-cgtSummary.lossesApplied)}
+                note={`${formatCurrencyCompact(cgtSummary.currentYearLosses)} this year · ${formatCurrencyCompact(cgtSummary.lossesBroughtForward)} brought forward`}
+              />
+              <ReconciliationRow
+                label="Less CGT discount (one third)"
+                value={formatCurrencyCompact(-cgtSummary.discount)}
+              />
+              <ReconciliationRow label="Net capital gain" value={formatCurrencyCompact(cgtSummary.netCapitalGain)} strong />
+              <ReconciliationRow
+                label="Estimated tax at 15%"
+                value={formatCurrencyCompact(cgtSummary.estimatedTax)}
+                note={cgtSummary.exemptProportion
+                  ? `After ${formatPercent(cgtSummary.exemptProportion * 100, 1)} of balances in pension phase`
+                  : 'No pension-phase exemption applied'}
+              />
+              {cgtSummary.lossesCarriedForward > 0 && (
+                <ReconciliationRow
+                  label="Losses carried forward"
+                  value={formatCurrencyCompact(cgtSummary.lossesCarriedForward)}
+                />
+              )}
+            </div>
+
+            {/* Realised gains against the performance report */}
+            <div style={{
+              background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+              borderRadius: '20px',
+              padding: '32px 36px',
+              border: '1px solid rgba(255,255,255,0.06)'
+            }}>
+              <div style={{
+                fontSize: '11px',
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'rgba(255,255,255,0.45)',
+                marginBottom: '24px'
+              }}>
+                Realised Gains Reconciliation
+              </div>
+
+              {cgtReconciliation ? (
+                <>
+                  <ReconciliationRow label="Parcels sold (proceeds less cost)" value={formatCurrencyCompact(cgtReconciliation.parcelsGain)} strong />
+                  <ReconciliationRow
+                    label="Realised gains / losses in the performance report"
+                    value={formatCurrencyCompact(cgtReconciliation.realisedGainsLosses)}
+                    note={cgtReconciliation.reconciled
+                      ? 'Matches the CGT report'
+                      : `${formatCurrencyCompact(cgtReconciliation.difference)} difference`}
+                    warning={!cgtReconciliation.reconciled}
+                  />
+                </>
+              ) : (
+                <div style={{ fontSize: '13px', color: 'rgba(255,255,255,0.5)' }}>
+                  Upload the performance report to reconcile realised gains.
+                </div>
+              )}
+            </div>
+          </section>
+        )}
+
+        {/* ═══════════════════════════════════════════════════════════════════
+            SECTION 3f: CASH ACCOUNT - Bank statement cash flows
+            Only when a bank statement was uploaded
+            ═══════════════════════════════════════════════════════════════════ */}
+        {fund?.cashAccount && fund?.bankStatement && (
+          <CashAccountPanel
+            cashAccount={fund.cashAccount}
+            statement={fund.bankStatement}
+            onRulesChange={onCashRulesChange}
+          />
+        )}
+
         {/* ═══════════════════════════════════════════════════════════════════
             SECTION 4: BOTTOM ROW - Risk Profile & Key Insights
             ═══════════════════════════════════════════════════════════════════ */}
@@ -809,7 +1371,7 @@ export default function FinancialDashboard({ fund }) {
           zIndex: 1
         }}>
           <div style={{ fontSize: '11px', color: 'rgba(255,255,255,0.35)' }}>
-            Fund ID: {fundId}
+            Fund ID: {fundId} • Hover a figure for the report and page it was read from
           </div>
           <div style={{ fontSize: '11px', color: 'rgba(255,255,255,0.35)' }}>
             Last updated: {lastUpdated ? formatDate(lastUpdated) : '—'} • Confidential
@@ -826,6 +1388,322 @@ export default function FinancialDashboard({ fund }) {
   );
 }
 
+/**
+ * One line of a reconciliation: label, amount and an optional note
+ */
+function ReconciliationRow({ label, value, note, strong, warning }) {
+  return (
+    <div style={{ padding: '12px 0', borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
+        <span style={{ color: 'rgba(255,255,255,0.7)' }}>{label}</span>
+        <span style={{ fontWeight: strong ? '700' : '600' }}>{value}</span>
+      </div>
+      {note && (
+        <div style={{ fontSize: '11px', marginTop: '4px', color: warning ? '#f6ad55' : 'rgba(255,255,255,0.35)' }}>
+          {note}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The fund's bank account: closing balance reconciled to the allocation
+ * report's Cash, money in and out per category, and the categorisation
+ * rules - editable, saved in the browser, applied on save
+ */
+function CashAccountPanel({ cashAccount, statement, onRulesChange }) {
+  const [editing, setEditing] = useState(false);
+  const [rules, setRules] = useState(loadCategoryRules);
+
+  const { reconciliation } = cashAccount;
+  const uncategorised = cashAccount.transactions.filter(t => t.category === 'uncategorised');
+  const account = [statement.account?.bsb, statement.account?.accountNumber].filter(Boolean).join(' · ');
+
+  // Closing balance against the allocation report's Cash
+  let reconciliationNote = 'Upload the asset allocation report to reconcile to its Cash';
+  if (reconciliation) {
+    const allocationCash = formatCurrencyCompact(reconciliation.allocationCash);
+    reconciliationNote = reconciliation.reconciled
+      ? `Matches the allocation report's Cash (${allocationCash})`
+      : `${formatCurrencyCompact(reconciliation.difference)} different from the allocation report's Cash (${allocationCash})`;
+    if (!reconciliation.datesMatch) {
+      reconciliationNote += ` · allocation valued at ${formatDate(reconciliation.allocationAsAtDate)}`;
+    }
+  }
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSave = () => {
+    const cleaned = rules.filter(rule => rule.contains.trim());
+    saveCategoryRules(cleaned);
+    setRules(cleaned);
+    onRulesChange?.(cleaned);
+    setEditing(false);
+  };
+
+  const handleResetRules = () => {
+    saveCategoryRules(null);
+    setRules(DEFAULT_CATEGORY_RULES);
+    onRulesChange?.(DEFAULT_CATEGORY_RULES);
+  };
+
+  const fieldStyle = {
+    background: 'rgba(255,255,255,0.04)',
+    border: '1px solid rgba(255,255,255,0.1)',
+    borderRadius: '6px',
+    padding: '6px 8px',
+    fontSize: '12px',
+    color: '#ffffff',
+    fontFamily: 'inherit'
+  };
+  const linkStyle = {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    fontSize: '12px',
+    color: 'rgba(255,255,255,0.6)',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+  };
+
+  return (
+    <section style={{
+      background: 'linear-gradient(145deg, rgba(255,255,255,0.04) 0%, rgba(255,255,255,0.01) 100%)',
+      borderRadius: '20px',
+      padding: '32px 36px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '56px',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'baseline',
+        marginBottom: '24px'
+      }}>
+        <div style={{
+          fontSize: '11px',
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          color: 'rgba(255,255,255,0.45)'
+        }}>
+          Cash Account
+        </div>
+        <div style={{ fontSize: '12px', color: 'rgba(255,255,255,0.4)' }}>
+          {account || 'Bank Statement'}
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '0.8fr 1.2fr', gap: '32px' }}>
+        {/* Closing balance and reconciliation */}
+        <div>
+          <ReconciliationRow
+            label="Closing balance"
+            value={formatCurrencyCompact(statement.closingBalance)}
+            strong
+            note={reconciliationNote}
+            warning={reconciliation?.reconciled === false}
+          />
+          <ReconciliationRow label="Money in" value={formatCurrencyCompact(cashAccount.totalInflows)} />
+          <ReconciliationRow label="Money out" value={formatCurrencyCompact(cashAccount.totalOutflows)} />
+        </div>
+
+        {/* Per category */}
+        <div>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: '1.6fr 1fr 1fr',
+            gap: '16px',
+            fontSize: '10px',
+            letterSpacing: '1px',
+            textTransform: 'uppercase',
+            color: 'rgba(255,255,255,0.35)',
+            paddingBottom: '8px',
+            borderBottom: '1px solid rgba(255,255,255,0.06)'
+          }}>
+            <span>Category</span>
+            <span style={{ textAlign: 'right' }}>In</span>
+            <span style={{ textAlign: 'right' }}>Out</span>
+          </div>
+          {cashAccount.categories.map(category => (
+            <div key={category.key} style={{
+              display: 'grid',
+              gridTemplateColumns: '1.6fr 1fr 1fr',
+              gap: '16px',
+              fontSize: '13px',
+              padding: '8px 0',
+              borderBottom: '1px solid rgba(255,255,255,0.04)'
+            }}>
+              <span style={{ color: category.key === 'uncategorised' ? '#f6ad55' : 'rgba(255,255,255,0.7)' }}>
+                {category.label} <span style={{ color: 'rgba(255,255,255,0.35)' }}>({category.count})</span>
+              </span>
+              <span style={{ textAlign: 'right', fontWeight: '600' }}>{category.inflows ? formatCurrencyCompact(category.inflows) : '—'}</span>
+              <span style={{ textAlign: 'right', fontWeight: '600' }}>{category.outflows ? formatCurrencyCompact(category.outflows) : '—'}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Categorisation rules */}
+      <div style={{ marginTop: '24px', paddingTop: '16px', borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span style={{ fontSize: '12px', color: uncategorised.length > 0 ? '#f6ad55' : 'rgba(255,255,255,0.5)' }}>
+            {uncategorised.length > 0
+              ? `${uncategorised.length} transaction${uncategorised.length === 1 ? '' : 's'} not matched by a rule`
+              : 'Every transaction matched a rule'}
+          </span>
+          <button onClick={() => setEditing(!editing)} style={linkStyle}>
+            {editing ? 'Close rules' : 'Edit rules'}
+          </button>
+        </div>
+
+        {editing && (
+          <div style={{ marginTop: '16px', display: 'grid', gap: '8px' }}>
+            {uncategorised.slice(0, 5).map((t, i) => (
+              <div key={i} style={{ display: 'flex', justifyContent: 'space-between', gap: '16px', fontSize: '12px', color: 'rgba(255,255,255,0.5)' }}>
+                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{t.date} · {t.description}</span>
+                <span>{formatCurrencyCompact(t.amount)}</span>
+              </div>
+            ))}
+
+            <div style={{ fontSize: '11px', color: 'rgba(255,255,255,0.35)', margin: '8px 0 4px' }}>
+              Rules are tried top to bottom; the first whose text is in the description sets the category.
+            </div>
+            {rules.map((rule, index) => (
+              <div key={index} style={{ display: 'grid', gridTemplateColumns: '1.4fr 1.2fr 0.9fr auto', gap: '8px', alignItems: 'center' }}>
+                <input
+                  value={rule.contains}
+                  onChange={(e) => updateRule(index, { contains: e.target.value })}
+                  placeholder="Description contains…"
+                  style={fieldStyle}
+                />
+                <select
+                  value={rule.category}
+                  onChange={(e) => updateRule(index, { category: e.target.value })}
+                  style={fieldStyle}
+                >
+                  {Object.entries(CASH_CATEGORY_LABELS).map(([key, label]) => (
+                    <option key={key} value={key} style={{ background: '#12121a' }}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={rule.direction || 'any'}
+                  onChange={(e) => updateRule(index, { direction: e.target.value })}
+                  style={fieldStyle}
+                >
+                  {Object.entries(CASH_DIRECTION_LABELS).map(([key, label]) => (
+                    <option key={key} value={key} style={{ background: '#12121a' }}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}
+                  title="Remove rule"
+                  style={{ ...linkStyle, color: 'rgba(255,255,255,0.4)' }}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', paddingTop: '8px' }}>
+              <div style={{ display: 'flex', gap: '16px' }}>
+                <button
+                  onClick={() => setRules(prev => [{ contains: '', category: 'uncategorised', direction: 'any' }, ...prev])}
+                  style={linkStyle}
+                >
+                  Add rule
+                </button>
+                <button onClick={handleResetRules} style={{ ...linkStyle, color: 'rgba(255,255,255,0.4)' }}>
+                  Reset to defaults
+                </button>
+              </div>
+              <button
+                onClick={handleSave}
+                style={{
+                  background: '#48bb78',
+                  border: 'none',
+                  borderRadius: '8px',
+                  padding: '8px 14px',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  color: '#0a0a0f',
+                  cursor: 'pointer',
+                  fontFamily: 'inherit'
+                }}
+              >
+                Save rules
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+/**
+ * Line chart of portfolio value against cumulative net contributions
+ * Drawn as SVG in a fixed viewBox that scales to the section width
+ */
+function ValueSeriesChart({ series }) {
+  const width = 1000;
+  const height = 240;
+  const pad = { top: 12, right: 16, bottom: 28, left: 72 };
+
+  const values = series.flatMap(point => [point.portfolioValue, point.netInvestment]).filter(Number.isFinite);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  // Keep flat series off the axes
+  const span = max - min || Math.abs(max) || 1;
+  const yMin = min - span * 0.05;
+  const yMax = max + span * 0.05;
+
+  const x = (index) => pad.left + (index / (series.length - 1)) * (width - pad.left - pad.right);
+  const y = (value) => pad.top + (1 - (value - yMin) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+
+  const path = (field) => series
+    .map((point, index) => (Number.isFinite(point[field]) ? `${x(index)},${y(point[field])}` : null))
+    .filter(Boolean)
+    .join(' ');
+
+  const ticks = [yMax, (yMax + yMin) / 2, yMin];
+  // First, middle and last month on the x-axis
+  const labelIndexes = [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])];
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(tick)} y2={y(tick)} stroke="rgba(255,255,255,0.06)" />
+          <text x={pad.left - 12} y={y(tick) + 4} textAnchor="end" fontSize="12" fill="rgba(255,255,255,0.4)">
+            {formatCurrencyCompact(tick)}
+          </text>
+        </g>
+      ))}
+
+      {labelIndexes.map(index => (
+        <text
+          key={index}
+          x={x(index)}
+          y={height - 6}
+          textAnchor={index === 0 ? 'start' : index === series.length - 1 ? 'end' : 'middle'}
+          fontSize="12"
+          fill="rgba(255,255,255,0.4)"
+        >
+          {formatPeriodDate(series[index].date)}
+        </text>
+      ))}
+
+      <polyline points={path('netInvestment')} fill="none" stroke="rgba(255,255,255,0.5)" strokeWidth="2" strokeDasharray="6 6" />
+      <polyline points={path('portfolioValue')} fill="none" stroke="#63b3ed" strokeWidth="3" strokeLinejoin="round" />
+    </svg>
+  );
+}
+
 /**
  * Generate display insights based on fund data
  * Returns exactly 3 insights for the UI grid
@@ -5,6 +5,8 @@ import React from "react";
  * 
  * Refined file upload zone with presentation-grade styling
  * Supports drag-and-drop and click-to-upload
+ * Accepts PDFs by default; pass `accept` / `fileTypesLabel` for other file types
+ * With `multiple`, onFileSelect receives an array of files
  */
 export default function DropZone({
   onFileSelect,
@@ -12,18 +14,25 @@ export default function DropZone({
   label,
   description,
   errorMessage,
-  acceptedFileName
+  processingMessage,
+  acceptedFileName,
+  accept = "application/pdf",
+  fileTypesLabel = "PDF",
+  multiple = false
 }) {
   const handleChange = (e) => {
-    const file = e.target.files?.[0];
-    console.log("[DropZone] File selected:", file?.name);
+    const files = Array.from(e.target.files || []);
+    console.log("[DropZone] Files selected:", files.map(f => f.name).join(", "));
 
-    if (!file) {
+    if (files.length === 0) {
       onFileSelect(null, "No file selected");
       return;
     }
 
-    onFileSelect(file, null);
+    onFileSelect(multiple ? files : files[0], null);
+
+    // Let the same files be dropped again in a later batch
+    if (multiple) e.target.value = "";
   };
 
   // Status-based styling
@@ -54,7 +63,8 @@ export default function DropZone({
       `}>
         <input
           type="file"
-          accept="application/pdf"
+          accept={accept}
+          multiple={multiple}
           onChange={handleChange}
           className="absolute inset-0 w-full h-full opacity-0 cursor-pointer z-10"
           disabled={status === 'processing'}
@@ -95,7 +105,7 @@ export default function DropZone({
           {/* Text */}
           <div className="text-center">
             {status === 'processing' && (
-              <p className="text-sm font-medium text-blue-700">Processing PDF…</p>
+              <p className="text-sm font-medium text-blue-700">{processingMessage || `Processing ${fileTypesLabel === "PDF" ? "PDF" : "file"}…`}</p>
             )}
             {status === 'success' && (
               <p className="text-sm font-medium text-emerald-700">
@@ -110,7 +120,7 @@ export default function DropZone({
             {status === 'idle' && (
               <>
                 <p className="text-sm font-medium text-gray-700">
-                  Drop PDF here or <span className="text-blue-600 font-semibold">browse</span>
+                  Drop {fileTypesLabel} here or <span className="text-blue-600 font-semibold">browse</span>
                 </p>
                 {description && (
                   <p className="text-xs text-gray-500 mt-1">{description}</p>
@@ -124,7 +134,7 @@ export default function DropZone({
       {/* File type hint */}
       {status === 'idle' && (
         <p className="text-xs text-gray-400 text-center">
-          Accepts PDF files only
+          Accepts {fileTypesLabel} files only
         </p>
       )}
     </div>
@@ -0,0 +1,257 @@
+/**
+ * ParserInspector Component
+ *
+ * Debug view for a single PDF upload, opened from its upload slot.
+ * Shows the pages and lines extractTextFromPDF produced, highlights the lines
+ * each parser section matched (from the parser's `diagnostics`) and the fields
+ * read from them (from `provenance`), and lists the fields left null and why.
+ * Lets support staff triage a client PDF without opening devtools.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { scoreReportTypes } from '../parsers/reportRegistry.js';
+
+// Parser output keys that are metadata rather than extracted fields
+const SKIPPED_KEYS = ['provenance', 'diagnostics', 'details', 'reportType', 'source'];
+
+export default function ParserInspector({ inspection, acceptedTypes, onClose }) {
+  const { fileName, pages, ocrConfidence, identification, report, error } = inspection;
+  const [pageIndex, setPageIndex] = useState(0);
+
+  const outputs = useMemo(() => parserOutputs(report), [report]);
+  const annotations = useMemo(() => annotateLines(outputs), [outputs]);
+  const nullFields = useMemo(
+    () => outputs.flatMap(output => findNullFields(output.data, output.prefix, output.data?.diagnostics?.missing)),
+    [outputs]
+  );
+  const fingerprints = useMemo(() => matchFingerprints(pages, acceptedTypes), [pages, acceptedTypes]);
+
+  const page = pages[Math.min(pageIndex, pages.length - 1)];
+  const validation = report?.validation;
+
+  return (
+    <div className="mt-3 pt-3 border-t border-[#1e2736]/40 space-y-3">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <p className="text-[10px] text-slate-400">
+          <span className="text-slate-300">{fileName}</span>
+          {' · '}{pages.length} page{pages.length === 1 ? '' : 's'}
+          {ocrConfidence != null && ` · OCR ${Math.round(ocrConfidence)}%`}
+        </p>
+        <button
+          onClick={onClose}
+          className="text-[9px] text-slate-600 hover:text-slate-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      {/* Identification */}
+      <Section title="Report type">
+        <p className="text-[10px] text-slate-400">
+          {identification
+            ? `${identification.name} (${Math.round(identification.confidence)}%, ${identification.matchCount} of ${identification.totalFingerprints} fingerprints)`
+            : 'Not identified'}
+        </p>
+        {identification?.ambiguous && (
+          <p className="text-[10px] text-amber-400/80">
+            Ambiguous: {identification.candidates.map(c => `${c.name} ${Math.round(c.confidence)}%`).join(', ')}
+          </p>
+        )}
+        {fingerprints.map(fp => (
+          <div key={fp.type} className="mt-1 flex flex-wrap gap-1">
+            <span className="text-[9px] text-slate-600">{fp.name} ({Math.round(fp.confidence)}%):</span>
+            {fp.fingerprints.map(({ text, weight, found }) => (
+              <span
+                key={text}
+                title={`Weight ${weight}`}
+                className={`text-[9px] px-1 rounded ${fingerprintStyle(weight, found)}`}
+              >
+                {text}{weight !== 1 && ` ${weight > 0 ? '×' : '−'}${Math.abs(weight)}`}
+              </span>
+            ))}
+            {fp.structuralChecks.map(({ name, weight, passed }) => (
+              <span
+                key={name}
+                title={`Structural check, weight ${weight}`}
+                className={`text-[9px] px-1 rounded border border-dashed ${passed ? 'border-emerald-500/30 text-emerald-400/80' : 'border-[#1e2736] text-slate-600'}`}
+              >
+                {name}
+              </span>
+            ))}
+          </div>
+        ))}
+      </Section>
+
+      {/* Errors and warnings */}
+      {(error || validation?.errors.length > 0 || validation?.warnings.length > 0) && (
+        <Section title="Problems">
+          {error && <p className="text-[10px] text-red-400/80">{error}</p>}
+          {validation?.errors.map(message => (
+            <p key={message} className="text-[10px] text-red-400/80">{message}</p>
+          ))}
+          {validation?.warnings.map(message => (
+            <p key={message} className="text-[10px] text-amber-400/80">{message}</p>
+          ))}
+        </Section>
+      )}
+
+      {/* Null fields */}
+      {report && (
+        <Section title={`Empty fields (${nullFields.length})`}>
+          {nullFields.length === 0 ? (
+            <p className="text-[10px] text-slate-500">Every field was extracted</p>
+          ) : (
+            nullFields.map(({ path, reason }) => (
+              <div key={path} className="grid grid-cols-[1fr_2fr] gap-2">
+                <span className="text-[10px] text-slate-400 font-mono truncate" title={path}>{path}</span>
+                <span className="text-[10px] text-slate-500">{reason}</span>
+              </div>
+            ))
+          )}
+        </Section>
+      )}
+
+      {/* Extracted text */}
+      <Section title="Extracted text">
+        <div className="flex flex-wrap gap-1 mb-2">
+          {pages.map((p, i) => (
+            <button
+              key={p.pageNumber}
+              onClick={() => setPageIndex(i)}
+              className={`px-1.5 py-0.5 rounded text-[9px] ${i === pageIndex ? 'bg-slate-700 text-white' : 'bg-[#1e2736] text-slate-500 hover:text-slate-300'}`}
+            >
+              Page {p.pageNumber}
+            </button>
+          ))}
+        </div>
+
+        <div className="max-h-72 overflow-auto rounded bg-[#0b0e12] border border-[#1e2736]/60 py-1">
+          {page.lines.length === 0 && (
+            <p className="px-2 text-[10px] text-slate-600">No text on this page</p>
+          )}
+          {page.lines.map((line, lineIndex) => {
+            const annotation = annotations.get(`${page.pageNumber}:${lineIndex}`);
+
+            return (
+              <div
+                key={lineIndex}
+                className={`flex gap-2 px-2 font-mono text-[10px] leading-4 ${annotation ? 'bg-blue-500/10' : ''}`}
+              >
+                <span className="w-6 shrink-0 text-right text-slate-700">{lineIndex}</span>
+                <span className={`whitespace-pre ${annotation ? 'text-slate-200' : 'text-slate-500'}`}>{line}</span>
+                {annotation && (
+                  <span className="ml-auto shrink-0 pl-2 text-[9px] text-blue-300/70">
+                    {[...annotation.sections, ...annotation.fields].join(' · ')}
+                  </span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </Section>
+    </div>
+  );
+}
+
+/**
+ * Labelled block within the inspector
+ */
+function Section({ title, children }) {
+  return (
+    <div>
+      <p className="text-[9px] text-slate-600 uppercase mb-1">{title}</p>
+      {children}
+    </div>
+  );
+}
+
+/* ---------------------------------------------
+   Helpers
+---------------------------------------------- */
+
+/**
+ * Parser output per fund-model slot - multi-slot reports return data keyed by slot
+ */
+function parserOutputs(report) {
+  if (!report?.data) return [];
+
+  if (report.slots.length > 1) {
+    return report.slots
+      .filter(slot => report.data[slot])
+      .map(slot => ({ prefix: `${slot}.`, data: report.data[slot] }));
+  }
+
+  return [{ prefix: '', data: report.data }];
+}
+
+/**
+ * Map "page:lineIndex" to the parser sections and fields that used the line
+ */
+function annotateLines(outputs) {
+  const annotations = new Map();
+
+  const entry = (page, lineIndex) => {
+    const key = `${page}:${lineIndex}`;
+    if (!annotations.has(key)) annotations.set(key, { sections: [], fields: [] });
+    return annotations.get(key);
+  };
+
+  for (const { prefix, data } of outputs) {
+    for (const section of data.diagnostics?.sections || []) {
+      for (const { page, lineIndex } of section.lines) {
+        const sections = entry(page, lineIndex).sections;
+        if (!sections.includes(section.name)) sections.push(section.name);
+      }
+    }
+
+    for (const [field, source] of Object.entries(data.provenance || {})) {
+      if (source.page == null || field.startsWith('details.')) continue;
+      entry(source.page, source.lineIndex).fields.push(`${prefix}${field}`);
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * List the null fields of a parser output, with the parser's reason if it gave one
+ */
+function findNullFields(data, prefix, missing = {}, path = '') {
+  if (!data) return [];
+
+  const fields = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (SKIPPED_KEYS.includes(key)) continue;
+    const fieldPath = path ? `${path}.${key}` : key;
+
+    if (value === null) {
+      fields.push({
+        path: `${prefix}${fieldPath}`,
+        reason: missing[fieldPath] || 'No matching line found',
+      });
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      fields.push(...findNullFields(value, prefix, missing, fieldPath));
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Fingerprint and structural check results for the slot's report types
+ */
+function matchFingerprints(pages, acceptedTypes) {
+  const text = pages.map(p => p.lines.join('\n')).join('\n');
+
+  return scoreReportTypes(text).filter(score => acceptedTypes.includes(score.type));
+}
+
+/**
+ * Chip colours: found fingerprints green, found negative fingerprints red
+ */
+function fingerprintStyle(weight, found) {
+  if (!found) return 'bg-[#1e2736] text-slate-600';
+  return weight > 0 ? 'bg-emerald-500/10 text-emerald-400/80' : 'bg-red-500/10 text-red-400/80';
+}
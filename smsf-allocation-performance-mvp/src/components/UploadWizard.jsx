@@ -1,55 +1,221 @@
 /**
  * UploadWizard Component
  * 
- * Two-step upload flow for PDF reports:
- * 1. Upload Asset Allocation report
- * 2. Upload Performance (TWR) report
+ * Slot-based upload flow for fund reports - one slot per fund-model slot
+ * registered in the report registry (Asset Allocation and Performance built
+ * in, plugin parsers added automatically). Each slot reads and parses its
+ * upload, shows the extracted metrics and a parser inspector, and reports
+ * the filled slots back to App.
  * 
  * UPDATED: Demoted visual weight to feel like "upload slots" within a system,
  * not a standalone form. Reduced icon dominance and empty-state noise.
  * Designed to sit within AppShell context framing.
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
 import DropZone from './DropZone.jsx';
-import { extractTextFromPDF } from '../utils/pdfParser.js';
-import { parseReport, identifyReportType } from '../parsers/reportRegistry.js';
-
-// Step definitions
-const STEPS = [
-  {
-    id: 1,
-    key: 'asset_allocation',
-    title: 'Asset Allocation Report',
-    description: 'Investment Allocation PDF',
-    expectedType: 'asset_allocation',
-  },
-  {
-    id: 2,
-    key: 'performance',
-    title: 'Performance Report',
-    description: 'Investment Movement and Returns PDF',
-    expectedType: 'performance',
-  },
-];
+import BatchUpload from './BatchUpload.jsx';
+import ColumnMapping from './ColumnMapping.jsx';
+import ParserInspector from './ParserInspector.jsx';
+import { isAbortError } from '../utils/reportWorkerClient.js';
+import { readReportPdf, parseReportAs } from '../utils/reportIntake.js';
+import { isPasswordError, PASSWORD_INCORRECT } from '../utils/pdfParser.js';
+import { isSpreadsheetFile, readSpreadsheet, SPREADSHEET_ACCEPT } from '../utils/spreadsheetReader.js';
+import {
+  supportsSpreadsheetImport,
+  guessColumnMapping,
+  guessPercentsAsFractions,
+  buildReportFromSpreadsheet,
+  findSavedMapping,
+  saveMapping,
+} from '../parsers/spreadsheetImport.js';
+import { getSupportedReportTypes, subscribeToReportParsers } from '../parsers/reportRegistry.js';
+
+/**
+ * Build step definitions from the registered report types
+ * Report types that fill the same fund-model slot share one step, and a
+ * report filling several slots (e.g. a platform statement) is accepted by each.
+ * A `multiple` step (e.g. contract notes) collects every report uploaded to it.
+ */
+function buildSteps(reportTypes) {
+  const steps = [];
+
+  for (const reportType of reportTypes) {
+    for (const slot of reportType.slots) {
+      let step = steps.find(s => s.key === slot);
+      if (!step) {
+        step = {
+          id: steps.length + 1,
+          key: slot,
+          title: reportType.slotTitle,
+          description: '',
+          required: false,
+          multiple: false,
+          acceptedTypes: [],
+        };
+        steps.push(step);
+      }
+      step.acceptedTypes.push(reportType.type);
+      step.required = step.required || reportType.required;
+      step.multiple = step.multiple || reportType.multiple;
+      if (reportType.description && !step.description.includes(reportType.description)) {
+        step.description = step.description
+          ? `${step.description} or ${reportType.description}`
+          : reportType.description;
+      }
+    }
+  }
+
+  return steps;
+}
 
 export default function UploadWizard({ onComplete, onPartialData }) {
+  const reportTypes = useSyncExternalStore(subscribeToReportParsers, getSupportedReportTypes);
+  const steps = useMemo(() => buildSteps(reportTypes), [reportTypes]);
+
+  // All per-slot state is keyed by fund-model slot
   const [currentStep, setCurrentStep] = useState(1);
-  const [uploadStatus, setUploadStatus] = useState({
-    asset_allocation: 'idle',
-    performance: 'idle',
-  });
-  const [parsedData, setParsedData] = useState({
-    asset_allocation: null,
-    performance: null,
-  });
-  const [errors, setErrors] = useState({
-    asset_allocation: null,
-    performance: null,
-  });
+  const [uploadStatus, setUploadStatus] = useState({});
+  const [parsedData, setParsedData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [progressMessages, setProgressMessages] = useState({});
+  const [pendingSheets, setPendingSheets] = useState({});
+  const [pendingTypeChoices, setPendingTypeChoices] = useState({});
+  // Encrypted PDF waiting for its password - the file, never the password
+  const [pendingPasswords, setPendingPasswords] = useState({});
+  const [inspections, setInspections] = useState({});
+  // AbortController of the upload in progress, per slot
+  const uploadControllers = useRef({});
+
+  // Store parsed report data per slot and advance the wizard
+  // A multiple slot adds the reports to those it already holds
+  const fillSlots = useCallback((reports) => {
+    const filled = Object.fromEntries(Object.entries(reports).map(([slot, data]) => [
+      slot,
+      steps.find(s => s.key === slot)?.multiple ? [...(parsedData[slot] || []), ...[data].flat()] : data,
+    ]));
+    const filledSlots = Object.keys(filled);
+
+    const newParsedData = { ...parsedData, ...filled };
+    setParsedData(newParsedData);
+    setUploadStatus(prev => ({
+      ...prev,
+      ...Object.fromEntries(filledSlots.map(slot => [slot, 'success'])),
+    }));
+    setErrors(prev => ({
+      ...prev,
+      ...Object.fromEntries(filledSlots.map(slot => [slot, null])),
+    }));
+
+    // Every slot held so far, so the preview reconciles against earlier reports
+    if (onPartialData) {
+      onPartialData(newParsedData);
+    }
+
+    if (currentStep < steps.length) {
+      setTimeout(() => setCurrentStep(currentStep + 1), 500);
+    }
+
+    const hasRequiredReports = steps
+      .filter(s => s.required)
+      .every(s => newParsedData[s.key]);
+
+    if (hasRequiredReports && onComplete) {
+      onComplete(newParsedData);
+    }
+  }, [currentStep, steps, parsedData, onComplete, onPartialData]);
+
+  // Store a report uploaded to a slot
+  const completeUpload = useCallback((stepKey, slotData) => {
+    // A multi-slot report fills this slot, plus any other slot still empty
+    fillSlots(Object.fromEntries(
+      Object.entries(slotData).filter(([slot, data]) =>
+        data && (slot === stepKey || !parsedData[slot])
+      )
+    ));
+  }, [parsedData, fillSlots]);
+
+  // Store the reports chosen in the batch review, replacing what the slots held
+  // (multiple slots add them)
+  const handleBatchApply = useCallback((slotData, batchInspections) => {
+    fillSlots(slotData);
+    setInspections(prev => ({ ...prev, ...batchInspections }));
+  }, [fillSlots]);
+
+  const failUpload = useCallback((stepKey, err) => {
+    console.error(`[UploadWizard] Error processing ${stepKey}:`, err);
+    setErrors(prev => ({ ...prev, [stepKey]: err.message }));
+    setUploadStatus(prev => ({ ...prev, [stepKey]: 'error' }));
+  }, []);
+
+  // CSV / XLSX - import with a saved mapping, or ask for one
+  const handleSpreadsheetUpload = useCallback(async (file, stepKey) => {
+    if (!supportsSpreadsheetImport(stepKey)) {
+      throw new Error('This slot only accepts PDF reports.');
+    }
+
+    const sheet = await readSpreadsheet(file);
+    const saved = findSavedMapping(stepKey, sheet.headers);
+
+    if (saved) {
+      console.log(`[UploadWizard] Using saved column mapping "${saved.name}"`);
+      const data = buildReportFromSpreadsheet(stepKey, sheet, saved.mapping, saved.options);
+      completeUpload(stepKey, { [stepKey]: data });
+      return;
+    }
+
+    const mapping = guessColumnMapping(stepKey, sheet.headers);
+    setPendingSheets(prev => ({
+      ...prev,
+      [stepKey]: {
+        sheet,
+        mapping,
+        options: { percentsAsFractions: sheet.fileType === 'xlsx' && guessPercentsAsFractions(stepKey, sheet, mapping) },
+      },
+    }));
+    setUploadStatus(prev => ({ ...prev, [stepKey]: 'mapping' }));
+  }, [completeUpload]);
+
+  const handleMappingConfirm = useCallback((stepKey, { mapping, options, saveAs }) => {
+    const { sheet } = pendingSheets[stepKey];
+
+    try {
+      const data = buildReportFromSpreadsheet(stepKey, sheet, mapping, options);
+      if (saveAs) {
+        saveMapping(stepKey, sheet.headers, { name: saveAs, mapping, options });
+      }
+      setPendingSheets(prev => ({ ...prev, [stepKey]: null }));
+      completeUpload(stepKey, { [stepKey]: data });
+    } catch (err) {
+      setPendingSheets(prev => ({ ...prev, [stepKey]: null }));
+      failUpload(stepKey, err);
+    }
+  }, [pendingSheets, completeUpload, failUpload]);
+
+  const handleMappingCancel = useCallback((stepKey) => {
+    setPendingSheets(prev => ({ ...prev, [stepKey]: null }));
+    setUploadStatus(prev => ({ ...prev, [stepKey]: parsedData[stepKey] ? 'success' : 'idle' }));
+  }, [parsedData]);
+
+  // File a parsed report under the slot it fills - the slot it was dropped
+  // on, or its own slot when a different report was dropped there
+  const routeReport = useCallback((stepKey, report) => {
+    const targetSlot = report.slots.includes(stepKey) ? stepKey : report.slot;
+
+    if (targetSlot !== stepKey) {
+      console.log(`[UploadWizard] ${report.reportName} dropped on ${stepKey}, filing it under ${targetSlot}`);
+      setUploadStatus(prev => ({ ...prev, [stepKey]: parsedData[stepKey] ? 'success' : 'idle' }));
+    }
+
+    completeUpload(targetSlot, report.slotData);
+    return targetSlot;
+  }, [parsedData, completeUpload]);
 
   // Handle file upload for a specific step
-  const handleFileUpload = useCallback(async (file, error, stepKey) => {
+  // PDFs are extracted and parsed in the report worker, with per-page progress;
+  // CSV / XLSX exports go through the column-mapping step instead.
+  // password is only set when retrying an encrypted PDF from the prompt
+  const handleFileUpload = useCallback(async (file, error, stepKey, password) => {
     if (error) {
       setErrors(prev => ({ ...prev, [stepKey]: error }));
       setUploadStatus(prev => ({ ...prev, [stepKey]: 'error' }));
@@ -60,66 +226,163 @@ export default function UploadWizard({ onComplete, onPartialData }) {
 
     setUploadStatus(prev => ({ ...prev, [stepKey]: 'processing' }));
     setErrors(prev => ({ ...prev, [stepKey]: null }));
+    setInspections(prev => ({ ...prev, [stepKey]: null }));
+
+    // What the parser inspector shows for this upload - filled in as we go
+    const inspection = {
+      fileName: file.name,
+      pages: null,
+      ocrConfidence: null,
+      identification: null,
+      report: null,
+      error: null,
+    };
+    let inspectionSlot = stepKey;
+
+    const controller = new AbortController();
+    uploadControllers.current[stepKey] = controller;
 
     try {
-      console.log(`[UploadWizard] Extracting text from ${file.name}...`);
-      const extractedPdf = await extractTextFromPDF(file);
-      
-      if (!extractedPdf.fullText || extractedPdf.fullText.length < 100) {
-        throw new Error('Could not extract text from PDF. The file may be image-based or corrupted.');
+      if (isSpreadsheetFile(file)) {
+        await handleSpreadsheetUpload(file, stepKey);
+        return;
       }
 
-      const identification = identifyReportType(extractedPdf.fullText);
-      console.log(`[UploadWizard] Identified as: ${identification?.type || 'unknown'}`);
+      const step = steps.find(s => s.key === stepKey);
+
+      // Any registered report is parsed, and filed under its own slot
+      const { extractedPdf, identification, report: parsed } = await readReportPdf(file, {
+        acceptedTypes: reportTypes.map(reportType => reportType.type),
+        password,
+        signal: controller.signal,
+        onProgress: (message) => setProgressMessages(prev => ({ ...prev, [stepKey]: message })),
+      });
+      inspection.pages = extractedPdf.pages;
+      inspection.ocrConfidence = extractedPdf.ocr?.confidence ?? null;
+      inspection.identification = identification;
+
+      // Scores too close to call - ask which report this is
+      if (!parsed && identification?.ambiguous) {
+        setPendingTypeChoices(prev => ({
+          ...prev,
+          [stepKey]: { extractedPdf, candidates: identification.candidates, inspection },
+        }));
+        setUploadStatus(prev => ({ ...prev, [stepKey]: 'confirming' }));
+        return;
+      }
 
-      const step = STEPS.find(s => s.key === stepKey);
-      if (identification?.type !== step.expectedType) {
-        const expectedName = step.title;
-        const actualName = identification?.name || 'Unknown report type';
+      if (!parsed) {
         throw new Error(
-          `This appears to be a ${actualName}. Please upload a ${expectedName} for this step.`
+          `Could not identify this report. Please upload a ${step.title} for this step.`
         );
       }
 
-      const parsed = await parseReport(extractedPdf);
       console.log(`[UploadWizard] Parsed ${stepKey}:`, parsed);
+      inspection.report = parsed;
 
-      const newParsedData = { ...parsedData, [stepKey]: parsed.data };
-      setParsedData(newParsedData);
-      setUploadStatus(prev => ({ ...prev, [stepKey]: 'success' }));
-
-      if (onPartialData) {
-        onPartialData(stepKey, parsed.data);
+      inspectionSlot = routeReport(stepKey, parsed);
+    } catch (err) {
+      if (isAbortError(err)) {
+        console.log(`[UploadWizard] Upload of ${file.name} cancelled`);
+        setUploadStatus(prev => ({ ...prev, [stepKey]: parsedData[stepKey] ? 'success' : 'idle' }));
+        return;
       }
-
-      if (currentStep < STEPS.length) {
-        setTimeout(() => setCurrentStep(currentStep + 1), 500);
+      // Encrypted PDF - ask for the password (again, if it was wrong)
+      if (isPasswordError(err)) {
+        console.log(`[UploadWizard] ${file.name} is password-protected`);
+        setPendingPasswords(prev => ({
+          ...prev,
+          [stepKey]: { file, error: err.code === PASSWORD_INCORRECT ? err.message : null },
+        }));
+        setUploadStatus(prev => ({ ...prev, [stepKey]: 'password' }));
+        return;
       }
-
-      if (stepKey === 'performance' && newParsedData.asset_allocation) {
-        if (onComplete) {
-          onComplete(newParsedData);
-        }
-      } else if (stepKey === 'asset_allocation' && newParsedData.performance) {
-        if (onComplete) {
-          onComplete(newParsedData);
-        }
+      inspection.error = err.message;
+      failUpload(stepKey, err);
+    } finally {
+      if (uploadControllers.current[stepKey] === controller) {
+        uploadControllers.current[stepKey] = null;
+      }
+      setProgressMessages(prev => ({ ...prev, [stepKey]: null }));
+      if (inspection.pages && !controller.signal.aborted) {
+        setInspections(prev => ({ ...prev, [inspectionSlot]: inspection }));
       }
+    }
+  }, [steps, reportTypes, parsedData, routeReport, failUpload, handleSpreadsheetUpload]);
+
+  // Parse an ambiguous PDF as the report type the user chose
+  const handleTypeConfirm = useCallback(async (stepKey, reportType) => {
+    const { extractedPdf, inspection } = pendingTypeChoices[stepKey];
+    let inspectionSlot = stepKey;
+    setPendingTypeChoices(prev => ({ ...prev, [stepKey]: null }));
+
+    setUploadStatus(prev => ({ ...prev, [stepKey]: 'processing' }));
+    setProgressMessages(prev => ({ ...prev, [stepKey]: 'Parsing report…' }));
 
+    const controller = new AbortController();
+    uploadControllers.current[stepKey] = controller;
+
+    try {
+      const parsed = await parseReportAs(extractedPdf, reportType, { signal: controller.signal });
+
+      console.log(`[UploadWizard] Parsed ${stepKey} as ${reportType}:`, parsed);
+      inspection.report = parsed;
+      inspection.error = null;
+      inspectionSlot = routeReport(stepKey, parsed);
     } catch (err) {
-      console.error(`[UploadWizard] Error processing ${stepKey}:`, err);
-      setErrors(prev => ({ ...prev, [stepKey]: err.message }));
-      setUploadStatus(prev => ({ ...prev, [stepKey]: 'error' }));
+      if (isAbortError(err)) {
+        setUploadStatus(prev => ({ ...prev, [stepKey]: parsedData[stepKey] ? 'success' : 'idle' }));
+        return;
+      }
+      inspection.error = err.message;
+      failUpload(stepKey, err);
+    } finally {
+      if (uploadControllers.current[stepKey] === controller) {
+        uploadControllers.current[stepKey] = null;
+      }
+      setProgressMessages(prev => ({ ...prev, [stepKey]: null }));
+      setInspections(prev => ({ ...prev, [inspectionSlot]: { ...inspection } }));
     }
-  }, [currentStep, parsedData, onComplete, onPartialData]);
+  }, [pendingTypeChoices, parsedData, routeReport, failUpload]);
+
+  const handleTypeCancel = useCallback((stepKey) => {
+    setPendingTypeChoices(prev => ({ ...prev, [stepKey]: null }));
+    setUploadStatus(prev => ({ ...prev, [stepKey]: parsedData[stepKey] ? 'success' : 'idle' }));
+  }, [parsedData]);
+
+  // Retry an encrypted PDF with the password the user entered - it is handed
+  // to pdf.js for that one read and never stored
+  const handlePasswordSubmit = useCallback((stepKey, password) => {
+    const { file } = pendingPasswords[stepKey];
+    setPendingPasswords(prev => ({ ...prev, [stepKey]: null }));
+    handleFileUpload(file, null, stepKey, password);
+  }, [pendingPasswords, handleFileUpload]);
+
+  const handlePasswordCancel = useCallback((stepKey) => {
+    setPendingPasswords(prev => ({ ...prev, [stepKey]: null }));
+    setUploadStatus(prev => ({ ...prev, [stepKey]: parsedData[stepKey] ? 'success' : 'idle' }));
+  }, [parsedData]);
 
+  // Cancel the upload a slot is processing (hung documents also time out)
+  const handleCancel = useCallback((stepKey) => {
+    uploadControllers.current[stepKey]?.abort();
+  }, []);
+
+  // Clear a slot and rebuild the preview from the slots still held
   const handleReset = useCallback((stepKey) => {
-    setParsedData(prev => ({ ...prev, [stepKey]: null }));
-    setUploadStatus(prev => ({ ...prev, [stepKey]: null }));
+    const newParsedData = { ...parsedData, [stepKey]: null };
+    setParsedData(newParsedData);
+    setUploadStatus(prev => ({ ...prev, [stepKey]: 'idle' }));
     setErrors(prev => ({ ...prev, [stepKey]: null }));
-  }, []);
+    setInspections(prev => ({ ...prev, [stepKey]: null }));
+
+    if (onPartialData) {
+      onPartialData(newParsedData);
+    }
+  }, [parsedData, onPartialData]);
 
-  const isComplete = parsedData.asset_allocation && parsedData.performance;
+  const isComplete = steps.filter(s => s.required).every(s => parsedData[s.key]);
+  const uploadedCount = steps.filter(s => uploadStatus[s.key] === 'success').length;
 
   return (
     /* ========================================================================
@@ -134,13 +397,13 @@ export default function UploadWizard({ onComplete, onPartialData }) {
           <h3 className="text-sm font-medium text-slate-300">Document Intake</h3>
           <span className="text-[10px] text-slate-600">•</span>
           <span className="text-[10px] text-slate-500">
-            {isComplete ? 'Complete' : `${uploadStatus.asset_allocation === 'success' ? 1 : 0} of 2 uploaded`}
+            {isComplete ? 'Complete' : `${uploadedCount} of ${steps.length} uploaded`}
           </span>
         </div>
         
         {/* Compact step indicators */}
         <div className="flex items-center gap-1">
-          {STEPS.map((step, index) => {
+          {steps.map((step, index) => {
             const status = uploadStatus[step.key];
             const isStepComplete = status === 'success';
             const hasStepError = status === 'error';
@@ -170,7 +433,7 @@ export default function UploadWizard({ onComplete, onPartialData }) {
                     step.id
                   )}
                 </button>
-                {index < STEPS.length - 1 && (
+                {index < steps.length - 1 && (
                   <div className={`w-4 h-px ${isStepComplete ? 'bg-emerald-500/40' : 'bg-[#1e2736]'}`} />
                 )}
               </React.Fragment>
@@ -179,18 +442,37 @@ export default function UploadWizard({ onComplete, onPartialData }) {
         </div>
       </div>
 
+      {/* Report pack - many PDFs or a ZIP, routed to the slots below */}
+      <BatchUpload
+        steps={steps}
+        acceptedTypes={reportTypes.map(reportType => reportType.type)}
+        onApply={handleBatchApply}
+      />
+
       {/* Upload Cards - Side by side, slot-like appearance */}
       <div className="grid md:grid-cols-2 gap-3">
-        {STEPS.map((step) => (
+        {steps.map((step) => (
           <UploadSlot
             key={step.key}
             step={step}
-            status={uploadStatus[step.key]}
+            status={uploadStatus[step.key] || 'idle'}
             error={errors[step.key]}
+            progressMessage={progressMessages[step.key]}
             isActive={currentStep === step.id}
             parsedData={parsedData[step.key]}
+            pendingSheet={pendingSheets[step.key]}
+            pendingTypeChoice={pendingTypeChoices[step.key]}
+            pendingPassword={pendingPasswords[step.key]}
+            inspection={inspections[step.key]}
             onFileUpload={(file, error) => handleFileUpload(file, error, step.key)}
+            onMappingConfirm={(result) => handleMappingConfirm(step.key, result)}
+            onMappingCancel={() => handleMappingCancel(step.key)}
+            onTypeConfirm={(reportType) => handleTypeConfirm(step.key, reportType)}
+            onTypeCancel={() => handleTypeCancel(step.key)}
+            onPasswordSubmit={(password) => handlePasswordSubmit(step.key, password)}
+            onPasswordCancel={() => handlePasswordCancel(step.key)}
             onReset={() => handleReset(step.key)}
+            onCancel={() => handleCancel(step.key)}
           />
         ))}
       </div>
@@ -214,8 +496,30 @@ export default function UploadWizard({ onComplete, onPartialData }) {
  * UploadSlot Component
  * Demoted visual weight - feels like a slot in a system, not a primary CTA
  */
-function UploadSlot({ step, status, error, isActive, parsedData, onFileUpload, onReset }) {
+function UploadSlot({
+  step,
+  status,
+  error,
+  progressMessage,
+  isActive,
+  parsedData,
+  pendingSheet,
+  pendingTypeChoice,
+  pendingPassword,
+  inspection,
+  onFileUpload,
+  onMappingConfirm,
+  onMappingCancel,
+  onTypeConfirm,
+  onTypeCancel,
+  onPasswordSubmit,
+  onPasswordCancel,
+  onReset,
+  onCancel,
+}) {
+  const [showInspector, setShowInspector] = useState(false);
   const isComplete = status === 'success';
+  const acceptsSpreadsheets = supportsSpreadsheetImport(step.key);
   const hasError = status === 'error';
   const isProcessing = status === 'processing';
   
@@ -244,7 +548,7 @@ function UploadSlot({ step, status, error, isActive, parsedData, onFileUpload, o
                 : 'bg-slate-700/30 text-slate-500'
             }
           `}>
-            {step.key === 'asset_allocation' ? (
+            {step.key === 'assetAllocation' ? (
               <svg className="w-2.5 h-2.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M11 3.055A9.001 9.001 0 1020.945 13H11V3.055z" />
               </svg>
@@ -262,6 +566,15 @@ function UploadSlot({ step, status, error, isActive, parsedData, onFileUpload, o
         
         {/* Status / Actions */}
         <div className="flex items-center gap-2">
+          {inspection && !isProcessing && (
+            <button
+              onClick={() => setShowInspector(!showInspector)}
+              className={`text-[9px] transition-colors ${showInspector ? 'text-slate-300' : 'text-slate-600 hover:text-slate-400'}`}
+              title="Show extracted text and parser matches"
+            >
+              Inspect
+            </button>
+          )}
           {isComplete && (
             <>
               <span className="text-[9px] text-emerald-400/60">Loaded</span>
@@ -277,7 +590,15 @@ function UploadSlot({ step, status, error, isActive, parsedData, onFileUpload, o
             </>
           )}
           {isProcessing && (
-            <span className="text-[9px] text-blue-400/60">Processing...</span>
+            <>
+              <span className="text-[9px] text-blue-400/60">Processing...</span>
+              <button
+                onClick={onCancel}
+                className="text-[9px] text-slate-600 hover:text-slate-400 transition-colors"
+              >
+                Cancel
+              </button>
+            </>
           )}
           {hasError && (
             <span className="text-[9px] text-red-400/60">Error</span>
@@ -287,24 +608,149 @@ function UploadSlot({ step, status, error, isActive, parsedData, onFileUpload, o
       
       {/* Upload Zone - Minimal height, slot-like */}
       <div className="p-3">
-        <DropZone
-          onFileSelect={onFileUpload}
-          status={status}
-          label={null}
-          description="PDF"
-          errorMessage={error}
-          acceptedFileName={isComplete ? 'Document loaded' : null}
-        />
+        {status === 'mapping' && pendingSheet ? (
+          <ColumnMapping
+            slot={step.key}
+            sheet={pendingSheet.sheet}
+            initialMapping={pendingSheet.mapping}
+            initialOptions={pendingSheet.options}
+            onConfirm={onMappingConfirm}
+            onCancel={onMappingCancel}
+          />
+        ) : status === 'confirming' && pendingTypeChoice ? (
+          <ReportTypeChoice
+            candidates={pendingTypeChoice.candidates}
+            onChoose={onTypeConfirm}
+            onCancel={onTypeCancel}
+          />
+        ) : status === 'password' && pendingPassword ? (
+          <PasswordPrompt
+            fileName={pendingPassword.file.name}
+            error={pendingPassword.error}
+            onSubmit={onPasswordSubmit}
+            onCancel={onPasswordCancel}
+          />
+        ) : (
+          <DropZone
+            onFileSelect={onFileUpload}
+            status={status}
+            label={null}
+            description={acceptsSpreadsheets ? 'PDF, CSV or XLSX' : 'PDF'}
+            accept={acceptsSpreadsheets ? `application/pdf,${SPREADSHEET_ACCEPT}` : 'application/pdf'}
+            fileTypesLabel={acceptsSpreadsheets ? 'PDF, CSV or XLSX' : 'PDF'}
+            errorMessage={error}
+            processingMessage={progressMessage}
+            acceptedFileName={isComplete
+              ? (step.multiple ? `${parsedData?.length || 0} documents loaded · drop more to add` : 'Document loaded')
+              : null}
+          />
+        )}
         
         {/* Extracted Data - Compact inline metrics */}
         {isComplete && parsedData && (
           <ExtractedMetrics type={step.key} data={parsedData} />
         )}
+
+        {showInspector && inspection && !isProcessing && (
+          <ParserInspector
+            inspection={inspection}
+            acceptedTypes={step.acceptedTypes}
+            onClose={() => setShowInspector(false)}
+          />
+        )}
       </div>
     </div>
   );
 }
 
+/**
+ * ReportTypeChoice Component
+ * Asks which report an ambiguous PDF is - candidates are ranked by identifyReportType
+ */
+function ReportTypeChoice({ candidates, onChoose, onCancel }) {
+  return (
+    <div className="space-y-2">
+      <p className="text-[10px] text-slate-400">
+        This PDF matches more than one report type. Which is it?
+      </p>
+
+      <div className="space-y-1">
+        {candidates.map(candidate => (
+          <button
+            key={candidate.type}
+            onClick={() => onChoose(candidate.type)}
+            className="w-full flex items-center justify-between px-2 py-1.5 rounded bg-[#0f1318] border border-[#1e2736] hover:border-slate-600/50 transition-colors text-left"
+          >
+            <span className="text-[10px] text-slate-300">{candidate.name}</span>
+            <span className="text-[9px] text-slate-600">{Math.round(candidate.confidence)}% match</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={onCancel}
+          className="px-2.5 py-1 rounded text-[10px] text-slate-500 hover:text-slate-300 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PasswordPrompt Component
+ * Asks for the password of an encrypted PDF - held in this form only until submitted
+ */
+function PasswordPrompt({ fileName, error, onSubmit, onCancel }) {
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!password) return;
+    onSubmit(password);
+    setPassword('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <p className="text-[10px] text-slate-400">
+        <span className="text-slate-300">{fileName}</span> is password-protected.
+        Platforms often use the member's date of birth or the fund's ABN.
+      </p>
+
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="off"
+        autoFocus
+        placeholder="PDF password"
+        className="w-full px-2 py-1.5 rounded bg-[#0f1318] border border-[#1e2736] text-[10px] text-slate-300 placeholder-slate-600 focus:outline-none focus:border-slate-600/50"
+      />
+      {error && <p className="text-[9px] text-red-400/80">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-2.5 py-1 rounded text-[10px] text-slate-500 hover:text-slate-300 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!password}
+          className="px-2.5 py-1 rounded text-[10px] font-medium bg-emerald-500/15 text-emerald-400 hover:bg-emerald-500/25 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Open PDF
+        </button>
+      </div>
+    </form>
+  );
+}
+
 /**
  * ExtractedMetrics Component
  * Compact inline display of key extracted values
@@ -318,7 +764,7 @@ function ExtractedMetrics({ type, data }) {
     return `$${num.toFixed(0)}`;
   };
 
-  if (type === 'asset_allocation' && data) {
+  if (type === 'assetAllocation' && data) {
     return (
       <div className="mt-2 pt-2 border-t border-[#1e2736]/30 flex items-center gap-4">
         <Metric label="Classes" value={data.assetClasses?.length || 0} />
@@ -341,7 +787,79 @@ function ExtractedMetrics({ type, data }) {
       </div>
     );
   }
-  
+
+  if (type === 'members' && data) {
+    // Each member's balance from their latest statement
+    const latest = new Map();
+    [...data]
+      .sort((a, b) => (a.period?.to ?? '').localeCompare(b.period?.to ?? ''))
+      .forEach(statement => (statement.members || []).forEach(m => latest.set(m.name, m)));
+    const members = [...latest.values()];
+    const total = members.some(m => m.closingBalance != null)
+      ? members.reduce((sum, m) => sum + (m.closingBalance ?? 0), 0)
+      : null;
+    return (
+      <div className="mt-2 pt-2 border-t border-[#1e2736]/30 flex items-center gap-4">
+        <Metric label="Statements" value={data.length} />
+        <Metric label="Members" value={members.length} />
+        <Metric label="Balances" value={formatCurrency(total)} accent />
+      </div>
+    );
+  }
+
+  if (type === 'operatingStatement' && data) {
+    return (
+      <div className="mt-2 pt-2 border-t border-[#1e2736]/30 flex items-center gap-4">
+        <Metric label="Income" value={formatCurrency(data.totalIncome)} />
+        <Metric label="Expenses" value={formatCurrency(data.totalExpenses)} />
+        <Metric label="Result" value={formatCurrency(data.netResult)} accent />
+      </div>
+    );
+  }
+
+  if (type === 'financialPosition' && data) {
+    return (
+      <div className="mt-2 pt-2 border-t border-[#1e2736]/30 flex items-center gap-4">
+        <Metric label="Assets" value={formatCurrency(data.totalAssets)} />
+        <Metric label="Liabilities" value={formatCurrency(data.totalLiabilities)} />
+        <Metric label="Net Assets" value={formatCurrency(data.netAssets)} accent />
+      </div>
+    );
+  }
+
+  if (type === 'bankStatement' && data) {
+    return (
+      <div className="mt-2 pt-2 border-t border-[#1e2736]/30 flex items-center gap-4">
+        <Metric label="Transactions" value={data.transactions?.length || 0} />
+        <Metric label="Opening" value={formatCurrency(data.openingBalance)} />
+        <Metric label="Closing" value={formatCurrency(data.closingBalance)} accent />
+      </div>
+    );
+  }
+
+  if (type === 'transactions' && data) {
+    const trades = data.flatMap(note => note.trades || []);
+    const bought = trades.filter(t => t.side === 'buy').reduce((sum, t) => sum + (t.consideration ?? 0), 0);
+    const sold = trades.filter(t => t.side === 'sell').reduce((sum, t) => sum + (t.consideration ?? 0), 0);
+    return (
+      <div className="mt-2 pt-2 border-t border-[#1e2736]/30 flex items-center gap-4">
+        <Metric label="Trades" value={trades.length} />
+        <Metric label="Bought" value={formatCurrency(bought)} />
+        <Metric label="Sold" value={formatCurrency(sold)} accent />
+      </div>
+    );
+  }
+
+  if (type === 'capitalGains' && data) {
+    return (
+      <div className="mt-2 pt-2 border-t border-[#1e2736]/30 flex items-center gap-4">
+        <Metric label="Parcels" value={data.parcels?.length || 0} />
+        <Metric label="Losses" value={formatCurrency(data.totals?.losses)} />
+        <Metric label="Gains" value={formatCurrency((data.totals?.discountableGains ?? 0) + (data.totals?.otherGains ?? 0))} accent />
+      </div>
+    );
+  }
+
   return null;
 }
 
@@ -0,0 +1,181 @@
+/**
+ * Cash Account Engine
+ *
+ * Analyzes the fund's bank statement (see bankStatementParser.js):
+ * - Categorises each transaction with the user's rules - contributions,
+ *   pension payments, dividends, fees, transfers and so on
+ * - Totals money in and out per category
+ * - Reconciles the closing balance to the Cash value in the asset
+ *   allocation report
+ *
+ * A rule is a piece of text to look for in the transaction description, and
+ * optionally the direction the money moves. Rules are tried in order and the
+ * first match wins, so specific rules go above general ones. Rules the user
+ * edits are saved in the browser and apply to every fund.
+ */
+
+// localStorage key for the user's categorisation rules
+const STORAGE_KEY = 'smsf.cashCategoryRules';
+
+// Categories, in display order
+export const CASH_CATEGORY_LABELS = {
+  contributions: 'Contributions',
+  pensionPayments: 'Pension Payments',
+  dividends: 'Dividends & Distributions',
+  interest: 'Interest',
+  fees: 'Fees',
+  tax: 'Tax',
+  transfers: 'Transfers & Settlements',
+  uncategorised: 'Uncategorised',
+};
+
+/**
+ * Rules used until the user saves their own
+ * direction: 'in' (credits), 'out' (debits) or 'any'
+ */
+export const DEFAULT_CATEGORY_RULES = [
+  { contains: 'contribution', category: 'contributions', direction: 'in' },
+  { contains: 'super guarantee', category: 'contributions', direction: 'in' },
+  { contains: 'clearing house', category: 'contributions', direction: 'in' },
+  { contains: 'quicksuper', category: 'contributions', direction: 'in' },
+  { contains: 'pension', category: 'pensionPayments', direction: 'out' },
+  { contains: 'benefit payment', category: 'pensionPayments', direction: 'out' },
+  { contains: 'lump sum', category: 'pensionPayments', direction: 'out' },
+  { contains: 'dividend', category: 'dividends', direction: 'in' },
+  { contains: 'distribution', category: 'dividends', direction: 'in' },
+  { contains: 'interest', category: 'interest', direction: 'in' },
+  { contains: 'ato', category: 'tax', direction: 'any' },
+  { contains: 'tax office', category: 'tax', direction: 'any' },
+  { contains: 'levy', category: 'tax', direction: 'out' },
+  { contains: 'fee', category: 'fees', direction: 'out' },
+  { contains: 'audit', category: 'fees', direction: 'out' },
+  { contains: 'accounting', category: 'fees', direction: 'out' },
+  { contains: 'asic', category: 'fees', direction: 'out' },
+  { contains: 'transfer', category: 'transfers', direction: 'any' },
+  { contains: 'commsec', category: 'transfers', direction: 'any' },
+  { contains: 'bell direct', category: 'transfers', direction: 'any' },
+  { contains: 'cmc markets', category: 'transfers', direction: 'any' },
+  { contains: 'settlement', category: 'transfers', direction: 'any' },
+];
+
+// Allow $1 rounding when reconciling balances
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Analyze the bank statement against the rest of the fund
+ *
+ * @param {Object|null} bankStatement - fund.bankStatement
+ * @param {Object} [context]
+ * @param {Object} [context.assetAllocation] - fund.assetAllocation
+ * @param {Array<{contains: string, category: string, direction: string}>} [context.rules] - Categorisation rules
+ * @returns {{transactions: Array<Object>, categories: Array<{key: string, label: string, inflows: number,
+ *   outflows: number, net: number, count: number}>, totalInflows: number, totalOutflows: number,
+ *   uncategorisedCount: number, reconciliation: Object|null}|null} transactions carry their category
+ */
+export function analyzeCashAccount(bankStatement, { assetAllocation, rules = DEFAULT_CATEGORY_RULES } = {}) {
+  if (!bankStatement) return null;
+
+  const transactions = (bankStatement.transactions || []).map(transaction => ({
+    ...transaction,
+    category: categorizeTransaction(transaction, rules),
+  }));
+
+  const categories = Object.entries(CASH_CATEGORY_LABELS)
+    .map(([key, label]) => {
+      const inCategory = transactions.filter(t => t.category === key);
+      const inflows = round(inCategory.filter(t => t.amount > 0).reduce((sum, t) => sum + t.amount, 0));
+      const outflows = round(inCategory.filter(t => t.amount < 0).reduce((sum, t) => sum - t.amount, 0));
+      return { key, label, inflows, outflows, net: round(inflows - outflows), count: inCategory.length };
+    })
+    .filter(category => category.count > 0);
+
+  return {
+    transactions,
+    categories,
+    totalInflows: round(categories.reduce((sum, c) => sum + c.inflows, 0)),
+    totalOutflows: round(categories.reduce((sum, c) => sum + c.outflows, 0)),
+    uncategorisedCount: transactions.filter(t => t.category === 'uncategorised').length,
+    reconciliation: reconcileCash(bankStatement, assetAllocation),
+  };
+}
+
+/**
+ * Category of one transaction - the first rule that matches, else 'uncategorised'
+ * @param {{description: string, amount: number}} transaction
+ * @param {Array<{contains: string, category: string, direction: string}>} rules
+ * @returns {string}
+ */
+export function categorizeTransaction(transaction, rules) {
+  const description = (transaction.description || '').toLowerCase();
+  const direction = transaction.amount < 0 ? 'out' : 'in';
+
+  const rule = rules.find(r =>
+    r.contains &&
+    (r.direction === 'any' || !r.direction || r.direction === direction) &&
+    containsWord(description, r.contains.toLowerCase())
+  );
+
+  return rule?.category ?? 'uncategorised';
+}
+
+/**
+ * Whether the text contains the phrase as whole words (plural allowed) -
+ * "ato" is not in "accumulator", "fee" is in "fees"
+ */
+function containsWord(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9])${escaped}s?(?![a-z0-9])`).test(text);
+}
+
+/**
+ * Compare the statement's closing balance with the allocation report's Cash
+ */
+function reconcileCash(bankStatement, assetAllocation) {
+  const closingBalance = bankStatement.closingBalance ?? null;
+  const cashClass = assetAllocation?.assetClasses?.find(ac => ac.name === 'Cash');
+  if (closingBalance === null || !cashClass) return null;
+
+  const difference = round(closingBalance - cashClass.value);
+  return {
+    closingBalance,
+    statementDate: bankStatement.period?.end ?? null,
+    allocationCash: cashClass.value,
+    allocationAsAtDate: assetAllocation.asAtDate ?? null,
+    datesMatch: !bankStatement.period?.end || !assetAllocation.asAtDate || bankStatement.period.end === assetAllocation.asAtDate,
+    difference,
+    reconciled: Math.abs(difference) <= RECONCILIATION_TOLERANCE,
+  };
+}
+
+/**
+ * The user's saved rules, else the defaults
+ * @returns {Array<{contains: string, category: string, direction: string}>}
+ */
+export function loadCategoryRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : DEFAULT_CATEGORY_RULES;
+  } catch {
+    return DEFAULT_CATEGORY_RULES;
+  }
+}
+
+/**
+ * Save the user's rules - null goes back to the defaults
+ * @param {Array<{contains: string, category: string, direction: string}>|null} rules
+ */
+export function saveCategoryRules(rules) {
+  try {
+    if (rules) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('[CashAccountEngine] Could not save categorisation rules:', error);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
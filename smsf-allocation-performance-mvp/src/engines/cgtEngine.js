@@ -0,0 +1,116 @@
+/**
+ * CGT Engine
+ *
+ * Summarises the realised capital gains report (see capitalGainsParser.js)
+ * into the fund's net capital gain for the year:
+ * 1. Capital losses - this year's first, then those brought forward - are
+ *    applied to gains that get no discount before discountable gains, so no
+ *    loss is spent on the third the discount would remove anyway
+ * 2. The SMSF CGT discount (one third) applies to the discountable gains left
+ * 3. Losses not used are carried forward to next year
+ *
+ * Estimated tax is at the 15% fund rate, less the pension-phase share of
+ * member balances as a stand-in for the exempt current pension income
+ * proportion (the actuary's certificate decides the real figure).
+ *
+ * The parcels' accounting gain is reconciled to the realised gains in the
+ * performance report's Movement in Value section.
+ */
+
+// Complying super funds get a one-third discount on gains held over 12 months
+export const SMSF_CGT_DISCOUNT = 1 / 3;
+
+// Tax rate on a complying fund's assessable income
+export const FUND_TAX_RATE = 0.15;
+
+// Allow $1 rounding when reconciling to the performance report
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Summarise realised capital gains for the year
+ *
+ * @param {Object|null} capitalGains - fund.capitalGains
+ * @param {Object} [context]
+ * @param {number|null} [context.realisedGainsLosses] - fund.performance.realisedGainsLosses
+ * @param {Array} [context.members] - fund.members, for the pension-phase share
+ * @param {number|null} [context.carriedForwardLosses] - Prior-year losses, when the report does not print them
+ * @returns {{grossGains: number, discountableGains: number, otherGains: number, currentYearLosses: number,
+ *   lossesBroughtForward: number, lossesApplied: number, discount: number, netCapitalGain: number,
+ *   lossesCarriedForward: number, exemptProportion: number|null, estimatedTax: number,
+ *   reconciliation: Object|null}|null}
+ */
+export function summarizeCapitalGains(capitalGains, { realisedGainsLosses = null, members = [], carriedForwardLosses = null } = {}) {
+  if (!capitalGains) return null;
+
+  const totals = capitalGains.totals ?? {};
+  const discountableGains = totals.discountableGains ?? 0;
+  const otherGains = totals.otherGains ?? 0;
+  const currentYearLosses = totals.losses ?? 0;
+  const lossesBroughtForward = capitalGains.lossesBroughtForward ?? carriedForwardLosses ?? 0;
+
+  // This year's losses, then prior years', against other gains before discountable gains
+  let remainingOther = otherGains;
+  let remainingDiscountable = discountableGains;
+  const applyLosses = (losses) => {
+    const againstOther = Math.min(losses, remainingOther);
+    remainingOther -= againstOther;
+    const againstDiscountable = Math.min(losses - againstOther, remainingDiscountable);
+    remainingDiscountable -= againstDiscountable;
+    return losses - againstOther - againstDiscountable;
+  };
+  const unusedCurrent = applyLosses(currentYearLosses);
+  const unusedBroughtForward = applyLosses(lossesBroughtForward);
+
+  const discount = remainingDiscountable * SMSF_CGT_DISCOUNT;
+  const netCapitalGain = remainingOther + remainingDiscountable - discount;
+
+  const exemptProportion = pensionShare(members);
+  const estimatedTax = netCapitalGain * FUND_TAX_RATE * (1 - (exemptProportion ?? 0));
+
+  return {
+    grossGains: round(discountableGains + otherGains),
+    discountableGains: round(discountableGains),
+    otherGains: round(otherGains),
+    currentYearLosses: round(currentYearLosses),
+    lossesBroughtForward: round(lossesBroughtForward),
+    lossesApplied: round(currentYearLosses + lossesBroughtForward - unusedCurrent - unusedBroughtForward),
+    discount: round(discount),
+    netCapitalGain: round(netCapitalGain),
+    lossesCarriedForward: round(unusedCurrent + unusedBroughtForward),
+    exemptProportion,
+    estimatedTax: round(estimatedTax),
+    reconciliation: reconcileRealisedGains(totals.accountingGain ?? null, realisedGainsLosses),
+  };
+}
+
+/**
+ * Pension-phase balances as a share of all member balances
+ * @returns {number|null} Between 0 and 1, null without member balances
+ */
+function pensionShare(members) {
+  const withBalance = (members || []).filter(member => member.closingBalance > 0);
+  if (withBalance.length === 0) return null;
+
+  const total = withBalance.reduce((sum, member) => sum + member.closingBalance, 0);
+  const retirement = withBalance.reduce((sum, member) => sum + (member.retirementBalance ?? 0), 0);
+  return Math.min(retirement / total, 1);
+}
+
+/**
+ * Compare the parcels' accounting gain with the performance report's realised gains
+ */
+function reconcileRealisedGains(accountingGain, realisedGainsLosses) {
+  if (accountingGain === null || realisedGainsLosses === null || realisedGainsLosses === undefined) return null;
+
+  const difference = round(accountingGain - realisedGainsLosses);
+  return {
+    parcelsGain: accountingGain,
+    realisedGainsLosses,
+    difference,
+    reconciled: Math.abs(difference) <= RECONCILIATION_TOLERANCE,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
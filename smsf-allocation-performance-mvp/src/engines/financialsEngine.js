@@ -0,0 +1,115 @@
+/**
+ * Financials Engine
+ *
+ * Analyzes the fund's financial statements (see financialStatementParser.js):
+ * - Expense ratio: operating expenses as a percentage of net assets
+ * - Net asset reconciliation against the investment report and member balances
+ *
+ * Member payments (pensions, lump sums) are printed under expenses but are
+ * not a cost of running the fund, so they are left out of the expense ratio.
+ */
+
+// Expense categories shown in the breakdown, in display order
+export const EXPENSE_CATEGORY_LABELS = {
+  accountingFees: 'Accounting & Administration',
+  auditFees: 'Audit',
+  atoLevy: 'ATO Supervisory Levy',
+  investmentFees: 'Investment & Advice',
+  insurance: 'Insurance',
+  other: 'Other',
+};
+
+// Allow $1 rounding when reconciling balances
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Analyze the financial statements against the rest of the fund
+ *
+ * @param {Object|null} operatingStatement - Normalized operating statement
+ * @param {Object|null} financialPosition - Normalized statement of financial position
+ * @param {Object} [context]
+ * @param {Object} [context.assetAllocation] - fund.assetAllocation
+ * @param {Array} [context.members] - fund.members
+ * @returns {{operatingExpenses: number|null, expenseRatio: number|null, expenseRatioBasis: string|null,
+ *   expenseBreakdown: Array<{key: string, label: string, amount: number, percentOfNetAssets: number|null}>,
+ *   netAssetReconciliation: Object|null}}
+ */
+export function analyzeFinancials(operatingStatement, financialPosition, { assetAllocation, members } = {}) {
+  // Net assets from the balance sheet, else the investment report's total
+  let netAssets = financialPosition?.netAssets ?? null;
+  let expenseRatioBasis = netAssets !== null ? 'netAssets' : null;
+  if (netAssets === null && assetAllocation?.totalValue) {
+    netAssets = assetAllocation.totalValue;
+    expenseRatioBasis = 'investmentValue';
+  }
+
+  const expenses = operatingStatement?.expenses ?? {};
+  const expenseBreakdown = Object.entries(EXPENSE_CATEGORY_LABELS)
+    .filter(([key]) => expenses[key] != null && expenses[key] !== 0)
+    .map(([key, label]) => ({
+      key,
+      label,
+      amount: expenses[key],
+      percentOfNetAssets: netAssets > 0 ? (expenses[key] / netAssets) * 100 : null,
+    }));
+
+  const operatingExpenses = operatingStatement
+    ? round(expenseBreakdown.reduce((sum, item) => sum + item.amount, 0))
+    : null;
+
+  const expenseRatio = operatingExpenses !== null && netAssets > 0
+    ? (operatingExpenses / netAssets) * 100
+    : null;
+
+  return {
+    operatingExpenses,
+    expenseRatio,
+    expenseRatioBasis: expenseRatio !== null ? expenseRatioBasis : null,
+    expenseBreakdown,
+    netAssetReconciliation: reconcileNetAssets(financialPosition, assetAllocation, members),
+  };
+}
+
+/**
+ * Compare the balance sheet's net assets with the investment report and
+ * the member balances
+ *
+ * The investment report only covers investments, so a difference from net
+ * assets is expected (receivables, tax payable, ...) and is shown rather than
+ * flagged. Member balances must equal net assets.
+ */
+function reconcileNetAssets(financialPosition, assetAllocation, members) {
+  const netAssets = financialPosition?.netAssets ?? null;
+  if (netAssets === null) return null;
+
+  const investmentValue = assetAllocation?.totalValue ?? null;
+
+  // The balance sheet's own member liability, else the member statements
+  const memberClosing = (members || []).map(m => m.closingBalance).filter(v => v !== null);
+  let memberBalances = financialPosition.memberBenefits ?? null;
+  let memberBalancesSource = memberBalances !== null ? 'financialPosition' : null;
+  if (memberBalances === null && memberClosing.length > 0) {
+    memberBalances = round(memberClosing.reduce((sum, v) => sum + v, 0));
+    memberBalancesSource = 'memberStatements';
+  }
+
+  const memberDifference = memberBalances !== null ? round(netAssets - memberBalances) : null;
+
+  return {
+    asAtDate: financialPosition.asAtDate ?? null,
+    netAssets,
+    investmentValue,
+    investmentDifference: investmentValue !== null ? round(netAssets - investmentValue) : null,
+    investmentAsAtDate: assetAllocation?.asAtDate ?? null,
+    datesMatch: !assetAllocation?.asAtDate || !financialPosition.asAtDate
+      || assetAllocation.asAtDate === financialPosition.asAtDate,
+    memberBalances,
+    memberBalancesSource,
+    memberDifference,
+    membersReconciled: memberDifference !== null ? Math.abs(memberDifference) <= RECONCILIATION_TOLERANCE : null,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
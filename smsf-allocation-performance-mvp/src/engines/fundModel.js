@@ -6,25 +6,94 @@
  * into a single coherent model.
  * 
  * UPDATED: Ensures all dashboard-required fields are properly computed.
+ * 
+ * Per-asset-class returns from the performance report are attached to the
+ * matching fund.assetAllocation.assetClasses entries (dollarReturn, twr).
+ * 
+ * Member statements fill fund.members - one entry per member and statement
+ * period, with balances, tax components and the accumulation / retirement
+ * phase split. Engines see each member's latest period only.
+ * 
+ * The Operating Statement and Statement of Financial Position fill
+ * fund.financials, with the expense ratio and net asset reconciliation from
+ * financialsEngine.js.
+ * 
+ * The Investment Income report fills fund.investmentIncome, with cash and
+ * grossed-up income yields per asset class in fund.incomeYield (incomeEngine.js).
+ * 
+ * The realised CGT report fills fund.capitalGains, with the net capital gain
+ * after losses and the SMSF discount in fund.cgtSummary (cgtEngine.js).
+ * 
+ * Broker contract notes fill fund.transactions, a ledger of every trade
+ * (transactionsEngine.js).
+ * 
+ * The fund's bank statement fills fund.bankStatement, with its transactions
+ * categorised by the user's rules and the closing balance reconciled to the
+ * allocation report's Cash in fund.cashAccount (cashAccountEngine.js).
+ * 
+ * Parser provenance (page, line, pattern, confidence - see utils/provenance.js)
+ * is re-keyed to fund-model paths in `fund.provenance`, with the name of the
+ * report it came from, e.g. fund.provenance['performance.twr.oneYear'].
  */
 
-import { analyzeFund } from '../engines/performanceEngine.js';
+import { analyzeFund } from './performanceEngine.js';
+import { analyzeFinancials } from './financialsEngine.js';
+import { calculateIncomeYield } from './incomeEngine.js';
+import { summarizeCapitalGains } from './cgtEngine.js';
+import { buildTransactionLedger } from './transactionsEngine.js';
+import { analyzeCashAccount, loadCategoryRules } from './cashAccountEngine.js';
+import { getReportName, getReportSlot, getReportSlots } from '../parsers/reportRegistry.js';
+
+// Performance report fields that are renamed in the fund model
+const PERFORMANCE_FIELD_PATHS = {
+  'period.from': 'period.start',
+  'period.to': 'period.end',
+  startingMarketValue: 'startingValue',
+  endingMarketValue: 'endingValue',
+  dollarReturnAfterExpenses: 'dollarReturn',
+};
+
+// Slots normalized into fund.financials
+const FINANCIAL_SLOTS = ['operatingStatement', 'financialPosition'];
 
 /**
  * Create a new fund model from parsed reports
  * 
+ * Reports are keyed by the fund-model slot they fill (see registerReportParser).
+ * assetAllocation and performance are normalized and analyzed; any other slot
+ * registered by a plugin parser is attached to the fund as-is.
+ * 
  * @param {string} fundId - Unique identifier for the fund
- * @param {Object} options - Parsed report data
+ * @param {Object} options - Parsed report data, keyed by slot
  * @param {Object} options.assetAllocation - Parsed asset allocation report
  * @param {Object} options.performance - Parsed performance report
+ * @param {Object|Array<Object>} [options.members] - Parsed member statements
+ * @param {Object} [options.operatingStatement] - Parsed operating statement
+ * @param {Object} [options.financialPosition] - Parsed statement of financial position
+ * @param {Object} [options.investmentIncome] - Parsed investment income report
+ * @param {Object} [options.capitalGains] - Parsed realised capital gains report
+ * @param {Object|Array<Object>} [options.transactions] - Parsed contract notes
+ * @param {Object} [options.bankStatement] - Parsed bank statement
  * @returns {Object} Normalized fund model
  */
-export function createFundModel(fundId, { assetAllocation, performance }) {
+export function createFundModel(fundId, {
+  assetAllocation,
+  performance,
+  members,
+  operatingStatement,
+  financialPosition,
+  investmentIncome,
+  capitalGains,
+  transactions,
+  bankStatement,
+  ...otherSlots
+}) {
   // Run analysis on the combined data
   const analysis = analyzeFund(assetAllocation, performance);
   
   // Normalize performance TWR data - ensure all expected fields exist
   const normalizedTwr = normalizePerformanceTwr(performance?.twr);
+  const assetClassReturns = normalizeAssetClassReturns(performance?.assetClassReturns);
   
   // Build the normalized model
   const fund = {
@@ -35,7 +104,10 @@ export function createFundModel(fundId, { assetAllocation, performance }) {
     assetAllocation: assetAllocation ? {
       asAtDate: assetAllocation.asAtDate,
       totalValue: assetAllocation.totalValue,
-      assetClasses: normalizeAssetClasses(assetAllocation.assetClasses, assetAllocation.totalValue),
+      assetClasses: attachAssetClassReturns(
+        normalizeAssetClasses(assetAllocation.assetClasses, assetAllocation.totalValue),
+        assetClassReturns
+      ),
       holdings: assetAllocation.holdings || [],
       holdingsCount: assetAllocation.holdingsCount || (assetAllocation.holdings?.length || 0),
     } : null,
@@ -46,9 +118,34 @@ export function createFundModel(fundId, { assetAllocation, performance }) {
       startingValue: performance.startingMarketValue ?? performance.startingValue ?? null,
       endingValue: performance.endingMarketValue ?? performance.endingValue ?? null,
       dollarReturn: performance.dollarReturnAfterExpenses ?? performance.dollarReturn ?? null,
+      realisedGainsLosses: performance.realisedGainsLosses ?? null,
       twr: normalizedTwr,
+      valueSeries: normalizeValueSeries(performance.valueSeries),
+      assetClassReturns,
     } : null,
     
+    // Member balances (from member statements, if available)
+    members: mergeMembers(members),
+    
+    // Financial statements (if available) - filled in below, once the
+    // investment data and members they reconcile against are in place
+    financials: null,
+    
+    // Investment income (if available) and its yields
+    investmentIncome: normalizeInvestmentIncome(investmentIncome),
+    incomeYield: null,
+    
+    // Realised capital gains (if available) and the CGT summary
+    capitalGains: normalizeCapitalGains(capitalGains),
+    cgtSummary: null,
+    
+    // Trade ledger from broker contract notes
+    transactions: buildTransactionLedger(transactions),
+    
+    // Bank statement (if available) and its categorised cash flows
+    bankStatement: normalizeBankStatement(bankStatement),
+    cashAccount: null,
+    
     // Classification and analysis (from performanceEngine)
     classification: {
       classification: analysis.classification?.classification || 'unknown',
@@ -76,11 +173,78 @@ export function createFundModel(fundId, { assetAllocation, performance }) {
     // Analysis status
     analysisStatus: analysis.status || 'unknown',
     analysisMessage: analysis.message || null,
+    
+    // Where each parsed value came from, keyed by fund-model path
+    provenance: {
+      ...mapSlotProvenance('assetAllocation', assetAllocation),
+      ...mapSlotProvenance('performance', performance),
+      ...mapSlotProvenance('operatingStatement', operatingStatement),
+      ...mapSlotProvenance('financialPosition', financialPosition),
+      ...mapSlotProvenance('investmentIncome', investmentIncome),
+      ...mapSlotProvenance('capitalGains', capitalGains),
+      ...mapSlotProvenance('bankStatement', bankStatement),
+    },
   };
   
+  Object.assign(fund.provenance, memberProvenance(fund.members));
+  
+  fund.incomeYield = calculateIncomeYield(fund.investmentIncome, fund.assetAllocation);
+  fund.cgtSummary = buildCgtSummary(fund);
+  fund.cashAccount = buildCashAccount(fund, loadCategoryRules());
+  
+  fund.financials = buildFinancials(
+    normalizeOperatingStatement(operatingStatement),
+    normalizeFinancialPosition(financialPosition),
+    fund
+  );
+  
+  // Slots filled by plugin report parsers
+  for (const [slot, data] of Object.entries(otherSlots)) {
+    if (data === undefined) continue;
+    if (slot in fund) {
+      console.warn(`[FundModel] Ignoring report slot "${slot}" - it clashes with a fund model field`);
+      continue;
+    }
+    fund[slot] = data;
+    Object.assign(fund.provenance, mapSlotProvenance(slot, data));
+  }
+  
   return fund;
 }
 
+/**
+ * Re-key a parser's provenance map to fund-model paths
+ * e.g. performance 'startingMarketValue' -> 'performance.startingValue'
+ * Member statements are merged into one list; see memberProvenance.
+ * Financial statements map under fund.financials, e.g.
+ * 'financials.operatingStatement.expenses.auditFees'.
+ * Contract notes are merged into one ledger; each entry keeps its own `source`.
+ * Each entry is tagged with the name of the report it was read from.
+ */
+function mapSlotProvenance(slot, report) {
+  if (!report?.provenance || slot === 'transactions' || slot === 'members') return {};
+  
+  const reportName = getReportName(report.reportType);
+  const mapped = {};
+  for (const [field, source] of Object.entries(report.provenance)) {
+    const path = slot === 'performance' ? (PERFORMANCE_FIELD_PATHS[field] ?? field) : field;
+    const prefix = FINANCIAL_SLOTS.includes(slot) ? `financials.${slot}` : slot;
+    mapped[`${prefix}.${path}`] = { ...source, report: reportName };
+  }
+  return mapped;
+}
+
+/**
+ * Look up where a fund-model value came from
+ * 
+ * @param {Object} fund - Fund model
+ * @param {string} path - Fund-model path, e.g. 'performance.twr.oneYear'
+ * @returns {{report: string|null, page: number|null, lineIndex: number|null, line: string|null, pattern: string, confidence: number}|null}
+ */
+export function getFieldSource(fund, path) {
+  return fund?.provenance?.[path] ?? null;
+}
+
 /**
  * Normalize asset classes to ensure consistent structure
  * Calculates percentages if missing
@@ -116,8 +280,8 @@ function normalizePeriod(period) {
   }
   
   return {
-    start: period.start || period.startDate || null,
-    end: period.end || period.endDate || null,
+    start: period.start || period.startDate || period.from || null,
+    end: period.end || period.endDate || period.to || null,
   };
 }
 
@@ -131,13 +295,287 @@ function normalizePerformanceTwr(twr) {
   }
   
   return {
+    threeMonths: twr.threeMonths ?? twr['3months'] ?? twr['3Months'] ?? null,
+    sixMonths: twr.sixMonths ?? twr['6months'] ?? twr['6Months'] ?? null,
+    fytd: twr.fytd ?? twr.FYTD ?? null,
     oneYear: twr.oneYear ?? twr['1year'] ?? twr['1Year'] ?? null,
     threeYears: twr.threeYears ?? twr['3years'] ?? twr['3Years'] ?? null,
     fiveYears: twr.fiveYears ?? twr['5years'] ?? twr['5Years'] ?? null,
+    tenYears: twr.tenYears ?? twr['10years'] ?? twr['10Years'] ?? null,
     sinceStart: twr.sinceStart ?? twr.sinceInception ?? twr.inception ?? null,
   };
 }
 
+/**
+ * Normalize the per-asset-class returns from a performance report
+ */
+function normalizeAssetClassReturns(assetClassReturns) {
+  if (!Array.isArray(assetClassReturns)) return [];
+
+  return assetClassReturns
+    .filter(row => row?.name)
+    .map(row => ({
+      name: row.name,
+      label: row.label ?? row.name,
+      dollarReturn: Number.isFinite(row.dollarReturn) ? row.dollarReturn : null,
+      twr: Number.isFinite(row.twr) ? row.twr : null,
+    }));
+}
+
+/**
+ * Attach dollar return and TWR to the asset classes they were reported for
+ * Classes the performance report does not break out get null
+ */
+function attachAssetClassReturns(assetClasses, assetClassReturns = []) {
+  return assetClasses.map(ac => {
+    const returns = assetClassReturns.find(row => row.name === ac.name);
+    return {
+      ...ac,
+      dollarReturn: returns?.dollarReturn ?? null,
+      twr: returns?.twr ?? null,
+    };
+  });
+}
+
+/**
+ * Normalize the portfolio value versus net investment series
+ * Keeps dated points with a portfolio value, oldest first
+ */
+function normalizeValueSeries(series) {
+  if (!Array.isArray(series)) return [];
+
+  return series
+    .filter(point => point?.date && Number.isFinite(point.portfolioValue))
+    .map(point => ({
+      date: point.date,
+      label: point.label ?? point.date,
+      portfolioValue: point.portfolioValue,
+      netInvestment: Number.isFinite(point.netInvestment) ? point.netInvestment : null,
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Merge member statements into fund.members
+ * 
+ * The same member's statement for the same period uploaded twice is counted
+ * once: entries are keyed by member name and statement period, the later
+ * upload replacing the earlier (as buildTransactionLedger keys contract notes).
+ * Each entry keeps the provenance of its fields in `sources`, keyed by field.
+ * 
+ * @param {Object|Array<Object>|null} statements - One parsed member statement or several
+ * @param {Array<Object>} [members] - Existing fund.members to add to
+ * @returns {Array<Object>} Oldest period first
+ */
+function mergeMembers(statements, members = []) {
+  const byKey = new Map(members.map(member => [memberKey(member), member]));
+  
+  for (const statement of [statements].flat().filter(Boolean)) {
+    const period = normalizePeriod(statement.period);
+    const reportName = getReportName(statement.reportType);
+    
+    (statement.members || []).forEach((member, index) => {
+      const entry = {
+        ...normalizeMember(member),
+        period,
+        sources: memberSources(statement.provenance, index, reportName),
+      };
+      byKey.set(memberKey(entry), entry);
+    });
+  }
+  
+  return [...byKey.values()].sort((a, b) =>
+    (a.period.end ?? '').localeCompare(b.period.end ?? '') ||
+    (a.name ?? '').localeCompare(b.name ?? '')
+  );
+}
+
+function memberKey(member) {
+  return [member.name ?? 'unknown', member.period?.start, member.period?.end].join('|');
+}
+
+/**
+ * A statement's 'members.<index>.<field>' provenance for one member, keyed by field
+ */
+function memberSources(provenance, index, reportName) {
+  const prefix = `members.${index}.`;
+  return Object.fromEntries(
+    Object.entries(provenance || {})
+      .filter(([field]) => field.startsWith(prefix))
+      .map(([field, source]) => [field.slice(prefix.length), { ...source, report: reportName }])
+  );
+}
+
+/**
+ * fund.provenance entries for the merged members, 'members.<index>.<field>'
+ */
+function memberProvenance(members) {
+  const mapped = {};
+  members.forEach((member, index) => {
+    for (const [field, source] of Object.entries(member.sources || {})) {
+      mapped[`members.${index}.${field}`] = source;
+    }
+  });
+  return mapped;
+}
+
+/**
+ * Each member's entry for their latest statement period - what the engines
+ * use, so two years' statements are not added together. fund.members is
+ * oldest period first, so the last entry per name wins.
+ */
+function latestMembers(members) {
+  const byName = new Map();
+  for (const member of members || []) {
+    byName.set(member.name ?? 'unknown', member);
+  }
+  return [...byName.values()];
+}
+
+/**
+ * Normalize a member statement entry - every balance field present, null when not reported
+ */
+function normalizeMember(member) {
+  return {
+    name: member.name || null,
+    openingBalance: member.openingBalance ?? null,
+    contributions: member.contributions ?? null,
+    pensionPayments: member.pensionPayments ?? null,
+    earnings: member.earnings ?? null,
+    closingBalance: member.closingBalance ?? null,
+    taxFreeComponent: member.taxFreeComponent ?? null,
+    taxableComponent: member.taxableComponent ?? null,
+    accumulationBalance: member.accumulationBalance ?? null,
+    retirementBalance: member.retirementBalance ?? null,
+    phases: member.phases || [],
+  };
+}
+
+/**
+ * Normalize a parsed operating statement
+ */
+function normalizeOperatingStatement(statement) {
+  if (!statement) return null;
+  
+  return {
+    periodEnd: statement.periodEnd ?? null,
+    income: { ...statement.income },
+    expenses: { ...statement.expenses },
+    totalIncome: statement.totalIncome ?? null,
+    totalExpenses: statement.totalExpenses ?? null,
+    incomeTax: statement.incomeTax ?? null,
+    netResult: statement.netResult ?? null,
+  };
+}
+
+/**
+ * Normalize a parsed statement of financial position
+ */
+function normalizeFinancialPosition(statement) {
+  if (!statement) return null;
+  
+  return {
+    asAtDate: statement.asAtDate ?? null,
+    assets: statement.assets || [],
+    liabilities: statement.liabilities || [],
+    cash: statement.cash ?? null,
+    totalAssets: statement.totalAssets ?? null,
+    totalLiabilities: statement.totalLiabilities ?? null,
+    netAssets: statement.netAssets ?? null,
+    memberBenefits: statement.memberBenefits ?? null,
+  };
+}
+
+/**
+ * Normalize a parsed investment income report
+ */
+function normalizeInvestmentIncome(report) {
+  if (!report) return null;
+  
+  return {
+    period: normalizePeriod(report.period),
+    holdings: report.holdings || [],
+    investmentTypes: report.investmentTypes || [],
+    totals: report.totals || null,
+  };
+}
+
+/**
+ * Normalize a parsed realised capital gains report
+ */
+function normalizeCapitalGains(report) {
+  if (!report) return null;
+  
+  return {
+    period: normalizePeriod(report.period),
+    parcels: report.parcels || [],
+    totals: report.totals || null,
+    lossesBroughtForward: report.lossesBroughtForward ?? null,
+  };
+}
+
+/**
+ * Summarise CGT against the performance report's realised gains and the
+ * members' pension-phase balances
+ */
+function buildCgtSummary(fund) {
+  return summarizeCapitalGains(fund.capitalGains, {
+    realisedGainsLosses: fund.performance?.realisedGainsLosses ?? null,
+    members: latestMembers(fund.members),
+  });
+}
+
+/**
+ * Normalize a parsed bank statement
+ */
+function normalizeBankStatement(statement) {
+  if (!statement) return null;
+  
+  return {
+    account: statement.account || null,
+    period: normalizePeriod(statement.period),
+    openingBalance: statement.openingBalance ?? null,
+    closingBalance: statement.closingBalance ?? null,
+    transactions: statement.transactions || [],
+  };
+}
+
+/**
+ * Categorise the bank statement and reconcile it to the allocation report's Cash
+ */
+function buildCashAccount(fund, rules) {
+  return analyzeCashAccount(fund.bankStatement, { assetAllocation: fund.assetAllocation, rules });
+}
+
+/**
+ * Re-categorise the bank statement with edited rules
+ * 
+ * @param {Object} fund - Fund model
+ * @param {Array<{contains: string, category: string, direction: string}>} rules - Categorisation rules
+ * @returns {Object} The fund with fund.cashAccount rebuilt
+ */
+export function applyCashCategoryRules(fund, rules) {
+  if (!fund?.bankStatement) return fund;
+  return { ...fund, cashAccount: buildCashAccount(fund, rules) };
+}
+
+/**
+ * Combine the normalized financial statements with their analysis
+ * @returns {Object|null} null when neither statement has been uploaded
+ */
+function buildFinancials(operatingStatement, financialPosition, fund) {
+  if (!operatingStatement && !financialPosition) return null;
+  
+  return {
+    operatingStatement,
+    financialPosition,
+    ...analyzeFinancials(operatingStatement, financialPosition, {
+      assetAllocation: fund.assetAllocation,
+      members: latestMembers(fund.members),
+    }),
+  };
+}
+
 /**
  * Generate a unique fund ID from report data
  * Uses a combination of date and hash of content
@@ -215,11 +653,22 @@ export function validateFundModel(fund) {
 
 /**
  * Merge new report data into an existing fund model
+ * newReportType may be a registered report type or a fund-model slot.
+ * Multi-slot report types pass their data keyed by slot.
  */
 export function updateFundModel(existingFund, newReportType, newReportData) {
+  const slots = getReportSlots(newReportType);
+  if (slots.length > 1) {
+    return slots.reduce(
+      (fund, slot) => (newReportData?.[slot] ? updateFundModel(fund, slot, newReportData[slot]) : fund),
+      existingFund
+    );
+  }
+
   const updates = { ...existingFund };
+  const slot = getReportSlot(newReportType) ?? newReportType;
   
-  if (newReportType === 'asset_allocation') {
+  if (slot === 'assetAllocation') {
     const totalValue = newReportData.totalValue || 0;
     updates.assetAllocation = {
       asAtDate: newReportData.asAtDate,
@@ -228,16 +677,82 @@ export function updateFundModel(existingFund, newReportType, newReportData) {
       holdings: newReportData.holdings || [],
       holdingsCount: newReportData.holdingsCount || (newReportData.holdings?.length || 0),
     };
-  } else if (newReportType === 'performance') {
+  } else if (slot === 'performance') {
     updates.performance = {
       period: normalizePeriod(newReportData.period),
       startingValue: newReportData.startingMarketValue ?? newReportData.startingValue ?? null,
       endingValue: newReportData.endingMarketValue ?? newReportData.endingValue ?? null,
       dollarReturn: newReportData.dollarReturnAfterExpenses ?? newReportData.dollarReturn ?? null,
+      realisedGainsLosses: newReportData.realisedGainsLosses ?? null,
       twr: normalizePerformanceTwr(newReportData.twr),
+      valueSeries: normalizeValueSeries(newReportData.valueSeries),
+      assetClassReturns: normalizeAssetClassReturns(newReportData.assetClassReturns),
     };
+  } else if (slot === 'members') {
+    // Statements add to the members rather than replacing them
+    updates.members = mergeMembers(newReportData, existingFund.members);
+  } else if (slot === 'investmentIncome') {
+    updates.investmentIncome = normalizeInvestmentIncome(newReportData);
+  } else if (slot === 'capitalGains') {
+    updates.capitalGains = normalizeCapitalGains(newReportData);
+  } else if (slot === 'bankStatement') {
+    updates.bankStatement = normalizeBankStatement(newReportData);
+  } else if (slot === 'transactions') {
+    // Contract notes add to the ledger rather than replacing it
+    updates.transactions = buildTransactionLedger(newReportData, existingFund.transactions);
+  } else if (FINANCIAL_SLOTS.includes(slot)) {
+    // Keep the other statement; the analysis re-runs below
+    updates.financials = {
+      ...existingFund.financials,
+      [slot]: slot === 'operatingStatement'
+        ? normalizeOperatingStatement(newReportData)
+        : normalizeFinancialPosition(newReportData),
+    };
+  } else {
+    updates[slot] = newReportData;
+  }
+  
+  // Either report may arrive first - re-attach the asset class returns
+  if (updates.assetAllocation && (slot === 'assetAllocation' || slot === 'performance')) {
+    updates.assetAllocation = {
+      ...updates.assetAllocation,
+      assetClasses: attachAssetClassReturns(updates.assetAllocation.assetClasses, updates.performance?.assetClassReturns),
+    };
+  }
+  
+  // Yields are on the allocation report's values
+  if (slot === 'investmentIncome' || slot === 'assetAllocation') {
+    updates.incomeYield = calculateIncomeYield(updates.investmentIncome ?? null, updates.assetAllocation);
+  }
+  
+  // Realised gains reconcile to the performance report; members set the exempt share
+  if (slot === 'capitalGains' || slot === 'performance' || slot === 'members') {
+    updates.cgtSummary = buildCgtSummary(updates);
+  }
+  
+  // The closing balance reconciles to the allocation report's Cash
+  if (slot === 'bankStatement' || slot === 'assetAllocation') {
+    updates.cashAccount = buildCashAccount(updates, loadCategoryRules());
+  }
+  
+  // Investment value and member balances feed the net asset reconciliation
+  if (updates.financials) {
+    updates.financials = buildFinancials(
+      updates.financials.operatingStatement ?? null,
+      updates.financials.financialPosition ?? null,
+      updates
+    );
   }
   
+  // Replace the slot's provenance with the new report's
+  const slotPrefix = FINANCIAL_SLOTS.includes(slot) ? `financials.${slot}.` : `${slot}.`;
+  updates.provenance = Object.fromEntries(
+    Object.entries(existingFund.provenance || {}).filter(([path]) => !path.startsWith(slotPrefix))
+  );
+  Object.assign(updates.provenance, slot === 'members'
+    ? memberProvenance(updates.members)
+    : mapSlotProvenance(slot, newReportData));
+  
   // Re-run analysis with updated data
   const analysis = analyzeFund(updates.assetAllocation, updates.performance);
   
@@ -303,6 +818,26 @@ export function getFundSummary(fund) {
     holdingsCount: fund.assetAllocation?.holdingsCount || 0,
     assetClassCount: fund.assetAllocation?.assetClasses?.length || 0,
     
+    // Members
+    memberCount: latestMembers(fund.members).length,
+    
+    // Financial statements
+    expenseRatio: fund.financials?.expenseRatio ?? null,
+    netAssets: fund.financials?.financialPosition?.netAssets ?? null,
+    
+    // Income
+    grossedUpYield: fund.incomeYield?.fund?.grossedUpYield ?? null,
+    
+    // Capital gains
+    netCapitalGain: fund.cgtSummary?.netCapitalGain ?? null,
+    
+    // Transactions
+    transactionCount: fund.transactions?.length || 0,
+    
+    // Cash account
+    bankBalance: fund.bankStatement?.closingBalance ?? null,
+    cashReconciled: fund.cashAccount?.reconciliation?.reconciled ?? null,
+    
     // Status flags
     hasAssetAllocation: !!fund.assetAllocation,
     hasPerformance: !!fund.performance,
@@ -325,6 +860,15 @@ export function createEmptyFundModel(fundId = null) {
     lastUpdated: new Date().toISOString(),
     assetAllocation: null,
     performance: null,
+    members: [],
+    financials: null,
+    investmentIncome: null,
+    incomeYield: null,
+    capitalGains: null,
+    cgtSummary: null,
+    transactions: [],
+    bankStatement: null,
+    cashAccount: null,
     classification: {
       classification: 'unknown',
       growthPercent: 0,
@@ -337,5 +881,6 @@ export function createEmptyFundModel(fundId = null) {
     derivedInsights: [],
     analysisStatus: 'empty',
     analysisMessage: 'No reports uploaded. Please upload asset allocation and/or performance reports.',
+    provenance: {},
   };
 }
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Income Engine
+ *
+ * Computes income yields from the Investment Income report:
+ * - Cash yield: income received / value
+ * - Grossed-up yield: (income + franking credits + foreign tax credits) / value
+ *
+ * A fund in pension phase pays no tax on its earnings, so its franking
+ * credits are refunded in full - the grossed-up yield is what it earns.
+ *
+ * Yields are on the asset allocation report's values (closing values), per
+ * asset class and for the whole fund.
+ */
+
+/**
+ * Calculate cash and grossed-up income yields
+ *
+ * Each income row is counted under the asset class of the matching holding in
+ * the allocation report (by code), else the class of its investment type.
+ *
+ * @param {Object|null} investmentIncome - fund.investmentIncome
+ * @param {Object|null} assetAllocation - fund.assetAllocation
+ * @returns {{assetClasses: Array<Object>, fund: Object}|null} Each entry has income, frankingCredits,
+ *   foreignTaxCredits, grossedUpIncome, value, cashYield, grossedUpYield and frankingShare (the part of
+ *   grossed-up income that is franking credits, %); yields are null without a value to divide by
+ */
+export function calculateIncomeYield(investmentIncome, assetAllocation) {
+  if (!investmentIncome) return null;
+
+  const holdingClasses = new Map(
+    (assetAllocation?.holdings || [])
+      .filter(holding => holding.code && holding.assetClass)
+      .map(holding => [holding.code.toUpperCase(), holding.assetClass])
+  );
+
+  // Holdings when the report lists them, otherwise the investment type totals
+  const rows = investmentIncome.holdings?.length > 0 ? investmentIncome.holdings : investmentIncome.investmentTypes || [];
+
+  const byClass = new Map();
+  for (const row of rows) {
+    const name = (row.code && holdingClasses.get(row.code.toUpperCase())) || row.assetClass || 'Other';
+    if (!byClass.has(name)) byClass.set(name, emptyTotals());
+    addIncome(byClass.get(name), row);
+  }
+
+  const classValues = new Map((assetAllocation?.assetClasses || []).map(ac => [ac.name, ac.value]));
+
+  const assetClasses = [...byClass.entries()]
+    .map(([name, totals]) => yieldOf({ name, ...totals }, classValues.get(name) ?? null))
+    .sort((a, b) => b.grossedUpIncome - a.grossedUpIncome);
+
+  // The report's own totals, else the rows summed (also when the printed
+  // total could not be checked for credits)
+  const reportTotals = investmentIncome.totals;
+  const fundTotals = reportTotals?.totalIncome != null && reportTotals.grossedUpIncome !== null
+    ? addIncome(emptyTotals(), reportTotals)
+    : assetClasses.reduce((totals, ac) => addIncome(totals, ac), emptyTotals());
+
+  return {
+    assetClasses,
+    fund: yieldOf(fundTotals, assetAllocation?.totalValue ?? null),
+  };
+}
+
+function emptyTotals() {
+  return { income: 0, frankingCredits: 0, foreignTaxCredits: 0, grossedUpIncome: 0 };
+}
+
+/**
+ * Add a row's income to running totals (rows use totalIncome, totals use income)
+ *
+ * A row's own grossedUpIncome is used when it has one: the parser knows
+ * whether a printed total already included the credits. A row it could not
+ * check (grossedUpIncome null) adds its income only, rather than risk
+ * counting its credits twice.
+ */
+function addIncome(totals, row) {
+  const income = row.totalIncome ?? row.income ?? 0;
+  const frankingCredits = row.frankingCredits ?? 0;
+  const foreignTaxCredits = row.foreignTaxCredits ?? 0;
+
+  totals.income += income;
+  totals.frankingCredits += frankingCredits;
+  totals.foreignTaxCredits += foreignTaxCredits;
+  totals.grossedUpIncome += row.grossedUpIncome !== undefined
+    ? row.grossedUpIncome ?? income
+    : income + frankingCredits + foreignTaxCredits;
+  return totals;
+}
+
+function yieldOf(totals, value) {
+  const hasValue = typeof value === 'number' && value > 0;
+
+  return {
+    ...totals,
+    value,
+    cashYield: hasValue ? (totals.income / value) * 100 : null,
+    grossedUpYield: hasValue ? (totals.grossedUpIncome / value) * 100 : null,
+    frankingShare: totals.grossedUpIncome > 0 ? (totals.frankingCredits / totals.grossedUpIncome) * 100 : null,
+  };
+}
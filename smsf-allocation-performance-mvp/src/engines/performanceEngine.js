@@ -13,7 +13,9 @@ import {
   CLASSIFICATION_THRESHOLDS,
   GROWTH_ASSET_CLASSES,
   DEFENSIVE_ASSET_CLASSES,
+  RETURN_HORIZONS,
 } from '../utils/constants.js';
+import { financialYearOf } from '../utils/localeParsing.js';
 
 /**
  * Helpers
@@ -98,51 +100,33 @@ export function getBenchmark(classification) {
 }
 
 /**
- * Compare fund performance to its benchmark
+ * Compare fund performance to its benchmark over every horizon in RETURN_HORIZONS
  *
- * @param {Object} fundPerformance - Fund's TWR values { oneYear, threeYears, sinceStart }
+ * A horizon is compared when the fund reports it and the benchmark has (or can
+ * derive) a figure for it; other horizons are null.
+ *
+ * @param {Object} fundPerformance - Fund's TWR values keyed like fund.performance.twr { threeMonths, ..., oneYear, sinceStart }
  * @param {Object} benchmark - Benchmark data
- * @returns {Object} Comparison results
+ * @param {Object} [options]
+ * @param {string} [options.periodEnd] - Report end date (YYYY-MM-DD), used to pro-rate the FYTD benchmark
+ * @returns {Object} Comparison results keyed by horizon (oneYear, threeYears, sinceInception, ...)
  */
-export function compareToBenchmark(fundPerformance, benchmark) {
-  const comparisons = {
-    oneYear: null,
-    threeYears: null,
-    sinceInception: null,
-  };
+export function compareToBenchmark(fundPerformance, benchmark, { periodEnd } = {}) {
+  const comparisons = Object.fromEntries(RETURN_HORIZONS.map(horizon => [horizon.key, null]));
 
   if (!fundPerformance || !benchmark?.returns) return comparisons;
 
-  const oneYear = fundPerformance.oneYear;
-  const threeYears = fundPerformance.threeYears;
-  const sinceStart = fundPerformance.sinceStart;
+  for (const horizon of RETURN_HORIZONS) {
+    const fundReturn = fundPerformance[horizon.twrKey || horizon.key];
+    if (fundReturn === null || fundReturn === undefined) continue;
 
-  if (oneYear !== null && oneYear !== undefined && benchmark.returns.oneYear !== undefined) {
-    const diff = oneYear - benchmark.returns.oneYear;
-    comparisons.oneYear = {
-      fundReturn: oneYear,
-      benchmarkReturn: benchmark.returns.oneYear,
-      difference: diff,
-      status: getPerformanceStatus(diff),
-    };
-  }
+    const benchmarkReturn = getBenchmarkReturn(benchmark, horizon, periodEnd);
+    if (benchmarkReturn === null) continue;
 
-  if (threeYears !== null && threeYears !== undefined && benchmark.returns.threeYears !== undefined) {
-    const diff = threeYears - benchmark.returns.threeYears;
-    comparisons.threeYears = {
-      fundReturn: threeYears,
-      benchmarkReturn: benchmark.returns.threeYears,
-      difference: diff,
-      status: getPerformanceStatus(diff),
-    };
-  }
-
-  // Use sinceStart as "since inception" proxy
-  if (sinceStart !== null && sinceStart !== undefined && benchmark.returns.sinceInception !== undefined) {
-    const diff = sinceStart - benchmark.returns.sinceInception;
-    comparisons.sinceInception = {
-      fundReturn: sinceStart,
-      benchmarkReturn: benchmark.returns.sinceInception,
+    const diff = fundReturn - benchmarkReturn;
+    comparisons[horizon.key] = {
+      fundReturn,
+      benchmarkReturn,
       difference: diff,
       status: getPerformanceStatus(diff),
     };
@@ -151,6 +135,44 @@ export function compareToBenchmark(fundPerformance, benchmark) {
   return comparisons;
 }
 
+/**
+ * Benchmark return for a horizon
+ * FYTD has no fixed figure, so it is the 1 year return compounded over the
+ * part of the financial year the report covers
+ *
+ * @returns {number|null}
+ */
+function getBenchmarkReturn(benchmark, horizon, periodEnd) {
+  const value = benchmark.returns[horizon.key];
+  if (value !== undefined) return value;
+
+  if (horizon.key !== 'fytd' || benchmark.returns.oneYear === undefined) return null;
+
+  const fraction = financialYearElapsed(periodEnd);
+  if (fraction === null) return null;
+
+  const annual = benchmark.returns.oneYear / 100;
+  return Math.round((Math.pow(1 + annual, fraction) - 1) * 10000) / 100;
+}
+
+/**
+ * Fraction of the financial year (from 1 July) elapsed at a date
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {number|null}
+ */
+function financialYearElapsed(isoDate) {
+  const year = financialYearOf(isoDate);
+  if (!year) return null;
+
+  const start = Date.UTC(year - 1, 6, 1);
+  const end = Date.UTC(year, 6, 1);
+  const [y, m, d] = isoDate.split('-').map(Number);
+  // The report end date is inclusive
+  const elapsed = Date.UTC(y, m - 1, d + 1) - start;
+
+  return elapsed / (end - start);
+}
+
 /**
  * Determine performance status based on difference from benchmark
  */
@@ -183,14 +205,12 @@ export function analyzeFund(assetAllocation, performance) {
   const benchmark = getBenchmark(classification.classification);
 
   const fundPerf = hasPerformance
-    ? {
-        oneYear: performance.twr.oneYear ?? null,
-        threeYears: performance.twr.threeYears ?? null,
-        sinceStart: performance.twr.sinceStart ?? null,
-      }
+    ? Object.fromEntries(RETURN_HORIZONS.map(({ key, twrKey = key }) => [twrKey, performance.twr[twrKey] ?? null]))
     : null;
 
-  const benchmarkComparison = fundPerf ? compareToBenchmark(fundPerf, benchmark) : null;
+  // Parsed reports carry period.to, fund-model performance period.end
+  const periodEnd = performance?.period?.end ?? performance?.period?.to ?? null;
+  const benchmarkComparison = fundPerf ? compareToBenchmark(fundPerf, benchmark, { periodEnd }) : null;
 
   const performanceScore = calculatePerformanceScore(performance, benchmarkComparison);
 
@@ -0,0 +1,58 @@
+/**
+ * Transactions Engine
+ *
+ * Builds the fund's trade ledger (fund.transactions) from broker contract
+ * notes (see contractNoteParser.js), for engines that need the actual
+ * trades rather than period totals - cash flows, cost bases.
+ *
+ * One entry per trade, oldest first. The same contract note uploaded twice
+ * is counted once: trades are keyed by broker and contract note number
+ * (or, without a number, by date, code, side and quantity).
+ *
+ * Cash flow is signed from the fund's point of view: a buy's net amount
+ * (consideration plus brokerage and GST) is paid out, a sell's comes in, on
+ * the settlement date.
+ */
+
+/**
+ * Merge contract notes into a trade ledger
+ *
+ * @param {Object|Array<Object>|null} contractNotes - One parsed contract note or several
+ * @param {Array<Object>} [ledger] - Existing fund.transactions to add to
+ * @returns {Array<{id: string, broker: string, reportType: string, contractNoteNumber: string|null,
+ *   tradeDate: string|null, settlementDate: string|null, security: string|null, code: string|null,
+ *   side: 'buy'|'sell', quantity: number|null, price: number|null, consideration: number|null,
+ *   brokerage: number|null, gst: number|null, netAmount: number|null, cashFlow: number|null,
+ *   source: Object|null}>} source is where the trade's side was read (see utils/provenance.js)
+ */
+export function buildTransactionLedger(contractNotes, ledger = []) {
+  const notes = [contractNotes].flat().filter(Boolean);
+  const byId = new Map(ledger.map(entry => [entry.id, entry]));
+
+  for (const note of notes) {
+    (note.trades || []).forEach((trade, index) => {
+      if (!trade.side) return;
+
+      const entry = {
+        id: tradeId(note.broker, trade),
+        broker: note.broker ?? null,
+        reportType: note.reportType ?? null,
+        ...trade,
+        cashFlow: trade.netAmount !== null ? (trade.side === 'buy' ? -trade.netAmount : trade.netAmount) : null,
+        source: note.provenance?.[`trades.${index}`] ?? null,
+      };
+      byId.set(entry.id, entry);
+    });
+  }
+
+  return [...byId.values()].sort((a, b) =>
+    (a.tradeDate ?? '').localeCompare(b.tradeDate ?? '') ||
+    (a.settlementDate ?? '').localeCompare(b.settlementDate ?? '')
+  );
+}
+
+function tradeId(broker, trade) {
+  const key = trade.contractNoteNumber
+    ?? [trade.tradeDate, trade.code ?? trade.security, trade.side, trade.quantity].join('|');
+  return `${broker ?? 'unknown'}:${key}`;
+}
@@ -1,14 +1,39 @@
 /**
- * Asset Allocation Report Parser (TOTAL ROW BASED)
+ * Asset Allocation Report Parser
  * Parses CLASS Super "Investment Allocation" PDFs
  *
  * Source of truth:
- * - The TOTAL row at the bottom of the allocation table
+ * - The TOTAL row at the bottom of the allocation table (asset class totals)
+ * - The security rows above it (holdings)
+ *
+ * Columns are read from the table header on each page, so a fund without
+ * e.g. Listed Property, or a platform that adds a column, still maps every
+ * amount to its named asset class. Header text that is not a known asset
+ * class is reported in `unknownColumns` rather than silently shifted.
+ * When the PDF has text positions, the TOTAL row and matrix-style holding
+ * rows are placed under the header by x position (extractPageTable), so a
+ * blank cell stays in its column; rows that cannot be placed that way (OCR
+ * text, a header on an earlier page) are read token by token instead.
+ *
+ * Holdings are grouped under asset class headings, optionally followed by a
+ * "Total <Asset Class>" subtotal row. Both the holdings and the subtotals are
+ * reconciled against the TOTAL row. A security row whose amounts cannot be
+ * read is reported in `holdingWarnings` rather than dropped.
+ *
+ * `provenance` records the page and line of the TOTAL row, each holding and
+ * the as-at date. Asset class confidence reflects how the column was
+ * identified and drops when the holdings do not reconcile. `diagnostics`
+ * lists the header, holding, subtotal and TOTAL lines for the parser inspector.
  */
 
-import { parseDate, parseCurrency } from '../utils/formatters.js';
+import { parseCurrency } from '../utils/formatters.js';
+import { readDate } from '../utils/localeParsing.js';
+import { GROWTH_ASSET_CLASSES, DEFENSIVE_ASSET_CLASSES } from '../utils/constants.js';
+import { CONFIDENCE, createDiagnostics, createProvenance, indexLines, locateText } from '../utils/provenance.js';
+import { extractPageTable } from '../utils/pdfParser.js';
 
-const ASSET_CLASS_COLUMNS = [
+// CLASS default column order - only used when no table header is found
+const DEFAULT_COLUMNS = [
   'Australian Equities',
   'Australian Fixed Interest',
   'Cash',
@@ -18,82 +43,635 @@ const ASSET_CLASS_COLUMNS = [
   'Unknown',
 ];
 
+// Every asset class name we can classify, longest first so that
+// "International Fixed Interest" wins over a shorter partial match
+const KNOWN_ASSET_CLASSES = [
+  ...new Set([...GROWTH_ASSET_CLASSES, ...DEFENSIVE_ASSET_CLASSES, ...DEFAULT_COLUMNS]),
+].sort((a, b) => b.length - a.length);
+
+// Header words that describe non-asset-class columns (e.g. a trailing "Total")
+const IGNORED_HEADER_WORDS = ['total', '$', '%'];
+
+// Longest label read as an unknown header column; longer text is not a header
+const MAX_UNKNOWN_COLUMN_WORDS = 3;
+
+// Allow $1 rounding tolerance when reconciling against the TOTAL row
+const RECONCILIATION_TOLERANCE = 1;
+
+// Security row: "<CODE> <Name> ..."
+const HOLDING_PATTERN = /^([A-Z0-9]{2,6}(?:\.[A-Z]{2,3})?)\s+(.+)$/;
+
+// A dollar amount anywhere in a line
+const MONEY_PATTERN = /[0-9,]+\.\d{2}/;
+
 export function parseAssetAllocationReport(fullText, pages) {
   console.log('[AssetAllocationParser] Parsing TOTAL allocation row');
 
-  const asAtDate = extractReportDate(fullText);
+  const lines = indexLines(pages);
+  const { provenance, record } = createProvenance();
+  const { diagnostics, markSection, markMissing } = createDiagnostics();
+
+  const asAtMatch = extractReportDate(fullText);
+  const asAtDate = asAtMatch ? readDate(asAtMatch.text).value : null;
+  if (asAtMatch) {
+    const asAtLine = locateText(lines, asAtMatch.text);
+    record('asAtDate', asAtLine, asAtMatch.pattern, CONFIDENCE.LABELLED);
+    markSection('As at date', [asAtLine]);
+  } else {
+    markMissing('asAtDate', 'No "As at <date>" text found');
+  }
+
+  const table = scanAllocationTable(lines, pages);
+  const { holdings, subtotals, totalRow, unknownColumns, columnWarnings, holdingWarnings } = table;
+
+  table.holdingRefs.forEach((ref, i) => {
+    record(`holdings.${i}`, ref, HOLDING_PATTERN, CONFIDENCE.LABELLED);
+  });
+
+  markSection('Table header', table.headerRefs);
+  markSection('Holdings', table.holdingRefs);
+  markSection('Subtotals', table.subtotalRefs);
 
-  const totalRow = findTotalRow(pages);
   if (!totalRow) {
     console.warn('[AssetAllocationParser] TOTAL row not found');
+    markMissing('totalValue', 'No TOTAL row found (a line starting with "Total" after the holdings)');
     return {
       reportType: 'asset_allocation',
       asAtDate,
       totalValue: null,
       assetClasses: [],
-      holdings: [],
-      holdingsCount: 0,
+      holdings,
+      holdingsCount: holdings.length,
+      subtotals,
+      reconciliation: null,
+      columns: table.columns,
+      unknownColumns,
+      columnWarnings,
+      holdingWarnings,
+      provenance,
+      diagnostics,
     };
   }
 
-  const assetClasses = parseTotalRow(totalRow);
+  const positionedCells = readCellsByPosition(pages, totalRow.headerRef, totalRow.ref, totalRow.columns);
+  totalRow.positioned = positionedCells !== null;
+  const { assetClasses, error: totalRowError } = positionedCells
+    ? mapTotalRowCells(positionedCells, totalRow.columns)
+    : parseTotalRow(totalRow.line, totalRow.columns);
+  markSection('TOTAL row', [totalRow.ref]);
+
+  let totalValue = null;
+  let reconciliation = null;
 
-  const totalValue = assetClasses.reduce(
-    (sum, ac) => sum + (ac.value || 0),
-    0
-  );
+  if (totalRowError) {
+    markMissing('totalValue', totalRowError);
+  } else {
+    totalValue = assetClasses.reduce(
+      (sum, ac) => sum + (ac.value || 0),
+      0
+    );
+    reconciliation = reconcileWithTotalRow(assetClasses, holdings, subtotals);
+    recordTotalRow(record, totalRow, assetClasses, reconciliation);
+  }
 
   return {
     reportType: 'asset_allocation',
     asAtDate,
     totalValue,
     assetClasses,
-    holdings: [], // holdings are no longer needed for allocation
-    holdingsCount: 0,
+    holdings,
+    holdingsCount: holdings.length,
+    subtotals,
+    reconciliation,
+    columns: totalRow.columns,
+    unknownColumns,
+    columnWarnings,
+    holdingWarnings,
+    totalRowError,
+    provenance,
+    diagnostics,
   };
 }
 
+/**
+ * Record the TOTAL row as the source of every asset class amount
+ */
+function recordTotalRow(record, totalRow, assetClasses, reconciliation) {
+  const mismatched = new Set(reconciliation.differences.map(d => d.assetClass));
+
+  assetClasses.forEach((ac, i) => {
+    let confidence = CONFIDENCE.HEADER_MAPPED;
+    if (!totalRow.headerFound) confidence = CONFIDENCE.FALLBACK;
+    else if (ac.source === 'unknown_column') confidence = CONFIDENCE.POSITIONAL;
+    if (mismatched.has(ac.name)) confidence = Math.min(confidence, CONFIDENCE.DERIVED);
+
+    const pattern = `TOTAL row, column "${ac.name}"${totalRow.positioned ? ' (by x position)' : ''}`;
+    record(`assetClasses.${i}.value`, totalRow.ref, pattern, confidence);
+    record(`assetClasses.${i}.percent`, totalRow.ref, pattern, confidence);
+  });
+
+  const totalConfidence = totalRow.headerFound ? CONFIDENCE.DERIVED : CONFIDENCE.FALLBACK;
+  record('totalValue', totalRow.ref, 'Sum of TOTAL row asset classes', totalConfidence);
+}
+
 /* ---------------------------------------------
-   Find TOTAL row
+   Walk the allocation table page by page
+   Tracks the header columns in effect on each page
 ---------------------------------------------- */
-function findTotalRow(pages) {
-  for (const page of pages) {
-    for (const line of page.lines) {
-      if (line.toLowerCase().startsWith('total')) {
-        return line;
+function scanAllocationTable(lines, pages) {
+  const holdings = [];
+  const holdingRefs = [];
+  const headerRefs = [];
+  const subtotalRefs = [];
+  const subtotals = {};
+  const unknownColumns = [];
+  const columnWarnings = [];
+  const holdingWarnings = [];
+  let columns = null;
+  let headerRef = null;
+  let totalRow = null;
+  let currentAssetClass = null;
+
+  for (const ref of lines) {
+    const trimmed = ref.text.trim();
+
+    // Table header - re-read on every page, continuation pages reuse the last one
+    const header = parseHeaderRow(trimmed);
+    if (header) {
+      columns = header.columns;
+      headerRef = ref;
+      headerRefs.push(ref);
+      for (const name of header.unknown) {
+        if (!unknownColumns.includes(name)) {
+          unknownColumns.push(name);
+          columnWarnings.push(`Page ${ref.pageNumber}: unrecognised allocation column "${name}"`);
+          console.warn(`[AssetAllocationParser] Unrecognised column "${name}" on page ${ref.pageNumber}`);
+        }
       }
+      continue;
+    }
+
+    // Asset class heading, e.g. "Australian Equities"
+    const heading = matchAssetClassHeading(trimmed);
+    if (heading) {
+      currentAssetClass = heading;
+      continue;
+    }
+
+    // Subtotal row, e.g. "Total Australian Equities 120,000.00 40.00%"
+    const subtotal = matchSubtotalRow(trimmed);
+    if (subtotal) {
+      subtotals[subtotal.name] = subtotal.value;
+      subtotalRefs.push(ref);
+      currentAssetClass = null;
+      continue;
+    }
+
+    // Grand total ends the table
+    if (trimmed.toLowerCase().startsWith('total')) {
+      if (!totalRow) {
+        totalRow = {
+          line: trimmed,
+          ref,
+          headerRef,
+          headerFound: columns !== null,
+          columns: resolveColumns(columns, columnWarnings),
+        };
+      }
+      currentAssetClass = null;
+      continue;
+    }
+
+    const positionedCells = !currentAssetClass && columns
+      ? readCellsByPosition(pages, headerRef, ref, columns)
+      : null;
+    const holding = parseHoldingRow(trimmed, currentAssetClass, columns, positionedCells);
+    if (holding) {
+      holdings.push(holding);
+      holdingRefs.push(ref);
+    } else if (HOLDING_PATTERN.test(trimmed) && MONEY_PATTERN.test(trimmed)) {
+      // Looks like a security row but the cells could not be read
+      holdingWarnings.push(`Page ${ref.pageNumber}: could not read holding row "${trimmed}"`);
+      console.warn(`[AssetAllocationParser] Unreadable holding row on page ${ref.pageNumber}: ${trimmed}`);
     }
   }
-  return null;
+
+  return {
+    holdings,
+    holdingRefs,
+    headerRefs,
+    subtotalRefs,
+    subtotals,
+    totalRow,
+    columns,
+    unknownColumns,
+    columnWarnings,
+    holdingWarnings,
+  };
+}
+
+/**
+ * Fall back to the CLASS default column order when no header was seen
+ */
+function resolveColumns(columns, columnWarnings) {
+  if (columns) return columns;
+
+  columnWarnings.push('Allocation table header not found; assuming default CLASS column order');
+  console.warn('[AssetAllocationParser] No table header found, using default column order');
+  return DEFAULT_COLUMNS.map(name => ({ name, known: true }));
+}
+
+/* ---------------------------------------------
+   Parse table header
+---------------------------------------------- */
+
+/**
+ * Read the asset class columns from a header line
+ * e.g. "Investment Units Australian Equities Cash International Equities Total"
+ *
+ * Text before the first asset class names descriptive columns (code, name,
+ * units) and is skipped. Any other text between or after asset class names is
+ * treated as an unknown column.
+ *
+ * Only a line made of column labels qualifies: every word outside the asset
+ * class names must be capitalised (or "$" / "%"), with no sentence punctuation,
+ * and an unknown column may be at most a few words - so prose that happens to
+ * name two asset classes does not replace the header.
+ *
+ * @returns {{columns: Array<{name: string, known: boolean}>, unknown: string[]}|null}
+ */
+function parseHeaderRow(line) {
+  // Header rows carry labels only, never amounts or sentences
+  if (MONEY_PATTERN.test(line) || /[.,;:!?]/.test(line)) return null;
+
+  const lowerLine = line.toLowerCase();
+  const found = [];
+
+  for (const name of KNOWN_ASSET_CLASSES) {
+    const pattern = new RegExp(`\\b${name.toLowerCase()}\\b`, 'g');
+    let match;
+    while ((match = pattern.exec(lowerLine)) !== null) {
+      const start = match.index;
+      const end = start + name.length;
+      // Skip shorter names inside an already matched longer one
+      if (!found.some(f => start < f.end && end > f.start)) {
+        found.push({ name, start, end });
+      }
+    }
+  }
+
+  if (found.length < 2) return null;
+
+  found.sort((a, b) => a.start - b.start);
+
+  // Everything that is not an asset class name must read as column labels
+  const gaps = [line.slice(0, found[0].start)];
+  for (let i = 1; i < found.length; i++) {
+    gaps.push(line.slice(found[i - 1].end, found[i].start));
+  }
+  gaps.push(line.slice(found[found.length - 1].end));
+  if (!gaps.every(isHeaderLabelText)) return null;
+
+  const labels = gaps.map(headerLabel);
+  if (labels.slice(1).some(label => label.split(' ').length > MAX_UNKNOWN_COLUMN_WORDS)) return null;
+
+  const columns = [];
+  const unknown = [];
+
+  const pushUnknown = (label) => {
+    if (label) {
+      columns.push({ name: label, known: false });
+      unknown.push(label);
+    }
+  };
+
+  found.forEach((match, i) => {
+    if (i > 0) pushUnknown(labels[i]);
+    columns.push({ name: match.name, known: true });
+  });
+  pushUnknown(labels[found.length]);
+
+  return { columns, unknown };
+}
+
+/**
+ * Header text with the ignored words ("Total", "$", "%") removed
+ */
+function headerLabel(text) {
+  return text
+    .split(/\s+/)
+    .filter(word => word && !IGNORED_HEADER_WORDS.includes(word.toLowerCase()))
+    .join(' ');
+}
+
+/**
+ * Whether text between asset class names reads as column labels -
+ * capitalised words, "$" or "%", e.g. "Investment Units" or "Alternatives"
+ */
+function isHeaderLabelText(text) {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .every(word => /^[A-Z0-9$%(]/.test(word));
 }
 
 /* ---------------------------------------------
    Parse TOTAL row
 ---------------------------------------------- */
-function parseTotalRow(line) {
-  // Extract all dollar values and percentages in order
-  const values = line.match(/\$?[0-9,]+\.\d{2}/g) || [];
-  const percents = line.match(/\d+\.?\d*%/g) || [];
 
-  const assetClasses = [];
+/**
+ * Map the TOTAL row's cells to the header columns
+ *
+ * Cells are "$value [percent%]" or a "-" placeholder (a zero-value column),
+ * read left to right after the row label. A trailing grand total cell is
+ * allowed; any other count means the header and the row disagree, and the
+ * row is left unmapped rather than shifted onto the wrong columns.
+ *
+ * @returns {{assetClasses: Array<Object>, error: string|null}}
+ */
+function parseTotalRow(line, columns) {
+  const tokens = line.split(/\s+/);
+  const cells = [];
+  let i = 0;
+
+  // Skip the row label, e.g. "Total" or "Portfolio Total"
+  while (i < tokens.length && tokens[i] !== '-' && !isMoneyToken(tokens[i])) i++;
 
-  for (let i = 0; i < ASSET_CLASS_COLUMNS.length; i++) {
-    const value = values[i] ? parseCurrency(values[i]) : null;
-    const percent = percents[i]
-      ? Number(percents[i].replace('%', ''))
-      : null;
+  for (; i < tokens.length; i++) {
+    if (tokens[i] === '-') {
+      cells.push({ value: 0, percent: 0 });
+    } else if (isMoneyToken(tokens[i])) {
+      const value = parseCurrency(tokens[i]);
+      let percent = null;
+      if (isPercentToken(tokens[i + 1])) {
+        percent = Number(tokens[i + 1].replace('%', ''));
+        i++;
+      }
+      cells.push({ value, percent });
+    } else {
+      return unmappedTotalRow(`TOTAL row has an unreadable cell "${tokens[i]}"`);
+    }
+  }
 
-    if (value != null || percent != null) {
-      assetClasses.push({
-        name: ASSET_CLASS_COLUMNS[i],
-        value,
-        percent,
-        source: 'total_row',
+  if (cells.length !== columns.length && cells.length !== columns.length + 1) {
+    return unmappedTotalRow(`TOTAL row has ${cells.length} amounts but the header names ${columns.length} columns`);
+  }
+
+  return mapTotalRowCells(cells, columns);
+}
+
+/**
+ * Build the asset classes from TOTAL row cells, one per header column
+ */
+function mapTotalRowCells(cells, columns) {
+  const assetClasses = columns.map((column, index) => ({
+    name: column.name,
+    value: cells[index].value,
+    percent: cells[index].percent,
+    source: column.known ? 'total_row' : 'unknown_column',
+  }));
+
+  return { assetClasses, error: null };
+}
+
+function unmappedTotalRow(error) {
+  console.warn(`[AssetAllocationParser] ${error}`);
+  return { assetClasses: [], error };
+}
+
+/**
+ * Read a row's cells under the header columns by x position
+ *
+ * Column bands come from the header line and this row only. A band with no
+ * header text belongs to the header column on its left (e.g. a "%" band next
+ * to an asset class's "$" band); bands under descriptive or "Total" labels
+ * are ignored. A blank or "-" cell is a zero-value column.
+ *
+ * @returns {Array<{value: number, percent: number|null}>|null} One cell per
+ *   column, or null when the row cannot be placed (no positions, header on
+ *   another page, a band naming two columns, or an unreadable cell)
+ */
+function readCellsByPosition(pages, headerRef, rowRef, columns) {
+  if (!headerRef || headerRef.pageNumber !== rowRef.pageNumber) return null;
+
+  const page = pages?.find(p => p.pageNumber === rowRef.pageNumber);
+  const table = extractPageTable(page, { lineIndexes: [headerRef.lineIndex, rowRef.lineIndex] });
+  if (!table || table.rows.length !== 2) return null;
+
+  const [headerCells, rowCells] = table.rows;
+  const texts = columns.map(() => []);
+  const placed = new Set();
+  let owner = null;
+
+  for (let band = 0; band < table.columns.length; band++) {
+    if (headerCells[band]) {
+      const named = columnsNamedIn(headerCells[band].text, columns);
+      if (named.length > 1) return null;
+      owner = named.length === 1 ? named[0] : null;
+      if (owner !== null) placed.add(owner);
+    }
+    if (owner !== null && rowCells[band]) {
+      texts[owner].push(rowCells[band].text);
+    }
+  }
+
+  // Every column needs its own band, or the header did not split cleanly
+  if (placed.size !== columns.length) return null;
+
+  const cells = [];
+  for (const parts of texts) {
+    const tokens = parts.join(' ').split(/\s+/).filter(token => token && token !== '-');
+    if (tokens.length === 0) {
+      cells.push({ value: 0, percent: 0 });
+      continue;
+    }
+
+    const money = tokens.find(isMoneyToken);
+    const percent = tokens.find(isPercentToken);
+    if (!money || tokens.some(token => token !== money && token !== percent)) return null;
+
+    cells.push({
+      value: parseCurrency(money),
+      percent: percent ? Number(percent.replace('%', '')) : null,
+    });
+  }
+
+  return cells;
+}
+
+/**
+ * Indexes of the columns whose name appears in a band's header text,
+ * ignoring a name that is only part of a longer matched one
+ */
+function columnsNamedIn(text, columns) {
+  const lowerText = text.toLowerCase();
+  const matched = columns
+    .map((column, index) => ({ index, name: column.name.toLowerCase() }))
+    .filter(({ name }) => new RegExp(`\\b${escapeRegExp(name)}\\b`).test(lowerText));
+
+  return matched
+    .filter(m => !matched.some(other => other !== m && other.name.length > m.name.length && other.name.includes(m.name)))
+    .map(m => m.index);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Match a line that consists only of an asset class name
+ */
+function matchAssetClassHeading(line) {
+  const lowerLine = line.toLowerCase();
+  return KNOWN_ASSET_CLASSES.find(name => lowerLine === name.toLowerCase()) || null;
+}
+
+/**
+ * Match a "Total <Asset Class>" subtotal row
+ */
+function matchSubtotalRow(line) {
+  const match = line.match(/^total\s+(.+?)\s+\$?(\(?[0-9,]+\.\d{2}\)?)/i);
+  if (!match) return null;
+
+  const label = match[1].toLowerCase();
+  const name = KNOWN_ASSET_CLASSES.find(ac => label === ac.toLowerCase());
+  if (!name) return null;
+
+  return { name, value: parseCurrency(match[2]) };
+}
+
+/**
+ * Parse a single security row
+ * Pattern: "<CODE> <Name> [units] <market value> <percent> [<value> <percent> | - ...]"
+ *
+ * Cells are read from the right, so digits in the security name (e.g.
+ * "iShares S&P 500 ETF", "Term Deposit 90 Days") stay part of the name.
+ *
+ * When no asset class heading is in scope, the row is expected to carry one
+ * cell per header column ("-" for empty columns) and the column holding
+ * the market value identifies the asset class. `positionedCells` are those
+ * columns already placed by x position (readCellsByPosition), when available.
+ */
+function parseHoldingRow(line, currentAssetClass, columns, positionedCells = null) {
+  const codeMatch = line.match(HOLDING_PATTERN);
+  if (!codeMatch) return null;
+
+  const tokens = codeMatch[2].split(/\s+/);
+
+  // "$value percent%" pairs and "-" placeholders, right to left
+  const cells = [];
+  let end = tokens.length;
+  while (end > 0) {
+    if (tokens[end - 1] === '-') {
+      cells.unshift(null);
+      end -= 1;
+    } else if (isPercentToken(tokens[end - 1]) && isMoneyToken(tokens[end - 2])) {
+      cells.unshift({
+        value: parseCurrency(tokens[end - 2]),
+        percent: Number(tokens[end - 1].replace('%', '')),
       });
+      end -= 2;
+    } else {
+      break;
+    }
+  }
+
+  // The first cell is the holding itself, any others the matrix columns
+  const [holdingCell, ...columnCells] = cells;
+  if (!holdingCell) return null;
+
+  // Units are a bare number preceding the first "$value percent%" pair
+  let units = null;
+  if (end > 1 && isUnitsToken(tokens[end - 1])) {
+    units = parseCurrency(tokens[end - 1]);
+    end -= 1;
+  }
+
+  const name = tokens.slice(0, end).join(' ');
+  if (!name) return null;
+
+  let assetClass = currentAssetClass;
+  if (!assetClass) {
+    assetClass = assetClassFromColumns(positionedCells || columnCells, columns || []) || 'Unknown';
+  }
+
+  return {
+    code: codeMatch[1],
+    name,
+    assetClass,
+    units,
+    value: holdingCell.value,
+    percent: holdingCell.percent,
+  };
+}
+
+/**
+ * Resolve the asset class column of a matrix-style row
+ * Cells are parsed "$value percent%" pairs, or null for "-", one per column
+ */
+function assetClassFromColumns(cells, columns) {
+  if (columns.length === 0 || cells.length !== columns.length) return null;
+
+  const filled = cells.findIndex(cell => cell && cell.value !== 0);
+  return filled === -1 ? null : columns[filled].name;
+}
+
+function isUnitsToken(token) {
+  return /^[0-9,]+(\.\d+)?$/.test(token || '');
+}
+
+function isMoneyToken(token) {
+  return /^\(?-?\$?[0-9,]+\.\d{2}\)?$/.test(token || '');
+}
+
+function isPercentToken(token) {
+  return /^-?\d+\.?\d*%$/.test(token || '');
+}
+
+/* ---------------------------------------------
+   Reconcile holdings and subtotals with TOTAL row
+---------------------------------------------- */
+function reconcileWithTotalRow(assetClasses, holdings, subtotals) {
+  const holdingTotals = {};
+  for (const h of holdings) {
+    holdingTotals[h.assetClass] = (holdingTotals[h.assetClass] || 0) + (h.value || 0);
+  }
+
+  const differences = [];
+
+  for (const ac of assetClasses) {
+    const expected = ac.value || 0;
+
+    if (holdings.length > 0) {
+      const actual = holdingTotals[ac.name] || 0;
+      if (Math.abs(expected - actual) > RECONCILIATION_TOLERANCE) {
+        differences.push({ assetClass: ac.name, source: 'holdings', expected, actual });
+      }
     }
+
+    if (subtotals[ac.name] !== undefined) {
+      const actual = subtotals[ac.name] || 0;
+      if (Math.abs(expected - actual) > RECONCILIATION_TOLERANCE) {
+        differences.push({ assetClass: ac.name, source: 'subtotal', expected, actual });
+      }
+    }
+  }
+
+  // Holdings under an asset class the TOTAL row does not have
+  for (const [name, actual] of Object.entries(holdingTotals)) {
+    if (!assetClasses.some(ac => ac.name === name) && Math.abs(actual) > RECONCILIATION_TOLERANCE) {
+      differences.push({ assetClass: name, source: 'holdings', expected: 0, actual });
+    }
+  }
+
+  if (differences.length > 0) {
+    console.warn('[AssetAllocationParser] Holdings do not reconcile with TOTAL row:', differences);
   }
 
-  return assetClasses;
+  return {
+    reconciled: differences.length === 0,
+    differences,
+  };
 }
 
 /* ---------------------------------------------
@@ -107,9 +685,48 @@ function extractReportDate(text) {
 
   for (const p of patterns) {
     const match = text.match(p);
-    if (match) return parseDate(match[1]);
+    if (match) return { text: match[1], pattern: p };
   }
 
   return null;
 }
 
+/**
+ * Validate the parsed asset allocation report
+ * @param {Object} report - Parsed report data
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateAssetAllocationReport(report) {
+  const errors = [];
+  const warnings = [];
+
+  if (report.totalRowError) {
+    errors.push(report.totalRowError);
+  } else if (!report.assetClasses || report.assetClasses.length === 0) {
+    errors.push('Could not extract asset class totals');
+  }
+
+  if (!report.holdings || report.holdings.length === 0) {
+    warnings.push('No holdings found');
+  }
+
+  for (const warning of report.columnWarnings || []) {
+    warnings.push(warning);
+  }
+
+  for (const warning of report.holdingWarnings || []) {
+    warnings.push(warning);
+  }
+
+  for (const diff of report.reconciliation?.differences || []) {
+    warnings.push(
+      `${diff.assetClass} ${diff.source} (${diff.actual.toFixed(2)}) doesn't match TOTAL row (${diff.expected.toFixed(2)})`
+    );
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
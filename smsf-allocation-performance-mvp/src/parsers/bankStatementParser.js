@@ -0,0 +1,343 @@
+/**
+ * Bank Statement Parser
+ * Parses the statement of the fund's cash (bank) account
+ *
+ * Extracts:
+ * - Account name, BSB and account number
+ * - Statement period
+ * - Opening and closing balances
+ * - Transactions: date, description, amount (credits positive, debits
+ *   negative) and the running balance
+ *
+ * Transactions are not categorised here - categories come from the user's
+ * rules in cashAccountEngine.js, so a rule change does not need a re-upload.
+ *
+ * ASSUMPTIONS:
+ * 1. A transaction line starts with its date ("03 Jul 2024", "03/07/2024", or
+ *    "03 Jul" with the year taken from the statement period) and ends with
+ *    its amount and, when printed, the running balance
+ * 2. Text extraction drops the blank debit or credit cell, so the sign of an
+ *    amount comes from the change in running balance; without a balance, a
+ *    "-", "(...)" or "DR" amount is a debit and anything else a credit
+ * 3. A line with no date and no amounts continues the description above it;
+ *    a dated line with no amounts takes them from the next line that has some
+ * 4. "Opening balance" / "Closing balance" lines (or table rows) give the
+ *    balances; otherwise the first and last running balances do
+ *
+ * `provenance` is keyed 'transactions.<index>', 'openingBalance', 'closingBalance',
+ * 'account.*' and 'period.*'.
+ */
+
+import { readDate, readAmount } from '../utils/localeParsing.js';
+import { CONFIDENCE, createDiagnostics, createProvenance, indexLines } from '../utils/provenance.js';
+
+// Transaction date at the start of a line: 03/07/2024, 03-07-24, 03 Jul 2024, 03 Jul
+const LEADING_DATE_PATTERN = /^(\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})|\d{1,2}\s+[a-z]{3,9}(?:\s+\d{4})?)\b/i;
+
+// Amount cells: 1,234.56 / $1,234.56 / (1,234.56) / -1,234.56 / 1,234.56 DR / 1,234.56CR
+const AMOUNT_TOKEN = /^\(?-?\$?\d[\d,]*\.\d{2}\)?-?(?:CR|DR)?$/i;
+const SIGN_TOKEN = /^(?:CR|DR)$/i;
+
+const OPENING_BALANCE_PATTERN = /opening\s+balance|balance\s+(?:brought|carried)\s+forward/i;
+const CLOSING_BALANCE_PATTERN = /closing\s+balance/i;
+
+const PERIOD_PATTERN = /(\d{1,2}(?:\/\d{1,2}\/|\s+[a-z]+\s+)\d{4})\s+(?:to|-|–)\s+(\d{1,2}(?:\/\d{1,2}\/|\s+[a-z]+\s+)\d{4})/i;
+
+const ACCOUNT_PATTERNS = {
+  bsb: /\bBSB\s*(?:no\.?|number)?\s*:?\s*(\d{3}[-\s]?\d{3})\b/i,
+  accountNumber: /\baccount\s+(?:no\.?|number)\s*:?\s*([\d][\d\s-]{4,}\d)/i,
+  accountName: /\baccount\s+name\s*:?\s*(.+?)\s*(?:\bBSB\b|$)/i,
+};
+
+// Allow $1 rounding when matching balance movements to amounts
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Parse a bank statement from extracted PDF text
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {{reportType: string, account: Object, period: {from: string|null, to: string|null},
+ *   openingBalance: number|null, closingBalance: number|null, transactions: Array<{date: string,
+ *   description: string, amount: number, balance: number|null}>, provenance: Object, diagnostics: Object}}
+ */
+export function parseBankStatement(fullText, pages) {
+  console.log('[BankStatementParser] Starting parse...');
+
+  const lines = indexLines(pages);
+  const { provenance, record } = createProvenance();
+  const { diagnostics, markSection, markMissing } = createDiagnostics();
+
+  const account = extractAccount(lines, record, markMissing);
+  const period = extractPeriod(lines, record, markMissing);
+
+  const transactions = [];
+  const transactionRefs = [];
+  let openingBalance = null;
+  let closingBalance = null;
+  let previousBalance = null;
+  // Whether the line above was a transaction (or continued one)
+  let continuing = false;
+  // Dated line still waiting for its amounts
+  let pending = null;
+  let pageNumber = null;
+
+  const addTransaction = (ref, date, description, values) => {
+    const transaction = readTransaction(description, date, values, previousBalance);
+    transactions.push(transaction);
+    transactionRefs.push(ref);
+    record(`transactions.${transactions.length - 1}`, ref, transaction.balance !== null ? 'date ... amount balance' : 'date ... amount',
+      transaction.signFromBalance ? CONFIDENCE.HEADER_MAPPED : CONFIDENCE.POSITIONAL);
+    if (transaction.balance !== null) previousBalance = transaction.balance;
+    continuing = true;
+  };
+
+  for (const ref of lines) {
+    const text = ref.text.trim();
+    if (!text) continue;
+
+    if (ref.pageNumber !== pageNumber) {
+      pageNumber = ref.pageNumber;
+      continuing = false;
+      pending = null;
+    }
+
+    const { label, values } = trailingAmounts(text);
+
+    if (OPENING_BALANCE_PATTERN.test(label) && values.length > 0) {
+      if (openingBalance === null) {
+        openingBalance = values[values.length - 1].value;
+        record('openingBalance', ref, OPENING_BALANCE_PATTERN, CONFIDENCE.LABELLED);
+      }
+      previousBalance = previousBalance ?? openingBalance;
+      continuing = false;
+      pending = null;
+      continue;
+    }
+
+    if (CLOSING_BALANCE_PATTERN.test(label) && values.length > 0) {
+      closingBalance = values[values.length - 1].value;
+      record('closingBalance', ref, CLOSING_BALANCE_PATTERN, CONFIDENCE.LABELLED);
+      continuing = false;
+      pending = null;
+      continue;
+    }
+
+    // The statement period line starts with a date too
+    if (values.length === 0 && PERIOD_PATTERN.test(text)) {
+      continuing = false;
+      pending = null;
+      continue;
+    }
+
+    const dateMatch = label.match(LEADING_DATE_PATTERN);
+    const date = dateMatch ? readTransactionDate(dateMatch[1], period) : null;
+
+    if (date && values.length === 0) {
+      pending = { ref, date, description: label.slice(dateMatch[0].length).trim() };
+      continuing = false;
+      continue;
+    }
+
+    if (pending && !dateMatch) {
+      if (values.length === 0) {
+        pending.description = `${pending.description} ${text}`;
+        continue;
+      }
+      addTransaction(pending.ref, pending.date, `${pending.description} ${label}`.trim(), values);
+      pending = null;
+      continue;
+    }
+    pending = null;
+
+    if (!date || values.length === 0) {
+      // A plain text line straight after a transaction continues its description
+      if (continuing && !dateMatch && values.length === 0) {
+        const last = transactions[transactions.length - 1];
+        last.description = `${last.description} ${text}`;
+      } else {
+        continuing = false;
+      }
+      continue;
+    }
+
+    addTransaction(ref, date, label.slice(dateMatch[0].length).trim(), values);
+  }
+
+  // Without labelled balances, the running balances bracket the statement
+  if (openingBalance === null && transactions[0]?.balance != null) {
+    openingBalance = round(transactions[0].balance - transactions[0].amount);
+    record('openingBalance', transactionRefs[0], 'first running balance less its transaction', CONFIDENCE.DERIVED);
+  }
+  const lastWithBalance = transactions.findLastIndex(t => t.balance !== null);
+  if (closingBalance === null && lastWithBalance !== -1) {
+    closingBalance = transactions[lastWithBalance].balance;
+    record('closingBalance', transactionRefs[lastWithBalance], 'last running balance', CONFIDENCE.DERIVED);
+  }
+
+  markSection('Transactions', transactionRefs);
+  if (transactions.length === 0) markMissing('transactions', 'No line starting with a date and ending with an amount');
+  if (openingBalance === null) markMissing('openingBalance', 'No "Opening balance" line or running balance');
+  if (closingBalance === null) markMissing('closingBalance', 'No "Closing balance" line or running balance');
+
+  const result = {
+    reportType: 'bank_statement',
+    account,
+    period,
+    openingBalance,
+    closingBalance,
+    transactions: transactions.map(({ date, description, amount, balance }) => ({ date, description, amount, balance })),
+    provenance,
+    diagnostics,
+  };
+
+  console.log('[BankStatementParser] Parsed result:', result);
+
+  return result;
+}
+
+/**
+ * Read one transaction line (date already removed)
+ */
+function readTransaction(label, date, values, previousBalance) {
+  // Two or more amounts: amount then running balance
+  const balance = values.length >= 2 ? values[values.length - 1].value : null;
+  const cell = values.length >= 2 ? values[values.length - 2] : values[0];
+  let amount = cell.value;
+  let signFromBalance = false;
+
+  if (balance !== null && previousBalance !== null) {
+    const movement = balance - previousBalance;
+    if (Math.abs(Math.abs(movement) - Math.abs(amount)) <= RECONCILIATION_TOLERANCE) {
+      amount = Math.sign(movement) * Math.abs(amount);
+      signFromBalance = true;
+    }
+  }
+
+  return {
+    date,
+    description: label,
+    amount: round(amount),
+    balance,
+    signFromBalance,
+  };
+}
+
+/**
+ * Amount cells at the end of a line, with "CR" / "DR" written as separate cells joined on
+ */
+function trailingAmounts(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const values = [];
+  let start = tokens.length;
+
+  while (start > 0) {
+    let token = tokens[start - 1];
+    let consumed = 1;
+    if (SIGN_TOKEN.test(token) && start > 1 && AMOUNT_TOKEN.test(tokens[start - 2])) {
+      token = `${tokens[start - 2]}${token}`;
+      consumed = 2;
+    }
+    if (!AMOUNT_TOKEN.test(token)) break;
+
+    const { value } = readAmount(token);
+    if (value === null) break;
+    values.unshift({ text: token, value });
+    start -= consumed;
+  }
+
+  return { label: tokens.slice(0, start).join(' '), values };
+}
+
+/**
+ * Transaction date - a date printed without its year takes the year from the
+ * statement period (the period's start year for months on or after its start)
+ */
+function readTransactionDate(text, period) {
+  const full = readDate(text).value;
+  if (full) return full;
+
+  if (!period.from || !period.to) return null;
+  const startYear = Number(period.from.slice(0, 4));
+  const candidate = readDate(`${text} ${startYear}`).value;
+  if (!candidate) return null;
+  return candidate >= period.from ? candidate : readDate(`${text} ${startYear + 1}`).value;
+}
+
+/**
+ * Account name, BSB and account number from the statement header
+ */
+function extractAccount(lines, record, markMissing) {
+  const account = { accountName: null, bsb: null, accountNumber: null };
+
+  for (const ref of lines) {
+    for (const [field, pattern] of Object.entries(ACCOUNT_PATTERNS)) {
+      if (account[field] !== null) continue;
+      const match = ref.text.match(pattern);
+      if (!match) continue;
+      account[field] = field === 'accountName' ? match[1].trim() : match[1].replace(/\s+/g, '');
+      record(`account.${field}`, ref, pattern, CONFIDENCE.LABELLED);
+    }
+  }
+
+  if (account.accountNumber === null) markMissing('account.accountNumber', 'No "Account number" label');
+  return account;
+}
+
+/**
+ * Statement period: "Statement period 1 July 2024 to 31 December 2024"
+ */
+function extractPeriod(lines, record, markMissing) {
+  for (const ref of lines) {
+    const match = ref.text.match(PERIOD_PATTERN);
+    if (!match) continue;
+
+    const from = readDate(match[1]);
+    const to = readDate(match[2]);
+    if (from.value && to.value) {
+      record('period.from', ref, PERIOD_PATTERN, CONFIDENCE.LABELLED);
+      record('period.to', ref, PERIOD_PATTERN, CONFIDENCE.LABELLED);
+      return { from: from.value, to: to.value };
+    }
+  }
+
+  markMissing('period.from', 'No "<date> to <date>" statement period found');
+  markMissing('period.to', 'No "<date> to <date>" statement period found');
+  return { from: null, to: null };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a parsed bank statement
+ * @param {Object} report - Parsed statement
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateBankStatement(report) {
+  const errors = [];
+  const warnings = [];
+
+  if (!report.transactions?.length && report.closingBalance === null) {
+    errors.push('Could not extract any transactions or a closing balance');
+  }
+
+  if (!report.period?.from || !report.period?.to) {
+    warnings.push('Statement period dates not found');
+  }
+
+  // Opening balance plus transactions should give the closing balance
+  if (report.openingBalance !== null && report.closingBalance !== null && report.transactions?.length) {
+    const expected = report.openingBalance + report.transactions.reduce((sum, t) => sum + t.amount, 0);
+    if (Math.abs(expected - report.closingBalance) > RECONCILIATION_TOLERANCE) {
+      warnings.push(`Opening balance plus transactions (${expected.toFixed(2)}) doesn't match the closing balance (${report.closingBalance.toFixed(2)})`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
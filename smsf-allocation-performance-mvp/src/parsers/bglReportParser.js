@@ -0,0 +1,723 @@
+/**
+ * BGL Simple Fund 360 Report Parsers
+ * Parses the BGL "Investment Summary" and "Investment Performance" reports
+ *
+ * Both return the same shape as their CLASS Super counterparts, so
+ * createFundModel consumes them unchanged:
+ * - Investment Summary     -> assetAllocation slot (see assetAllocationParser.js)
+ * - Investment Performance -> performance slot (see performanceReportParser.js)
+ *
+ * The investment table walk is shared with the Investment Income report
+ * (investmentIncomeParser.js) - only the column labels differ.
+ *
+ * BGL groups investments by investment type (its chart of accounts), e.g.
+ * "Shares in Listed Companies (Australian)", rather than by asset class.
+ * Investment types are mapped to our asset classes with INVESTMENT_TYPE_ASSET_CLASSES;
+ * a type we cannot map keeps its BGL name and is listed in `unmappedInvestmentTypes`.
+ *
+ * ASSUMPTIONS:
+ * 1. The table header starts with "Investment" and names every numeric column
+ * 2. Investment type headings sit on their own line above their investments
+ * 3. Each investment type may end with a "Total" row; the table ends with a
+ *    grand total row ("Total", "Total Investments" or "Portfolio Total")
+ * 4. Amounts always carry decimals (units are printed to 4 places)
+ * 5. Blank cells are simply missing - cells are placed under their header by
+ *    x position when line items are available, otherwise by header order
+ */
+
+import { parseCurrency, parsePercentage } from '../utils/formatters.js';
+import { readDate } from '../utils/localeParsing.js';
+
+// Investment type heading -> asset class, first match wins
+const INVESTMENT_TYPE_ASSET_CLASSES = [
+  { pattern: /foreign\s+(currency|cash)/i, assetClass: 'Foreign Cash' },
+  { pattern: /cash|bank|term\s+deposit/i, assetClass: 'Cash' },
+  { pattern: /(fixed\s+interest|bond|debenture).*(overseas|international)/i, assetClass: 'International Fixed Interest' },
+  { pattern: /fixed\s+interest|bond|debenture|hybrid/i, assetClass: 'Australian Fixed Interest' },
+  { pattern: /mortgage|loan/i, assetClass: 'Mortgages' },
+  { pattern: /real\s+estate|direct\s+property/i, assetClass: 'Direct Property' },
+  { pattern: /property/i, assetClass: 'Listed Property' },
+  { pattern: /overseas|international/i, assetClass: 'International Equities' },
+  { pattern: /shares|listed\s+unit\s+trusts/i, assetClass: 'Australian Equities' },
+];
+
+// Header labels -> column keys, per report
+const SUMMARY_COLUMN_LABELS = {
+  'units': 'units',
+  'market price': 'marketPrice',
+  'market value': 'marketValue',
+  'average cost': 'averageCost',
+  'accounting cost': 'accountingCost',
+  'unrealised gain/(loss)': 'unrealisedGain',
+  'gain/(loss) %': 'gainPercent',
+  'gain %': 'gainPercent',
+  'portfolio weight %': 'portfolioPercent',
+  'portfolio weight': 'portfolioPercent',
+  'portfolio %': 'portfolioPercent',
+};
+
+const PERFORMANCE_COLUMN_LABELS = {
+  'opening value': 'openingValue',
+  'opening market value': 'openingValue',
+  'purchases': 'purchases',
+  'acquisitions': 'purchases',
+  'sales': 'sales',
+  'disposals': 'sales',
+  'closing value': 'closingValue',
+  'closing market value': 'closingValue',
+  'change in market value': 'changeInMarketValue',
+  'realised gain/(loss)': 'realisedGain',
+  'unrealised gain/(loss)': 'unrealisedGain',
+  'income': 'income',
+  'total return': 'totalReturn',
+  'return %': 'returnPercent',
+  'return (%)': 'returnPercent',
+};
+
+// Column keys holding percentages rather than dollar amounts
+const PERCENT_COLUMNS = ['gainPercent', 'portfolioPercent', 'returnPercent'];
+
+// Labels of the grand total row (a bare "Total" is resolved by position)
+const GRAND_TOTAL_PATTERN = /^(grand\s+total|total\s+(investments|portfolio|fund)|portfolio\s+total)$/i;
+
+// An amount cell: 1,234.56 / (1,234.56) / -1,234.56 / $1,234.56 / 12.34%
+const AMOUNT_TOKEN = /^\(?-?\$?\d[\d,]*\.\d+\)?%?$/;
+
+// Allow $1 rounding tolerance when reconciling holdings against totals
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Parse a BGL Investment Summary report into the asset allocation shape
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {Object} Parsed report data (same shape as parseAssetAllocationReport)
+ */
+export function parseBglInvestmentSummary(fullText, pages) {
+  console.log('[BglParser] Parsing Investment Summary');
+
+  const asAtDate = extractAsAtDate(fullText);
+  const table = scanInvestmentTable(pages, SUMMARY_COLUMN_LABELS);
+
+  const holdings = table.holdings.map(row => ({
+    code: row.code,
+    name: row.name,
+    assetClass: row.assetClass,
+    investmentType: row.investmentType,
+    units: row.values.units ?? null,
+    price: row.values.marketPrice ?? null,
+    value: row.values.marketValue ?? null,
+    percent: row.values.portfolioPercent ?? null,
+    cost: row.values.accountingCost ?? null,
+    unrealisedGain: row.values.unrealisedGain ?? null,
+  }));
+
+  // Each investment type is worth its subtotal, or the sum of its holdings
+  const typeValues = table.investmentTypes.map(type => ({
+    ...type,
+    value: type.subtotal?.marketValue ?? sumValues(type.holdings, 'marketValue'),
+    source: type.subtotal ? 'subtotal' : 'holdings',
+  }));
+
+  const totalValue = table.grandTotal?.marketValue
+    ?? typeValues.reduce((sum, type) => sum + type.value, 0);
+
+  const assetClasses = [];
+  for (const type of typeValues) {
+    let assetClass = assetClasses.find(ac => ac.name === type.assetClass);
+    if (!assetClass) {
+      assetClass = { name: type.assetClass, value: 0, percent: null, source: type.source, investmentTypes: [] };
+      assetClasses.push(assetClass);
+    }
+    assetClass.value += type.value;
+    assetClass.investmentTypes.push(type.name);
+  }
+
+  for (const assetClass of assetClasses) {
+    assetClass.percent = totalValue > 0 ? (assetClass.value / totalValue) * 100 : null;
+  }
+
+  for (const holding of holdings) {
+    if (holding.percent === null && holding.value !== null && totalValue > 0) {
+      holding.percent = (holding.value / totalValue) * 100;
+    }
+  }
+
+  return {
+    reportType: 'bgl_investment_summary',
+    asAtDate,
+    totalValue: typeValues.length > 0 || table.grandTotal ? totalValue : null,
+    assetClasses,
+    holdings,
+    holdingsCount: holdings.length,
+    subtotals: Object.fromEntries(
+      typeValues.filter(t => t.subtotal).map(t => [t.name, t.value])
+    ),
+    reconciliation: reconcileTotals(table, 'marketValue'),
+    columns: table.columns,
+    unmappedInvestmentTypes: table.unmappedInvestmentTypes,
+    columnWarnings: table.columnWarnings,
+  };
+}
+
+/**
+ * Parse a BGL Investment Performance report into the performance shape
+ *
+ * BGL reports returns per investment, before fund-level expenses, so the
+ * before- and after-expenses dollar returns are the same figure. The portfolio
+ * "Return %" covers the report period only and is used as the 1-year return
+ * when the period is a full year.
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {Object} Parsed report data (same shape as parsePerformanceReport)
+ */
+export function parseBglInvestmentPerformance(fullText, pages) {
+  console.log('[BglParser] Parsing Investment Performance');
+
+  const period = extractPeriod(fullText);
+  const table = scanInvestmentTable(pages, PERFORMANCE_COLUMN_LABELS);
+
+  // Portfolio totals - the grand total row, else the sum of the investment types
+  const totals = table.grandTotal || sumTypeTotals(table.investmentTypes);
+
+  const startingMarketValue = totals.openingValue ?? null;
+  const endingMarketValue = totals.closingValue ?? null;
+  const dollarReturn = totals.totalReturn ?? null;
+  const periodReturn = table.grandTotal?.returnPercent ?? null;
+
+  const holdings = table.holdings.map(row => ({
+    code: row.code,
+    name: row.name,
+    assetClass: row.assetClass,
+    investmentType: row.investmentType,
+    ...row.values,
+  }));
+
+  const result = {
+    reportType: 'bgl_investment_performance',
+    period,
+    startingMarketValue,
+    endingMarketValue,
+    movementInValue: startingMarketValue !== null && endingMarketValue !== null
+      ? endingMarketValue - startingMarketValue
+      : null,
+    dollarReturnBeforeExpenses: dollarReturn,
+    dollarReturnAfterExpenses: dollarReturn,
+    investmentExpenses: null,
+    periodReturn,
+    twr: {
+      oneYear: isFullYear(period) ? periodReturn : null,
+      threeYears: null,
+      sinceStart: null,
+      sincePeriodStart: periodReturn,
+      sinceDates: [],
+    },
+    holdings,
+    investmentTypes: table.investmentTypes.map(type => ({
+      name: type.name,
+      assetClass: type.assetClass,
+      ...(type.subtotal || sumTypeTotals([type])),
+    })),
+    reconciliation: reconcileTotals(table, 'closingValue'),
+    columns: table.columns,
+    unmappedInvestmentTypes: table.unmappedInvestmentTypes,
+    columnWarnings: table.columnWarnings,
+    details: {
+      totals,
+      totalsSource: table.grandTotal ? 'total_row' : 'investment_types',
+    },
+  };
+
+  console.log('[BglParser] Parsed result:', result);
+
+  return result;
+}
+
+/* ---------------------------------------------
+   Walk the investment table page by page
+   Shared with investmentIncomeParser.js - only the column labels differ
+---------------------------------------------- */
+export function scanInvestmentTable(pages, columnLabels) {
+  const investmentTypes = [];
+  const holdings = [];
+  const unmappedInvestmentTypes = [];
+  const columnWarnings = [];
+  let columns = null;
+  let grandTotal = null;
+  let currentType = null;
+
+  for (const page of pages) {
+    // Lines above the table header on each page are page furniture
+    let inTable = false;
+
+    page.lines.forEach((line, lineIndex) => {
+      if (grandTotal) return;
+
+      const trimmed = line.trim();
+      const items = page.lineItems?.[lineIndex] || null;
+
+      const header = parseHeaderRow(trimmed, items, columnLabels);
+      if (header) {
+        columns = header;
+        inTable = true;
+        return;
+      }
+
+      if (!inTable || !columns || !trimmed) return;
+
+      const row = splitRow(trimmed, items);
+
+      // Investment type heading, e.g. "Shares in Listed Companies (Australian)"
+      if (row.cells.length === 0) {
+        if (!/\d/.test(trimmed)) {
+          currentType = startInvestmentType(trimmed, investmentTypes);
+        }
+        return;
+      }
+
+      const values = placeCells(row.cells, columns, trimmed, columnWarnings, page.pageNumber);
+      const label = row.label.toLowerCase();
+
+      // Total rows - subtotal of the current type, or the grand total
+      if (label === '' || label.startsWith('total') || GRAND_TOTAL_PATTERN.test(label)) {
+        if (isSubtotalRow(label, values, currentType, investmentTypes)) {
+          currentType.subtotal = values;
+        } else {
+          grandTotal = values;
+        }
+        return;
+      }
+
+      if (!currentType) {
+        currentType = startInvestmentType('Unclassified', investmentTypes);
+      }
+
+      const holding = {
+        code: extractCode(row.label),
+        name: row.label,
+        assetClass: currentType.assetClass,
+        investmentType: currentType.name,
+        values,
+      };
+      currentType.holdings.push(holding);
+      holdings.push(holding);
+    });
+  }
+
+  // Headings with nothing under them are page furniture or wrapped text
+  const populated = investmentTypes.filter(type => type.holdings.length > 0 || type.subtotal);
+
+  for (const type of populated) {
+    if (!type.mapped && !unmappedInvestmentTypes.includes(type.name)) {
+      unmappedInvestmentTypes.push(type.name);
+      console.warn(`[BglParser] No asset class for investment type "${type.name}"`);
+    }
+  }
+
+  if (!columns) {
+    columnWarnings.push('Investment table header not found');
+  }
+
+  return {
+    investmentTypes: populated,
+    holdings,
+    grandTotal,
+    columns: columns ? columns.map(c => c.key) : [],
+    unmappedInvestmentTypes,
+    columnWarnings,
+  };
+}
+
+/**
+ * Open a new investment type section, mapping it to an asset class
+ */
+function startInvestmentType(name, investmentTypes) {
+  const mapping = INVESTMENT_TYPE_ASSET_CLASSES.find(m => m.pattern.test(name));
+  const type = {
+    name,
+    assetClass: mapping ? mapping.assetClass : name,
+    mapped: Boolean(mapping),
+    holdings: [],
+    subtotal: null,
+  };
+  investmentTypes.push(type);
+  return type;
+}
+
+/**
+ * Decide whether a total row closes the current investment type or the table
+ * A bare "Total" after several types is the grand total when it equals their sum.
+ */
+function isSubtotalRow(label, values, currentType, investmentTypes) {
+  if (GRAND_TOTAL_PATTERN.test(label)) return false;
+  if (!currentType || currentType.subtotal || currentType.holdings.length === 0) return false;
+  if (label !== '' && label !== 'total') return true;
+
+  const populated = investmentTypes.filter(type => type.holdings.length > 0 || type.subtotal);
+  if (populated.length < 2) return true;
+
+  const key = Object.keys(values).find(k => !PERCENT_COLUMNS.includes(k) && values[k] !== null);
+  if (!key) return true;
+
+  const allTypes = sumTypeTotals(populated)[key] ?? 0;
+  return Math.abs(allTypes - values[key]) > RECONCILIATION_TOLERANCE;
+}
+
+/* ---------------------------------------------
+   Table header
+   Returns the known columns in order, with their x extent when available
+---------------------------------------------- */
+function parseHeaderRow(line, items, columnLabels) {
+  const lower = line.toLowerCase();
+  if (!lower.startsWith('investment')) return null;
+
+  // Rebuild the line from its items so label offsets can be traced back to x positions
+  const spans = [];
+  let text = '';
+  if (items && items.length > 0) {
+    for (const item of items) {
+      if (text) text += ' ';
+      spans.push({ start: text.length, end: text.length + item.text.length, item });
+      text += item.text;
+    }
+  } else {
+    text = line;
+  }
+  const lowerText = text.toLowerCase();
+
+  // Longest labels first, so "unrealised gain/(loss)" is not read as "realised gain/(loss)"
+  const labels = Object.keys(columnLabels).sort((a, b) => b.length - a.length);
+  const taken = new Array(lowerText.length).fill(false);
+  const found = [];
+
+  for (const label of labels) {
+    let from = 0;
+    let index;
+    while ((index = lowerText.indexOf(label, from)) !== -1) {
+      from = index + label.length;
+      if (taken.slice(index, index + label.length).some(Boolean)) continue;
+      if (!isWordBoundary(lowerText, index, index + label.length)) continue;
+
+      taken.fill(true, index, index + label.length);
+      found.push({ key: columnLabels[label], label, start: index, end: index + label.length });
+    }
+  }
+
+  if (found.length < 2) return null;
+
+  return found
+    .sort((a, b) => a.start - b.start)
+    .map(({ key, label, start, end }) => {
+      const covering = spans.filter(s => s.start < end && s.end > start).map(s => s.item);
+      return {
+        key,
+        label,
+        x0: covering.length ? Math.min(...covering.map(i => i.x)) : null,
+        x1: covering.length ? Math.max(...covering.map(i => i.x + i.width)) : null,
+      };
+    });
+}
+
+function isWordBoundary(text, start, end) {
+  const before = start === 0 ? ' ' : text[start - 1];
+  const after = end >= text.length ? ' ' : text[end];
+  return !/[a-z]/.test(before) && !/[a-z]/.test(after);
+}
+
+/* ---------------------------------------------
+   Data rows
+   Splits a row into its label and trailing amount cells
+---------------------------------------------- */
+function splitRow(line, items) {
+  // Prefer positioned items - each amount is its own text item in BGL PDFs
+  if (items && items.length > 0 && items.every(i => i.text.trim().split(/\s+/).length === 1 || !hasAmount(i.text))) {
+    const cells = [];
+    let labelEnd = items.length;
+
+    for (let i = items.length - 1; i >= 0; i--) {
+      const text = items[i].text.trim();
+      if (!AMOUNT_TOKEN.test(text)) break;
+      cells.unshift({ text, x0: items[i].x, x1: items[i].x + items[i].width });
+      labelEnd = i;
+    }
+
+    return {
+      label: items.slice(0, labelEnd).map(i => i.text).join(' ').replace(/\s+/g, ' ').trim(),
+      cells,
+    };
+  }
+
+  const tokens = line.split(/\s+/);
+  const cells = [];
+  while (tokens.length > 0 && AMOUNT_TOKEN.test(tokens[tokens.length - 1])) {
+    cells.unshift({ text: tokens.pop(), x0: null, x1: null });
+  }
+
+  return { label: tokens.join(' ').trim(), cells };
+}
+
+function hasAmount(text) {
+  return text.trim().split(/\s+/).some(token => AMOUNT_TOKEN.test(token));
+}
+
+/**
+ * Place amount cells under their header columns
+ * By x position when both the cells and the header carry it, otherwise by order
+ * (right-aligned, since leading cells such as units are the ones BGL leaves blank).
+ */
+function placeCells(cells, columns, line, columnWarnings, pageNumber) {
+  const values = {};
+  let placement = null;
+
+  const positioned = cells.every(c => c.x0 !== null) && columns.every(c => c.x0 !== null);
+  if (positioned) {
+    placement = cells.map(cell => nearestColumn(cell, columns));
+    // Two cells under one header means the layout is not what we expect
+    if (new Set(placement).size !== placement.length) placement = null;
+  }
+
+  if (!placement) {
+    if (cells.length !== columns.length) {
+      columnWarnings.push(`Page ${pageNumber}: ${cells.length} values for ${columns.length} columns in "${line}", placed from the right`);
+    }
+    const offset = Math.max(columns.length - cells.length, 0);
+    placement = cells.map((_, i) => offset + i);
+  }
+
+  cells.forEach((cell, i) => {
+    const column = columns[placement[i]];
+    if (!column) return;
+    values[column.key] = PERCENT_COLUMNS.includes(column.key)
+      ? parsePercentage(cell.text.replace(/^\((.*)\)%?$/, '-$1'))
+      : parseCurrency(cell.text);
+  });
+
+  return values;
+}
+
+/**
+ * Index of the header column that overlaps a cell most, else the closest one
+ */
+function nearestColumn(cell, columns) {
+  let best = 0;
+  let bestScore = -Infinity;
+
+  columns.forEach((column, index) => {
+    const overlap = Math.min(cell.x1, column.x1) - Math.max(cell.x0, column.x0);
+    const distance = Math.abs((cell.x0 + cell.x1) / 2 - (column.x0 + column.x1) / 2);
+    const score = overlap > 0 ? overlap : -distance;
+    if (score > bestScore) {
+      bestScore = score;
+      best = index;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Security code, e.g. "BHP Group Limited (ASX:BHP)" or "VAS.AX"
+ */
+function extractCode(label) {
+  const exchangeMatch = label.match(/\(\s*[A-Z]{2,6}\s*:\s*([A-Z0-9.]{1,8})\s*\)/);
+  if (exchangeMatch) return exchangeMatch[1];
+
+  const suffixMatch = label.match(/\b([A-Z0-9]{2,6})\.(AX|ASX)\b/);
+  if (suffixMatch) return suffixMatch[1];
+
+  return null;
+}
+
+/* ---------------------------------------------
+   Totals and reconciliation
+---------------------------------------------- */
+function sumValues(rows, key) {
+  return rows.reduce((sum, row) => sum + (row.values[key] ?? 0), 0);
+}
+
+/**
+ * Sum subtotals (or holdings) of investment types, column by column
+ */
+export function sumTypeTotals(investmentTypes) {
+  const totals = {};
+
+  for (const type of investmentTypes) {
+    const rows = type.subtotal ? [{ values: type.subtotal }] : type.holdings;
+    for (const row of rows) {
+      for (const [key, value] of Object.entries(row.values)) {
+        if (PERCENT_COLUMNS.includes(key) || value === null) continue;
+        totals[key] = (totals[key] ?? 0) + value;
+      }
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Reconcile holdings against their type subtotal, and subtotals against the grand total
+ */
+export function reconcileTotals(table, key) {
+  const differences = [];
+
+  for (const type of table.investmentTypes) {
+    const expected = type.subtotal?.[key];
+    if (expected === undefined || expected === null || type.holdings.length === 0) continue;
+
+    const actual = sumValues(type.holdings, key);
+    if (Math.abs(actual - expected) > RECONCILIATION_TOLERANCE) {
+      differences.push({ investmentType: type.name, source: 'holdings', against: 'subtotal', expected, actual });
+    }
+  }
+
+  const grandTotal = table.grandTotal?.[key];
+  if (grandTotal !== undefined && grandTotal !== null && table.investmentTypes.length > 0) {
+    const actual = sumTypeTotals(table.investmentTypes)[key] ?? 0;
+    if (Math.abs(actual - grandTotal) > RECONCILIATION_TOLERANCE) {
+      differences.push({ investmentType: 'All investments', source: 'subtotals', against: 'total', expected: grandTotal, actual });
+    }
+  }
+
+  return {
+    reconciled: differences.length === 0,
+    differences,
+  };
+}
+
+/* ---------------------------------------------
+   Dates
+---------------------------------------------- */
+function extractAsAtDate(text) {
+  const patterns = [
+    /as\s+at\s+(\d{1,2}\s+\w+\s+\d{4})/i,
+    /as\s+at\s+(\d{1,2}\/\d{1,2}\/\d{4})/i,
+  ];
+
+  for (const p of patterns) {
+    const match = text.match(p);
+    if (match) return readDate(match[1]).value;
+  }
+
+  return null;
+}
+
+/**
+ * Report period, e.g. "For the period 1 July 2023 to 30 June 2024"
+ * or "For the period 01/07/2023 - 30/06/2024"
+ */
+export function extractPeriod(text) {
+  const patterns = [
+    /period\s+(?:from\s+)?(\d{1,2}\s+\w+\s+\d{4})\s+(?:to|-)\s+(\d{1,2}\s+\w+\s+\d{4})/i,
+    /period\s+(?:from\s+)?(\d{1,2}\/\d{1,2}\/\d{4})\s+(?:to|-)\s+(\d{1,2}\/\d{1,2}\/\d{4})/i,
+  ];
+
+  for (const p of patterns) {
+    const match = text.match(p);
+    if (match) {
+      return {
+        from: readDate(match[1]).value,
+        to: readDate(match[2]).value,
+        rawFrom: match[1],
+        rawTo: match[2],
+      };
+    }
+  }
+
+  console.warn('[BglParser] Could not extract period dates');
+  return { from: null, to: null };
+}
+
+function isFullYear(period) {
+  if (!period?.from || !period?.to) return false;
+  const days = (new Date(period.to) - new Date(period.from)) / 86400000;
+  return days >= 363 && days <= 366;
+}
+
+/* ---------------------------------------------
+   Validation
+---------------------------------------------- */
+
+/**
+ * Validate a parsed BGL Investment Summary
+ * @param {Object} report - Parsed report data
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateBglInvestmentSummary(report) {
+  const errors = [];
+  const warnings = [...(report.columnWarnings || [])];
+
+  if (!report.assetClasses || report.assetClasses.length === 0) {
+    errors.push('Could not extract investment type totals');
+  }
+
+  if (!report.holdings || report.holdings.length === 0) {
+    warnings.push('No holdings found');
+  }
+
+  if (!report.asAtDate) {
+    warnings.push('Report date not found');
+  }
+
+  for (const name of report.unmappedInvestmentTypes || []) {
+    warnings.push(`Investment type "${name}" is not mapped to an asset class`);
+  }
+
+  warnings.push(...reconciliationWarnings(report.reconciliation));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Validate a parsed BGL Investment Performance report
+ * @param {Object} report - Parsed report data
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateBglInvestmentPerformance(report) {
+  const errors = [];
+  const warnings = [...(report.columnWarnings || [])];
+
+  if (!report.period?.from || !report.period?.to) {
+    errors.push('Could not extract report period dates');
+  }
+
+  if (report.dollarReturnAfterExpenses === null) {
+    errors.push('Could not extract total return');
+  }
+
+  if (report.startingMarketValue === null) {
+    warnings.push('Opening value not found');
+  }
+
+  if (report.endingMarketValue === null) {
+    warnings.push('Closing value not found');
+  }
+
+  if (report.periodReturn === null) {
+    warnings.push('Portfolio return % not found');
+  } else if (report.twr.oneYear === null) {
+    warnings.push('Report period is not a full year - no 1-year return');
+  }
+
+  if (report.details?.totalsSource === 'investment_types') {
+    warnings.push('Portfolio total row not found - totals summed from investment types');
+  }
+
+  warnings.push(...reconciliationWarnings(report.reconciliation));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
+
+export function reconciliationWarnings(reconciliation) {
+  return (reconciliation?.differences || []).map(diff =>
+    `${diff.investmentType} ${diff.source} (${diff.actual.toFixed(2)}) doesn't match ${diff.against} (${diff.expected.toFixed(2)})`
+  );
+}
@@ -0,0 +1,377 @@
+/**
+ * Realised Capital Gains Parser
+ * Parses a realised CGT report - one line per parcel sold in the period
+ *
+ * Extracts, per parcel:
+ * - Security (name and code)
+ * - Acquisition and disposal dates
+ * - Units, cost base and proceeds
+ * - Capital gain or loss, and whether the gain is eligible for the CGT discount
+ *
+ * and, when the report prints it, the capital losses brought forward from
+ * prior years.
+ *
+ * ASSUMPTIONS:
+ * 1. A parcel line holds two dates (acquisition and disposal, in either order)
+ *    followed by its amounts; the security is named before the dates, or on
+ *    a heading line above its parcels
+ * 2. The column header names "cost base" and "proceeds"; amount columns are
+ *    read left to right in header order, since the gain / loss columns on the
+ *    right are the ones left blank; a total row's amounts line up with the
+ *    rightmost columns instead. Without a header the order is units, cost
+ *    base, proceeds, gain
+ * 3. A "discounted" / "discountable" gain column marks the parcel as discount
+ *    eligible, an "indexed" or "other" gain column as not; otherwise a parcel
+ *    held for more than 12 months is eligible
+ * 4. Losses are reported as positive amounts, whatever their sign on the report
+ *
+ * `provenance` is keyed 'parcels.<index>', 'lossesBroughtForward' and 'period.*'.
+ */
+
+import { readDate, readAmount } from '../utils/localeParsing.js';
+import { CONFIDENCE, createDiagnostics, createProvenance, indexLines } from '../utils/provenance.js';
+
+// Parcel dates: 01/07/2020, 1-Jul-20, 01.07.2020
+const DATE_PATTERN = /\b\d{1,2}[/.-](?:\d{1,2}|[a-z]{3})[/.-](?:\d{4}|\d{2})\b/gi;
+
+// Amount cells: 1,234.56 / 1,234 / (1,234.56) / -1,234.56 / $1,234.56 / "-" for a blank column
+const AMOUNT_TOKEN = /^\(?-?\$?\d[\d,]*(?:\.\d+)?\)?-?$|^[-–]$/;
+
+// Column header labels -> parcel fields, matched in this order (longest first where they overlap)
+const COLUMN_LABELS = [
+  { key: 'accountingGain', pattern: /accounting\s+(?:profit|gain)(?:\s*\/\s*\(?loss\)?)?/i },
+  { key: 'discountedGain', pattern: /discount(?:ed|able)?(?:\s+gains?)?/i },
+  { key: 'indexedGain', pattern: /indexed(?:\s+gains?)?/i },
+  { key: 'otherGain', pattern: /other(?:\s+gains?)?/i },
+  { key: 'gain', pattern: /(?:capital\s+)?gain\s*\/\s*\(?loss\)?/i },
+  { key: 'loss', pattern: /capital\s+loss(?:es)?|\bloss(?:es)?\b/i },
+  { key: 'costBase', pattern: /(?:tax\s+)?cost\s+base|\bcost\b/i },
+  { key: 'proceeds', pattern: /(?:sale\s+|disposal\s+)?proceeds|consideration/i },
+  { key: 'units', pattern: /units|quantity|qty/i },
+  { key: 'gain', pattern: /(?:capital\s+)?gains?/i },
+];
+
+const DEFAULT_COLUMNS = ['units', 'costBase', 'proceeds', 'gain'];
+
+// Report titles and page furniture - not security headings
+const TITLE_PATTERN = /report|capital\s+gains|page\s+\d/i;
+
+// "Capital losses brought forward 1,234.56", "Prior year losses applied 1,234.56"
+const LOSSES_BROUGHT_FORWARD_PATTERN = /losses?\s+(?:brought|carried)\s+forward|prior\s+(?:year|period)\s+(?:capital\s+)?losses/i;
+
+const PERIOD_PATTERN = /(\d{1,2}(?:\/\d{1,2}\/|\s+[a-z]+\s+)\d{4})\s+(?:to|-|–)\s+(\d{1,2}(?:\/\d{1,2}\/|\s+[a-z]+\s+)\d{4})/i;
+
+// Security code in a label: "BHP Group Limited (ASX:BHP)", "BHP.AX", or a leading "BHP - BHP Group"
+const CODE_PATTERNS = [
+  /\(\s*(?:[A-Z]{2,6}\s*:\s*)?([A-Z0-9]{2,6})\s*\)/,
+  /\b([A-Z0-9]{2,6})\.(?:AX|ASX)\b/,
+  /^([A-Z0-9]{3,6})\s+[-–]\s+/,
+];
+
+// Allow $1 rounding when checking parcels against the report's totals
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Parse a realised capital gains report from extracted PDF text
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {{reportType: string, period: {from: string|null, to: string|null}, parcels: Array<Object>,
+ *   totals: Object, reportTotals: Object|null, lossesBroughtForward: number|null,
+ *   provenance: Object, diagnostics: Object}}
+ */
+export function parseCapitalGainsReport(fullText, pages) {
+  console.log('[CapitalGainsParser] Starting parse...');
+
+  const lines = indexLines(pages);
+  const { provenance, record } = createProvenance();
+  const { diagnostics, markSection, markMissing } = createDiagnostics();
+
+  const period = extractPeriod(lines, record, markMissing);
+
+  const parcels = [];
+  const parcelRefs = [];
+  let columns = null;
+  let security = null;
+  let reportTotals = null;
+  let lossesBroughtForward = null;
+
+  for (const ref of lines) {
+    const text = ref.text.trim();
+    if (!text) continue;
+
+    const header = readHeader(text);
+    if (header) {
+      columns = header;
+      continue;
+    }
+
+    if (LOSSES_BROUGHT_FORWARD_PATTERN.test(text)) {
+      const amount = readLastAmount(text);
+      if (amount !== null && lossesBroughtForward === null) {
+        lossesBroughtForward = Math.abs(amount);
+        record('lossesBroughtForward', ref, `${LOSSES_BROUGHT_FORWARD_PATTERN.source} ... amount`, CONFIDENCE.LABELLED);
+      }
+      continue;
+    }
+
+    const dates = [...text.matchAll(DATE_PATTERN)];
+
+    if (dates.length < 2) {
+      const cells = trailingCells(text);
+      if (/^(?:grand\s+)?total\b/i.test(text) && cells.values.length > 0) {
+        // The total row has no units, so its amounts line up with the rightmost columns
+        const totalColumns = columns || DEFAULT_COLUMNS;
+        reportTotals = readCells(cells.values, totalColumns.slice(Math.max(totalColumns.length - cells.values.length, 0)));
+      } else if (cells.values.length === 0 && /[a-z]/i.test(text) && !PERIOD_PATTERN.test(text) && !TITLE_PATTERN.test(text)) {
+        // Security heading above its parcels
+        security = text;
+      }
+      continue;
+    }
+
+    const parcel = readParcel(text, dates, columns || DEFAULT_COLUMNS, security);
+    if (!parcel) continue;
+
+    // A security named on the parcel line carries on to the parcels below it
+    if (text.slice(0, dates[0].index).trim()) {
+      security = parcel.security;
+    }
+    record(`parcels.${parcels.length}`, ref, columns ? 'parcel row under header' : 'parcel row, default columns',
+      columns ? CONFIDENCE.HEADER_MAPPED : CONFIDENCE.POSITIONAL);
+    parcels.push(parcel);
+    parcelRefs.push(ref);
+  }
+
+  markSection('Parcels', parcelRefs);
+  if (parcels.length === 0) markMissing('parcels', 'No line with an acquisition date, a disposal date and amounts');
+  if (!columns) markMissing('columns', 'No column header naming "cost base" and "proceeds" - amounts read as units, cost base, proceeds, gain');
+  if (lossesBroughtForward === null) markMissing('lossesBroughtForward', 'No "capital losses brought forward" line');
+
+  const result = {
+    reportType: 'capital_gains',
+    period,
+    parcels,
+    totals: sumParcels(parcels),
+    reportTotals,
+    lossesBroughtForward,
+    provenance,
+    diagnostics,
+  };
+
+  console.log('[CapitalGainsParser] Parsed result:', result);
+
+  return result;
+}
+
+/**
+ * Read the column header: the amount columns in order
+ * @returns {string[]|null} Parcel field per column, null when the line is not the header
+ */
+function readHeader(text) {
+  if (!/cost/i.test(text) || !/proceeds|consideration/i.test(text)) return null;
+  if (trailingCells(text).values.length > 0) return null;
+
+  const taken = new Array(text.length).fill(false);
+  const found = [];
+
+  for (const { key, pattern } of COLUMN_LABELS) {
+    const global = new RegExp(pattern.source, 'gi');
+    for (const match of text.matchAll(global)) {
+      const end = match.index + match[0].length;
+      if (taken.slice(match.index, end).some(Boolean)) continue;
+      taken.fill(true, match.index, end);
+      found.push({ key, start: match.index });
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start).map(column => column.key);
+}
+
+/**
+ * Read one parcel line
+ */
+function readParcel(text, dates, columns, currentSecurity) {
+  const first = readDate(dates[0][0]).value;
+  const second = readDate(dates[1][0]).value;
+  if (!first || !second) return null;
+
+  const label = text.slice(0, dates[0].index).trim();
+  const after = text.slice(dates[1].index + dates[1][0].length);
+  const cells = trailingCells(after).values;
+  if (cells.length < 2) return null;
+
+  const values = readCells(cells, columns);
+  const [acquisitionDate, disposalDate] = first <= second ? [first, second] : [second, first];
+
+  const costBase = values.costBase ?? null;
+  const proceeds = values.proceeds ?? null;
+  const accountingGain = values.accountingGain
+    ?? (costBase !== null && proceeds !== null ? round(proceeds - costBase) : values.gain ?? null);
+
+  // The report's gain columns decide the method; otherwise the holding period does
+  const reportedGain = (values.discountedGain ?? 0) + (values.indexedGain ?? 0) + (values.otherGain ?? 0);
+  const hasGainColumns = ['discountedGain', 'indexedGain', 'otherGain'].some(key => key in values);
+  let gain;
+  let loss;
+  let method;
+
+  if (hasGainColumns || 'loss' in values) {
+    gain = Math.max(reportedGain, 0);
+    loss = Math.abs(values.loss ?? Math.min(reportedGain, 0));
+    method = values.discountedGain > 0 ? 'discount'
+      : values.indexedGain > 0 ? 'indexation'
+        : values.otherGain > 0 ? 'other'
+          : heldMoreThanAYear(acquisitionDate, disposalDate) ? 'discount' : 'other';
+  } else {
+    const net = values.gain ?? accountingGain ?? 0;
+    gain = Math.max(net, 0);
+    loss = Math.abs(Math.min(net, 0));
+    method = heldMoreThanAYear(acquisitionDate, disposalDate) ? 'discount' : 'other';
+  }
+
+  const security = label || currentSecurity;
+
+  return {
+    security: security || null,
+    code: security ? extractCode(security) : null,
+    acquisitionDate,
+    disposalDate,
+    units: values.units ?? null,
+    costBase,
+    proceeds,
+    accountingGain,
+    gain: round(gain),
+    loss: round(loss),
+    method,
+    discountEligible: method === 'discount' && gain > 0,
+  };
+}
+
+/**
+ * The CGT discount needs the asset held for at least 12 months, not counting
+ * the days it was bought and sold - the disposal must fall after the first
+ * anniversary of the acquisition
+ */
+function heldMoreThanAYear(acquisitionDate, disposalDate) {
+  const [year, month, day] = acquisitionDate.split('-').map(Number);
+  const anniversary = new Date(Date.UTC(year + 1, month - 1, day)).toISOString().slice(0, 10);
+  return disposalDate > anniversary;
+}
+
+/**
+ * Amount cells at the end of a line (blank "-" cells included, to keep columns aligned)
+ */
+function trailingCells(text) {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  let start = tokens.length;
+  while (start > 0 && AMOUNT_TOKEN.test(tokens[start - 1])) start--;
+  return { label: tokens.slice(0, start).join(' '), values: tokens.slice(start) };
+}
+
+function readCells(cells, columns) {
+  const values = {};
+  cells.forEach((cell, i) => {
+    const key = columns[i];
+    if (!key) return;
+    const value = readAmount(cell).value;
+    if (value !== null) values[key] = value;
+  });
+  return values;
+}
+
+function readLastAmount(text) {
+  const cells = trailingCells(text).values;
+  return cells.length > 0 ? readAmount(cells[cells.length - 1]).value : null;
+}
+
+function extractCode(label) {
+  for (const pattern of CODE_PATTERNS) {
+    const match = label.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Parcel totals: proceeds, cost base, accounting gain, and gains by discount eligibility
+ */
+function sumParcels(parcels) {
+  const sum = (select) => round(parcels.reduce((total, parcel) => total + (select(parcel) ?? 0), 0));
+
+  return {
+    proceeds: sum(p => p.proceeds),
+    costBase: sum(p => p.costBase),
+    accountingGain: sum(p => p.accountingGain),
+    discountableGains: sum(p => (p.discountEligible ? p.gain : 0)),
+    otherGains: sum(p => (p.discountEligible ? 0 : p.gain)),
+    losses: sum(p => p.loss),
+  };
+}
+
+/**
+ * Report period: "For the period 1 July 2024 to 30 June 2025"
+ */
+function extractPeriod(lines, record, markMissing) {
+  for (const ref of lines) {
+    const match = ref.text.match(PERIOD_PATTERN);
+    if (!match) continue;
+
+    const from = readDate(match[1]);
+    const to = readDate(match[2]);
+    if (from.value && to.value) {
+      record('period.from', ref, PERIOD_PATTERN, CONFIDENCE.LABELLED);
+      record('period.to', ref, PERIOD_PATTERN, CONFIDENCE.LABELLED);
+      return { from: from.value, to: to.value };
+    }
+  }
+
+  markMissing('period.from', 'No "<date> to <date>" report period found');
+  markMissing('period.to', 'No "<date> to <date>" report period found');
+  return { from: null, to: null };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a parsed realised capital gains report
+ * @param {Object} report - Parsed report
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateCapitalGainsReport(report) {
+  const errors = [];
+  const warnings = [];
+
+  if (!report.parcels?.length) {
+    errors.push('Could not extract any disposed parcels');
+  }
+
+  if (!report.period?.from || !report.period?.to) {
+    warnings.push('Report period dates not found');
+  }
+
+  report.parcels?.forEach((parcel, i) => {
+    if (parcel.costBase === null || parcel.proceeds === null) {
+      warnings.push(`Parcel ${i + 1} (${parcel.security || 'unknown security'}): cost base or proceeds not found`);
+    }
+  });
+
+  // Parcels against the report's own total row
+  if (report.reportTotals) {
+    for (const key of ['proceeds', 'costBase']) {
+      const expected = report.reportTotals[key];
+      if (expected === undefined) continue;
+      if (Math.abs(expected - report.totals[key]) > RECONCILIATION_TOLERANCE) {
+        warnings.push(`Parcel ${key === 'costBase' ? 'cost base' : key} (${report.totals[key].toFixed(2)}) doesn't match the total row (${expected.toFixed(2)})`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
@@ -0,0 +1,343 @@
+/**
+ * Broker Contract Note Parser
+ * Parses CommSec, Bell Direct and CMC Markets contract notes (trade confirmations)
+ *
+ * Extracts, per trade:
+ * - Contract note / confirmation number
+ * - Trade and settlement dates
+ * - Security (name and ASX code) and side (buy or sell)
+ * - Quantity, price and consideration
+ * - Brokerage and the GST on it
+ * - Net amount payable (buy) or receivable (sell)
+ *
+ * The three brokers print the same fields under slightly different labels,
+ * so one set of field labels covers them; each broker profile only says how
+ * it words the buy / sell statement.
+ *
+ * ASSUMPTIONS:
+ * 1. Fields are labelled - "Settlement Date: 19/08/2024", "ASX CODE BHP" - with
+ *    the value after its label; several labelled fields may share a line
+ * 2. A line of amount labels with no values ("QUANTITY  PRICE  CONSIDERATION")
+ *    heads a row of values on the next line, in the same order
+ * 3. A PDF may hold several confirmations, one per page: a page stating a
+ *    side starts a new trade once the current one has its side, and pages
+ *    that state none continue the trade before them
+ * 4. Brokerage printed "including GST" has the GST taken out, so `brokerage`
+ *    is always ex-GST and `gst` is the tax on it
+ *
+ * `provenance` is keyed 'trades.<index>' (the side line) and 'trades.<index>.<field>'.
+ */
+
+import { readDate, readAmount } from '../utils/localeParsing.js';
+import { CONFIDENCE, createDiagnostics, createProvenance, indexLines } from '../utils/provenance.js';
+
+/**
+ * Broker profiles - how each broker states the side of the trade
+ * Keyed by the broker id used in the registered report type
+ */
+export const CONTRACT_NOTE_BROKERS = {
+  commsec: {
+    name: 'CommSec',
+    sidePattern: /we\s+have\s+(bought|sold)\b/i,
+  },
+  bell_direct: {
+    name: 'Bell Direct',
+    sidePattern: /\b(buy|sell)\s+confirmation\b/i,
+  },
+  cmc: {
+    name: 'CMC Markets',
+    sidePattern: /\b(buy|sell)\s+(?:confirmation|contract\s+note)\b|^(bought|sold)\b/i,
+  },
+};
+
+// Side stated as a labelled field, by any broker: "Transaction Type: BUY"
+const SIDE_LABEL_PATTERN = /(?:transaction|order|trade)\s+type\s*:?\s*(buy|sell|bought|sold|purchase|sale)\b|buy\s*\/\s*sell\s*:?\s*(buy|sell)\b/i;
+
+// Field labels -> trade fields, matched in this order (longest first where they overlap)
+const FIELD_LABELS = [
+  { key: 'settlementDate', pattern: /settlement\s+date/i },
+  { key: 'tradeDate', pattern: /(?:trade|transaction|as\s+at|confirmation)\s+date|\bdate\b/i },
+  { key: 'contractNoteNumber', pattern: /(?:confirmation|contract\s+note|reference)\s+(?:no\.?|number)|ref(?:erence)?\s*#/i },
+  { key: 'code', pattern: /(?:asx|security|stock)\s+code|\bcode\b/i },
+  { key: 'security', pattern: /company|security(?:\s+name)?|stock\s+name|description/i },
+  { key: 'brokerage', pattern: /brokerage(?:\s*(?:&|and)\s*costs)?(?:\s+incl(?:\.|uding)?\s+gst)?/i },
+  { key: 'gst', pattern: /(?:applicable\s+)?gst(?:\s+on\s+brokerage)?/i },
+  { key: 'netAmount', pattern: /total\s+(?:cost|net\s+proceeds|amount\s+(?:payable|receivable|due)|payable|receivable)|net\s+proceeds|net\s+amount/i },
+  { key: 'consideration', pattern: /consideration|gross\s+(?:value|amount)|trade\s+value/i },
+  { key: 'price', pattern: /(?:average\s+)?price(?:\s+per\s+(?:share|unit))?/i },
+  { key: 'quantity', pattern: /quantity|\bqty\b|\bunits\b|volume/i },
+];
+
+const DATE_FIELDS = ['tradeDate', 'settlementDate'];
+const TEXT_FIELDS = ['contractNoteNumber', 'code', 'security'];
+
+// Amount cells: 1,234.56 / 1,234 / $45.12 / 45.120000
+const AMOUNT_TOKEN = /^\(?-?\$?\d[\d,]*(?:\.\d+)?\)?$/;
+
+const DATE_PATTERN = /\b\d{1,2}[/.-](?:\d{1,2}|[a-z]{3})[/.-](?:\d{4}|\d{2})\b|\b\d{1,2}\s+[a-z]{3,9}\s+\d{4}\b/i;
+
+// Brokerage labels that say the GST is in the printed figure
+const INCLUDES_GST_PATTERN = /incl(?:\.|uding)?\s+gst/i;
+
+// Allow $1 rounding when checking consideration and net amount
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Create the parser for one broker's contract notes
+ *
+ * @param {string} brokerId - Key of CONTRACT_NOTE_BROKERS
+ * @returns {(fullText: string, pages: Array) => {reportType: string, broker: string, trades: Array<Object>,
+ *   provenance: Object, diagnostics: Object}}
+ */
+export function createContractNoteParser(brokerId) {
+  const broker = CONTRACT_NOTE_BROKERS[brokerId];
+  if (!broker) {
+    throw new Error(`Unknown contract note broker: ${brokerId}`);
+  }
+
+  const reportType = `${brokerId}_contract_note`;
+
+  return function parseContractNote(fullText, pages) {
+    console.log(`[ContractNoteParser] Parsing ${broker.name} contract note`);
+
+    const { provenance, record } = createProvenance();
+    const { diagnostics, markSection, markMissing } = createDiagnostics();
+
+    const trades = splitTrades(pages, broker).map((block, index) => {
+      const trade = readTrade(block, index, broker, record);
+      markSection(`Trade ${index + 1}`, block.lines);
+      for (const field of ['tradeDate', 'settlementDate', 'code', 'side', 'quantity', 'price', 'brokerage']) {
+        if (trade[field] === null) markMissing(`trades.${index}.${field}`, `No labelled ${field} on the confirmation`);
+      }
+      return trade;
+    });
+
+    if (trades.length === 0) markMissing('trades', 'No page with a labelled trade date or side');
+
+    const result = {
+      reportType,
+      broker: broker.name,
+      trades,
+      provenance,
+      diagnostics,
+    };
+
+    console.log('[ContractNoteParser] Parsed result:', result);
+
+    return result;
+  };
+}
+
+/**
+ * Group pages into one block of lines per confirmation
+ */
+function splitTrades(pages, broker) {
+  const blocks = [];
+  let current = null;
+
+  for (const page of pages) {
+    const lines = indexLines([page]);
+    const sideRef = lines.find(ref => readSide(ref.text, broker));
+
+    if (!current || (sideRef && current.sideRef)) {
+      current = { lines: [], sideRef: null };
+      blocks.push(current);
+    }
+    current.lines.push(...lines);
+    current.sideRef = current.sideRef ?? sideRef ?? null;
+  }
+
+  // A block with neither a side nor a trade date is page furniture, not a trade
+  return blocks.filter(block => block.sideRef || block.lines.some(ref => /\bdate\b/i.test(ref.text)));
+}
+
+/**
+ * Read one confirmation's fields
+ */
+function readTrade(block, index, broker, record) {
+  const values = {};
+  let brokerageIncludesGst = false;
+  let pendingColumns = null;
+
+  for (const ref of block.lines) {
+    const text = ref.text.trim();
+    if (!text) continue;
+
+    // Values row under a line of amount labels
+    if (pendingColumns) {
+      const cells = text.split(/\s+/).filter(cell => AMOUNT_TOKEN.test(cell));
+      if (cells.length > 0) {
+        pendingColumns.forEach((key, i) => {
+          const value = cells[i] !== undefined ? readAmount(cells[i]).value : null;
+          if (value === null || values[key] !== undefined) return;
+          values[key] = value;
+          record(`trades.${index}.${key}`, ref, 'value row under labels', CONFIDENCE.HEADER_MAPPED);
+        });
+        pendingColumns = null;
+        continue;
+      }
+    }
+
+    const labels = findLabels(text);
+    const empty = [];
+
+    labels.forEach((label, i) => {
+      const valueText = text.slice(label.end, labels[i + 1]?.start ?? text.length).replace(/^[\s:.#-]+/, '').trim();
+      const value = readField(label.key, valueText);
+      if (value === null) {
+        empty.push(label.key);
+        return;
+      }
+      if (values[label.key] !== undefined) return;
+      values[label.key] = value;
+      if (label.key === 'brokerage') brokerageIncludesGst = INCLUDES_GST_PATTERN.test(label.text);
+      record(`trades.${index}.${label.key}`, ref, `${label.text} ... value`, CONFIDENCE.LABELLED);
+    });
+
+    const amountColumns = empty.filter(key => !DATE_FIELDS.includes(key) && !TEXT_FIELDS.includes(key));
+    if (amountColumns.length >= 2 && amountColumns.length === labels.length) pendingColumns = amountColumns;
+  }
+
+  const side = block.sideRef ? readSide(block.sideRef.text, broker) : null;
+  if (block.sideRef) record(`trades.${index}`, block.sideRef, broker.sidePattern, CONFIDENCE.LABELLED);
+
+  const quantity = values.quantity ?? null;
+  let price = values.price ?? null;
+  let consideration = values.consideration ?? null;
+  if (consideration === null && quantity !== null && price !== null) {
+    consideration = round(quantity * price);
+    record(`trades.${index}.consideration`, block.sideRef ?? block.lines[0], 'quantity x price', CONFIDENCE.DERIVED);
+  }
+  if (price === null && quantity > 0 && consideration !== null) {
+    price = consideration / quantity;
+    record(`trades.${index}.price`, block.sideRef ?? block.lines[0], 'consideration / quantity', CONFIDENCE.DERIVED);
+  }
+
+  const gst = values.gst ?? null;
+  const brokerage = values.brokerage !== undefined
+    ? round(brokerageIncludesGst && gst !== null ? values.brokerage - gst : values.brokerage)
+    : null;
+
+  const costs = (brokerage ?? 0) + (gst ?? 0);
+  const netAmount = values.netAmount
+    ?? (consideration !== null && side ? round(side === 'buy' ? consideration + costs : consideration - costs) : null);
+
+  return {
+    contractNoteNumber: values.contractNoteNumber ?? null,
+    tradeDate: values.tradeDate ?? null,
+    settlementDate: values.settlementDate ?? null,
+    security: values.security ?? null,
+    code: values.code ?? null,
+    side,
+    quantity,
+    price,
+    consideration,
+    brokerage,
+    gst,
+    netAmount,
+  };
+}
+
+/**
+ * Field labels on a line, in line order
+ * @returns {Array<{key: string, text: string, start: number, end: number}>}
+ */
+function findLabels(text) {
+  const taken = new Array(text.length).fill(false);
+  const found = [];
+
+  for (const { key, pattern } of FIELD_LABELS) {
+    const global = new RegExp(pattern.source, 'gi');
+    for (const match of text.matchAll(global)) {
+      const end = match.index + match[0].length;
+      if (taken.slice(match.index, end).some(Boolean)) continue;
+      taken.fill(true, match.index, end);
+      found.push({ key, text: match[0], start: match.index, end });
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Read the value after a label
+ * @returns {string|number|null}
+ */
+function readField(key, valueText) {
+  if (!valueText) return null;
+
+  if (DATE_FIELDS.includes(key)) {
+    const match = valueText.match(DATE_PATTERN);
+    return match ? readDate(match[0]).value : null;
+  }
+
+  if (key === 'code' || key === 'contractNoteNumber') {
+    const token = valueText.split(/\s+/)[0];
+    return /^[A-Z0-9][A-Z0-9.-]*$/i.test(token) ? token.toUpperCase() : null;
+  }
+
+  if (key === 'security') {
+    return /[a-z]/i.test(valueText) && !AMOUNT_TOKEN.test(valueText) ? valueText : null;
+  }
+
+  const token = valueText.split(/\s+/).find(cell => AMOUNT_TOKEN.test(cell));
+  return token ? readAmount(token).value : null;
+}
+
+/**
+ * Side of the trade stated on a line - the broker's own wording, else a labelled field
+ * @returns {'buy'|'sell'|null}
+ */
+function readSide(text, broker) {
+  const match = text.match(broker.sidePattern) ?? text.match(SIDE_LABEL_PATTERN);
+  const word = match?.slice(1).find(Boolean);
+  if (!word) return null;
+  return /^(?:buy|bought|purchase)$/i.test(word) ? 'buy' : 'sell';
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a parsed contract note
+ * @param {Object} report - Parsed contract note
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateContractNote(report) {
+  const errors = [];
+  const warnings = [];
+
+  if (!report.trades?.length) {
+    errors.push('Could not extract any trades');
+  }
+
+  report.trades?.forEach((trade, i) => {
+    const label = `Trade ${i + 1}${trade.code ? ` (${trade.code})` : ''}`;
+
+    if (!trade.side) errors.push(`${label}: could not tell whether it is a buy or a sell`);
+    if (trade.quantity === null) errors.push(`${label}: quantity not found`);
+    if (!trade.tradeDate) errors.push(`${label}: trade date not found`);
+    if (!trade.code && !trade.security) warnings.push(`${label}: security not found`);
+    if (!trade.settlementDate) warnings.push(`${label}: settlement date not found`);
+
+    if (trade.quantity !== null && trade.price !== null && trade.consideration !== null &&
+        Math.abs(trade.quantity * trade.price - trade.consideration) > RECONCILIATION_TOLERANCE) {
+      warnings.push(`${label}: quantity x price (${(trade.quantity * trade.price).toFixed(2)}) doesn't match the consideration (${trade.consideration.toFixed(2)})`);
+    }
+
+    if (trade.netAmount !== null && trade.consideration !== null && trade.side) {
+      const costs = (trade.brokerage ?? 0) + (trade.gst ?? 0);
+      const expected = trade.side === 'buy' ? trade.consideration + costs : trade.consideration - costs;
+      if (Math.abs(expected - trade.netAmount) > RECONCILIATION_TOLERANCE) {
+        warnings.push(`${label}: net amount (${trade.netAmount.toFixed(2)}) differs from consideration, brokerage and GST (${expected.toFixed(2)}) - other fees may apply`);
+      }
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
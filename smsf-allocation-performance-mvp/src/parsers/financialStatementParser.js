@@ -0,0 +1,435 @@
+/**
+ * SMSF Financial Statement Parsers
+ * Parses the fund's annual financial statements (BGL, Class and most
+ * accountants' packs print them the same way):
+ * - Operating Statement                 -> operatingStatement slot
+ * - Statement of Financial Position     -> financialPosition slot
+ *
+ * Both are combined into fund.financials by createFundModel.
+ *
+ * Every line of a statement is a label followed by its amounts, most often a
+ * current-year and a prior-year column. Labels are mapped to categories
+ * (dividends, audit fees, ...) with first-match-wins pattern lists; lines
+ * that match no category count towards "other" in their section.
+ *
+ * ASSUMPTIONS:
+ * 1. The current year is the first amount column; a one- or two-digit number
+ *    before the amounts is a note reference, not an amount
+ * 2. Sections start at a heading line without amounts ("Income", "Expenses",
+ *    "Assets", "Liabilities"); totals end them
+ * 3. Sub-total lines ("Total Investment Income") are skipped - their items are
+ *    counted individually - apart from the statement totals we read
+ * 4. Amounts may be whole dollars; negatives in parentheses or with a minus sign
+ * 5. Income tax is printed as an expense (positive), a tax benefit negative
+ *
+ * `provenance` is keyed by output path, e.g. 'expenses.auditFees'.
+ */
+
+import { readDate, readAmount } from '../utils/localeParsing.js';
+import { CONFIDENCE, createDiagnostics, createProvenance, indexLines } from '../utils/provenance.js';
+
+/* ---------------------------------------------
+   Categories
+---------------------------------------------- */
+
+// Operating statement income lines -> category, first match wins
+const INCOME_CATEGORIES = [
+  { key: 'contributions', pattern: /contribution|rollovers?\s+in|transfers?\s+in/i },
+  { key: 'marketValueChanges', pattern: /market\s+values?|unrealised|realised|revaluation|(?:gain|loss)\s+on\s+(?:sale|disposal)/i },
+  { key: 'trustDistributions', pattern: /distribution/i },
+  { key: 'dividends', pattern: /dividend|franking/i },
+  { key: 'interest', pattern: /interest/i },
+  { key: 'rent', pattern: /rent/i },
+];
+
+// Operating statement expense lines -> category, first match wins
+const EXPENSE_CATEGORIES = [
+  { key: 'memberPayments', pattern: /pension|benefits?\s+paid|lump\s+sum|rollovers?\s+out|transfers?\s+out|member\s+payments?/i },
+  { key: 'atoLevy', pattern: /supervisory\s+levy|ato\s+levy|sis\s+levy/i },
+  { key: 'auditFees', pattern: /audit/i },
+  { key: 'accountingFees', pattern: /account(?:ancy|ing)|tax\s+agent|administration|admin\s+fee/i },
+  { key: 'investmentFees', pattern: /investment\s+(?:expenses|fees|management)|management\s+fees?|advis[eo]r|brokerage|platform|wrap\s+fee/i },
+  { key: 'insurance', pattern: /insurance|premium/i },
+];
+
+// Statement of financial position asset lines that are cash
+const CASH_PATTERN = /cash|bank|deposit/i;
+
+// Operating statement totals, read wherever they appear
+const OPERATING_TOTALS = [
+  { key: 'totalIncome', pattern: /^total\s+(?:income|revenue)/i },
+  { key: 'totalExpenses', pattern: /^total\s+expenses?/i },
+  { key: 'incomeTax', pattern: /^income\s+tax(?:\s+(?:expense|benefit))?(?:\s*\/\s*\(?benefit\)?)?$|^tax\s+expense/i },
+  { key: 'profitBeforeTax', pattern: /before\s+income\s+tax|operating\s+result\s+before\s+tax/i },
+  { key: 'netResult', pattern: /benefits\s+accrued|operating\s+result|net\s+(?:profit|surplus|income\s+after\s+tax)/i },
+];
+
+// Statement of financial position totals
+const POSITION_TOTALS = [
+  { key: 'totalAssets', pattern: /^total\s+assets/i },
+  { key: 'totalLiabilities', pattern: /^total\s+liabilities/i },
+  { key: 'netAssets', pattern: /^net\s+assets/i },
+  { key: 'memberBenefits', pattern: /^total\s+(?:liability\s+for\s+)?accrued\s+benefits|^liability\s+for\s+accrued\s+benefits|^total\s+member\s+(?:benefits|entitlements)/i },
+];
+
+const INCOME_HEADING = /^(?:income|revenue)$/i;
+const EXPENSE_HEADING = /^(?:less\s+)?expenses?$/i;
+const ASSET_HEADING = /^assets$|^investments$|^other\s+assets$/i;
+const LIABILITY_HEADING = /^liabilities$/i;
+// "Represented by: Liability for accrued benefits" - member balances, not fund liabilities
+const MEMBER_HEADING = /^represented\s+by|^(?:liability\s+for\s+)?accrued\s+benefits|^member\s+(?:benefits|entitlements)$/i;
+
+// Amount cells: 1,234.56 / 1,234 / (1,234) / -1,234 / $1,234 / 1,234 CR / "-" for nil
+const AMOUNT_TOKEN = /^\(?-?\$?\d[\d,]*(?:\.\d+)?\)?-?$|^(?:CR|DR)$|^[-–]$/i;
+// A column header of years: "2025 2024", "$ $"
+const HEADER_TOKEN = /^(?:19|20)\d{2}$|^\$$/;
+
+const AS_AT_PATTERN = /(?:as\s+at|year\s+ended|period\s+ended|ending)\s+(\d{1,2}(?:\/\d{1,2}\/|\s+[a-z]+\s+)\d{4})/i;
+
+// Allow $1 rounding when checking totals
+const RECONCILIATION_TOLERANCE = 1;
+
+/* ---------------------------------------------
+   Operating Statement
+---------------------------------------------- */
+
+/**
+ * Parse an Operating Statement (income statement) from extracted PDF text
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {{reportType: string, periodEnd: string|null, income: Object, expenses: Object,
+ *   totalIncome: number|null, totalExpenses: number|null, incomeTax: number|null, netResult: number|null,
+ *   lines: Array<Object>, provenance: Object, diagnostics: Object}}
+ */
+export function parseOperatingStatement(fullText, pages) {
+  console.log('[FinancialStatementParser] Parsing Operating Statement');
+
+  const lines = indexLines(pages);
+  const { provenance, record } = createProvenance();
+  const { diagnostics, markSection, markMissing } = createDiagnostics();
+
+  const periodEnd = extractStatementDate(lines, record, markMissing, 'periodEnd');
+
+  const income = emptyCategories(INCOME_CATEGORIES);
+  const expenses = emptyCategories(EXPENSE_CATEGORIES);
+  const totals = { totalIncome: null, totalExpenses: null, incomeTax: null, profitBeforeTax: null, netResult: null };
+  const items = [];
+  const sectionRefs = { income: [], expenses: [] };
+  let section = null;
+
+  for (const ref of lines) {
+    const row = readStatementLine(ref.text);
+    if (!row) continue;
+
+    if (row.amount === undefined) {
+      if (INCOME_HEADING.test(row.label)) section = 'income';
+      else if (EXPENSE_HEADING.test(row.label)) section = 'expenses';
+      continue;
+    }
+
+    const total = OPERATING_TOTALS.find(t => t.pattern.test(row.label));
+    if (total) {
+      if (totals[total.key] === null && row.amount !== null) {
+        totals[total.key] = total.key === 'totalExpenses' ? Math.abs(row.amount) : row.amount;
+        record(total.key, ref, `${total.pattern.source} ... amount`, CONFIDENCE.LABELLED);
+      }
+      // Income and expenses end at their totals
+      if (total.key === 'totalIncome' || total.key === 'totalExpenses') section = null;
+      continue;
+    }
+
+    if (!section || /^total\b|^sub-?total/i.test(row.label) || row.amount === null) continue;
+
+    const categories = section === 'income' ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+    const target = section === 'income' ? income : expenses;
+    const match = categories.find(c => c.pattern.test(row.label));
+    const key = match?.key ?? 'other';
+
+    // Expenses are printed as positive amounts, or negative under a "Less" heading
+    const amount = section === 'expenses' ? Math.abs(row.amount) : row.amount;
+    target[key] = round((target[key] ?? 0) + amount);
+    if (!provenance[`${section}.${key}`]) {
+      record(`${section}.${key}`, ref, match ? `${match.pattern.source} ... amount` : `${section} line ... amount`,
+        match ? CONFIDENCE.LABELLED : CONFIDENCE.POSITIONAL);
+    }
+    items.push({ section, label: row.label, category: key, amount });
+    sectionRefs[section].push(ref);
+  }
+
+  markSection('Income', sectionRefs.income);
+  markSection('Expenses', sectionRefs.expenses);
+  if (sectionRefs.income.length === 0) markMissing('income', 'No "Income" heading followed by income lines');
+  if (sectionRefs.expenses.length === 0) markMissing('expenses', 'No "Expenses" heading followed by expense lines');
+
+  // Statements that print no totals - sum the lines
+  if (totals.totalIncome === null && sectionRefs.income.length > 0) {
+    totals.totalIncome = sumCategories(income);
+    record('totalIncome', null, 'sum of income lines', CONFIDENCE.DERIVED);
+  }
+  if (totals.totalExpenses === null && sectionRefs.expenses.length > 0) {
+    totals.totalExpenses = sumCategories(expenses);
+    record('totalExpenses', null, 'sum of expense lines', CONFIDENCE.DERIVED);
+  }
+  for (const key of ['totalIncome', 'totalExpenses', 'incomeTax', 'netResult']) {
+    if (totals[key] === null) markMissing(key, `No line labelled for ${describeField(key)}`);
+  }
+
+  const result = {
+    reportType: 'operating_statement',
+    periodEnd,
+    income,
+    expenses,
+    ...totals,
+    lines: items,
+    provenance,
+    diagnostics,
+  };
+
+  console.log('[FinancialStatementParser] Operating Statement:', result);
+
+  return result;
+}
+
+/**
+ * Validate a parsed Operating Statement
+ * @param {Object} report - Parsed operating statement
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateOperatingStatement(report) {
+  const errors = [];
+  const warnings = [];
+
+  if (report.totalIncome === null && report.totalExpenses === null) {
+    errors.push('Could not extract income or expenses');
+  }
+  if (!report.periodEnd) {
+    warnings.push('Could not find the year end date');
+  }
+
+  // Income - expenses - tax = the benefits accrued from operations
+  if (report.totalIncome !== null && report.totalExpenses !== null && report.netResult !== null) {
+    const result = report.totalIncome - report.totalExpenses - (report.incomeTax ?? 0);
+    if (Math.abs(result - report.netResult) > RECONCILIATION_TOLERANCE) {
+      warnings.push(`Income less expenses and tax (${result.toFixed(2)}) doesn't match the operating result (${report.netResult.toFixed(2)})`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
+
+/* ---------------------------------------------
+   Statement of Financial Position
+---------------------------------------------- */
+
+/**
+ * Parse a Statement of Financial Position (balance sheet) from extracted PDF text
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {{reportType: string, asAtDate: string|null, assets: Array<{label: string, amount: number}>,
+ *   liabilities: Array<{label: string, amount: number}>, cash: number|null, totalAssets: number|null,
+ *   totalLiabilities: number|null, netAssets: number|null, memberBenefits: number|null,
+ *   provenance: Object, diagnostics: Object}}
+ */
+export function parseFinancialPosition(fullText, pages) {
+  console.log('[FinancialStatementParser] Parsing Statement of Financial Position');
+
+  const lines = indexLines(pages);
+  const { provenance, record } = createProvenance();
+  const { diagnostics, markSection, markMissing } = createDiagnostics();
+
+  const asAtDate = extractStatementDate(lines, record, markMissing, 'asAtDate');
+
+  const totals = { totalAssets: null, totalLiabilities: null, netAssets: null, memberBenefits: null };
+  const assets = [];
+  const liabilities = [];
+  const sectionRefs = { assets: [], liabilities: [] };
+  let section = null;
+
+  for (const ref of lines) {
+    const row = readStatementLine(ref.text);
+    if (!row) continue;
+
+    if (row.amount === undefined) {
+      if (ASSET_HEADING.test(row.label)) section = 'assets';
+      else if (LIABILITY_HEADING.test(row.label)) section = 'liabilities';
+      else if (MEMBER_HEADING.test(row.label)) section = null;
+      continue;
+    }
+
+    const total = POSITION_TOTALS.find(t => t.pattern.test(row.label));
+    if (total) {
+      if (totals[total.key] === null && row.amount !== null) {
+        totals[total.key] = row.amount;
+        record(total.key, ref, `${total.pattern.source} ... amount`, CONFIDENCE.LABELLED);
+      }
+      section = null;
+      continue;
+    }
+
+    if (!section || /^total\b|^sub-?total/i.test(row.label) || row.amount === null) continue;
+
+    const target = section === 'assets' ? assets : liabilities;
+    record(`${section}.${target.length}`, ref, `${section} line ... amount`, CONFIDENCE.POSITIONAL);
+    target.push({ label: row.label, amount: row.amount });
+    sectionRefs[section].push(ref);
+  }
+
+  markSection('Assets', sectionRefs.assets);
+  markSection('Liabilities', sectionRefs.liabilities);
+  if (assets.length === 0) markMissing('assets', 'No "Assets" or "Investments" heading followed by asset lines');
+
+  if (totals.totalAssets === null && assets.length > 0) {
+    totals.totalAssets = round(assets.reduce((sum, line) => sum + line.amount, 0));
+    record('totalAssets', null, 'sum of asset lines', CONFIDENCE.DERIVED);
+  }
+  if (totals.totalLiabilities === null) {
+    totals.totalLiabilities = round(liabilities.reduce((sum, line) => sum + line.amount, 0));
+    record('totalLiabilities', null, 'sum of liability lines', CONFIDENCE.DERIVED);
+  }
+  if (totals.netAssets === null && totals.totalAssets !== null) {
+    totals.netAssets = round(totals.totalAssets - totals.totalLiabilities);
+    record('netAssets', null, 'total assets - total liabilities', CONFIDENCE.DERIVED);
+  }
+  for (const key of ['totalAssets', 'netAssets', 'memberBenefits']) {
+    if (totals[key] === null) markMissing(key, `No line labelled for ${describeField(key)}`);
+  }
+
+  const cashLines = assets.filter(line => CASH_PATTERN.test(line.label));
+  const cash = cashLines.length > 0 ? round(cashLines.reduce((sum, line) => sum + line.amount, 0)) : null;
+
+  const result = {
+    reportType: 'financial_position',
+    asAtDate,
+    assets,
+    liabilities,
+    cash,
+    ...totals,
+    provenance,
+    diagnostics,
+  };
+
+  console.log('[FinancialStatementParser] Statement of Financial Position:', result);
+
+  return result;
+}
+
+/**
+ * Validate a parsed Statement of Financial Position
+ * @param {Object} report - Parsed statement of financial position
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateFinancialPosition(report) {
+  const errors = [];
+  const warnings = [];
+
+  if (report.netAssets === null) {
+    errors.push('Could not extract net assets');
+  }
+  if (!report.asAtDate) {
+    warnings.push('Could not find the balance date');
+  }
+
+  if (report.totalAssets !== null && report.netAssets !== null) {
+    const net = report.totalAssets - (report.totalLiabilities ?? 0);
+    if (Math.abs(net - report.netAssets) > RECONCILIATION_TOLERANCE) {
+      warnings.push(`Total assets less liabilities (${net.toFixed(2)}) doesn't match net assets (${report.netAssets.toFixed(2)})`);
+    }
+  }
+  // Net assets are what the fund owes its members
+  if (report.netAssets !== null && report.memberBenefits !== null
+      && Math.abs(report.netAssets - report.memberBenefits) > RECONCILIATION_TOLERANCE) {
+    warnings.push(`Net assets (${report.netAssets.toFixed(2)}) don't match the liability for accrued member benefits (${report.memberBenefits.toFixed(2)})`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
+
+/* ---------------------------------------------
+   Shared
+---------------------------------------------- */
+
+/**
+ * Split a statement line into its label and current-year amount
+ * @returns {{label: string, amount: number|null|undefined}|null}
+ *   amount is undefined for lines without amounts (headings), null for a nil "-"
+ *   cell; null for year header and blank lines
+ */
+function readStatementLine(text) {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0 || tokens.every(token => HEADER_TOKEN.test(token))) return null;
+
+  // Amount tokens run from the end of the line back to the label
+  let start = tokens.length;
+  while (start > 0 && AMOUNT_TOKEN.test(tokens[start - 1])) start--;
+  // Numbers without a label - page numbers, wrapped columns
+  if (start === 0) return null;
+
+  const label = tokens.slice(0, start).join(' ').replace(/[:.]+$/, '').trim();
+  const cells = mergeCreditDebit(tokens.slice(start));
+  if (cells.length === 0) return { label, amount: undefined };
+
+  // A note reference before the amounts: "Dividends received 7 12,345 10,200"
+  if (cells.length > 1 && /^\d{1,2}$/.test(cells[0])) cells.shift();
+
+  return { label, amount: readAmount(cells[0]).value };
+}
+
+/**
+ * Join "1,234.00 CR" split into two tokens back into one cell
+ */
+function mergeCreditDebit(tokens) {
+  const cells = [];
+  for (const token of tokens) {
+    if (/^(?:CR|DR)$/i.test(token) && cells.length > 0) {
+      cells[cells.length - 1] += ` ${token}`;
+    } else if (!/^(?:CR|DR)$/i.test(token)) {
+      cells.push(token);
+    }
+  }
+  return cells;
+}
+
+/**
+ * Statement date: "For the year ended 30 June 2025", "As at 30 June 2025"
+ */
+function extractStatementDate(lines, record, markMissing, field) {
+  for (const ref of lines) {
+    const match = ref.text.match(AS_AT_PATTERN);
+    if (!match) continue;
+
+    const date = readDate(match[1]);
+    if (date.value) {
+      record(field, ref, AS_AT_PATTERN, CONFIDENCE.LABELLED);
+      return date.value;
+    }
+  }
+
+  markMissing(field, 'No "as at" or "year ended" date found');
+  return null;
+}
+
+function emptyCategories(categories) {
+  return Object.fromEntries([...categories.map(c => [c.key, null]), ['other', null]]);
+}
+
+function sumCategories(categories) {
+  return round(Object.values(categories).reduce((sum, value) => sum + (value ?? 0), 0));
+}
+
+function describeField(field) {
+  return field.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,216 @@
+/**
+ * Investment Income Report Parser
+ * Parses the BGL Simple Fund 360 "Investment Income" report into the
+ * investmentIncome slot - income, franking and foreign tax credits per holding
+ *
+ * The report uses the same investment table as the other BGL reports, so the
+ * table walk, totals and reconciliation come from bglReportParser.js; only the
+ * column labels and the income fields are specific to this report.
+ *
+ * Income is the cash received; franking credits and foreign tax credits are
+ * reported separately and added back for the grossed-up figure. BGL's printed
+ * "Income" / "Total Income" column may already include the credits, so it is
+ * checked against the cash columns before they are added (see readTotalIncome).
+ *
+ * ASSUMPTIONS:
+ * 1. The table header starts with "Investment" and names every income column
+ * 2. Dividends are the dividends column, else franked + unfranked
+ */
+
+import {
+  extractPeriod,
+  reconcileTotals,
+  reconciliationWarnings,
+  scanInvestmentTable,
+  sumTypeTotals,
+} from './bglReportParser.js';
+
+// Header labels -> column keys
+const INCOME_COLUMN_LABELS = {
+  'income': 'totalIncome',
+  'total income': 'totalIncome',
+  'dividends': 'dividends',
+  'franked': 'franked',
+  'franked dividends': 'franked',
+  'franked amount': 'franked',
+  'unfranked': 'unfranked',
+  'unfranked dividends': 'unfranked',
+  'unfranked amount': 'unfranked',
+  'distributions': 'distributions',
+  'trust distributions': 'distributions',
+  'interest': 'interest',
+  'other income': 'otherIncome',
+  'foreign income': 'foreignIncome',
+  'franking credits': 'frankingCredits',
+  'imputation credits': 'frankingCredits',
+  'foreign credits': 'foreignTaxCredits',
+  'foreign tax credits': 'foreignTaxCredits',
+  'foreign tax paid': 'foreignTaxCredits',
+  'capital gains': 'capitalGains',
+  'assessable income': 'assessableIncome',
+};
+
+// Income columns that are cash received (credits are not, assessable income double counts)
+const CASH_INCOME_COLUMNS = ['dividends', 'distributions', 'interest', 'otherIncome', 'foreignIncome', 'capitalGains'];
+
+// Allow $1 rounding tolerance when matching a printed total to its columns
+const TOTAL_TOLERANCE = 1;
+
+/**
+ * Parse an Investment Income report
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {Object} Parsed report data - holdings, investment types and totals,
+ *   each with the fields of incomeFields()
+ */
+export function parseInvestmentIncome(fullText, pages) {
+  console.log('[InvestmentIncomeParser] Parsing Investment Income');
+
+  const period = extractPeriod(fullText);
+  const table = scanInvestmentTable(pages, INCOME_COLUMN_LABELS);
+
+  const totals = table.grandTotal || sumTypeTotals(table.investmentTypes);
+
+  const result = {
+    reportType: 'investment_income',
+    period,
+    holdings: table.holdings.map(row => ({
+      code: row.code,
+      name: row.name,
+      assetClass: row.assetClass,
+      investmentType: row.investmentType,
+      ...incomeFields(row.values),
+    })),
+    investmentTypes: table.investmentTypes.map(type => ({
+      name: type.name,
+      assetClass: type.assetClass,
+      ...incomeFields(type.subtotal || sumTypeTotals([type])),
+    })),
+    totals: incomeFields(totals),
+    reconciliation: reconcileTotals(table, table.columns.includes('totalIncome') ? 'totalIncome' : table.columns[0]),
+    columns: table.columns,
+    unmappedInvestmentTypes: table.unmappedInvestmentTypes,
+    columnWarnings: table.columnWarnings,
+    details: {
+      totalsSource: table.grandTotal ? 'total_row' : 'investment_types',
+    },
+  };
+
+  console.log('[InvestmentIncomeParser] Parsed result:', result);
+
+  return result;
+}
+
+/**
+ * Income columns of a row, with the derived dividends, total and grossed-up income
+ * grossedUpIncome is null when the printed total could not be checked for
+ * credits (totalIncomeSource 'printed_unverified') and the row has credits.
+ */
+function incomeFields(values) {
+  const dividends = values.dividends
+    ?? (values.franked != null || values.unfranked != null ? (values.franked ?? 0) + (values.unfranked ?? 0) : null);
+  const cash = { ...values, dividends };
+  const components = CASH_INCOME_COLUMNS.filter(key => cash[key] != null);
+  const cashTotal = components.length > 0 ? components.reduce((sum, key) => sum + cash[key], 0) : null;
+
+  const frankingCredits = values.frankingCredits ?? null;
+  const foreignTaxCredits = values.foreignTaxCredits ?? null;
+  const credits = (frankingCredits ?? 0) + (foreignTaxCredits ?? 0);
+
+  const { totalIncome, source } = readTotalIncome(values.totalIncome ?? null, cashTotal, credits);
+  let grossedUpIncome = null;
+  if (totalIncome !== null && (source !== 'printed_unverified' || credits === 0)) {
+    grossedUpIncome = totalIncome + credits;
+  }
+
+  return {
+    dividends,
+    frankedDividends: values.franked ?? null,
+    unfrankedDividends: values.unfranked ?? null,
+    distributions: values.distributions ?? null,
+    interest: values.interest ?? null,
+    otherIncome: values.otherIncome ?? null,
+    foreignIncome: values.foreignIncome ?? null,
+    capitalGains: values.capitalGains ?? null,
+    frankingCredits,
+    foreignTaxCredits,
+    totalIncome,
+    totalIncomeSource: source,
+    grossedUpIncome,
+    assessableIncome: values.assessableIncome ?? null,
+  };
+}
+
+/**
+ * Cash income of a row, checking a printed total against the cash columns
+ *
+ * - 'components'         - no printed total, the cash columns summed
+ * - 'printed'            - the printed total matches the cash columns
+ * - 'printed_grossed_up' - the printed total matches the cash columns plus
+ *                          credits; the credits are taken back out
+ * - 'printed_unverified' - no cash columns to check against, or neither sum
+ *                          matches; the printed total is kept as is
+ *
+ * @returns {{totalIncome: number|null, source: string}}
+ */
+function readTotalIncome(printed, cashTotal, credits) {
+  if (printed === null) return { totalIncome: cashTotal, source: 'components' };
+  if (cashTotal === null) return { totalIncome: printed, source: 'printed_unverified' };
+
+  if (Math.abs(printed - cashTotal) <= TOTAL_TOLERANCE) {
+    return { totalIncome: printed, source: 'printed' };
+  }
+  if (credits !== 0 && Math.abs(printed - (cashTotal + credits)) <= TOTAL_TOLERANCE) {
+    return { totalIncome: printed - credits, source: 'printed_grossed_up' };
+  }
+  return { totalIncome: printed, source: 'printed_unverified' };
+}
+
+/**
+ * Validate a parsed Investment Income report
+ * @param {Object} report - Parsed report data
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateInvestmentIncome(report) {
+  const errors = [];
+  const warnings = [...(report.columnWarnings || [])];
+
+  if (report.totals?.totalIncome === null || report.totals?.totalIncome === undefined) {
+    errors.push('Could not extract investment income');
+  }
+
+  if (!report.holdings || report.holdings.length === 0) {
+    warnings.push('No holdings found');
+  }
+
+  if (!report.period?.from || !report.period?.to) {
+    warnings.push('Report period dates not found');
+  }
+
+  if (!report.columns?.includes('frankingCredits')) {
+    warnings.push('Franking credits column not found - grossed-up income equals cash income');
+  }
+
+  if (report.totals?.totalIncomeSource === 'printed_grossed_up') {
+    warnings.push('Printed total income includes franking and foreign tax credits - credits taken out for cash income');
+  } else if (report.totals?.totalIncomeSource === 'printed_unverified' && report.totals.grossedUpIncome === null) {
+    warnings.push('Printed total income could not be checked against the income columns - grossed-up income left blank');
+  }
+
+  for (const name of report.unmappedInvestmentTypes || []) {
+    warnings.push(`Investment type "${name}" is not mapped to an asset class`);
+  }
+
+  if (report.details?.totalsSource === 'investment_types') {
+    warnings.push('Total row not found - totals summed from investment types');
+  }
+
+  warnings.push(...reconciliationWarnings(report.reconciliation));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
@@ -0,0 +1,378 @@
+/**
+ * Member Statement Parser
+ * Parses SMSF member benefit statements - one or several members per PDF
+ *
+ * Extracts, per member:
+ * - Name
+ * - Opening balance, contributions, pension payments, earnings allocation,
+ *   closing balance
+ * - Tax-free and taxable components
+ * - The balance in accumulation and in retirement phase
+ *
+ * ASSUMPTIONS:
+ * 1. Each member's section starts with a "Member: <name>", "Member name <name>"
+ *    or "Member Statement - <name>" line; a PDF without one is a single member
+ * 2. A member with several accounts has a heading line per account naming its
+ *    phase ("Accumulation Account", "Account Based Pension", "Retirement Phase");
+ *    transition to retirement pensions are in accumulation phase
+ * 3. Amounts are the last figure on their label's line, negatives in
+ *    parentheses or with a minus sign
+ * 4. Contributions are the "Total contributions" line, else the sum of the
+ *    individual contribution lines (employer, personal, non-concessional, ...)
+ * 5. Pension payments are reported as positive amounts, whatever their sign
+ *    on the statement
+ * 6. Tax components printed after an account's closing balance are the
+ *    member's totals, not that account's
+ *
+ * Member totals are read from member-level lines when the statement prints
+ * them, otherwise summed over the member's accounts (DERIVED confidence).
+ * `provenance` is keyed 'members.<index>.<field>'.
+ */
+
+import { readDate, readAmount } from '../utils/localeParsing.js';
+import { CONFIDENCE, createDiagnostics, createProvenance, indexLines } from '../utils/provenance.js';
+
+// Fields read per account and totalled per member
+const BALANCE_FIELDS = [
+  'openingBalance',
+  'contributions',
+  'pensionPayments',
+  'earnings',
+  'closingBalance',
+  'taxFreeComponent',
+  'taxableComponent',
+];
+
+// Line labels per field, first match wins - order matters ("Contributions tax" is not a contribution)
+const FIELD_LABELS = [
+  { field: 'openingBalance', pattern: /^opening\s+balance|^balance\s+(?:at|as\s+at)\s+(?:the\s+)?(?:start|1\s+july|01\/07)/i },
+  { field: 'closingBalance', pattern: /^closing\s+balance|^balance\s+(?:at|as\s+at)\s+(?:the\s+)?(?:end|30\s+june|30\/06)|^(?:total\s+)?(?:member|withdrawal)\s+(?:balance|benefit)/i },
+  { field: 'pensionPayments', pattern: /pension\s+(?:payments?|drawdowns?|paid)|income\s+stream\s+payments?|benefits?\s+paid/i },
+  { field: 'earnings', pattern: /earnings|share\s+of\s+(?:net\s+)?(?:fund\s+)?(?:income|profit)|investment\s+(?:return|income)\s+allocated/i },
+  { field: 'taxFreeComponent', pattern: /tax[\s-]*free/i },
+  { field: 'taxableComponent', pattern: /taxable/i },
+  { field: 'contributions', pattern: /contributions?\b(?!\s+tax)|co-?contribution|downsizer/i },
+];
+
+// Tax component labels - see readMember for which account they belong to
+const COMPONENT_PATTERN = /tax[\s-]*free|taxable/i;
+
+// Section heading for a member: "Member: Jane Citizen", "Member Name Jane Citizen", "Member Statement - Jane Citizen"
+const MEMBER_HEADING_PATTERNS = [
+  /^member(?:'s)?\s+name\s*:?\s*(.+)$/i,
+  /^member\s*:\s*(.+)$/i,
+  /^member\s+(?:benefit\s+)?statement\s*[-–:]\s*(.+)$/i,
+];
+
+// Account phase headings - transition to retirement is checked first, it is accumulation phase
+const PHASE_PATTERNS = [
+  { phase: 'accumulation', pattern: /transition\s+to\s+retirement|\bttr\b|\btris\b/i },
+  { phase: 'retirement', pattern: /retirement\s+phase|account[\s-]+based\s+pension|allocated\s+pension|pension\s+account|\babp\b/i },
+  { phase: 'accumulation', pattern: /accumulation/i },
+];
+
+// Last amount on a line: "1,234.56", "$1,234.56", "(1,234.56)", "-1,234.56", "1,234.56 CR"
+const AMOUNT_PATTERN = /\(?-?\$?\d[\d,]*\.\d{2}\)?-?(?:\s*(?:CR|DR))?/gi;
+
+const PERIOD_PATTERN = /(\d{1,2}(?:\/\d{1,2}\/|\s+[a-z]+\s+)\d{4})\s+(?:to|-|–)\s+(\d{1,2}(?:\/\d{1,2}\/|\s+[a-z]+\s+)\d{4})/i;
+
+// Allow $1 rounding when checking components and phases against the closing balance
+const RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Parse a member statement from extracted PDF text
+ *
+ * @param {string} fullText - Complete text content of the PDF
+ * @param {Array} pages - Array of page objects with lines
+ * @returns {{reportType: string, period: {from: string|null, to: string|null}, members: Array<Object>,
+ *   provenance: Object, diagnostics: Object}}
+ */
+export function parseMemberStatement(fullText, pages) {
+  console.log('[MemberStatementParser] Starting parse...');
+
+  const lines = indexLines(pages);
+  const { provenance, record } = createProvenance();
+  const { diagnostics, markSection, markMissing } = createDiagnostics();
+
+  const period = extractPeriod(lines, record, markMissing);
+
+  const members = splitMembers(lines).map((block, index) => {
+    const member = readMember(block, index, record);
+
+    markSection(`Member: ${member.name ?? `#${index + 1}`}`, [block.heading, ...block.lines]);
+    if (!member.name) {
+      markMissing(`members.${index}.name`, 'No "Member: <name>" heading found');
+    }
+    for (const field of BALANCE_FIELDS) {
+      if (member[field] === null) {
+        markMissing(`members.${index}.${field}`, `No line labelled for ${describeField(field)} in this member's section`);
+      }
+    }
+    if (member.accumulationBalance === null && member.retirementBalance === null) {
+      markMissing(`members.${index}.phases`, 'No accumulation or retirement phase heading in this member\'s section');
+    }
+
+    return member;
+  });
+
+  const result = {
+    reportType: 'member_statement',
+    period,
+    members,
+    provenance,
+    diagnostics,
+  };
+
+  console.log('[MemberStatementParser] Parsed result:', result);
+
+  return result;
+}
+
+/**
+ * Statement period: "For the period 1 July 2024 to 30 June 2025"
+ */
+function extractPeriod(lines, record, markMissing) {
+  for (const ref of lines) {
+    const match = ref.text.match(PERIOD_PATTERN);
+    if (!match) continue;
+
+    const from = readDate(match[1]);
+    const to = readDate(match[2]);
+    if (from.value && to.value) {
+      record('period.from', ref, PERIOD_PATTERN, CONFIDENCE.LABELLED);
+      record('period.to', ref, PERIOD_PATTERN, CONFIDENCE.LABELLED);
+      return { from: from.value, to: to.value };
+    }
+  }
+
+  markMissing('period.from', 'No "<date> to <date>" statement period found');
+  markMissing('period.to', 'No "<date> to <date>" statement period found');
+  return { from: null, to: null };
+}
+
+/**
+ * Split the lines into one block per member
+ * Lines before the first member heading belong to the first member
+ */
+function splitMembers(lines) {
+  const blocks = [];
+  let current = { name: null, heading: null, lines: [] };
+
+  for (const ref of lines) {
+    const name = readMemberHeading(ref.text);
+    if (name) {
+      if (current.name || current.lines.some(isAmountLine)) {
+        blocks.push(current);
+        current = { name: null, heading: null, lines: [] };
+      }
+      current.name = name;
+      current.heading = ref;
+      continue;
+    }
+    current.lines.push(ref);
+  }
+
+  blocks.push(current);
+  return blocks;
+}
+
+function readMemberHeading(text) {
+  for (const pattern of MEMBER_HEADING_PATTERNS) {
+    const match = text.trim().match(pattern);
+    // A name has letters and no amounts ("Member balance 1,234.56" is not a heading)
+    if (match && /[a-z]/i.test(match[1]) && !AMOUNT_PATTERN.test(match[1])) {
+      return match[1].trim();
+    }
+    AMOUNT_PATTERN.lastIndex = 0;
+  }
+  return null;
+}
+
+function isAmountLine(ref) {
+  AMOUNT_PATTERN.lastIndex = 0;
+  return AMOUNT_PATTERN.test(ref.text);
+}
+
+/**
+ * Read one member's balances, account by account
+ */
+function readMember(block, index, record) {
+  // Member-level lines (before any account heading) and one entry per account
+  const memberLevel = createAccount(null, null);
+  const accounts = [];
+  // Phase balance summary lines, e.g. "Retirement phase 240,000.00"
+  const phaseSummary = { accumulation: null, retirement: null };
+  let account = memberLevel;
+
+  for (const ref of block.lines) {
+    const amount = readLastAmount(ref.text);
+    const phase = PHASE_PATTERNS.find(p => p.pattern.test(ref.text))?.phase;
+
+    if (phase && amount === null) {
+      account = createAccount(phase, ref.text.trim());
+      accounts.push(account);
+      continue;
+    }
+    if (amount === null) continue;
+
+    const label = ref.text.slice(0, ref.text.search(AMOUNT_PATTERN)).trim();
+    AMOUNT_PATTERN.lastIndex = 0;
+
+    if (phase && !FIELD_LABELS.some(({ pattern }) => pattern.test(label))) {
+      phaseSummary[phase] = (phaseSummary[phase] ?? 0) + amount;
+      record(`members.${index}.${phase}Balance`, ref, `${phase} phase ... amount`, CONFIDENCE.LABELLED);
+      continue;
+    }
+
+    // Tax components after an account's closing balance are the member's, not the account's
+    const afterAccount = account !== memberLevel && account.values.closingBalance !== undefined;
+    readLine(afterAccount && COMPONENT_PATTERN.test(label) ? memberLevel : account, label, amount, ref);
+  }
+
+  const member = { name: block.name };
+
+  for (const field of BALANCE_FIELDS) {
+    const own = finishField(memberLevel, field);
+    if (own !== null) {
+      member[field] = own;
+      record(`members.${index}.${field}`, memberLevel.sources[field], memberLevel.patterns[field], CONFIDENCE.LABELLED);
+      continue;
+    }
+
+    const values = accounts.map(a => finishField(a, field)).filter(v => v !== null);
+    member[field] = values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0)) : null;
+    if (member[field] !== null) {
+      const source = accounts.find(a => finishField(a, field) !== null);
+      record(`members.${index}.${field}`, source.sources[field], `sum of account ${describeField(field)}`,
+        accounts.length > 1 ? CONFIDENCE.DERIVED : CONFIDENCE.LABELLED);
+    }
+  }
+
+  member.phases = accounts.map(a => ({
+    phase: a.phase,
+    label: a.label,
+    ...Object.fromEntries(BALANCE_FIELDS.map(field => [field, finishField(a, field)])),
+  }));
+
+  for (const phase of ['accumulation', 'retirement']) {
+    const closing = member.phases.filter(p => p.phase === phase && p.closingBalance !== null);
+    member[`${phase}Balance`] = phaseSummary[phase] ?? (closing.length > 0
+      ? round(closing.reduce((sum, p) => sum + p.closingBalance, 0))
+      : null);
+  }
+
+  return member;
+}
+
+function createAccount(phase, label) {
+  return {
+    phase,
+    label,
+    values: {},
+    // Contribution lines, summed when there is no "Total contributions" line
+    contributionParts: [],
+    // Taxable component elements (taxed / untaxed), summed when there is no total
+    taxableParts: [],
+    sources: {},
+    patterns: {},
+  };
+}
+
+/**
+ * Read one labelled line into the account
+ */
+function readLine(account, label, amount, ref) {
+  const match = FIELD_LABELS.find(({ pattern }) => pattern.test(label));
+  if (!match) return;
+
+  const { field, pattern } = match;
+  const note = (value) => {
+    if (!account.sources[field]) {
+      account.sources[field] = ref;
+      account.patterns[field] = `${pattern.source} ... amount`;
+    }
+    return value;
+  };
+
+  if (field === 'contributions' && !/^total/i.test(label)) {
+    account.contributionParts.push(note(amount));
+  } else if (field === 'taxableComponent' && /element/i.test(label)) {
+    account.taxableParts.push(note(amount));
+  } else if (field === 'pensionPayments') {
+    account.values[field] = round((account.values[field] ?? 0) + Math.abs(note(amount)));
+  } else if (account.values[field] === undefined) {
+    account.values[field] = note(amount);
+  }
+}
+
+/**
+ * Final value of a field for an account: its labelled total, else the sum of its parts
+ */
+function finishField(account, field) {
+  if (account.values[field] !== undefined) return account.values[field];
+
+  const parts = field === 'contributions' ? account.contributionParts
+    : field === 'taxableComponent' ? account.taxableParts
+      : [];
+  return parts.length > 0 ? round(parts.reduce((sum, v) => sum + v, 0)) : null;
+}
+
+function readLastAmount(text) {
+  const amounts = text.match(AMOUNT_PATTERN);
+  if (!amounts) return null;
+  return readAmount(amounts[amounts.length - 1]).value;
+}
+
+function describeField(field) {
+  return field.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a parsed member statement
+ * @param {Object} report - Parsed member statement
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateMemberStatement(report) {
+  const errors = [];
+  const warnings = [];
+
+  if (!report.members?.length || report.members.every(m => m.closingBalance === null)) {
+    errors.push('Could not extract a closing balance for any member');
+  }
+
+  report.members?.forEach((member, i) => {
+    const who = member.name || `Member ${i + 1}`;
+
+    if (!member.name) {
+      warnings.push(`${who}: member name not found`);
+    }
+    if (member.closingBalance === null) {
+      warnings.push(`${who}: closing balance not found`);
+      return;
+    }
+
+    // Tax components and the phase split both make up the closing balance
+    if (member.taxFreeComponent !== null && member.taxableComponent !== null) {
+      const components = member.taxFreeComponent + member.taxableComponent;
+      if (Math.abs(components - member.closingBalance) > RECONCILIATION_TOLERANCE) {
+        warnings.push(`${who}: tax-free plus taxable components (${components.toFixed(2)}) don't match the closing balance (${member.closingBalance.toFixed(2)})`);
+      }
+    }
+    if (member.accumulationBalance !== null || member.retirementBalance !== null) {
+      const phases = (member.accumulationBalance ?? 0) + (member.retirementBalance ?? 0);
+      if (Math.abs(phases - member.closingBalance) > RECONCILIATION_TOLERANCE) {
+        warnings.push(`${who}: accumulation and retirement balances (${phases.toFixed(2)}) don't match the closing balance (${member.closingBalance.toFixed(2)})`);
+      }
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
@@ -6,7 +6,9 @@
  * - Period dates (from/to)
  * - Starting and ending market values
  * - Total dollar return after expenses
- * - TWR (Time-Weighted Return) percentages
+ * - TWR (Time-Weighted Return) percentages for each horizon in the table header
+ * - The "Portfolio value versus net investment" series (valueSeries)
+ * - Dollar return and TWR per asset class, when the report breaks them down
  * 
  * ASSUMPTIONS:
  * 1. Report follows CLASS Super standard format
@@ -14,9 +16,82 @@
  * 3. Values appear on the same line as or immediately after their labels
  * 4. Dates are in DD/MM/YYYY or "D Month YYYY" format
  * 5. Negative values may be in parentheses: (123.45) = -123.45
+ *
+ * Each extracted value is recorded in `provenance` (see utils/provenance.js)
+ * with the page and line it came from. `diagnostics` lists the lines each
+ * section matched and why any field was left null, for the parser inspector.
  */
 
-import { parseDate, parseCurrency, parsePercentage } from '../utils/formatters.js';
+import { parseCurrency, parsePercentage } from '../utils/formatters.js';
+import { readDate, readMonthEnd, readPercent } from '../utils/localeParsing.js';
+import { RETURN_HORIZONS, ASSET_CLASS_ALIASES } from '../utils/constants.js';
+import { CONFIDENCE, createDiagnostics, createProvenance, indexLines, locateText } from '../utils/provenance.js';
+import { extractPageTable } from '../utils/pdfParser.js';
+
+const VALUE_PATTERN = /([0-9,]+\.[0-9]{2}|\([0-9,]+\.[0-9]{2}\))\s*$/;
+
+// Row labels per section field, as matched (lowercase) and reported to the inspector
+const MOVEMENT_LABELS = {
+  startingMarketValue: 'starting market value',
+  netAddition: 'net addition/withdrawal',
+  realisedGainsLosses: 'realised gains',
+  investmentIncome: 'investment income',
+  other: 'other',
+  endingMarketValue: 'ending market value',
+  movementInValue: 'movement in value',
+};
+
+// TWR fields per return horizon (fund.performance.twr keys)
+const TWR_FIELDS = RETURN_HORIZONS.map(({ key, twrKey = key }) => twrKey);
+
+// TWR header column labels: "3 Months", "12 Mths", "1 Yr", "5 Years p.a.", "FYTD", "Since inception", "Since 01/07/2020"
+const HORIZON_COLUMN_PATTERN = /(\d+)\s*(months?|mths?|years?|yrs?)(?:\s*p\.?a\.?)?|financial year to date|fytd|since\s+(?:inception|commencement)|since\s+(\d{1,2}\/\d{1,2}\/\d{4})/gi;
+
+const HORIZON_FIELDS = {
+  '3 months': 'threeMonths',
+  '6 months': 'sixMonths',
+  '12 months': 'oneYear',
+  '1 years': 'oneYear',
+  '3 years': 'threeYears',
+  '5 years': 'fiveYears',
+  '10 years': 'tenYears',
+};
+
+// Column order of the TWR row when the header cannot be read
+const POSITIONAL_TWR_COLUMNS = [
+  { field: 'oneYear', label: 'first' },
+  { field: 'threeYears', label: 'second' },
+  { field: 'sinceStart', label: 'third' },
+  { field: 'sincePeriodStart', label: 'fourth' },
+];
+
+// "Portfolio value versus net investment" series: row and column labels
+const VALUE_SERIES_LABELS = {
+  portfolioValue: /portfolio\s+value/i,
+  netInvestment: /net\s+investment|net\s+contributions?/i,
+};
+
+// One point of the series per row: "Jul 2025 1,234,567.89 1,100,000.00" or "31/07/2025 ..."
+const SERIES_DATE_PATTERN = /^(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}\s+[a-z]{3,9}\.?\s+\d{4}|[a-z]{3,9}\.?[\s'-]+\d{2,4}|\d{1,2}\/\d{4})\s+(.*)$/i;
+const SERIES_AMOUNT_PATTERN = /\(?-?\$?[0-9][0-9,]*(?:\.[0-9]+)?\)?/g;
+// Axis labels when each series is one row: "Jul 2025 Aug 2025 ..." / "Jul-25 Aug-25 ..."
+const SERIES_MONTH_PATTERN = /\b[a-z]{3,9}\.?[\s'-]+(?:\d{4}|\d{2})\b|\b\d{1,2}\/\d{4}\b/gi;
+
+// Heading of the per-asset-class returns table, e.g. "Returns by Asset Class", "Asset Class Performance"
+const ASSET_CLASS_RETURNS_HEADING = /(returns?|performance)\s+by\s+asset\s+class|asset\s+class\s+(returns?|performance)/i;
+// Amounts and percentages in an asset class row: "12,345.67", "(1,234.00)", "5.67%", "(1.20)%"
+const ROW_NUMBER_PATTERN = /\(?-?\$?\d[\d,]*(?:\.\d+)?\)?\s?%?/g;
+// Headings that end the asset class table
+const SECTION_HEADINGS = ['movement in value', 'portfolio value versus', 'portfolio return', 'investment return before expenses'];
+
+const PORTFOLIO_RETURN_LABELS = {
+  realisedGainsLosses: 'realised gains',
+  investmentIncome: 'investment income',
+  credits: 'credits',
+  totalBeforeExpenses: 'total dollar return before expenses',
+  expenses: 'investment expenses',
+  totalAfterExpenses: 'total dollar return after expenses',
+};
 
 /**
  * Parse a Performance Report from extracted PDF text
@@ -28,20 +103,44 @@ import { parseDate, parseCurrency, parsePercentage } from '../utils/formatters.j
 export function parsePerformanceReport(fullText, pages) {
   console.log('[PerformanceParser] Starting parse...');
   
-  // Combine all lines for easier searching
-  const allLines = pages.flatMap(p => p.lines);
+  // Combine all lines for easier searching, keeping their page and position
+  const allLines = indexLines(pages);
+  const { provenance, record } = createProvenance();
+  const { diagnostics, markSection, markMissing } = createDiagnostics();
+  const diag = { markSection, markMissing };
   
   // Extract period dates from header
-  const period = extractPeriodDates(fullText);
+  const period = extractPeriodDates(fullText, allLines, record, diag);
   
   // Extract Movement in Value section
-  const movementData = extractMovementInValue(allLines);
+  const movementData = extractMovementInValue(allLines, record, diag);
   
   // Extract Portfolio Return section
-  const portfolioReturn = extractPortfolioReturn(allLines);
+  const portfolioReturn = extractPortfolioReturn(allLines, record, diag);
   
   // Extract TWR values
-  const twr = extractTWRValues(allLines);
+  const twr = extractTWRValues(allLines, pages, period.from, record, diag);
+  
+  // Extract the portfolio value versus net investment series
+  const valueSeries = extractValueSeries(allLines, record, diag);
+  
+  // Extract the per-asset-class breakdown
+  const assetClassReturns = extractAssetClassReturns(allLines, record, diag);
+
+  // Top-level fields share the source of the detail they are copied from
+  const aliases = {
+    startingMarketValue: 'details.movementInValue.startingMarketValue',
+    endingMarketValue: 'details.movementInValue.endingMarketValue',
+    movementInValue: 'details.movementInValue.movementInValue',
+    realisedGainsLosses: 'details.movementInValue.realisedGainsLosses',
+    dollarReturnBeforeExpenses: 'details.portfolioReturn.totalBeforeExpenses',
+    dollarReturnAfterExpenses: 'details.portfolioReturn.totalAfterExpenses',
+    investmentExpenses: 'details.portfolioReturn.expenses',
+  };
+  for (const [field, detailField] of Object.entries(aliases)) {
+    if (provenance[detailField]) provenance[field] = provenance[detailField];
+    if (diagnostics.missing[detailField]) diagnostics.missing[field] = diagnostics.missing[detailField];
+  }
   
   // Build the output structure
   const result = {
@@ -50,15 +149,20 @@ export function parsePerformanceReport(fullText, pages) {
     startingMarketValue: movementData.startingMarketValue,
     endingMarketValue: movementData.endingMarketValue,
     movementInValue: movementData.movementInValue,
+    realisedGainsLosses: movementData.realisedGainsLosses,
     dollarReturnBeforeExpenses: portfolioReturn.totalBeforeExpenses,
     dollarReturnAfterExpenses: portfolioReturn.totalAfterExpenses,
     investmentExpenses: portfolioReturn.expenses,
     twr,
+    valueSeries,
+    assetClassReturns,
     // Include detailed breakdown for debugging/display
     details: {
       movementInValue: movementData,
       portfolioReturn,
     },
+    provenance,
+    diagnostics,
   };
   
   console.log('[PerformanceParser] Parsed result:', result);
@@ -70,18 +174,14 @@ export function parsePerformanceReport(fullText, pages) {
  * Extract period dates from report header
  * Looks for pattern: "For the period from X to Y"
  */
-function extractPeriodDates(text) {
+function extractPeriodDates(text, lines, record, diag) {
   // Pattern: "For the period from 1 July 2025 to 7 December 2025"
   const periodPattern = /for\s+the\s+period\s+from\s+(\d{1,2}\s+\w+\s+\d{4})\s+to\s+(\d{1,2}\s+\w+\s+\d{4})/i;
   const match = text.match(periodPattern);
   
   if (match) {
-    return {
-      from: parseDate(match[1]),
-      to: parseDate(match[2]),
-      rawFrom: match[1],
-      rawTo: match[2],
-    };
+    recordPeriod(record, diag, lines, match, periodPattern);
+    return readPeriod(match, diag);
   }
   
   // Alternative pattern with slashes
@@ -89,23 +189,58 @@ function extractPeriodDates(text) {
   const slashMatch = text.match(slashPattern);
   
   if (slashMatch) {
-    return {
-      from: parseDate(slashMatch[1]),
-      to: parseDate(slashMatch[2]),
-      rawFrom: slashMatch[1],
-      rawTo: slashMatch[2],
-    };
+    recordPeriod(record, diag, lines, slashMatch, slashPattern);
+    return readPeriod(slashMatch, diag);
   }
   
   console.warn('[PerformanceParser] Could not extract period dates');
+  diag.markMissing('period.from', 'No "For the period from <date> to <date>" line found');
+  diag.markMissing('period.to', 'No "For the period from <date> to <date>" line found');
   return { from: null, to: null };
 }
 
+/**
+ * Read the matched period dates (DD/MM/YYYY or "1 July 2025"),
+ * reporting dates that cannot be read rather than guessing
+ */
+function readPeriod(match, diag) {
+  const from = readDate(match[1]);
+  const to = readDate(match[2]);
+
+  for (const [field, result] of [['period.from', from], ['period.to', to]]) {
+    if (result.error) {
+      console.warn(`[PerformanceParser] ${result.error}`);
+      diag.markMissing(field, result.error);
+    }
+  }
+
+  return {
+    from: from.value,
+    to: to.value,
+    rawFrom: match[1],
+    rawTo: match[2],
+  };
+}
+
+/**
+ * Record the period dates against the line holding the start date
+ * (the full-text match can span a line break)
+ */
+function recordPeriod(record, diag, lines, match, pattern) {
+  const fromLine = locateText(lines, match[1]);
+  const toLine = locateText(lines, match[2]) || fromLine;
+  diag.markSection('Period', [fromLine, toLine === fromLine ? null : toLine]);
+  const confidence = fromLine ? CONFIDENCE.LABELLED : CONFIDENCE.FALLBACK;
+
+  record('period.from', fromLine, pattern, confidence);
+  record('period.to', toLine, pattern, confidence);
+}
+
 /**
  * Extract Movement in Value section data
  * Looks for labeled values in the first section of the report
  */
-function extractMovementInValue(lines) {
+function extractMovementInValue(lines, record, diag) {
   const result = {
     startingMarketValue: null,
     netAddition: null,
@@ -118,14 +253,16 @@ function extractMovementInValue(lines) {
   
   // Find the section
   let inSection = false;
+  let sectionStart = null;
   let sectionLines = [];
   
-  for (const line of lines) {
-    const lowerLine = line.toLowerCase();
+  for (const ref of lines) {
+    const lowerLine = ref.text.toLowerCase();
     
     // Start of section
     if (lowerLine.includes('movement in value') && !lowerLine.includes('portfolio')) {
       inSection = true;
+      sectionStart = ref;
       continue;
     }
     
@@ -136,43 +273,291 @@ function extractMovementInValue(lines) {
     }
     
     if (inSection) {
-      sectionLines.push(line);
+      sectionLines.push(ref);
     }
   }
   
   // Parse each line for known labels
-  for (const line of sectionLines) {
-    const lowerLine = line.toLowerCase();
+  for (const ref of sectionLines) {
+    const lowerLine = ref.text.toLowerCase();
     
     // Extract value from line - assumes value is at the end after spaces
-    const valueMatch = line.match(/([0-9,]+\.[0-9]{2}|\([0-9,]+\.[0-9]{2}\))\s*$/);
+    const valueMatch = ref.text.match(VALUE_PATTERN);
     const value = valueMatch ? parseCurrency(valueMatch[1]) : null;
+    if (value === null) continue;
     
-    if (lowerLine.includes('starting market value') && value !== null) {
-      result.startingMarketValue = value;
-    } else if ((lowerLine.includes('net addition') || lowerLine.includes('net withdrawal')) && value !== null) {
-      result.netAddition = value;
-    } else if (lowerLine.includes('realised') && lowerLine.includes('gains') && value !== null) {
-      result.realisedGainsLosses = value;
-    } else if (lowerLine.includes('investment income') && value !== null) {
-      result.investmentIncome = value;
-    } else if (lowerLine.includes('other') && value !== null) {
-      result.other = value;
-    } else if (lowerLine.includes('ending market value') && value !== null) {
-      result.endingMarketValue = value;
-    } else if (lowerLine.match(/^movement\s+in\s+value/) && value !== null) {
-      result.movementInValue = value;
+    let field = null;
+    if (lowerLine.includes('starting market value')) {
+      field = 'startingMarketValue';
+    } else if (lowerLine.includes('net addition') || lowerLine.includes('net withdrawal')) {
+      field = 'netAddition';
+    } else if (lowerLine.includes('realised') && lowerLine.includes('gains')) {
+      field = 'realisedGainsLosses';
+    } else if (lowerLine.includes('investment income')) {
+      field = 'investmentIncome';
+    } else if (lowerLine.includes('other')) {
+      field = 'other';
+    } else if (lowerLine.includes('ending market value')) {
+      field = 'endingMarketValue';
+    } else if (lowerLine.match(/^movement\s+in\s+value/)) {
+      field = 'movementInValue';
+    }
+
+    if (field) {
+      result[field] = value;
+      record(`details.movementInValue.${field}`, ref, `${MOVEMENT_LABELS[field]} ... ${VALUE_PATTERN.source}`, CONFIDENCE.LABELLED);
     }
   }
   
+  reportSection(diag, 'Movement in Value', 'details.movementInValue', sectionStart, sectionLines, result, MOVEMENT_LABELS);
+  
   return result;
 }
 
+/**
+ * Extract the "Portfolio value versus net investment" series
+ *
+ * The section under the chart lists the portfolio value and the net amount
+ * invested (contributions less withdrawals, cumulative) at each month end,
+ * either one row per month:
+ *   "Month  Portfolio Value  Net Investment"
+ *   "Jul 2025  1,234,567.89  1,100,000.00"
+ * or one row per series under a row of month labels:
+ *   "Jul 2025 Aug 2025 Sep 2025"
+ *   "Portfolio Value 1,234,567.89 1,250,112.40 1,261,930.05"
+ *   "Net Investment 1,100,000.00 1,100,000.00 1,125,000.00"
+ *
+ * @returns {Array<{date: string, label: string, portfolioValue: number|null, netInvestment: number|null}>}
+ *   Ordered by date
+ */
+function extractValueSeries(lines, record, diag) {
+  let sectionStart = null;
+  const sectionLines = [];
+  
+  for (const ref of lines) {
+    const lowerLine = ref.text.toLowerCase();
+    
+    if (!sectionStart) {
+      if (lowerLine.includes('portfolio value versus')) sectionStart = ref;
+      continue;
+    }
+    
+    // End of section (next major section)
+    if (lowerLine.includes('portfolio return') ||
+        lowerLine.includes('return over time') ||
+        lowerLine.includes('investment return before expenses')) {
+      break;
+    }
+    
+    sectionLines.push(ref);
+  }
+  
+  if (!sectionStart) {
+    diag.markMissing('valueSeries', '"Portfolio value versus" section heading not found');
+    return [];
+  }
+  
+  diag.markSection('Portfolio Value versus Net Investment', [sectionStart, ...sectionLines]);
+  
+  const points = readSeriesRows(sectionLines) ?? readSeriesColumns(sectionLines) ?? [];
+  if (points.length === 0) {
+    diag.markMissing('valueSeries', 'No month rows with portfolio value and net investment amounts in the "Portfolio value versus" section');
+  }
+  
+  points.sort((a, b) => a.point.date.localeCompare(b.point.date));
+  points.forEach(({ point, sources }, index) => {
+    for (const [field, { ref, pattern, confidence }] of Object.entries(sources)) {
+      if (point[field] !== null) record(`valueSeries.${index}.${field}`, ref, pattern, confidence);
+    }
+  });
+  
+  return points.map(({ point }) => point);
+}
+
+/**
+ * Read the series laid out one row per month
+ * Column order comes from the header row when it names both series,
+ * otherwise portfolio value is taken to come first (as in the section title).
+ * @returns {Array<{point: Object, sources: Object}>|null} null when no row starts with a date
+ */
+function readSeriesRows(sectionLines) {
+  let valueFirst = true;
+  let headerFound = false;
+  const series = [];
+  
+  for (const ref of sectionLines) {
+    const valueAt = ref.text.search(VALUE_SERIES_LABELS.portfolioValue);
+    const investmentAt = ref.text.search(VALUE_SERIES_LABELS.netInvestment);
+    if (valueAt !== -1 && investmentAt !== -1) {
+      valueFirst = valueAt < investmentAt;
+      headerFound = true;
+      continue;
+    }
+    
+    // A row of month labels is the other layout, not a data row
+    const match = ref.text.trim().match(SERIES_DATE_PATTERN);
+    if (!match || /[a-z]/i.test(match[2])) continue;
+    
+    const date = readSeriesDate(match[1]);
+    const amounts = (match[2].match(SERIES_AMOUNT_PATTERN) || []).map(parseCurrency);
+    if (!date || amounts.length !== 2) continue;
+    
+    const [first, second] = amounts;
+    const confidence = headerFound ? CONFIDENCE.HEADER_MAPPED : CONFIDENCE.POSITIONAL;
+    series.push({
+      point: {
+        date,
+        label: match[1],
+        portfolioValue: valueFirst ? first : second,
+        netInvestment: valueFirst ? second : first,
+      },
+      sources: {
+        portfolioValue: { ref, pattern: `${match[1]}, portfolio value column`, confidence },
+        netInvestment: { ref, pattern: `${match[1]}, net investment column`, confidence },
+      },
+    });
+  }
+  
+  return series.length > 0 ? series : null;
+}
+
+/**
+ * Read the series laid out one row per series, under a row of month labels
+ * @returns {Array<{point: Object, sources: Object}>|null} null when there is no labelled portfolio value row
+ */
+function readSeriesColumns(sectionLines) {
+  let months = null;
+  const rows = {};
+  
+  for (const ref of sectionLines) {
+    for (const [field, pattern] of Object.entries(VALUE_SERIES_LABELS)) {
+      const label = ref.text.match(pattern);
+      if (label && !rows[field]) {
+        const rest = ref.text.slice(label.index + label[0].length);
+        rows[field] = { ref, amounts: (rest.match(SERIES_AMOUNT_PATTERN) || []).map(parseCurrency) };
+      }
+    }
+    
+    const labels = ref.text.match(SERIES_MONTH_PATTERN);
+    if (!rows.portfolioValue && labels && labels.length >= 2) {
+      months = labels.map(text => ({ text, date: readSeriesDate(text) }));
+    }
+  }
+  
+  if (!months || !rows.portfolioValue || months.some(month => !month.date)) return null;
+  if (rows.portfolioValue.amounts.length !== months.length) {
+    console.warn(`[PerformanceParser] ${months.length} months but ${rows.portfolioValue.amounts.length} portfolio values, skipping the value series`);
+    return null;
+  }
+  
+  const hasInvestment = rows.netInvestment?.amounts.length === months.length;
+  
+  return months.map((month, index) => ({
+    point: {
+      date: month.date,
+      label: month.text,
+      portfolioValue: rows.portfolioValue.amounts[index],
+      netInvestment: hasInvestment ? rows.netInvestment.amounts[index] : null,
+    },
+    sources: {
+      portfolioValue: { ref: rows.portfolioValue.ref, pattern: `portfolio value, ${month.text} column`, confidence: CONFIDENCE.HEADER_MAPPED },
+      ...(hasInvestment && {
+        netInvestment: { ref: rows.netInvestment.ref, pattern: `net investment, ${month.text} column`, confidence: CONFIDENCE.HEADER_MAPPED },
+      }),
+    },
+  }));
+}
+
+/**
+ * Month-end date of a series point - a full date or a month label
+ */
+function readSeriesDate(text) {
+  return readDate(text).value ?? readMonthEnd(text).value;
+}
+
+/**
+ * Extract dollar return and TWR per asset class
+ *
+ * Reads the rows under a "Returns by Asset Class" heading, e.g.
+ *   "Asset Class  Opening Value  Closing Value  Dollar Return  Return %"
+ *   "Australian Equities  400,000.00  431,000.00  31,000.00  7.75%"
+ * up to the Total row or the next section. The dollar return is the last
+ * amount on the row and the TWR the last percentage; a return column printed
+ * without "%" is taken as the last number when the header has a "%" or TWR
+ * column. Asset class labels are mapped with ASSET_CLASS_ALIASES.
+ *
+ * @returns {Array<{name: string, label: string, dollarReturn: number|null, twr: number|null}>}
+ */
+function extractAssetClassReturns(lines, record, diag) {
+  const start = lines.findIndex(ref => ASSET_CLASS_RETURNS_HEADING.test(ref.text));
+  if (start === -1) {
+    diag.markMissing('assetClassReturns', 'No "Returns by Asset Class" section in this report');
+    return [];
+  }
+  
+  const sectionLines = [];
+  const results = [];
+  let header = null;
+  
+  for (const ref of lines.slice(start + 1)) {
+    const lowerLine = ref.text.toLowerCase();
+    if (SECTION_HEADINGS.some(heading => lowerLine.includes(heading))) break;
+    
+    const numberAt = ref.text.search(/[\d(-]/);
+    const label = (numberAt === -1 ? ref.text : ref.text.slice(0, numberAt)).replace(/\$/g, '').trim();
+    
+    // Column header - tells us whether the return column is a percentage
+    if (numberAt === -1 && /return/i.test(ref.text)) {
+      header = { ref, percentColumn: /%|twr|return\s*\(?%/i.test(ref.text), named: /dollar\s+return|return\s*\(?\$/i.test(ref.text) };
+      sectionLines.push(ref);
+      continue;
+    }
+    if (!label || numberAt === -1) continue;
+    
+    sectionLines.push(ref);
+    if (/^total/i.test(label)) break;
+    
+    const numbers = ref.text.slice(numberAt).match(ROW_NUMBER_PATTERN) || [];
+    const amounts = numbers.filter(n => !n.includes('%'));
+    let percents = numbers.filter(n => n.includes('%'));
+    if (percents.length === 0 && header?.percentColumn && amounts.length >= 2) {
+      percents = [amounts.pop()];
+    }
+    
+    const alias = ASSET_CLASS_ALIASES.find(a => a.pattern.test(label));
+    const index = results.length;
+    results.push({
+      name: alias ? alias.assetClass : label,
+      label,
+      dollarReturn: amounts.length > 0 ? parseCurrency(amounts[amounts.length - 1]) : null,
+      twr: percents.length > 0 ? readPercent(percents[percents.length - 1]).value : null,
+    });
+    
+    const confidence = header?.named ? CONFIDENCE.HEADER_MAPPED : CONFIDENCE.POSITIONAL;
+    if (results[index].dollarReturn !== null) {
+      record(`assetClassReturns.${index}.dollarReturn`, ref, `${label}, last amount (dollar return)`, confidence);
+    }
+    if (results[index].twr !== null) {
+      record(`assetClassReturns.${index}.twr`, ref, `${label}, last percentage (return)`, confidence);
+    }
+    if (!alias) {
+      console.warn(`[PerformanceParser] No asset class for "${label}"`);
+    }
+  }
+  
+  diag.markSection('Returns by Asset Class', [lines[start], ...sectionLines]);
+  if (results.length === 0) {
+    diag.markMissing('assetClassReturns', 'No asset class rows with amounts under the "Returns by Asset Class" heading');
+  }
+  
+  return results;
+}
+
 /**
  * Extract Portfolio Return section data
  * Contains dollar returns and TWR percentages
  */
-function extractPortfolioReturn(lines) {
+function extractPortfolioReturn(lines, record, diag) {
   const result = {
     realisedGainsLosses: null,
     investmentIncome: null,
@@ -184,14 +569,16 @@ function extractPortfolioReturn(lines) {
   
   // Find the section
   let inSection = false;
+  let sectionStart = null;
   let sectionLines = [];
   
-  for (const line of lines) {
-    const lowerLine = line.toLowerCase();
+  for (const ref of lines) {
+    const lowerLine = ref.text.toLowerCase();
     
     // Start of section
     if (lowerLine.includes('portfolio return') && !lowerLine.includes('investment return')) {
       inSection = true;
+      sectionStart = ref;
       continue;
     }
     
@@ -203,119 +590,253 @@ function extractPortfolioReturn(lines) {
     }
     
     if (inSection) {
-      sectionLines.push(line);
+      sectionLines.push(ref);
     }
   }
   
   // Parse each line
-  for (const line of sectionLines) {
-    const lowerLine = line.toLowerCase();
+  for (const ref of sectionLines) {
+    const lowerLine = ref.text.toLowerCase();
     
     // Extract value from line
-    const valueMatch = line.match(/([0-9,]+\.[0-9]{2}|\([0-9,]+\.[0-9]{2}\))\s*$/);
+    const valueMatch = ref.text.match(VALUE_PATTERN);
     const value = valueMatch ? parseCurrency(valueMatch[1]) : null;
+    if (value === null) continue;
     
-    if (lowerLine.includes('realised') && lowerLine.includes('gains') && value !== null) {
-      result.realisedGainsLosses = value;
-    } else if (lowerLine.includes('investment income') && value !== null) {
-      result.investmentIncome = value;
-    } else if (lowerLine.includes('credits') && !lowerLine.includes('excluding') && value !== null) {
-      result.credits = value;
-    } else if (lowerLine.includes('total dollar return before expenses') && value !== null) {
-      result.totalBeforeExpenses = value;
-    } else if (lowerLine.includes('investment expenses') && value !== null) {
-      result.expenses = value;
-    } else if (lowerLine.includes('total dollar return after expenses') && value !== null) {
-      result.totalAfterExpenses = value;
+    let field = null;
+    if (lowerLine.includes('realised') && lowerLine.includes('gains')) {
+      field = 'realisedGainsLosses';
+    } else if (lowerLine.includes('investment income')) {
+      field = 'investmentIncome';
+    } else if (lowerLine.includes('credits') && !lowerLine.includes('excluding')) {
+      field = 'credits';
+    } else if (lowerLine.includes('total dollar return before expenses')) {
+      field = 'totalBeforeExpenses';
+    } else if (lowerLine.includes('investment expenses')) {
+      field = 'expenses';
+    } else if (lowerLine.includes('total dollar return after expenses')) {
+      field = 'totalAfterExpenses';
+    }
+
+    if (field) {
+      result[field] = value;
+      record(`details.portfolioReturn.${field}`, ref, `${PORTFOLIO_RETURN_LABELS[field]} ... ${VALUE_PATTERN.source}`, CONFIDENCE.LABELLED);
     }
   }
   
+  reportSection(diag, 'Portfolio Return', 'details.portfolioReturn', sectionStart, sectionLines, result, PORTFOLIO_RETURN_LABELS);
+  
   return result;
 }
 
+/**
+ * Tell the inspector which lines a section matched and why its fields are null
+ */
+function reportSection(diag, name, fieldPrefix, sectionStart, sectionLines, result, labels) {
+  if (!sectionStart) {
+    for (const field of Object.keys(labels)) {
+      diag.markMissing(`${fieldPrefix}.${field}`, `"${name}" section heading not found`);
+    }
+    return;
+  }
+
+  diag.markSection(name, [sectionStart, ...sectionLines]);
+
+  for (const [field, label] of Object.entries(labels)) {
+    if (result[field] === null) {
+      diag.markMissing(`${fieldPrefix}.${field}`, `No "${label}" line ending in an amount in the "${name}" section`);
+    }
+  }
+}
+
 /**
  * Extract TWR (Time-Weighted Return) values
- * Looks for the row containing "Investment return before expenses (TWR)"
+ * Looks for the row containing "Investment return before expenses (TWR)" and
+ * the column header above it, e.g.
+ *   "3 Months 6 Months FYTD 1 Year 3 Years p.a. 5 Years p.a. Since 01/07/2015"
+ *   "Investment return before expenses (TWR) 1.20% 3.45% 3.45% 12.95% - - 8.10%"
+ *
+ * Each value is read against its header column - by x position when the PDF
+ * has text positions (so a blank cell stays blank), otherwise in order.
+ * Without a usable header the row is read by position as 1 year, 3 years,
+ * since start, since period start.
  */
-function extractTWRValues(lines) {
+function extractTWRValues(lines, pages, periodStart, record, diag) {
   const result = {
-    oneYear: null,
-    threeYears: null,
-    sinceStart: null,
+    ...Object.fromEntries(TWR_FIELDS.map(field => [field, null])),
     sincePeriodStart: null,
     sinceDates: [], // Store any "Since XX/XX/XXXX" dates with their values
   };
   
   // Find the TWR row and header row
-  let headerLine = null;
+  let header = null;
+  let headerRef = null;
   let twrLine = null;
+  let twrRef = null;
   
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lowerLine = line.toLowerCase();
-    
-    // Look for header row with periods
-    if (lowerLine.includes('1 year') || lowerLine.includes('3 year')) {
-      headerLine = line;
-      continue;
-    }
+  for (const ref of lines) {
+    const lowerLine = ref.text.toLowerCase();
     
     // Look for TWR data row
     if (lowerLine.includes('investment return before expenses') && 
         lowerLine.includes('twr')) {
-      twrLine = line;
+      twrRef = ref;
+      twrLine = ref.text;
       break;
     }
+    
+    // Look for header row with periods - the last one before the TWR row
+    const columns = readHorizonColumns(ref.text, periodStart);
+    if (columns.length >= 2) {
+      header = columns;
+      headerRef = ref;
+    }
   }
   
   if (!twrLine) {
     console.warn('[PerformanceParser] Could not find TWR row');
+    for (const field of [...TWR_FIELDS, 'sincePeriodStart']) {
+      diag.markMissing(`twr.${field}`, 'No "Investment return before expenses (TWR)" row found');
+    }
     return result;
   }
   
+  diag.markSection('TWR', [headerRef, twrRef]);
+  
   // Parse TWR values - they appear after the label
-  // Pattern: "Investment return before expenses (TWR) 12.95% - 33.82% 4.47%"
-  const percentages = twrLine.match(/(-?\d+\.?\d*%|-)/g);
+  const twrPattern = /(-?\d+\.?\d*%|-)/g;
+  const positioned = header ? readTwrCellsByPosition(pages, headerRef, twrRef, header) : null;
+  const percentages = positioned || twrLine.match(twrPattern) || [];
+  
+  if (header && header.length !== percentages.length) {
+    console.warn(`[PerformanceParser] TWR header has ${header.length} columns but the row has ${percentages.length} values, reading by position`);
+  }
   
-  if (percentages && percentages.length > 0) {
-    // First percentage is typically 1 year
-    result.oneYear = parsePercentage(percentages[0]);
+  const byHeader = header && header.length === percentages.length;
+  const columns = byHeader ? header : POSITIONAL_TWR_COLUMNS;
+  const confidence = byHeader ? CONFIDENCE.HEADER_MAPPED : CONFIDENCE.POSITIONAL;
+  
+  columns.forEach((column, i) => {
+    const raw = percentages[i];
     
-    // Second is 3 years (may be "-" if not available)
-    if (percentages.length > 1) {
-      result.threeYears = parsePercentage(percentages[1]);
+    if (column.rawDate && raw && raw !== '-') {
+      result.sinceDates.push({
+        date: readDate(column.rawDate).value,
+        rawDate: column.rawDate,
+        value: parsePercentage(raw),
+      });
     }
     
-    // Third is often "Since inception" or first "Since" date
-    if (percentages.length > 2) {
-      result.sinceStart = parsePercentage(percentages[2]);
-    }
+    if (!column.field || result[column.field] !== null) return;
     
-    // Fourth is often "Since period start"
-    if (percentages.length > 3) {
-      result.sincePeriodStart = parsePercentage(percentages[3]);
+    const field = `twr.${column.field}`;
+    if (raw === undefined) {
+      diag.markMissing(field, `TWR row has only ${percentages.length} value(s)`);
+    } else if (raw === '-') {
+      diag.markMissing(field, `Reported as "-" in the ${column.label} column of the TWR row`);
+    } else if (raw === '') {
+      diag.markMissing(field, `Blank in the ${column.label} column of the TWR row`);
+    } else {
+      result[column.field] = parsePercentage(raw);
+      const placement = positioned ? 'column by x position' : 'column';
+      record(field, twrRef, `investment return before expenses (twr), ${column.label} ${placement}: ${twrPattern.source}`, confidence);
     }
+  });
+  
+  // Horizons the report does not have a column for
+  for (const field of [...TWR_FIELDS, 'sincePeriodStart']) {
+    if (result[field] !== null || columns.some(column => column.field === field)) continue;
+    let reason = 'No column for this horizon in the TWR header';
+    if (!header) {
+      reason = 'No TWR header row found, only 1 year, 3 years and since start are read (by position)';
+    } else if (!byHeader) {
+      reason = `TWR header has ${header.length} columns but the row has ${percentages.length} values`;
+    }
+    diag.markMissing(`twr.${field}`, reason);
   }
   
-  // Also try to extract "Since XX/XX/XXXX" column headers for context
-  if (headerLine) {
-    const sincePattern = /since\s+(\d{2}\/\d{2}\/\d{4})/gi;
-    let match;
-    let index = 2; // Start after 1yr and 3yr
+  return result;
+}
+
+/**
+ * Read the TWR row's cell under each header column by x position
+ *
+ * Column bands come from the header and TWR lines only (extractPageTable);
+ * each band may carry one horizon label. A value in a band without a label,
+ * or a cell that is not a percentage or "-", leaves the row to be read in
+ * order instead.
+ *
+ * @returns {string[]|null} One raw cell per header column ('' when blank), or
+ *   null when the row cannot be placed
+ */
+function readTwrCellsByPosition(pages, headerRef, twrRef, header) {
+  if (!headerRef || headerRef.pageNumber !== twrRef.pageNumber) return null;
+
+  const page = pages?.find(p => p.pageNumber === twrRef.pageNumber);
+  const table = extractPageTable(page, { lineIndexes: [headerRef.lineIndex, twrRef.lineIndex] });
+  if (!table || table.rows.length !== 2) return null;
+
+  const [headerCells, rowCells] = table.rows;
+  const cells = [];
+
+  for (let band = 0; band < table.columns.length; band++) {
+    const labels = headerCells[band] ? [...headerCells[band].text.matchAll(HORIZON_COLUMN_PATTERN)] : [];
+    const text = rowCells[band]?.text.trim() ?? '';
+
+    if (labels.length > 1) return null;
+    if (labels.length === 0) {
+      // The row label's band; a percentage here has no column
+      if (/%/.test(text)) return null;
+      continue;
+    }
+    if (text && !/^(-?\d+\.?\d*%|-)$/.test(text)) return null;
+    cells.push(text);
+  }
+
+  return cells.length === header.length ? cells : null;
+}
+
+/**
+ * Read the return horizon of each column in a TWR header line
+ * Columns for horizons we do not track (e.g. "1 Month") keep their place with a null field.
+ * A "Since <date>" column is the since-period-start return when the date is the
+ * report's start date, otherwise since inception.
+ *
+ * @param {string} line
+ * @param {string|null} periodStart - Report start date (YYYY-MM-DD)
+ * @returns {Array<{field: string|null, label: string, rawDate?: string, date?: string}>}
+ */
+function readHorizonColumns(line, periodStart) {
+  const columns = [];
+  
+  for (const match of line.matchAll(HORIZON_COLUMN_PATTERN)) {
+    const label = match[0].trim();
     
-    while ((match = sincePattern.exec(headerLine)) !== null) {
-      if (percentages && percentages[index]) {
-        result.sinceDates.push({
-          date: parseDate(match[1]),
-          rawDate: match[1],
-          value: parsePercentage(percentages[index]),
-        });
-      }
-      index++;
+    if (match[1]) {
+      const unit = /^m/i.test(match[2]) ? 'months' : 'years';
+      columns.push({ field: HORIZON_FIELDS[`${Number(match[1])} ${unit}`] ?? null, label });
+    } else if (match[3]) {
+      columns.push({ field: null, label, rawDate: match[3], date: readDate(match[3]).value });
+    } else if (/inception|commencement/i.test(label)) {
+      columns.push({ field: 'sinceStart', label });
+    } else {
+      columns.push({ field: 'fytd', label });
     }
   }
   
-  return result;
+  // Resolve "Since <date>" columns once every column is known
+  const taken = (field) => columns.some(column => column.field === field);
+  for (const column of columns.filter(c => c.rawDate)) {
+    if (periodStart && column.date === periodStart && !taken('sincePeriodStart')) {
+      column.field = 'sincePeriodStart';
+    } else if (!taken('sinceStart')) {
+      column.field = 'sinceStart';
+    } else if (!taken('sincePeriodStart')) {
+      column.field = 'sincePeriodStart';
+    }
+  }
+  
+  return columns;
 }
 
 /**
@@ -329,7 +850,8 @@ export function validatePerformanceReport(report) {
   
   // Required fields
   if (!report.period?.from || !report.period?.to) {
-    errors.push('Could not extract report period dates');
+    const reason = report.diagnostics?.missing['period.from'] || report.diagnostics?.missing['period.to'];
+    errors.push(reason ? `Could not extract report period dates: ${reason}` : 'Could not extract report period dates');
   }
   
   if (report.dollarReturnAfterExpenses === null) {
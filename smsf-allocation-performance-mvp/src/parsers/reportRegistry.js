@@ -4,95 +4,521 @@
  * Identifies PDF report types based on text fingerprints and routes
  * to the appropriate parser. Designed for extensibility - add new
  * report types by:
- * 1. Creating a new parser in /parsers/
- * 2. Registering it here with fingerprints
+ * 1. Creating a new parser (in /parsers/ or in your own code)
+ * 2. Calling registerReportParser() with its fingerprints, parser,
+ *    validator, display name and the fund-model slot it fills
+ *
+ * The UploadWizard shows one upload slot per registered fund-model slot and
+ * createFundModel attaches every slot it receives, so a registered report
+ * type flows through to the fund without further changes.
+ *
+ * Identification scores every report type: weighted fingerprints (negative
+ * weights count against a type) plus structural checks on the text's lines,
+ * e.g. hasTotalRow(3) for "a TOTAL row with 3 or more amounts". When the
+ * best two types score within AMBIGUITY_MARGIN of each other the result is
+ * marked ambiguous with a ranked candidate list, and parseReport will not
+ * guess - the caller asks the user and passes the chosen reportType.
  */
 
 import { REPORT_FINGERPRINTS } from '../utils/constants.js';
-import { parsePerformanceReport } from './performanceReportParser.js';
-import { parseAssetAllocationReport } from './assetAllocationParser.js';
+import { parsePerformanceReport, validatePerformanceReport } from './performanceReportParser.js';
+import { parseAssetAllocationReport, validateAssetAllocationReport } from './assetAllocationParser.js';
+import { WRAP_PLATFORMS, createWrapStatementParser, validateWrapStatement } from './wrapStatementParser.js';
+import { parseMemberStatement, validateMemberStatement } from './memberStatementParser.js';
+import {
+  parseOperatingStatement,
+  validateOperatingStatement,
+  parseFinancialPosition,
+  validateFinancialPosition,
+} from './financialStatementParser.js';
+import {
+  parseBglInvestmentSummary,
+  validateBglInvestmentSummary,
+  parseBglInvestmentPerformance,
+  validateBglInvestmentPerformance,
+} from './bglReportParser.js';
+import { parseInvestmentIncome, validateInvestmentIncome } from './investmentIncomeParser.js';
+import { parseCapitalGainsReport, validateCapitalGainsReport } from './capitalGainsParser.js';
+import { CONTRACT_NOTE_BROKERS, createContractNoteParser, validateContractNote } from './contractNoteParser.js';
+import { parseBankStatement, validateBankStatement } from './bankStatementParser.js';
 
 /**
- * Registry of all supported report parsers
+ * Registry of all supported report parsers, keyed by report type
  * Each entry contains:
- * - fingerprints: Array of text patterns that identify this report type
+ * - fingerprints: Weighted text patterns ({text, weight}) identifying this report type
+ * - structuralChecks: Line-level checks ({name, weight, test}) scored like fingerprints
  * - parser: Function that parses the PDF text and returns structured data
+ * - validator: Function that checks the parsed data ({valid, errors, warnings})
  * - name: Human-readable name for the report type
+ * - slots: Fund-model slots the parsed data fills (e.g. ['assetAllocation']);
+ *   slot is the first of them
+ * - slotTitle / description: Labels for the upload slot
+ * - required: Whether the slot must be filled for a complete analysis
+ * - minMatchCount: Minimum number of positive fingerprints that must match
  */
-const REPORT_PARSERS = {
-  performance: {
-    name: 'Investment Movement and Returns Report',
-    fingerprints: REPORT_FINGERPRINTS.PERFORMANCE,
-    parser: parsePerformanceReport,
-    // Minimum number of fingerprints that must match
-    minMatchCount: 1,
-  },
-  asset_allocation: {
-    name: 'Investment Allocation Report',
-    fingerprints: REPORT_FINGERPRINTS.ASSET_ALLOCATION,
-    parser: parseAssetAllocationReport,
-    minMatchCount: 1,
-  },
-};
+const REPORT_PARSERS = {};
+
+// Confidence points within which the top two report types count as ambiguous
+const AMBIGUITY_MARGIN = 15;
+
+// Amounts like "1,234.56", "$1,234.56" or "(1,234.56)" - never followed by "%"
+const AMOUNT_PATTERN = /\(?\$?[0-9,]+\.\d{2}\)?(?![\d%])/g;
+const PERCENT_PATTERN = /-?\d+(?:\.\d+)?\s*%/g;
+
+// Change listeners (e.g. the UploadWizard) and the cached type list they read
+const listeners = new Set();
+let supportedTypesSnapshot = [];
+
+/**
+ * Register a report parser
+ *
+ * @param {Object} config
+ * @param {string} config.type - Unique report type key (e.g. 'bgl_investment_summary')
+ * @param {string} config.name - Human-readable report name
+ * @param {Array<string|{text: string, weight: number}>} config.fingerprints - Case-insensitive text
+ *   patterns identifying the report. Strings weigh 1; a negative weight counts against the type.
+ * @param {Array<{name: string, weight?: number, test: (lines: string[]) => boolean}>} [config.structuralChecks] -
+ *   Checks on the text's lines (see hasTotalRow / hasPercentRow), scored like fingerprints (weight defaults to 1)
+ * @param {(fullText: string, pages: Array) => Object|Promise<Object>} config.parser - Parser function
+ * @param {(report: Object) => {valid: boolean, errors: string[], warnings?: string[]}} [config.validator] - Validator
+ * @param {string|string[]} config.slot - Fund-model slot the parsed data fills. A report
+ *   filling several slots (e.g. a platform statement) returns its data keyed by slot.
+ * @param {string} [config.slotTitle] - Upload slot title (defaults to the report name)
+ * @param {string} [config.description] - Upload slot hint (e.g. 'Investment Summary PDF')
+ * @param {boolean} [config.required=false] - Whether the slot is needed for a complete analysis
+ * @param {boolean} [config.multiple=false] - Whether the slot collects every uploaded report (e.g. one
+ *   contract note per trade) as an array, instead of holding the latest one
+ * @param {number} [config.minMatchCount=1] - Minimum positive fingerprints that must match
+ * @returns {() => void} Function that unregisters the parser again
+ */
+export function registerReportParser(config) {
+  const { type, name, fingerprints, parser, slot } = config || {};
+
+  if (!type || typeof type !== 'string') {
+    throw new Error('registerReportParser: "type" must be a non-empty string');
+  }
+  if (REPORT_PARSERS[type]) {
+    throw new Error(`registerReportParser: report type "${type}" is already registered`);
+  }
+  if (!name) {
+    throw new Error(`registerReportParser: "${type}" is missing a display name`);
+  }
+  if (!Array.isArray(fingerprints) || fingerprints.length === 0) {
+    throw new Error(`registerReportParser: "${type}" needs at least one fingerprint`);
+  }
+  const weightedFingerprints = fingerprints.map(fp => normalizeFingerprint(type, fp));
+  if (!weightedFingerprints.some(fp => fp.weight > 0)) {
+    throw new Error(`registerReportParser: "${type}" needs at least one positively weighted fingerprint`);
+  }
+  const structuralChecks = (config.structuralChecks || []).map(check => normalizeStructuralCheck(type, check));
+  if (typeof parser !== 'function') {
+    throw new Error(`registerReportParser: "${type}" parser must be a function`);
+  }
+  const slots = Array.isArray(slot) ? slot : [slot];
+  if (slots.length === 0 || slots.some(s => !s || typeof s !== 'string')) {
+    throw new Error(`registerReportParser: "${type}" must declare the fund-model slot it fills`);
+  }
+
+  REPORT_PARSERS[type] = {
+    name,
+    fingerprints: weightedFingerprints,
+    structuralChecks,
+    parser,
+    validator: config.validator || null,
+    slot: slots[0],
+    slots,
+    slotTitle: config.slotTitle || name,
+    description: config.description || '',
+    required: config.required ?? false,
+    multiple: config.multiple ?? false,
+    minMatchCount: config.minMatchCount ?? 1,
+  };
+
+  notifyListeners();
+
+  return () => unregisterReportParser(type);
+}
+
+function normalizeFingerprint(type, fingerprint) {
+  const { text, weight = 1 } = typeof fingerprint === 'string' ? { text: fingerprint } : fingerprint || {};
+
+  if (!text || typeof text !== 'string') {
+    throw new Error(`registerReportParser: "${type}" has a fingerprint without text`);
+  }
+  if (!Number.isFinite(weight) || weight === 0) {
+    throw new Error(`registerReportParser: "${type}" fingerprint "${text}" needs a non-zero weight`);
+  }
+
+  return { text: text.toLowerCase(), weight };
+}
+
+function normalizeStructuralCheck(type, check) {
+  const { name, weight = 1, test } = check || {};
+
+  if (!name || typeof test !== 'function') {
+    throw new Error(`registerReportParser: "${type}" structural checks need a name and a test function`);
+  }
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw new Error(`registerReportParser: "${type}" structural check "${name}" needs a positive weight`);
+  }
+
+  return { name, weight, test };
+}
+
+/**
+ * Remove a registered report parser
+ * @param {string} type - Report type key
+ * @returns {boolean} true if a parser was removed
+ */
+export function unregisterReportParser(type) {
+  if (!REPORT_PARSERS[type]) return false;
+
+  delete REPORT_PARSERS[type];
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Subscribe to registry changes
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToReportParsers(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notifyListeners() {
+  supportedTypesSnapshot = Object.entries(REPORT_PARSERS).map(([type, config]) => ({
+    type,
+    name: config.name,
+    fingerprints: config.fingerprints,
+    structuralChecks: config.structuralChecks.map(({ name, weight }) => ({ name, weight })),
+    slot: config.slot,
+    slots: config.slots,
+    slotTitle: config.slotTitle,
+    description: config.description,
+    required: config.required,
+    multiple: config.multiple,
+  }));
+
+  for (const listener of listeners) {
+    listener();
+  }
+}
+
+/* ---------------------------------------------
+   Structural checks
+---------------------------------------------- */
+
+/**
+ * Structural check: a "Total" row with at least `minAmounts` dollar amounts,
+ * like the asset class columns of an allocation table
+ *
+ * @param {number} minAmounts
+ * @param {number} [weight=3]
+ * @returns {{name: string, weight: number, test: (lines: string[]) => boolean}}
+ */
+export function hasTotalRow(minAmounts, weight = 3) {
+  return {
+    name: `TOTAL row with ${minAmounts}+ amounts`,
+    weight,
+    test: (lines) => lines.some(line =>
+      /^total\b/i.test(line.trim()) && (line.match(AMOUNT_PATTERN) || []).length >= minAmounts
+    ),
+  };
+}
+
+/**
+ * Structural check: a row labelled `label` with at least `minPercents` percentages,
+ * like a returns table
+ *
+ * @param {string} label - Case-insensitive row label
+ * @param {number} minPercents
+ * @param {number} [weight=3]
+ * @returns {{name: string, weight: number, test: (lines: string[]) => boolean}}
+ */
+export function hasPercentRow(label, minPercents, weight = 3) {
+  const lowerLabel = label.toLowerCase();
+
+  return {
+    name: `"${label}" row with ${minPercents}+ percentages`,
+    weight,
+    test: (lines) => lines.some(line =>
+      line.toLowerCase().includes(lowerLabel) && (line.match(PERCENT_PATTERN) || []).length >= minPercents
+    ),
+  };
+}
+
+// Built-in CLASS Super reports
+registerReportParser({
+  type: 'asset_allocation',
+  name: 'Investment Allocation Report',
+  fingerprints: REPORT_FINGERPRINTS.ASSET_ALLOCATION,
+  structuralChecks: [hasTotalRow(3)],
+  parser: parseAssetAllocationReport,
+  validator: validateAssetAllocationReport,
+  slot: 'assetAllocation',
+  slotTitle: 'Asset Allocation Report',
+  description: 'Investment Allocation PDF',
+  required: true,
+});
+
+registerReportParser({
+  type: 'performance',
+  name: 'Investment Movement and Returns Report',
+  fingerprints: REPORT_FINGERPRINTS.PERFORMANCE,
+  structuralChecks: [hasPercentRow('investment return before expenses', 1)],
+  parser: parsePerformanceReport,
+  validator: validatePerformanceReport,
+  slot: 'performance',
+  slotTitle: 'Performance Report',
+  description: 'Investment Movement and Returns PDF',
+  required: true,
+});
+
+// BGL Simple Fund 360 reports - fill the same slots as the CLASS reports.
+// At least 3 BGL-only fingerprints must match, so a CLASS report never
+// identifies as BGL.
+registerReportParser({
+  type: 'bgl_investment_summary',
+  name: 'BGL Investment Summary Report',
+  fingerprints: REPORT_FINGERPRINTS.BGL_INVESTMENT_SUMMARY,
+  parser: parseBglInvestmentSummary,
+  validator: validateBglInvestmentSummary,
+  slot: 'assetAllocation',
+  description: 'BGL Investment Summary PDF',
+  required: true,
+  minMatchCount: 3,
+});
+
+registerReportParser({
+  type: 'bgl_investment_performance',
+  name: 'BGL Investment Performance Report',
+  fingerprints: REPORT_FINGERPRINTS.BGL_INVESTMENT_PERFORMANCE,
+  parser: parseBglInvestmentPerformance,
+  validator: validateBglInvestmentPerformance,
+  slot: 'performance',
+  description: 'BGL Investment Performance PDF',
+  required: true,
+  minMatchCount: 3,
+});
+
+registerReportParser({
+  type: 'investment_income',
+  name: 'Investment Income Report',
+  fingerprints: REPORT_FINGERPRINTS.INVESTMENT_INCOME,
+  parser: parseInvestmentIncome,
+  validator: validateInvestmentIncome,
+  slot: 'investmentIncome',
+  slotTitle: 'Investment Income',
+  description: 'Investment Income PDF',
+  minMatchCount: 3,
+});
+
+// Wrap platform statements - one statement fills both slots
+for (const [platformId, platform] of Object.entries(WRAP_PLATFORMS)) {
+  registerReportParser({
+    type: `${platformId}_statement`,
+    name: `${platform.name} Periodic Statement`,
+    fingerprints: REPORT_FINGERPRINTS.WRAP_STATEMENTS[platformId],
+    parser: createWrapStatementParser(platformId),
+    validator: validateWrapStatement,
+    slot: ['assetAllocation', 'performance'],
+    description: 'Wrap platform statement PDF',
+    minMatchCount: 2,
+  });
+}
+
+// Member benefit statements - optional, fill fund.members
+registerReportParser({
+  type: 'member_statement',
+  name: 'Member Statement',
+  fingerprints: REPORT_FINGERPRINTS.MEMBER_STATEMENT,
+  parser: parseMemberStatement,
+  validator: validateMemberStatement,
+  slot: 'members',
+  slotTitle: 'Member Statements',
+  description: 'Member statement PDFs',
+  multiple: true,
+  minMatchCount: 2,
+});
+
+// Annual financial statements - optional, fill fund.financials
+registerReportParser({
+  type: 'operating_statement',
+  name: 'Operating Statement',
+  fingerprints: REPORT_FINGERPRINTS.OPERATING_STATEMENT,
+  parser: parseOperatingStatement,
+  validator: validateOperatingStatement,
+  slot: 'operatingStatement',
+  slotTitle: 'Operating Statement',
+  description: 'Operating Statement PDF',
+  minMatchCount: 3,
+});
+
+registerReportParser({
+  type: 'financial_position',
+  name: 'Statement of Financial Position',
+  fingerprints: REPORT_FINGERPRINTS.FINANCIAL_POSITION,
+  parser: parseFinancialPosition,
+  validator: validateFinancialPosition,
+  slot: 'financialPosition',
+  slotTitle: 'Statement of Financial Position',
+  description: 'Statement of Financial Position PDF',
+  minMatchCount: 3,
+});
+
+// Realised CGT report - optional, fills fund.capitalGains
+registerReportParser({
+  type: 'capital_gains',
+  name: 'Realised Capital Gains Report',
+  fingerprints: REPORT_FINGERPRINTS.CAPITAL_GAINS,
+  parser: parseCapitalGainsReport,
+  validator: validateCapitalGainsReport,
+  slot: 'capitalGains',
+  slotTitle: 'Realised Capital Gains',
+  description: 'Realised CGT report PDF',
+  minMatchCount: 3,
+});
+
+// Broker contract notes - optional, one per trade, collected into fund.transactions
+for (const [brokerId, broker] of Object.entries(CONTRACT_NOTE_BROKERS)) {
+  registerReportParser({
+    type: `${brokerId}_contract_note`,
+    name: `${broker.name} Contract Note`,
+    fingerprints: REPORT_FINGERPRINTS.CONTRACT_NOTES[brokerId],
+    parser: createContractNoteParser(brokerId),
+    validator: validateContractNote,
+    slot: 'transactions',
+    slotTitle: 'Contract Notes',
+    description: 'Broker contract note PDFs',
+    multiple: true,
+    minMatchCount: 3,
+  });
+}
+
+// Fund bank account statement - optional, fills fund.bankStatement
+registerReportParser({
+  type: 'bank_statement',
+  name: 'Bank Statement',
+  fingerprints: REPORT_FINGERPRINTS.BANK_STATEMENT,
+  parser: parseBankStatement,
+  validator: validateBankStatement,
+  slot: 'bankStatement',
+  slotTitle: 'Bank Statement',
+  description: 'Fund cash account statement PDF',
+  minMatchCount: 4,
+});
+
+/**
+ * Score every registered report type against the text
+ * Unfiltered - includes types below their minMatchCount - for the parser inspector.
+ *
+ * @param {string} text - Full text content of the PDF
+ * @returns {Array<{type: string, name: string, slot: string, slots: string[], eligible: boolean,
+ *   score: number, confidence: number, matchCount: number, totalFingerprints: number,
+ *   fingerprints: Array<{text: string, weight: number, found: boolean}>,
+ *   structuralChecks: Array<{name: string, weight: number, passed: boolean}>}>}
+ *   confidence is the score as a percentage of the best possible score
+ */
+export function scoreReportTypes(text) {
+  const normalizedText = text.toLowerCase();
+  const lines = text.split('\n');
+
+  return Object.entries(REPORT_PARSERS).map(([type, config]) => {
+    const fingerprints = config.fingerprints.map(fp => ({ ...fp, found: normalizedText.includes(fp.text) }));
+    const structuralChecks = config.structuralChecks.map(({ name, weight, test }) => ({ name, weight, passed: test(lines) }));
+
+    const positives = fingerprints.filter(fp => fp.weight > 0);
+    const maxScore = positives.reduce((sum, fp) => sum + fp.weight, 0)
+      + structuralChecks.reduce((sum, check) => sum + check.weight, 0);
+    const score = fingerprints.filter(fp => fp.found).reduce((sum, fp) => sum + fp.weight, 0)
+      + structuralChecks.filter(check => check.passed).reduce((sum, check) => sum + check.weight, 0);
+    const matchCount = positives.filter(fp => fp.found).length;
+
+    return {
+      type,
+      name: config.name,
+      slot: config.slot,
+      slots: config.slots,
+      eligible: matchCount >= config.minMatchCount && score > 0,
+      score,
+      confidence: Math.max(score, 0) / maxScore * 100,
+      matchCount,
+      totalFingerprints: positives.length,
+      fingerprints,
+      structuralChecks,
+    };
+  });
+}
 
 /**
  * Identify the type of report based on text content
- * Uses fuzzy matching of fingerprints to determine report type
+ * Ranks the report types by weighted fingerprint and structural score.
  * 
  * @param {string} text - Full text content of the PDF
- * @returns {{type: string, confidence: number, name: string}|null}
+ * @returns {{type: string, confidence: number, name: string, slot: string, slots: string[],
+ *   matchCount: number, totalFingerprints: number, ambiguous: boolean, candidates: Array<Object>}|null}
+ *   The best match. candidates is the best match and every type scoring within
+ *   AMBIGUITY_MARGIN of it, best first; with more than one the result is
+ *   ambiguous and the user should confirm which report it is.
  */
 export function identifyReportType(text) {
-  const normalizedText = text.toLowerCase();
-  
-  let bestMatch = null;
-  let bestScore = 0;
-  
-  for (const [type, config] of Object.entries(REPORT_PARSERS)) {
-    // Count how many fingerprints match
-    const matchCount = config.fingerprints.filter(fp => 
-      normalizedText.includes(fp.toLowerCase())
-    ).length;
-    
-    // Calculate confidence as percentage of fingerprints matched
-    const confidence = (matchCount / config.fingerprints.length) * 100;
-    
-    // Check if this matches better than current best
-    if (matchCount >= config.minMatchCount && confidence > bestScore) {
-      bestScore = confidence;
-      bestMatch = {
-        type,
-        confidence,
-        name: config.name,
-        matchCount,
-        totalFingerprints: config.fingerprints.length,
-      };
-    }
+  const ranked = scoreReportTypes(text)
+    .filter(candidate => candidate.eligible)
+    .sort((a, b) => b.confidence - a.confidence || b.score - a.score)
+    .map(({ type, name, slot, slots, confidence, score, matchCount, totalFingerprints }) => ({
+      type, name, slot, slots, confidence, score, matchCount, totalFingerprints,
+    }));
+
+  if (ranked.length === 0) return null;
+
+  const best = ranked[0];
+  const candidates = ranked.filter(candidate => best.confidence - candidate.confidence < AMBIGUITY_MARGIN);
+  const ambiguous = candidates.length > 1;
+
+  if (ambiguous) {
+    console.warn(`[Registry] Ambiguous report type: ${candidates.map(c => `${c.name} (${c.confidence.toFixed(1)}%)`).join(', ')}`);
   }
-  
-  return bestMatch;
+
+  return { ...best, ambiguous, candidates };
 }
 
 /**
  * Parse a PDF report by automatically detecting type and routing to correct parser
  * 
  * @param {Object} extractedPdf - Output from extractTextFromPDF
- * @returns {Promise<{reportType: string, data: Object, metadata: Object}>}
+ * @param {Object} [options]
+ * @param {string} [options.reportType] - Report type the user confirmed; skips identification.
+ *   Required when identification is ambiguous.
+ * @returns {Promise<{reportType: string, slot: string, slots: string[], data: Object, slotData: Object, validation: Object}>}
+ *   slotData maps each filled fund-model slot to its data
  */
-export async function parseReport(extractedPdf) {
+export async function parseReport(extractedPdf, { reportType } = {}) {
   const { fullText, pages } = extractedPdf;
   
-  // Identify report type
-  const identification = identifyReportType(fullText);
+  // Identify report type, unless the user chose it
+  const identification = reportType
+    ? scoreReportTypes(fullText).find(candidate => candidate.type === reportType)
+    : identifyReportType(fullText);
   
   if (!identification) {
+    if (reportType) {
+      throw new Error(`No parser registered for report type: ${reportType}`);
+    }
+    const supported = Object.values(REPORT_PARSERS).map(config => config.name).join(', ');
     throw new Error(
-      'Could not identify report type. Please ensure this is a supported ' +
-      'CLASS Super report (Investment Allocation or Movement and Returns).'
+      `Could not identify report type. Please ensure this is a supported report (${supported}).`
     );
   }
+
+  if (identification.ambiguous) {
+    const names = identification.candidates.map(candidate => candidate.name).join(' or ');
+    throw new Error(`Could not tell which report this is (${names}). Please choose the report type.`);
+  }
   
-  console.log(`[Registry] Identified report as: ${identification.name} (${identification.confidence.toFixed(1)}% confidence)`);
+  console.log(`[Registry] ${reportType ? 'Parsing as chosen' : 'Identified report as'}: ${identification.name} (${identification.confidence.toFixed(1)}% confidence)`);
   
   // Get the appropriate parser
   const parserConfig = REPORT_PARSERS[identification.type];
@@ -103,58 +529,88 @@ export async function parseReport(extractedPdf) {
   
   // Parse the report
   const parsedData = await parserConfig.parser(fullText, pages);
+
+  // Multi-slot parsers return their data keyed by slot
+  const slotData = parserConfig.slots.length > 1
+    ? Object.fromEntries(parserConfig.slots.map(slot => [slot, parsedData?.[slot] ?? null]))
+    : { [parserConfig.slot]: parsedData };
   
   return {
     reportType: identification.type,
     reportName: identification.name,
+    slot: parserConfig.slot,
+    slots: parserConfig.slots,
+    slotData,
     confidence: identification.confidence,
     data: parsedData,
+    validation: validateReport(parsedData, identification.type),
   };
 }
 
 /**
  * Get list of all supported report types
- * @returns {Array<{type: string, name: string}>}
+ * Returns the same array instance until the registry changes, so it can be
+ * used as a useSyncExternalStore snapshot.
+ * @returns {Array<{type: string, name: string, fingerprints: Array<{text: string, weight: number}>,
+ *   structuralChecks: Array<{name: string, weight: number}>, slot: string, slots: string[],
+ *   slotTitle: string, description: string, required: boolean, multiple: boolean}>}
  */
 export function getSupportedReportTypes() {
-  return Object.entries(REPORT_PARSERS).map(([type, config]) => ({
-    type,
-    name: config.name,
-    fingerprints: config.fingerprints,
-  }));
+  return supportedTypesSnapshot;
+}
+
+/**
+ * Get the human-readable name of a report type, e.g. "Investment Allocation Report"
+ * @param {string} type - Report type
+ * @returns {string|null}
+ */
+export function getReportName(type) {
+  return REPORT_PARSERS[type]?.name ?? null;
+}
+
+/**
+ * Get the fund-model slot a report type fills (the first, for multi-slot reports)
+ * @param {string} type - Report type
+ * @returns {string|null}
+ */
+export function getReportSlot(type) {
+  return REPORT_PARSERS[type]?.slot ?? null;
+}
+
+/**
+ * Get every fund-model slot a report type fills
+ * @param {string} type - Report type
+ * @returns {string[]}
+ */
+export function getReportSlots(type) {
+  return REPORT_PARSERS[type]?.slots ?? [];
 }
 
 /**
  * Validate that a parsed report has required fields
+ * Delegates to the validator registered for the report type.
  * @param {Object} report - Parsed report data
  * @param {string} type - Report type
- * @returns {{valid: boolean, errors: string[]}}
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
  */
 export function validateReport(report, type) {
-  const errors = [];
-  
-  if (type === 'performance') {
-    if (!report.period?.from || !report.period?.to) {
-      errors.push('Missing report period dates');
-    }
-    if (report.dollarReturnAfterExpenses === null || report.dollarReturnAfterExpenses === undefined) {
-      errors.push('Missing total dollar return');
-    }
+  const config = REPORT_PARSERS[type];
+
+  if (!config) {
+    return { valid: false, errors: [`Unknown report type: ${type}`], warnings: [] };
   }
-  
-  if (type === 'asset_allocation') {
-    if (!report.assetClasses || report.assetClasses.length === 0) {
-      errors.push('No asset classes found');
-    }
-    if (!report.holdings || report.holdings.length === 0) {
-      errors.push('No holdings found');
-    }
+
+  if (!config.validator) {
+    return { valid: true, errors: [], warnings: [] };
   }
-  
+
+  const result = config.validator(report);
+
   return {
-    valid: errors.length === 0,
-    errors,
+    valid: result.valid,
+    errors: result.errors || [],
+    warnings: result.warnings || [],
   };
 }
 
-export { REPORT_PARSERS };
\ No newline at end of file
+export { REPORT_PARSERS };
@@ -0,0 +1,359 @@
+/**
+ * Spreadsheet Import
+ * Turns CSV / XLSX exports into the same report objects the PDF parsers produce
+ *
+ * - assetAllocation: one row per holding or per asset class, same shape as
+ *   parseAssetAllocationReport (reportType 'asset_allocation')
+ * - performance: one portfolio row (a "Total"/"Portfolio" row when present,
+ *   else the first row), same shape as parsePerformanceReport (reportType 'performance')
+ *
+ * Columns are mapped to fields by the user. A first guess comes from the
+ * header names, and a confirmed mapping can be saved per source: the next file
+ * with the same header row imports straight away.
+ */
+
+import { readAmount, readDate, readPercent } from '../utils/localeParsing.js';
+import { ASSET_CLASS_ALIASES } from '../utils/constants.js';
+
+// localStorage key for saved column mappings
+const STORAGE_KEY = 'smsf.spreadsheetMappings';
+
+/**
+ * Importable fields per fund-model slot
+ * - synonyms: normalised header names used to guess the mapping
+ * - type: 'text' | 'amount' | 'percent' | 'date'
+ */
+export const SPREADSHEET_FIELDS = {
+  assetAllocation: [
+    { key: 'assetClass', label: 'Asset class', type: 'text', required: true, synonyms: ['asset class', 'asset category', 'asset sector', 'sector', 'class', 'category'] },
+    { key: 'value', label: 'Market value', type: 'amount', required: true, synonyms: ['market value', 'value', 'current value', 'balance', 'amount', 'value $'] },
+    { key: 'code', label: 'Code', type: 'text', synonyms: ['code', 'asx code', 'security code', 'apir', 'apir code', 'ticker'] },
+    { key: 'name', label: 'Investment name', type: 'text', synonyms: ['investment', 'investment name', 'security', 'security name', 'holding', 'description', 'name'] },
+    { key: 'units', label: 'Units', type: 'amount', synonyms: ['units', 'quantity', 'qty'] },
+    { key: 'asAtDate', label: 'As at date', type: 'date', synonyms: ['as at', 'as at date', 'valuation date', 'date'] },
+  ],
+  performance: [
+    { key: 'periodStart', label: 'Period start', type: 'date', synonyms: ['period start', 'start date', 'from', 'from date'] },
+    { key: 'periodEnd', label: 'Period end', type: 'date', synonyms: ['period end', 'end date', 'to', 'to date', 'as at'] },
+    { key: 'openingValue', label: 'Opening value', type: 'amount', synonyms: ['opening value', 'opening balance', 'starting value', 'starting market value', 'start value'] },
+    { key: 'closingValue', label: 'Closing value', type: 'amount', synonyms: ['closing value', 'closing balance', 'ending value', 'ending market value', 'end value'] },
+    { key: 'expenses', label: 'Investment expenses', type: 'amount', synonyms: ['investment expenses', 'expenses', 'fees'] },
+    { key: 'dollarReturn', label: 'Dollar return after expenses', type: 'amount', synonyms: ['dollar return after expenses', 'return after expenses', 'net return $', 'dollar return', 'investment return'] },
+    { key: 'threeMonths', label: '3 month return %', type: 'percent', synonyms: ['3 months', '3 month', '3 month return', '3 mths', '3m'] },
+    { key: 'sixMonths', label: '6 month return %', type: 'percent', synonyms: ['6 months', '6 month', '6 month return', '6 mths', '6m'] },
+    { key: 'fytd', label: 'FYTD return %', type: 'percent', synonyms: ['fytd', 'financial year to date', 'fytd return'] },
+    { key: 'oneYear', label: '1 year return %', type: 'percent', synonyms: ['1 year', '1 year return', '1 yr', '1y', 'one year'] },
+    { key: 'threeYears', label: '3 year return %', type: 'percent', synonyms: ['3 years', '3 year', '3 years pa', '3 year return', '3 yr', '3y'] },
+    { key: 'fiveYears', label: '5 year return %', type: 'percent', synonyms: ['5 years', '5 year', '5 years pa', '5 year return', '5 yr', '5y'] },
+    { key: 'tenYears', label: '10 year return %', type: 'percent', synonyms: ['10 years', '10 year', '10 years pa', '10 year return', '10 yr', '10y'] },
+    { key: 'sinceInception', label: 'Since inception %', type: 'percent', synonyms: ['since inception', 'since inception pa', 'inception'] },
+  ],
+};
+
+/**
+ * Whether a slot can be filled from a spreadsheet
+ * @param {string} slot
+ * @returns {boolean}
+ */
+export function supportsSpreadsheetImport(slot) {
+  return Boolean(SPREADSHEET_FIELDS[slot]);
+}
+
+/**
+ * Guess a column mapping from header names
+ * Exact synonym matches win over partial ones; each column is used once.
+ *
+ * @param {string} slot - Fund-model slot
+ * @param {string[]} headers - Spreadsheet header row
+ * @returns {Object<string, number|null>} Field key -> column index
+ */
+export function guessColumnMapping(slot, headers) {
+  const fields = SPREADSHEET_FIELDS[slot] || [];
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = Object.fromEntries(fields.map(f => [f.key, null]));
+
+  const assign = (matches) => {
+    for (const field of fields) {
+      if (mapping[field.key] !== null) continue;
+      const index = normalized.findIndex((header, i) =>
+        !used.has(i) && field.synonyms.some(synonym => matches(header, synonym))
+      );
+      if (index !== -1) {
+        mapping[field.key] = index;
+        used.add(index);
+      }
+    }
+  };
+
+  assign((header, synonym) => header === synonym);
+  assign((header, synonym) => synonym.length > 3 && header.includes(synonym));
+
+  return mapping;
+}
+
+/**
+ * Guess whether mapped return columns hold fractions (XLSX percent cells
+ * store 9.85% as 0.0985) - true when every numeric return is below 1
+ *
+ * @param {string} slot
+ * @param {{rows: Array<Array>}} sheet
+ * @param {Object<string, number|null>} mapping
+ * @returns {boolean}
+ */
+export function guessPercentsAsFractions(slot, sheet, mapping) {
+  const columns = (SPREADSHEET_FIELDS[slot] || [])
+    .filter(f => f.type === 'percent' && mapping[f.key] !== null && mapping[f.key] !== undefined)
+    .map(f => mapping[f.key]);
+
+  const values = sheet.rows.flatMap(row => columns.map(i => row[i])).filter(v => typeof v === 'number');
+  return values.length > 0 && values.every(v => Math.abs(v) < 1);
+}
+
+/**
+ * Build the report object for a slot from mapped spreadsheet rows
+ *
+ * @param {string} slot - 'assetAllocation' or 'performance'
+ * @param {{headers: string[], rows: Array<Array>, fileName: string}} sheet - Output of readSpreadsheet
+ * @param {Object<string, number|null>} mapping - Field key -> column index
+ * @param {Object} [options]
+ * @param {boolean} [options.percentsAsFractions=false] - Returns are stored as 0.0985 for 9.85%
+ * @returns {Object} Report data, same shape as the slot's PDF parser output
+ */
+export function buildReportFromSpreadsheet(slot, sheet, mapping, options = {}) {
+  const missing = (SPREADSHEET_FIELDS[slot] || [])
+    .filter(f => f.required && (mapping[f.key] === null || mapping[f.key] === undefined))
+    .map(f => f.label);
+
+  if (missing.length > 0) {
+    throw new Error(`Map a column for: ${missing.join(', ')}`);
+  }
+
+  // Unreadable cells are errors, naming the column, rather than silently empty
+  const read = (row, key, type) => {
+    const { value, error } = readCell(row[mapping[key]], type, options);
+    if (error) {
+      throw new Error(`Column "${sheet.headers[mapping[key]]}": ${error}`);
+    }
+    return value;
+  };
+  const has = (key) => mapping[key] !== null && mapping[key] !== undefined;
+
+  if (slot === 'assetAllocation') {
+    return buildAllocation(sheet, read, has);
+  }
+  if (slot === 'performance') {
+    return buildPerformance(sheet, read, has);
+  }
+
+  throw new Error(`Spreadsheet import is not available for ${slot}`);
+}
+
+/* ---------------------------------------------
+   Asset allocation
+---------------------------------------------- */
+function buildAllocation(sheet, read, has) {
+  const assetClasses = [];
+  const holdings = [];
+  const unmappedAssetClasses = [];
+  let asAtDate = null;
+
+  for (const row of sheet.rows) {
+    const label = read(row, 'assetClass', 'text');
+    const value = read(row, 'value', 'amount');
+    if (!label || value === null || isTotalLabel(label)) continue;
+
+    const name = has('name') ? read(row, 'name', 'text') : null;
+    if (name && isTotalLabel(name)) continue;
+
+    asAtDate = asAtDate ?? (has('asAtDate') ? read(row, 'asAtDate', 'date') : null);
+
+    const alias = ASSET_CLASS_ALIASES.find(a => a.pattern.test(label));
+    const assetClassName = alias ? alias.assetClass : label;
+    if (!alias && !unmappedAssetClasses.includes(label)) {
+      unmappedAssetClasses.push(label);
+    }
+
+    const existing = assetClasses.find(ac => ac.name === assetClassName);
+    if (existing) {
+      existing.value += value;
+    } else {
+      assetClasses.push({ name: assetClassName, value, percent: null, source: 'spreadsheet' });
+    }
+
+    const code = has('code') ? read(row, 'code', 'text') : null;
+    if (name || code) {
+      holdings.push({
+        code,
+        name: name || code,
+        assetClass: assetClassName,
+        units: has('units') ? read(row, 'units', 'amount') : null,
+        value,
+        percent: null,
+      });
+    }
+  }
+
+  const totalValue = assetClasses.reduce((sum, ac) => sum + ac.value, 0);
+
+  for (const item of [...assetClasses, ...holdings]) {
+    item.percent = totalValue > 0 ? (item.value / totalValue) * 100 : null;
+  }
+
+  if (assetClasses.length === 0) {
+    throw new Error('No rows with both an asset class and a market value were found');
+  }
+
+  return {
+    reportType: 'asset_allocation',
+    source: 'spreadsheet',
+    asAtDate,
+    totalValue,
+    assetClasses,
+    holdings,
+    holdingsCount: holdings.length,
+    unmappedAssetClasses,
+  };
+}
+
+/* ---------------------------------------------
+   Performance
+---------------------------------------------- */
+function buildPerformance(sheet, read, has) {
+  // The portfolio row - labelled "Total" / "Portfolio" when the export has per-investment rows
+  const row = sheet.rows.find(r =>
+    r.some(cell => typeof cell === 'string' && /^(total|portfolio)\b/i.test(cell.trim()))
+  ) || sheet.rows[0];
+
+  if (!row) {
+    throw new Error('The spreadsheet has no data rows');
+  }
+
+  const get = (key, type) => (has(key) ? read(row, key, type) : null);
+
+  const startingMarketValue = get('openingValue', 'amount');
+  const endingMarketValue = get('closingValue', 'amount');
+  const expenses = get('expenses', 'amount');
+  const dollarReturnAfterExpenses = get('dollarReturn', 'amount');
+
+  const twr = {
+    threeMonths: get('threeMonths', 'percent'),
+    sixMonths: get('sixMonths', 'percent'),
+    fytd: get('fytd', 'percent'),
+    oneYear: get('oneYear', 'percent'),
+    threeYears: get('threeYears', 'percent'),
+    fiveYears: get('fiveYears', 'percent'),
+    tenYears: get('tenYears', 'percent'),
+    sinceStart: get('sinceInception', 'percent'),
+    sincePeriodStart: null,
+    sinceDates: [],
+  };
+
+  if (dollarReturnAfterExpenses === null && Object.values(twr).every(v => v === null || Array.isArray(v))) {
+    throw new Error('Map at least one return column (dollar return or a return %)');
+  }
+
+  return {
+    reportType: 'performance',
+    source: 'spreadsheet',
+    period: {
+      from: get('periodStart', 'date'),
+      to: get('periodEnd', 'date'),
+    },
+    startingMarketValue,
+    endingMarketValue,
+    movementInValue: startingMarketValue !== null && endingMarketValue !== null
+      ? endingMarketValue - startingMarketValue
+      : null,
+    dollarReturnBeforeExpenses: dollarReturnAfterExpenses !== null && expenses !== null
+      ? dollarReturnAfterExpenses + Math.abs(expenses)
+      : null,
+    dollarReturnAfterExpenses,
+    investmentExpenses: expenses !== null ? Math.abs(expenses) : null,
+    twr,
+  };
+}
+
+/* ---------------------------------------------
+   Saved mappings
+   Keyed by slot and header row, so each export layout ("source") keeps its own
+---------------------------------------------- */
+
+/**
+ * Find the saved mapping for a spreadsheet layout
+ * @param {string} slot
+ * @param {string[]} headers
+ * @returns {{name: string, mapping: Object, options: Object, savedAt: string}|null}
+ */
+export function findSavedMapping(slot, headers) {
+  return loadMappings()[sourceKey(slot, headers)] || null;
+}
+
+/**
+ * Save a confirmed mapping for a spreadsheet layout
+ * @param {string} slot
+ * @param {string[]} headers
+ * @param {{name: string, mapping: Object, options?: Object}} entry
+ */
+export function saveMapping(slot, headers, { name, mapping, options = {} }) {
+  const mappings = loadMappings();
+  mappings[sourceKey(slot, headers)] = {
+    name,
+    mapping,
+    options,
+    savedAt: new Date().toISOString(),
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+  } catch (error) {
+    console.warn('[SpreadsheetImport] Could not save column mapping:', error);
+  }
+}
+
+function loadMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function sourceKey(slot, headers) {
+  return `${slot}|${headers.map(normalizeHeader).join('|')}`;
+}
+
+/* ---------------------------------------------
+   Cells
+---------------------------------------------- */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9$%]+/g, ' ').replace(/\s*(%|p a)\s*$/, '').trim();
+}
+
+function isTotalLabel(text) {
+  return /^(grand\s+)?total\b/i.test(String(text).trim());
+}
+
+/**
+ * Read one cell as { value, error } (see utils/localeParsing.js)
+ * Dates are Date objects from XLSX, and DD/MM/YYYY (Australian) or ISO text from CSV
+ */
+function readCell(cell, type, options) {
+  if (cell === null || cell === undefined || String(cell).trim() === '') return { value: null, error: null };
+
+  switch (type) {
+    case 'amount':
+      return readAmount(cell);
+    case 'percent': {
+      const result = readPercent(cell);
+      // Round away float noise, e.g. 0.0705 * 100 = 7.049999999999999
+      return result.value !== null && options.percentsAsFractions
+        ? { value: Math.round(result.value * 1e8) / 1e6, error: null }
+        : result;
+    }
+    case 'date':
+      return readDate(cell);
+    default:
+      return { value: String(cell).trim(), error: null };
+  }
+}
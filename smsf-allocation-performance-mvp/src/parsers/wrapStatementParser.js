@@ -0,0 +1,468 @@
+/**
+ * Wrap Platform Statement Parser
+ * Parses the periodic statements of Netwealth, HUB24 and Macquarie Wrap
+ *
+ * A platform statement carries both an asset allocation table and a
+ * performance table, so one statement fills two fund-model slots. The parser
+ * returns its data keyed by slot:
+ * - assetAllocation: same shape as parseAssetAllocationReport
+ * - performance:     same shape as parsePerformanceReport
+ *
+ * Platforms name asset classes in their own words ("Australian shares",
+ * "Global fixed interest"); these are mapped to our asset classes with
+ * ASSET_CLASS_ALIASES (constants.js) so analyzeFund can classify the fund. A label we cannot
+ * map keeps its platform name and is listed in `unmappedAssetClasses`.
+ *
+ * ASSUMPTIONS:
+ * 1. Asset allocation rows read "<asset class> <value> <percent>" below the
+ *    platform's allocation heading, ending at a "Total" row
+ * 2. Performance returns are one row of percentages ("Total return", "Net return")
+ *    under a header naming each period ("1 year", "3 years p.a.", "Since inception")
+ * 3. Statement summary amounts sit at the end of their labelled line
+ *    ("Opening balance", "Closing balance", "Investment return")
+ * 4. Negative values may be in parentheses: (123.45) = -123.45
+ */
+
+import { parseCurrency, parsePercentage } from '../utils/formatters.js';
+import { readDate } from '../utils/localeParsing.js';
+import { ASSET_CLASS_ALIASES } from '../utils/constants.js';
+
+/**
+ * Platform profiles - headings that open each section of the statement
+ * Keyed by the platform id used in the registered report type
+ */
+export const WRAP_PLATFORMS = {
+  netwealth: {
+    name: 'Netwealth',
+    allocationHeadings: ['asset allocation'],
+    valuationHeadings: ['portfolio valuation', 'investment holdings'],
+    performanceHeadings: ['portfolio performance', 'investment performance'],
+  },
+  hub24: {
+    name: 'HUB24',
+    allocationHeadings: ['asset allocation'],
+    valuationHeadings: ['portfolio valuation', 'holdings'],
+    performanceHeadings: ['investment performance', 'portfolio performance'],
+  },
+  macquarie_wrap: {
+    name: 'Macquarie Wrap',
+    allocationHeadings: ['asset allocation summary', 'asset allocation'],
+    valuationHeadings: ['portfolio valuation', 'investment summary'],
+    performanceHeadings: ['portfolio performance', 'performance summary'],
+  },
+};
+
+// Return period header labels -> return keys, longest first when matching
+const RETURN_PERIODS = {
+  '1 month': 'oneMonth',
+  '3 months': 'threeMonths',
+  '6 months': 'sixMonths',
+  'financial year to date': 'financialYearToDate',
+  'fytd': 'financialYearToDate',
+  '1 year': 'oneYear',
+  '2 years': 'twoYears',
+  '3 years': 'threeYears',
+  '5 years': 'fiveYears',
+  '7 years': 'sevenYears',
+  '10 years': 'tenYears',
+  'since inception': 'sinceInception',
+  'since commencement': 'sinceInception',
+};
+
+// Labels of the portfolio return row, in order of preference
+const RETURN_ROW_LABELS = ['net return', 'total return', 'portfolio return', 'investment return'];
+
+// Statement summary lines -> performance fields
+const SUMMARY_LABELS = [
+  { pattern: /^opening\s+(balance|value|portfolio\s+value)/i, key: 'openingBalance' },
+  { pattern: /^closing\s+(balance|value|portfolio\s+value)/i, key: 'closingBalance' },
+  { pattern: /^(contributions|deposits|inflows)/i, key: 'deposits' },
+  { pattern: /^(withdrawals|payments|outflows|benefit\s+payments)/i, key: 'withdrawals' },
+  { pattern: /^(fees(\s+and\s+costs)?|administration\s+fees|total\s+fees)/i, key: 'fees' },
+  { pattern: /^(net\s+)?investment\s+(return|earnings|movement)/i, key: 'investmentReturn' },
+];
+
+const AMOUNT_PATTERN = /\(?-?\$?[0-9][0-9,]*\.[0-9]{2}\)?/g;
+const PERCENT_PATTERN = /\(?-?[0-9]+\.[0-9]+\)?\s*%?|(?<=\s)-(?=\s|$)/g;
+
+/**
+ * Create the parser for one platform's statements
+ *
+ * @param {string} platformId - Key of WRAP_PLATFORMS
+ * @returns {(fullText: string, pages: Array) => {assetAllocation: Object|null, performance: Object|null}}
+ */
+export function createWrapStatementParser(platformId) {
+  const platform = WRAP_PLATFORMS[platformId];
+  if (!platform) {
+    throw new Error(`Unknown wrap platform: ${platformId}`);
+  }
+
+  const reportType = `${platformId}_statement`;
+
+  return function parseWrapStatement(fullText, pages) {
+    console.log(`[WrapStatementParser] Parsing ${platform.name} statement`);
+
+    const allLines = pages.flatMap(p => p.lines.map(line => line.trim()));
+    const period = extractPeriod(fullText);
+    const asAtDate = extractAsAtDate(fullText) ?? period.to;
+
+    const assetAllocation = parseAllocation(allLines, platform, asAtDate);
+    const performance = parsePerformance(allLines, platform, period);
+
+    const result = {
+      assetAllocation: assetAllocation && { reportType, platform: platform.name, ...assetAllocation },
+      performance: performance && { reportType, platform: platform.name, ...performance },
+    };
+
+    console.log('[WrapStatementParser] Parsed result:', result);
+
+    return result;
+  };
+}
+
+/* ---------------------------------------------
+   Asset allocation
+---------------------------------------------- */
+function parseAllocation(lines, platform, asAtDate) {
+  const section = findSection(lines, platform.allocationHeadings);
+  if (!section) {
+    console.warn('[WrapStatementParser] Asset allocation section not found');
+    return null;
+  }
+
+  const assetClasses = [];
+  const unmappedAssetClasses = [];
+  let statedTotal = null;
+
+  for (const line of section) {
+    const amounts = line.match(AMOUNT_PATTERN);
+    if (!amounts) continue;
+
+    const label = line.slice(0, line.search(AMOUNT_PATTERN)).replace(/\$/g, '').trim();
+    if (!label) continue;
+
+    const value = parseCurrency(amounts[0]);
+    const percent = readTrailingPercent(line, amounts[0]);
+
+    if (/^total/i.test(label)) {
+      statedTotal = value;
+      break;
+    }
+
+    const alias = ASSET_CLASS_ALIASES.find(a => a.pattern.test(label));
+    const name = alias ? alias.assetClass : label;
+    if (!alias && !unmappedAssetClasses.includes(label)) {
+      unmappedAssetClasses.push(label);
+      console.warn(`[WrapStatementParser] No asset class for "${label}"`);
+    }
+
+    // Several platform labels may map to one asset class (e.g. property + infrastructure)
+    const existing = assetClasses.find(ac => ac.name === name);
+    if (existing) {
+      existing.value += value;
+      existing.percent = existing.percent !== null && percent !== null ? existing.percent + percent : null;
+      existing.platformLabels.push(label);
+    } else {
+      assetClasses.push({ name, value, percent, source: 'platform_allocation', platformLabels: [label] });
+    }
+  }
+
+  const summedTotal = assetClasses.reduce((sum, ac) => sum + ac.value, 0);
+  const totalValue = statedTotal ?? summedTotal;
+
+  for (const assetClass of assetClasses) {
+    if (assetClass.percent === null && totalValue > 0) {
+      assetClass.percent = (assetClass.value / totalValue) * 100;
+    }
+  }
+
+  const holdings = parseHoldings(lines, platform, totalValue);
+
+  return {
+    asAtDate,
+    totalValue: assetClasses.length > 0 ? totalValue : null,
+    assetClasses,
+    holdings,
+    holdingsCount: holdings.length,
+    unmappedAssetClasses,
+    reconciliation: statedTotal === null ? null : {
+      reconciled: Math.abs(statedTotal - summedTotal) <= 1,
+      differences: Math.abs(statedTotal - summedTotal) <= 1 ? [] : [
+        { assetClass: 'Total', source: 'asset_classes', expected: statedTotal, actual: summedTotal },
+      ],
+    },
+  };
+}
+
+/**
+ * Holdings from the portfolio valuation, where the platform lists them
+ * Pattern: "<APIR or ASX code> <name> [units] [price] <value> [<percent>]"
+ */
+function parseHoldings(lines, platform, totalValue) {
+  const section = findSection(lines, platform.valuationHeadings);
+  if (!section) return [];
+
+  const holdings = [];
+
+  // A percentage column after "Value" means the last amount on a row is a weight
+  const header = section.find(line => !/\d/.test(line) && /\bvalue\b/i.test(line));
+  const hasWeightColumn = Boolean(header && /value.*(%|weight|portfolio)/i.test(header));
+
+  for (const line of section) {
+    if (/^total/i.test(line)) break;
+
+    const codeMatch = line.match(/^([A-Z]{3}\d{4}[A-Z]{2}|[A-Z0-9]{3,6})\s+(.+)$/);
+    if (!codeMatch) continue;
+
+    const amounts = codeMatch[2].match(AMOUNT_PATTERN);
+    if (!amounts || (hasWeightColumn && amounts.length < 2)) continue;
+
+    const valueIndex = hasWeightColumn ? amounts.length - 2 : amounts.length - 1;
+    const name = codeMatch[2].slice(0, codeMatch[2].search(/\s[-(]?\$?[0-9]/)).trim();
+    const value = parseCurrency(amounts[valueIndex]);
+    if (!name || value === null) continue;
+
+    holdings.push({
+      code: codeMatch[1],
+      name,
+      assetClass: null,
+      value,
+      percent: hasWeightColumn
+        ? parsePercentage(amounts[amounts.length - 1])
+        : (totalValue > 0 ? (value / totalValue) * 100 : null),
+    });
+  }
+
+  return holdings;
+}
+
+/* ---------------------------------------------
+   Performance
+---------------------------------------------- */
+function parsePerformance(lines, platform, period) {
+  const summary = {};
+
+  for (const line of lines) {
+    const match = SUMMARY_LABELS.find(s => s.pattern.test(line));
+    if (!match || summary[match.key] !== undefined) continue;
+
+    const amounts = line.match(AMOUNT_PATTERN);
+    if (amounts) {
+      summary[match.key] = parseCurrency(amounts[amounts.length - 1]);
+    }
+  }
+
+  const returns = extractReturns(findSection(lines, platform.performanceHeadings) || lines);
+
+  if (Object.keys(summary).length === 0 && Object.keys(returns).length === 0) {
+    console.warn('[WrapStatementParser] Performance section not found');
+    return null;
+  }
+
+  const startingMarketValue = summary.openingBalance ?? null;
+  const endingMarketValue = summary.closingBalance ?? null;
+  const netAddition = summary.deposits !== undefined || summary.withdrawals !== undefined
+    ? (summary.deposits ?? 0) - Math.abs(summary.withdrawals ?? 0)
+    : null;
+  const fees = summary.fees !== undefined ? Math.abs(summary.fees) : null;
+
+  // Prefer the stated investment return, else derive it from the balances and flows
+  let dollarReturnAfterExpenses = summary.investmentReturn ?? null;
+  if (dollarReturnAfterExpenses === null && startingMarketValue !== null && endingMarketValue !== null && netAddition !== null) {
+    dollarReturnAfterExpenses = endingMarketValue - startingMarketValue - netAddition;
+  }
+
+  return {
+    period,
+    startingMarketValue,
+    endingMarketValue,
+    movementInValue: startingMarketValue !== null && endingMarketValue !== null
+      ? endingMarketValue - startingMarketValue
+      : null,
+    netAddition,
+    dollarReturnBeforeExpenses: dollarReturnAfterExpenses !== null && fees !== null
+      ? dollarReturnAfterExpenses + fees
+      : null,
+    dollarReturnAfterExpenses,
+    investmentExpenses: fees,
+    returns,
+    twr: {
+      threeMonths: returns.threeMonths ?? null,
+      sixMonths: returns.sixMonths ?? null,
+      fytd: returns.financialYearToDate ?? null,
+      oneYear: returns.oneYear ?? null,
+      threeYears: returns.threeYears ?? null,
+      fiveYears: returns.fiveYears ?? null,
+      tenYears: returns.tenYears ?? null,
+      sinceStart: returns.sinceInception ?? null,
+      sincePeriodStart: returns.financialYearToDate ?? null,
+      sinceDates: [],
+    },
+  };
+}
+
+/**
+ * Read the portfolio return row against the period header above it
+ */
+function extractReturns(lines) {
+  const periodLabels = Object.keys(RETURN_PERIODS).sort((a, b) => b.length - a.length);
+  let header = null;
+
+  for (const line of lines) {
+    const lower = line.toLowerCase();
+
+    const periods = findReturnPeriods(lower, periodLabels);
+    if (periods.length >= 2) {
+      header = periods;
+      continue;
+    }
+
+    if (!header || !RETURN_ROW_LABELS.some(label => lower.startsWith(label))) continue;
+
+    // Dollar return rows share the label, e.g. "Total return ($)"
+    if (line.includes('$')) continue;
+
+    const label = RETURN_ROW_LABELS.find(l => lower.startsWith(l));
+    const values = line.slice(label.length).replace(/\(%\)|\(\$\)/g, '').match(PERCENT_PATTERN) || [];
+
+    if (values.length !== header.length) {
+      console.warn(`[WrapStatementParser] ${values.length} returns for ${header.length} periods`);
+    }
+
+    const returns = {};
+    header.forEach((key, i) => {
+      const raw = values[i]?.trim();
+      if (!raw || raw === '-') return;
+      returns[key] = parsePercentage(raw.replace(/^\((.*)\)$/, '-$1'));
+    });
+    return returns;
+  }
+
+  return {};
+}
+
+function findReturnPeriods(lowerLine, periodLabels) {
+  const taken = new Array(lowerLine.length).fill(false);
+  const found = [];
+
+  for (const label of periodLabels) {
+    let index = lowerLine.indexOf(label);
+    while (index !== -1) {
+      if (!taken.slice(index, index + label.length).some(Boolean)) {
+        taken.fill(true, index, index + label.length);
+        found.push({ key: RETURN_PERIODS[label], index });
+      }
+      index = lowerLine.indexOf(label, index + label.length);
+    }
+  }
+
+  return found.sort((a, b) => a.index - b.index).map(f => f.key);
+}
+
+/* ---------------------------------------------
+   Helpers
+---------------------------------------------- */
+
+/**
+ * Lines after the first matching section heading - callers stop at the section's Total row
+ * A heading is a line with no digits that starts with one of `headings`.
+ */
+function findSection(lines, headings) {
+  const start = lines.findIndex(line =>
+    !/\d/.test(line) && headings.some(h => line.toLowerCase().startsWith(h))
+  );
+  if (start === -1) return null;
+
+  return lines.slice(start + 1);
+}
+
+function readTrailingPercent(line, amount) {
+  const after = line.slice(line.indexOf(amount) + amount.length);
+  const match = after.match(/\(?-?[0-9]+\.[0-9]+\)?\s*%?/);
+  return match ? parsePercentage(match[0].replace(/^\((.*)\)/, '-$1')) : null;
+}
+
+function extractAsAtDate(text) {
+  const patterns = [
+    /as\s+at\s+(\d{1,2}\s+\w+\s+\d{4})/i,
+    /as\s+at\s+(\d{1,2}\/\d{1,2}\/\d{4})/i,
+  ];
+
+  for (const p of patterns) {
+    const match = text.match(p);
+    if (match) return readDate(match[1]).value;
+  }
+
+  return null;
+}
+
+/**
+ * Statement period, e.g. "For the period 1 July 2023 to 30 June 2024"
+ * or "Statement period: 01/07/2023 - 30/06/2024"
+ */
+function extractPeriod(text) {
+  const patterns = [
+    /period:?\s+(?:from\s+)?(\d{1,2}\s+\w+\s+\d{4})\s+(?:to|-)\s+(\d{1,2}\s+\w+\s+\d{4})/i,
+    /period:?\s+(?:from\s+)?(\d{1,2}\/\d{1,2}\/\d{4})\s+(?:to|-)\s+(\d{1,2}\/\d{1,2}\/\d{4})/i,
+  ];
+
+  for (const p of patterns) {
+    const match = text.match(p);
+    if (match) {
+      return {
+        from: readDate(match[1]).value,
+        to: readDate(match[2]).value,
+        rawFrom: match[1],
+        rawTo: match[2],
+      };
+    }
+  }
+
+  console.warn('[WrapStatementParser] Could not extract statement period');
+  return { from: null, to: null };
+}
+
+/**
+ * Validate a parsed wrap platform statement
+ * @param {{assetAllocation: Object|null, performance: Object|null}} report - Parsed data, keyed by slot
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateWrapStatement(report) {
+  const errors = [];
+  const warnings = [];
+  const { assetAllocation, performance } = report;
+
+  if (!assetAllocation || assetAllocation.assetClasses.length === 0) {
+    errors.push('Could not extract the asset allocation table');
+  } else {
+    for (const label of assetAllocation.unmappedAssetClasses) {
+      warnings.push(`Platform asset class "${label}" is not mapped to an asset class`);
+    }
+    for (const diff of assetAllocation.reconciliation?.differences || []) {
+      warnings.push(`Asset classes (${diff.actual.toFixed(2)}) don't add up to the stated total (${diff.expected.toFixed(2)})`);
+    }
+    if (assetAllocation.holdings.length === 0) {
+      warnings.push('No holdings found');
+    }
+  }
+
+  if (!performance) {
+    warnings.push('No performance section found');
+  } else {
+    if (!performance.period?.from || !performance.period?.to) {
+      warnings.push('Statement period not found');
+    }
+    if (performance.dollarReturnAfterExpenses === null) {
+      warnings.push('Investment return not found');
+    }
+    if (performance.twr.oneYear === null) {
+      warnings.push('1-year return not found');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
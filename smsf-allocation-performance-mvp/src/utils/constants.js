@@ -40,6 +40,23 @@ export const DEFENSIVE_ASSET_CLASSES = [
   'Mortgages',
 ];
 
+/**
+ * Asset class names used by other sources (platform statements, spreadsheet
+ * exports) mapped to the asset classes above - first match wins
+ */
+export const ASSET_CLASS_ALIASES = [
+  { pattern: /foreign\s+cash|foreign\s+currency/i, assetClass: 'Foreign Cash' },
+  { pattern: /^cash|term\s+deposit/i, assetClass: 'Cash' },
+  { pattern: /(international|global|overseas|emerging).*(fixed\s+interest|bonds|debt)/i, assetClass: 'International Fixed Interest' },
+  { pattern: /fixed\s+interest|bonds|debt/i, assetClass: 'Australian Fixed Interest' },
+  { pattern: /mortgage/i, assetClass: 'Mortgages' },
+  { pattern: /direct\s+property/i, assetClass: 'Direct Property' },
+  { pattern: /property|reits?\b|infrastructure/i, assetClass: 'Listed Property' },
+  { pattern: /(international|global|overseas|emerging).*(shares|equities)/i, assetClass: 'International Equities' },
+  { pattern: /(australian|domestic).*(shares|equities)/i, assetClass: 'Australian Equities' },
+  { pattern: /alternative|other|multi[-\s]?asset/i, assetClass: 'Other' },
+];
+
 // ============================================================================
 // BENCHMARK SETS BY CLASSIFICATION
 // ============================================================================
@@ -47,6 +64,9 @@ export const DEFENSIVE_ASSET_CLASSES = [
 /**
  * Benchmarks are hypothetical returns for comparison purposes
  * These would typically come from actual index data in production
+ *
+ * There is no fixed FYTD figure - it depends on how far into the financial
+ * year the report runs, so the engine pro-rates the 1 year return instead
  */
 export const BENCHMARKS = {
   defensive: {
@@ -54,9 +74,12 @@ export const BENCHMARKS = {
     description: 'Weighted average of defensive asset indices',
     composition: '70% Fixed Interest, 20% Cash, 10% Equities',
     returns: {
+      threeMonths: 1.3,
+      sixMonths: 2.7,
       oneYear: 5.5,
       threeYears: 4.2,
       fiveYears: 3.8,
+      tenYears: 4.1,
       sinceInception: 4.0,
     },
     riskLevel: 'Low',
@@ -67,9 +90,12 @@ export const BENCHMARKS = {
     description: 'Diversified multi-asset benchmark',
     composition: '50% Equities, 30% Fixed Interest, 15% Property, 5% Cash',
     returns: {
+      threeMonths: 2.0,
+      sixMonths: 4.1,
       oneYear: 8.5,
       threeYears: 6.8,
       fiveYears: 7.2,
+      tenYears: 7.5,
       sinceInception: 7.0,
     },
     riskLevel: 'Medium',
@@ -80,9 +106,12 @@ export const BENCHMARKS = {
     description: 'High equity exposure benchmark',
     composition: '80% Equities, 10% Property, 10% Other',
     returns: {
+      threeMonths: 2.7,
+      sixMonths: 5.6,
       oneYear: 11.5,
       threeYears: 9.2,
       fiveYears: 10.5,
+      tenYears: 9.6,
       sinceInception: 9.8,
     },
     riskLevel: 'High',
@@ -90,6 +119,27 @@ export const BENCHMARKS = {
   },
 };
 
+// ============================================================================
+// RETURN HORIZONS
+// ============================================================================
+
+/**
+ * Return horizons reported by platforms, shortest first
+ * key is the benchmark / comparison key; twrKey is the fund.performance.twr
+ * field when it differs. months is the horizon length (none for FYTD and
+ * since inception, which depend on dates)
+ */
+export const RETURN_HORIZONS = [
+  { key: 'threeMonths', label: '3 Months', months: 3 },
+  { key: 'sixMonths', label: '6 Months', months: 6 },
+  { key: 'fytd', label: 'FYTD' },
+  { key: 'oneYear', label: '1 Year', months: 12 },
+  { key: 'threeYears', label: '3 Years p.a.', months: 36 },
+  { key: 'fiveYears', label: '5 Years p.a.', months: 60 },
+  { key: 'tenYears', label: '10 Years p.a.', months: 120 },
+  { key: 'sinceInception', label: 'Since Inception', twrKey: 'sinceStart' },
+];
+
 // ============================================================================
 // PERFORMANCE THRESHOLDS
 // ============================================================================
@@ -118,31 +168,213 @@ export const PERFORMANCE_THRESHOLDS = {
 /**
  * Text patterns used to identify report types
  * These are case-insensitive fingerprints found in the PDF text
+ *
+ * A plain string weighs 1. { text, weight } weighs more (a report title) or
+ * less (a word most reports contain, like "cash"); a negative weight marks
+ * text the report type does not contain, e.g. the other CLASS report's title.
  */
 
 export const REPORT_FINGERPRINTS = {
   ASSET_ALLOCATION: [
-    'investment allocation',
-    'asset allocation',
-    'allocation as at',
-    'current allocation',
+    { text: 'investment allocation', weight: 3 },
+    { text: 'asset allocation', weight: 2 },
+    { text: 'allocation as at', weight: 3 },
+    { text: 'current allocation', weight: 2 },
     'australian equities',
     'international equities',
     'fixed interest',
     'listed property',
-    'cash',
+    { text: 'cash', weight: 0.5 },
+    { text: 'investment movement', weight: -3 },
+    { text: 'movement and returns', weight: -3 },
+    { text: 'investment return before expenses', weight: -2 },
   ],
 
   PERFORMANCE: [
-    'investment movement',
-    'movement and returns',
+    { text: 'investment movement', weight: 3 },
+    { text: 'movement and returns', weight: 3 },
     'time weighted',
     'time weighted return',
-    'twr',
+    { text: 'twr', weight: 0.5 },
     'opening balance',
     'closing balance',
     'net return',
+    { text: 'investment allocation', weight: -3 },
+    { text: 'allocation as at', weight: -3 },
+  ],
+
+  // BGL Simple Fund 360 - column headings CLASS reports never use, so a BGL
+  // report cannot reach the CLASS types' confidence and vice versa
+  BGL_INVESTMENT_SUMMARY: [
+    'investment summary',
+    'simple fund 360',
+    'accounting cost',
+    'average cost',
+    'market price',
+    'unrealised gain',
+    'shares in listed companies',
+  ],
+
+  BGL_INVESTMENT_PERFORMANCE: [
+    'investment performance',
+    'simple fund 360',
+    'opening value',
+    'closing value',
+    'change in market value',
+    'total return',
+    'shares in listed companies',
+  ],
+
+  // Member benefit statements - tax components and preservation wording are
+  // member-level only; the investment reports never print them
+  MEMBER_STATEMENT: [
+    { text: 'member statement', weight: 3 },
+    { text: 'member benefit statement', weight: 3 },
+    'tax free component',
+    'taxable component',
+    'preservation',
+    'preserved',
+    'unrestricted non-preserved',
+    'date of birth',
+    'member number',
+    { text: 'accumulation', weight: 0.5 },
+    { text: 'retirement phase', weight: 0.5 },
+    { text: 'investment allocation', weight: -3 },
+    { text: 'investment movement', weight: -3 },
   ],
+
+  // Annual financial statements - each names the other in its notes, hence
+  // the title weights
+  OPERATING_STATEMENT: [
+    { text: 'operating statement', weight: 3 },
+    { text: 'income statement', weight: 2 },
+    'benefits accrued as a result of operations',
+    'supervisory levy',
+    'audit',
+    'accountancy fees',
+    'total income',
+    'total expenses',
+    'income tax expense',
+    { text: 'statement of financial position', weight: -2 },
+    { text: 'investment allocation', weight: -3 },
+  ],
+
+  FINANCIAL_POSITION: [
+    { text: 'statement of financial position', weight: 3 },
+    { text: 'balance sheet', weight: 2 },
+    'net assets available to pay benefits',
+    'total assets',
+    'total liabilities',
+    'liability for accrued benefits',
+    'represented by',
+    { text: 'operating statement', weight: -2 },
+    { text: 'investment allocation', weight: -3 },
+  ],
+
+  // Investment income by holding - franking and foreign credit columns set it
+  // apart from the BGL summary and performance reports
+  INVESTMENT_INCOME: [
+    { text: 'investment income', weight: 3 },
+    'franking credits',
+    'franked',
+    'unfranked',
+    'foreign income',
+    'foreign credits',
+    'assessable income',
+    { text: 'distributions', weight: 0.5 },
+    { text: 'investment allocation', weight: -3 },
+    { text: 'investment movement', weight: -3 },
+    { text: 'operating statement', weight: -3 },
+  ],
+
+  // Realised CGT report - one line per parcel sold, with dates and cost base
+  CAPITAL_GAINS: [
+    { text: 'realised capital gains', weight: 3 },
+    'cost base',
+    'proceeds',
+    'disposal date',
+    'acquisition date',
+    'discount',
+    'indexed',
+    'capital loss',
+    { text: 'investment allocation', weight: -3 },
+    { text: 'operating statement', weight: -3 },
+    { text: 'franking credits', weight: -2 },
+  ],
+
+  // Fund bank account statement - account details and running balances
+  BANK_STATEMENT: [
+    { text: 'bank statement', weight: 2 },
+    { text: 'statement period', weight: 0.5 },
+    'bsb',
+    'account number',
+    'opening balance',
+    'closing balance',
+    'debit',
+    'credit',
+    { text: 'investment allocation', weight: -3 },
+    { text: 'member statement', weight: -3 },
+    { text: 'contract note', weight: -2 },
+    { text: 'brokerage', weight: -2 },
+  ],
+
+  // Wrap platform periodic statements (see wrapStatementParser.js).
+  // The platform name is the strongest signal, so each list stays short.
+  WRAP_STATEMENTS: {
+    netwealth: [
+      'netwealth',
+      'netwealth investments limited',
+      'wrap service',
+      'asset allocation',
+      'portfolio performance',
+    ],
+    hub24: [
+      'hub24',
+      'hub24 invest',
+      'hub24 super',
+      'asset allocation',
+      'investment performance',
+    ],
+    macquarie_wrap: [
+      'macquarie wrap',
+      'macquarie investment management',
+      'wrap consolidator',
+      'asset allocation',
+      'portfolio performance',
+    ],
+  },
+
+  // Broker contract notes, keyed by broker id (see contractNoteParser.js).
+  // The shared trade terms confirm a contract note; the broker name picks which.
+  CONTRACT_NOTES: {
+    commsec: [
+      { text: 'commsec', weight: 3 },
+      'commonwealth securities limited',
+      'we have bought',
+      'we have sold',
+      'settlement date',
+      'brokerage',
+      'consideration',
+    ],
+    bell_direct: [
+      { text: 'bell direct', weight: 3 },
+      'bell potter',
+      'buy confirmation',
+      'sell confirmation',
+      'settlement date',
+      'brokerage',
+      'consideration',
+    ],
+    cmc: [
+      { text: 'cmc markets', weight: 3 },
+      'cmc markets stockbroking',
+      'contract note',
+      'trade date',
+      'settlement date',
+      'brokerage',
+      'consideration',
+    ],
+  },
 };
 
 
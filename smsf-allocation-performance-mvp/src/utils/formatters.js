@@ -21,7 +21,7 @@ export function parseCurrency(value) {
 
   const cleaned = value
     .toString()
-    .replace(/[\$,]/g, "")
+    .replace(/[$,]/g, "")
     .replace(/\((.*?)\)/, "-$1")
     .trim();
 
@@ -0,0 +1,301 @@
+/**
+ * Locale-aware parsing for Australian report conventions
+ *
+ * Every reader returns { value, error }:
+ * - value: the parsed value, or null
+ * - error: null on success, or a message saying why the text could not be read
+ *
+ * value and error are both null for placeholder cells ("", "-", "–", "n/a",
+ * "nil"), which reports use for "no figure" - distinct from unreadable text.
+ *
+ * Conventions handled:
+ * - Dates: DD/MM/YYYY (also "-" or "." separated, two-digit years), ISO
+ *   YYYY-MM-DD, "30 June 2025", "30 Jun 2025", "30-Jun-25", "June 30, 2025"
+ * - Months (chart and table axes): "Jul 2025", "July 2025", "Jul-25", "07/2025"
+ * - Financial years (1 July - 30 June): "FY2025", "FY25", "FY 2024-25",
+ *   "2024/25", "2024-2025"
+ * - Amounts: "$", "A$", "AUD", thousands separators, spaces / non-breaking
+ *   spaces, negatives as "(1,234.56)", "-1,234.56", "1,234.56-", unicode
+ *   minus, and CR / DR suffixes (DR negative by default)
+ * - Percentages: the amount forms above with an optional "%"
+ */
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Cells that mean "no figure" rather than a value
+const PLACEHOLDERS = ['', '-', '\u2013', '\u2014', 'n/a', 'na', 'nil'];
+
+// Spaces that appear inside numbers in PDF text: normal, non-breaking, thin, narrow no-break
+const SPACES = /[\s\u00A0\u2009\u202F]+/g;
+
+const ok = (value) => ({ value, error: null });
+const fail = (error) => ({ value: null, error });
+
+/* ---------------------------------------------
+   Dates
+---------------------------------------------- */
+
+/**
+ * Read an Australian-format date
+ * Date objects are read in UTC, as spreadsheet readers produce them
+ *
+ * @param {string|Date} input
+ * @returns {{value: string|null, error: string|null}} value is YYYY-MM-DD
+ */
+export function readDate(input) {
+  if (input instanceof Date) {
+    return isNaN(input) ? fail('Invalid date') : ok(toIsoDate(input.getUTCFullYear(), input.getUTCMonth() + 1, input.getUTCDate()));
+  }
+
+  const text = normalizeText(input);
+  if (isPlaceholder(text)) return ok(null);
+
+  // DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY, two-digit years
+  let match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) {
+    return buildDate(text, expandYear(match[3]), Number(match[2]), Number(match[1]));
+  }
+
+  // ISO YYYY-MM-DD (optionally with a time)
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/);
+  if (match) {
+    return buildDate(text, Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  // 30 June 2025, 30 Jun 2025, 30-Jun-25, 30 Jun. 2025
+  match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]+)\.?[\s-]+(\d{2}|\d{4})$/i);
+  if (match) {
+    const month = monthNumber(match[2]);
+    if (!month) return fail(`Unrecognised month "${match[2]}" in date "${text}"`);
+    return buildDate(text, expandYear(match[3]), month, Number(match[1]));
+  }
+
+  // June 30, 2025
+  match = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+  if (match) {
+    const month = monthNumber(match[1]);
+    if (!month) return fail(`Unrecognised month "${match[1]}" in date "${text}"`);
+    return buildDate(text, Number(match[3]), month, Number(match[2]));
+  }
+
+  return fail(`Unrecognised date "${text}" (expected DD/MM/YYYY or "30 June 2025")`);
+}
+
+/**
+ * Read a month label, as used on chart axes and monthly tables
+ *
+ * @param {string} input - e.g. "Jul 2025", "July 2025", "Jul-25", "07/2025"
+ * @returns {{value: string|null, error: string|null}} value is the last day of the month, YYYY-MM-DD
+ */
+export function readMonthEnd(input) {
+  const text = normalizeText(input);
+  if (isPlaceholder(text)) return ok(null);
+
+  let year;
+  let month;
+
+  const named = text.match(/^([a-z]+)\.?[\s'-]+(\d{2}|\d{4})$/i);
+  const numeric = text.match(/^(\d{1,2})[/.-](\d{4})$/);
+
+  if (named) {
+    month = monthNumber(named[1]);
+    if (!month) return fail(`Unrecognised month "${named[1]}" in "${text}"`);
+    year = expandYear(named[2]);
+  } else if (numeric) {
+    month = Number(numeric[1]);
+    year = Number(numeric[2]);
+    if (month < 1 || month > 12) return fail(`Invalid month ${month} in "${text}"`);
+  } else {
+    return fail(`Unrecognised month "${text}" (expected e.g. "Jul 2025" or "07/2025")`);
+  }
+
+  return ok(toIsoDate(year, month, new Date(Date.UTC(year, month, 0)).getUTCDate()));
+}
+
+/**
+ * Read a financial-year label - the Australian financial year runs 1 July to 30 June
+ *
+ * @param {string} input - e.g. "FY2025", "FY25", "FY 2024-25", "2024/25"
+ * @returns {{value: {label: string, year: number, start: string, end: string}|null, error: string|null}}
+ *   year is the year the financial year ends in (FY2025 = 1 July 2024 - 30 June 2025)
+ */
+export function readFinancialYear(input) {
+  const text = normalizeText(input);
+  if (isPlaceholder(text)) return ok(null);
+
+  let endYear;
+
+  const single = text.match(/^fy\s*'?(\d{2}|\d{4})$/i);
+  const range = text.match(/^(?:fy\s*)?(\d{4})\s*[-/\u2013]\s*(\d{2}|\d{4})$/i);
+
+  if (single) {
+    // FY2025, FY25, FY 2025
+    endYear = expandYear(single[1]);
+  } else if (range) {
+    // FY 2024-25, 2024/25, 2024-2025
+    const startYear = Number(range[1]);
+    endYear = range[2].length === 2 ? Math.floor(startYear / 100) * 100 + Number(range[2]) : Number(range[2]);
+    if (endYear !== startYear + 1) {
+      return fail(`Financial year "${text}" must span consecutive years`);
+    }
+  } else {
+    return fail(`Unrecognised financial year "${text}" (expected e.g. "FY2025" or "2024-25")`);
+  }
+
+  return ok({
+    label: `FY${endYear}`,
+    year: endYear,
+    start: toIsoDate(endYear - 1, 7, 1),
+    end: toIsoDate(endYear, 6, 30),
+  });
+}
+
+/**
+ * Financial year a date falls in
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {number|null} The year the financial year ends in
+ */
+export function financialYearOf(isoDate) {
+  const match = String(isoDate || '').match(/^(\d{4})-(\d{2})/);
+  if (!match) return null;
+  return Number(match[2]) >= 7 ? Number(match[1]) + 1 : Number(match[1]);
+}
+
+function buildDate(text, year, month, day) {
+  if (month < 1 || month > 12) {
+    return fail(`Invalid month ${month} in date "${text}" (dates are read as DD/MM/YYYY)`);
+  }
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day < 1 || day > daysInMonth) {
+    return fail(`Invalid date "${text}": ${MONTH_NAMES[month - 1]} ${year} has ${daysInMonth} days`);
+  }
+
+  return ok(toIsoDate(year, month, day));
+}
+
+function monthNumber(name) {
+  return MONTHS[name.toLowerCase()] || null;
+}
+
+function expandYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/* ---------------------------------------------
+   Amounts and percentages
+---------------------------------------------- */
+
+/**
+ * Read a dollar amount
+ *
+ * @param {string|number} input
+ * @param {Object} [options]
+ * @param {boolean} [options.debitIsNegative=true] - Sign of "DR" amounts; "CR" takes the opposite sign
+ * @returns {{value: number|null, error: string|null}}
+ */
+export function readAmount(input, { debitIsNegative = true } = {}) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? ok(input) : fail(`Invalid amount ${input}`);
+  }
+
+  const text = normalizeText(input);
+  if (isPlaceholder(text)) return ok(null);
+
+  // Currency markers may sit either side of a minus or parenthesis: "-$5", "$(5)"
+  let body = text.replace(SPACES, '').replace(/A\$|AUD|\$/gi, '');
+  let negative = false;
+  let markers = 0;
+
+  // CR / DR suffix (bank and ledger statements)
+  const drCr = body.match(/^(.*?)(CR|DR)\.?$/i);
+  if (drCr) {
+    body = drCr[1];
+    negative = (drCr[2].toUpperCase() === 'DR') === debitIsNegative;
+    markers++;
+  }
+
+  // (1,234.56)
+  if (/^\(.*\)$/.test(body)) {
+    body = body.slice(1, -1);
+    negative = true;
+    markers++;
+  }
+
+  // Leading or trailing minus
+  if (/^-/.test(body) || /-$/.test(body)) {
+    body = body.replace(/^-|-$/, '');
+    negative = true;
+    markers++;
+  }
+
+  if (markers > 1) {
+    return fail(`Conflicting negative markers in amount "${text}"`);
+  }
+
+  if (!/^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$|^\.\d+$/.test(body)) {
+    return fail(`Unrecognised amount "${text}"`);
+  }
+
+  const number = Number(body.replace(/,/g, ''));
+  return ok(negative ? -number : number);
+}
+
+/**
+ * Read a percentage - "12.34%", "12.34", "(1.20)%", "-1.2 %", "1.2%-"
+ *
+ * @param {string|number} input
+ * @returns {{value: number|null, error: string|null}} value in percent (12.34 for 12.34%)
+ */
+export function readPercent(input) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? ok(input) : fail(`Invalid percentage ${input}`);
+  }
+
+  const text = normalizeText(input);
+  if (isPlaceholder(text)) return ok(null);
+
+  // The % sign may sit inside or outside parentheses / a trailing minus
+  const body = text.replace(SPACES, '').replace(/%/, '');
+  if (/[$]|CR|DR/i.test(body)) {
+    return fail(`Unrecognised percentage "${text}"`);
+  }
+
+  const result = readAmount(body);
+  return result.error ? fail(`Unrecognised percentage "${text}"`) : result;
+}
+
+/* ---------------------------------------------
+   Shared
+---------------------------------------------- */
+
+function normalizeText(input) {
+  if (input === null || input === undefined) return '';
+  return String(input).replace(/[\u00A0\u2009\u202F]/g, ' ').replace(/\u2212/g, '-').trim();
+}
+
+function isPlaceholder(text) {
+  return PLACEHOLDERS.includes(text.toLowerCase());
+}
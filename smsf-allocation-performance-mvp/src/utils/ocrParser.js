@@ -0,0 +1,196 @@
+/**
+ * OCR Text Extraction Utility
+ * Fallback for scanned / image-based PDFs that carry no embedded text
+ *
+ * Runs in the report worker (workers/reportWorker.js), off the main thread:
+ * pages are rendered with pdf.js to an OffscreenCanvas and read with
+ * tesseract.js, whose own worker is started from there. The engine, its
+ * WebAssembly core and the English language data are bundled with the app,
+ * so no document or request leaves the machine.
+ *
+ * Output matches extractTextFromPDF, so the existing parsers work unchanged.
+ * In addition every page carries its recognised `words` with a confidence
+ * score (0-100), and each line item keeps the confidence of its word.
+ */
+
+import { createWorker, OEM, PSM } from 'tesseract.js';
+import workerUrl from 'tesseract.js/dist/worker.min.js?url';
+import coreUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import { loadPdfDocument, buildPage, buildExtractedPdf, isPasswordError } from './pdfParser.js';
+
+// Language data is copied to this folder by the ocrLanguageData plugin in vite.config.js
+const LANG_PATH = `${import.meta.env.BASE_URL}tesseract`;
+
+// Render scale for OCR - roughly 150 DPI for a standard A4 page
+const RENDER_SCALE = 2;
+
+/**
+ * Extract text from a scanned PDF using OCR
+ *
+ * @param {File|ArrayBuffer} input - PDF file or ArrayBuffer
+ * @param {Object} [options]
+ * @param {(progress: {page: number, numPages: number, status: string, progress: number}) => void} [options.onProgress] -
+ *   Called on every tesseract progress message; page is 0 while the engine loads
+ * @param {AbortSignal} [options.signal] - Checked before each page; aborting rejects with the signal's reason
+ * @param {string} [options.password] - For encrypted PDFs
+ * @returns {Promise<{pages: Array<Object>, fullText: string, numPages: number, ocr: {confidence: number|null}}>}
+ */
+export async function extractTextWithOCR(input, { onProgress, signal, password } = {}) {
+  let worker = null;
+
+  try {
+    const pdf = await loadPdfDocument(input, { password, CanvasFactory: OffscreenCanvasFactory });
+    let currentPage = 0;
+
+    worker = await createWorker('eng', OEM.LSTM_ONLY, {
+      workerPath: toAbsoluteUrl(workerUrl),
+      corePath: toAbsoluteUrl(coreUrl),
+      langPath: toAbsoluteUrl(LANG_PATH),
+      workerBlobURL: false,
+      logger: (message) => {
+        if (onProgress) {
+          onProgress({
+            page: currentPage,
+            numPages: pdf.numPages,
+            status: message.status,
+            progress: message.progress,
+          });
+        }
+      },
+    });
+
+    // Statements are mostly tables - keep each row on one line
+    await worker.setParameters({
+      tessedit_pageseg_mode: PSM.SINGLE_BLOCK,
+      preserve_interword_spaces: '1',
+    });
+
+    const pages = [];
+    const allWords = [];
+
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      if (signal?.aborted) throw signal.reason;
+      currentPage = pageNum;
+      console.log(`[OCR] Recognising page ${pageNum} of ${pdf.numPages}`);
+
+      const page = await pdf.getPage(pageNum);
+      const { canvas, pageHeight } = await renderPage(page);
+
+      const { data } = await worker.recognize(canvas, {}, { blocks: true });
+      const words = collectWords(data.blocks, pageHeight);
+
+      pages.push({
+        ...buildPage(pageNum, words),
+        words: words.map(w => ({
+          text: w.text,
+          confidence: w.confidence,
+          bbox: { x0: w.x, y0: w.y, x1: w.x + w.width, y1: w.y + w.height },
+        })),
+        confidence: averageConfidence(words),
+      });
+      allWords.push(...words);
+
+      // Release the canvas memory before the next page
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+
+    return {
+      ...buildExtractedPdf(pages, pdf.numPages),
+      ocr: {
+        confidence: averageConfidence(allWords),
+      },
+    };
+  } catch (error) {
+    if (signal?.aborted || isPasswordError(error)) throw error;
+    console.error('OCR extraction error:', error);
+    throw new Error(`Failed to read scanned PDF: ${error.message}`);
+  } finally {
+    if (worker) {
+      await worker.terminate();
+    }
+  }
+}
+
+/**
+ * pdf.js canvas factory for the worker, which has no document to create
+ * canvases in (used for pdf.js's scratch canvases, e.g. image masks)
+ */
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * Render a PDF page to an OffscreenCanvas for recognition
+ */
+async function renderPage(page) {
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  await page.render({
+    canvas,
+    canvasContext: canvas.getContext('2d'),
+    viewport,
+  }).promise;
+
+  return {
+    canvas,
+    pageHeight: page.getViewport({ scale: 1 }).height,
+  };
+}
+
+/**
+ * Flatten tesseract blocks into positioned words
+ * Pixel boxes (origin top-left) are converted to PDF units (origin bottom-left)
+ * so OCR line items line up with those from extractTextFromPDF.
+ */
+function collectWords(blocks, pageHeight) {
+  const words = [];
+
+  for (const block of blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        for (const word of line.words) {
+          if (!word.text || !word.text.trim()) continue;
+
+          const { x0, y0, x1, y1 } = word.bbox;
+          words.push({
+            text: word.text,
+            x: x0 / RENDER_SCALE,
+            y: pageHeight - y1 / RENDER_SCALE,
+            width: (x1 - x0) / RENDER_SCALE,
+            height: (y1 - y0) / RENDER_SCALE,
+            confidence: word.confidence,
+          });
+        }
+      }
+    }
+  }
+
+  return words;
+}
+
+function averageConfidence(words) {
+  if (words.length === 0) return null;
+  const total = words.reduce((sum, w) => sum + w.confidence, 0);
+  return Math.round((total / words.length) * 10) / 10;
+}
+
+function toAbsoluteUrl(url) {
+  return new URL(url, self.location.href).href;
+}
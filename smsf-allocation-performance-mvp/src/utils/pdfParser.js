@@ -1,7 +1,7 @@
 /**
  * PDF Text Extraction Utility
  * Uses pdfjs-dist for local, offline PDF text extraction
- * NO OCR - extracts embedded text only
+ * Extracts embedded text only - scanned documents go through ocrParser.js
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
@@ -13,28 +13,35 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
   import.meta.url
 ).toString();
 
+// Minimum horizontal gap (PDF units) between two column bands in a table
+const DEFAULT_COLUMN_GAP = 8;
+
+// error.code of the errors thrown for encrypted PDFs (see isPasswordError)
+export const PASSWORD_REQUIRED = 'PASSWORD_REQUIRED';
+export const PASSWORD_INCORRECT = 'PASSWORD_INCORRECT';
+
 /**
  * Extract all text from a PDF file
+ *
+ * Each page also carries `lineItems`, parallel to `lines`: the positioned text
+ * items that make up each line (x/y in PDF units, y=0 at the page bottom).
+ * These feed the coordinate-aware table extraction below.
+ *
+ * Password-protected PDFs reject with a password error (isPasswordError)
+ * until opened with the right password.
+ *
  * @param {File|ArrayBuffer} input - PDF file or ArrayBuffer
- * @returns {Promise<{pages: Array<{pageNumber: number, lines: string[], rawText: string}>, fullText: string}>}
+ * @param {Object} [options]
+ * @param {(progress: {page: number, numPages: number}) => void} [options.onProgress] - Called after each page
+ * @param {string} [options.password] - For encrypted PDFs; only handed to pdf.js
+ * @returns {Promise<{pages: Array<{pageNumber: number, lines: string[], lineItems: Array<Array<Object>>, rawText: string}>, fullText: string}>}
  */
-export async function extractTextFromPDF(input) {
+export async function extractTextFromPDF(input, { onProgress, password } = {}) {
   try {
-    // Convert File to ArrayBuffer if needed
-    let arrayBuffer;
-    if (input instanceof File) {
-      arrayBuffer = await input.arrayBuffer();
-    } else if (input instanceof ArrayBuffer) {
-      arrayBuffer = input;
-    } else {
-      throw new Error('Input must be a File or ArrayBuffer');
-    }
-
     // Load the PDF document
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    const pdf = await loadPdfDocument(input, { password });
     
     const pages = [];
-    let fullText = '';
 
     // Process each page
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
@@ -52,58 +59,131 @@ export async function extractTextFromPDF(input) {
           height: item.height,
         }));
 
-      // Sort by Y position (top to bottom), then X position (left to right)
-      // PDF coordinates have Y=0 at bottom, so we reverse Y sort
-      textItems.sort((a, b) => {
-        const yDiff = b.y - a.y;
-        if (Math.abs(yDiff) > 5) return yDiff; // Same line threshold
-        return a.x - b.x;
-      });
-
-      // Group items into lines based on Y position
-      const lines = [];
-      let currentLine = [];
-      let lastY = null;
-
-      for (const item of textItems) {
-        // Check if this item is on a new line (Y difference > threshold)
-        if (lastY !== null && Math.abs(lastY - item.y) > 5) {
-          if (currentLine.length > 0) {
-            lines.push(currentLine.map(i => i.text).join(' '));
-          }
-          currentLine = [];
-        }
-        currentLine.push(item);
-        lastY = item.y;
+      pages.push(buildPage(pageNum, textItems));
+      if (onProgress) {
+        onProgress({ page: pageNum, numPages: pdf.numPages });
       }
-
-      // Don't forget the last line
-      if (currentLine.length > 0) {
-        lines.push(currentLine.map(i => i.text).join(' '));
-      }
-
-      const pageText = lines.join('\n');
-      
-      pages.push({
-        pageNumber: pageNum,
-        lines,
-        rawText: pageText,
-      });
-
-      fullText += pageText + '\n\n';
     }
 
-    return {
-      pages,
-      fullText: fullText.trim(),
-      numPages: pdf.numPages,
-    };
+    return buildExtractedPdf(pages, pdf.numPages);
   } catch (error) {
+    if (isPasswordError(error)) throw error;
     console.error('PDF extraction error:', error);
     throw new Error(`Failed to extract text from PDF: ${error.message}`);
   }
 }
 
+/**
+ * Load a PDF document with pdf.js
+ * @param {File|ArrayBuffer} input - PDF file or ArrayBuffer
+ * @param {Object} [options]
+ * @param {string} [options.password] - For encrypted PDFs
+ * @param {Function} [options.CanvasFactory] - pdf.js canvas factory class, for rendering without a document
+ * @returns {Promise<Object>} pdf.js document proxy
+ */
+export async function loadPdfDocument(input, { password, CanvasFactory } = {}) {
+  // Convert File to ArrayBuffer if needed
+  let arrayBuffer;
+  if (input instanceof File) {
+    arrayBuffer = await input.arrayBuffer();
+  } else if (input instanceof ArrayBuffer) {
+    arrayBuffer = input;
+  } else {
+    throw new Error('Input must be a File or ArrayBuffer');
+  }
+
+  try {
+    return await pdfjsLib.getDocument({ data: arrayBuffer, password, CanvasFactory }).promise;
+  } catch (error) {
+    if (error?.name !== 'PasswordException') throw error;
+
+    throw error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD
+      ? createPasswordError(PASSWORD_INCORRECT, 'Incorrect password for this PDF. Please try again.')
+      : createPasswordError(PASSWORD_REQUIRED, 'This PDF is password-protected. Enter its password to read it.');
+  }
+}
+
+/**
+ * Whether an error means the PDF needs a (different) password
+ * The code survives the trip from the report worker (see reportWorkerClient.js).
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isPasswordError(error) {
+  return error?.code === PASSWORD_REQUIRED || error?.code === PASSWORD_INCORRECT;
+}
+
+function createPasswordError(code, message) {
+  const error = new Error(message);
+  error.name = 'PasswordError';
+  error.code = code;
+  return error;
+}
+
+/**
+ * Group positioned text items into a page object
+ * Shared by text extraction and OCR so both produce the same page shape
+ *
+ * @param {number} pageNumber - 1-based page number
+ * @param {Array<{text: string, x: number, y: number, width: number, height: number}>} textItems
+ * @returns {{pageNumber: number, lines: string[], lineItems: Array<Array<Object>>, rawText: string}}
+ */
+export function buildPage(pageNumber, textItems) {
+  // Sort by Y position (top to bottom), then X position (left to right)
+  // PDF coordinates have Y=0 at bottom, so we reverse Y sort
+  const items = [...textItems].sort((a, b) => {
+    const yDiff = b.y - a.y;
+    if (Math.abs(yDiff) > 5) return yDiff; // Same line threshold
+    return a.x - b.x;
+  });
+
+  // Group items into lines based on Y position
+  const lines = [];
+  const lineItems = [];
+  let currentLine = [];
+  let lastY = null;
+
+  const pushLine = () => {
+    lines.push(currentLine.map(i => i.text).join(' '));
+    lineItems.push([...currentLine].sort((a, b) => a.x - b.x));
+  };
+
+  for (const item of items) {
+    // Check if this item is on a new line (Y difference > threshold)
+    if (lastY !== null && Math.abs(lastY - item.y) > 5) {
+      if (currentLine.length > 0) {
+        pushLine();
+      }
+      currentLine = [];
+    }
+    currentLine.push(item);
+    lastY = item.y;
+  }
+
+  // Don't forget the last line
+  if (currentLine.length > 0) {
+    pushLine();
+  }
+
+  return {
+    pageNumber,
+    lines,
+    lineItems,
+    rawText: lines.join('\n'),
+  };
+}
+
+/**
+ * Assemble the extractTextFromPDF result from its pages
+ */
+export function buildExtractedPdf(pages, numPages) {
+  return {
+    pages,
+    fullText: pages.map(p => p.rawText).join('\n\n').trim(),
+    numPages,
+  };
+}
+
 /**
  * Extract text from a specific section of a PDF page
  * Uses text patterns to identify section boundaries
@@ -169,9 +249,141 @@ export function findValueAfterLabel(lines, labelPattern) {
   return null;
 }
 
+/**
+ * Extract a table from a page using text item coordinates
+ *
+ * Column boundaries are found from x-gaps shared by every row: the horizontal
+ * extents of all items in the table region are merged, and each gap of at
+ * least `minGap` between merged bands separates two columns. Items are then
+ * assigned to the band they fall in, so empty cells stay empty instead of
+ * shifting the rest of the row left.
+ *
+ * @param {Object} page - Page object from extractTextFromPDF (needs lineItems)
+ * @param {Object} [options]
+ * @param {string} [options.startPattern] - Pattern matching the header row (table starts here)
+ * @param {string} [options.endPattern] - Pattern matching the last row (inclusive)
+ * @param {number[]} [options.lineIndexes] - Take exactly these page lines instead
+ *   of a start/end range, e.g. a header and one data row
+ * @param {number} [options.minGap] - Minimum x-gap between columns, in PDF units
+ * @returns {{pageNumber: number, columns: Array<{index: number, x0: number, x1: number}>, rows: Array<Array<{row: number, column: number, text: string, pageNumber: number, bbox: {x0: number, y0: number, x1: number, y1: number}}|null>>}|null}
+ *   `row` is the cell's line index on the page, so cells map back to `page.lines`
+ */
+export function extractPageTable(page, { startPattern = null, endPattern = null, lineIndexes = null, minGap = DEFAULT_COLUMN_GAP } = {}) {
+  if (!page?.lineItems) return null;
+
+  const rowIndexes = lineIndexes
+    ? lineIndexes.filter(i => page.lineItems[i])
+    : selectTableLines(page.lines, startPattern, endPattern);
+
+  if (rowIndexes.length === 0) return null;
+
+  const columns = findColumnBands(rowIndexes.flatMap(i => page.lineItems[i]), minGap);
+
+  const rows = rowIndexes.map(row => {
+    const items = page.lineItems[row];
+    const cells = columns.map(() => null);
+
+    for (const item of items) {
+      const center = item.x + item.width / 2;
+      const column = columns.findIndex(c => center >= c.x0 && center <= c.x1);
+      if (column === -1) continue;
+
+      const bbox = {
+        x0: item.x,
+        y0: item.y,
+        x1: item.x + item.width,
+        y1: item.y + item.height,
+      };
+
+      const cell = cells[column];
+      if (cell) {
+        cell.text = `${cell.text} ${item.text}`;
+        cell.bbox = {
+          x0: Math.min(cell.bbox.x0, bbox.x0),
+          y0: Math.min(cell.bbox.y0, bbox.y0),
+          x1: Math.max(cell.bbox.x1, bbox.x1),
+          y1: Math.max(cell.bbox.y1, bbox.y1),
+        };
+      } else {
+        cells[column] = { row, column, text: item.text, pageNumber: page.pageNumber, bbox };
+      }
+    }
+
+    return cells;
+  });
+
+  return {
+    pageNumber: page.pageNumber,
+    columns,
+    rows,
+  };
+}
+
+/**
+ * Extract matching tables from every page of an extracted PDF
+ * @param {Object} extractedPdf - Output from extractTextFromPDF
+ * @param {Object} [options] - Same options as extractPageTable
+ * @returns {Array<Object>} One table per page that contains the header
+ */
+export function extractTables(extractedPdf, options = {}) {
+  const startRegex = options.startPattern ? new RegExp(options.startPattern, 'i') : null;
+
+  return extractedPdf.pages
+    .filter(page => !startRegex || page.lines.some(line => startRegex.test(line)))
+    .map(page => extractPageTable(page, options))
+    .filter(Boolean);
+}
+
+/**
+ * Line indexes from the line matching startPattern to the one matching endPattern
+ */
+function selectTableLines(lines, startPattern, endPattern) {
+  const startRegex = startPattern ? new RegExp(startPattern, 'i') : null;
+  const endRegex = endPattern ? new RegExp(endPattern, 'i') : null;
+
+  const indexes = [];
+  let inTable = !startRegex;
+  for (let i = 0; i < lines.length; i++) {
+    if (!inTable && startRegex.test(lines[i])) {
+      inTable = true;
+    }
+    if (!inTable) continue;
+
+    indexes.push(i);
+
+    if (endRegex && endRegex.test(lines[i])) break;
+  }
+
+  return indexes;
+}
+
+/**
+ * Merge item extents into column bands separated by gaps of at least minGap
+ */
+function findColumnBands(items, minGap) {
+  const extents = items
+    .map(item => ({ x0: item.x, x1: item.x + item.width }))
+    .sort((a, b) => a.x0 - b.x0);
+
+  const bands = [];
+  for (const extent of extents) {
+    const last = bands[bands.length - 1];
+    if (last && extent.x0 - last.x1 < minGap) {
+      last.x1 = Math.max(last.x1, extent.x1);
+    } else {
+      bands.push({ ...extent });
+    }
+  }
+
+  return bands.map((band, index) => ({ index, ...band }));
+}
+
 /**
  * Extract a table from text lines
  * Assumes table has consistent column structure
+ *
+ * @deprecated Lines are joined with single spaces, so the two-space split
+ * never finds columns. Use extractPageTable/extractTables instead.
  * @param {string[]} lines - Array of text lines
  * @param {string[]} headerPatterns - Patterns to identify header row
  * @returns {Array<Object>} Array of row objects
@@ -0,0 +1,105 @@
+/**
+ * Provenance Utility
+ * Records where each parsed value came from in the PDF
+ *
+ * Parsers return a `provenance` map next to their values, keyed by the
+ * field's path in the parser output (e.g. 'twr.oneYear', 'assetClasses.0.value'):
+ *
+ *   { page, lineIndex, line, pattern, confidence }
+ *
+ * - page / lineIndex: 1-based page number and 0-based line on that page
+ * - line: the source line text
+ * - pattern: the label and/or regex that matched
+ * - confidence: 0-1, from how the value was located (see CONFIDENCE),
+ *   scaled by the OCR confidence of the page for scanned PDFs
+ *
+ * Parsers may also return `diagnostics` for the parser inspector:
+ *
+ *   { sections: [{ name, lines: [{ page, lineIndex }] }], missing: { [field]: reason } }
+ */
+
+/**
+ * Base confidence by how a value was located
+ */
+export const CONFIDENCE = {
+  LABELLED: 0.95,       // Value on the same line as its label
+  HEADER_MAPPED: 0.9,   // Table cell placed under a named header column
+  POSITIONAL: 0.7,      // Table cell placed by position only
+  DERIVED: 0.6,         // Computed from other parsed values
+  FALLBACK: 0.4,        // Default layout assumed (e.g. no header found)
+};
+
+/**
+ * Flatten pages into lines that remember their page and position
+ * @param {Array<{pageNumber: number, lines: string[], confidence?: number}>} pages
+ * @returns {Array<{text: string, pageNumber: number, lineIndex: number, ocrConfidence: number|null}>}
+ */
+export function indexLines(pages) {
+  return pages.flatMap(page =>
+    page.lines.map((text, lineIndex) => ({
+      text,
+      pageNumber: page.pageNumber,
+      lineIndex,
+      ocrConfidence: page.confidence ?? null,
+    }))
+  );
+}
+
+/**
+ * Create a provenance map and a function that records into it
+ * @returns {{provenance: Object, record: (field: string, lineRef: Object|null, pattern: string|RegExp, confidence: number) => void}}
+ */
+export function createProvenance() {
+  const provenance = {};
+
+  const record = (field, lineRef, pattern, confidence) => {
+    provenance[field] = sourceOf(lineRef, pattern, confidence);
+  };
+
+  return { provenance, record };
+}
+
+/**
+ * Build one provenance entry
+ */
+export function sourceOf(lineRef, pattern, confidence) {
+  const ocrFactor = lineRef?.ocrConfidence != null ? lineRef.ocrConfidence / 100 : 1;
+
+  return {
+    page: lineRef?.pageNumber ?? null,
+    lineIndex: lineRef?.lineIndex ?? null,
+    line: lineRef?.text ?? null,
+    pattern: pattern instanceof RegExp ? pattern.source : String(pattern),
+    confidence: Math.round(confidence * ocrFactor * 100) / 100,
+  };
+}
+
+/**
+ * First line containing `text` - for values matched against the full text
+ */
+export function locateText(lineRefs, text) {
+  if (!text) return null;
+  return lineRefs.find(ref => ref.text.includes(text)) || null;
+}
+
+/**
+ * Create a diagnostics record: the lines each parser section matched, and why
+ * fields were left null
+ * @returns {{diagnostics: Object, markSection: (name: string, lineRefs: Object[]) => void, markMissing: (field: string, reason: string) => void}}
+ */
+export function createDiagnostics() {
+  const diagnostics = { sections: [], missing: {} };
+
+  const markSection = (name, lineRefs) => {
+    const lines = lineRefs.filter(Boolean).map(ref => ({ page: ref.pageNumber, lineIndex: ref.lineIndex }));
+    if (lines.length > 0) {
+      diagnostics.sections.push({ name, lines });
+    }
+  };
+
+  const markMissing = (field, reason) => {
+    diagnostics.missing[field] = reason;
+  };
+
+  return { diagnostics, markSection, markMissing };
+}
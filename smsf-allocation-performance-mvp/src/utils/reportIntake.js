@@ -0,0 +1,88 @@
+/**
+ * Report Intake
+ * Reads one PDF into a parsed report. Text extraction, local OCR for scanned
+ * PDFs and parsing all run in the report worker (workers/reportWorker.js), so
+ * the main thread only receives the extracted text and the parsed report.
+ *
+ * The one exception is parsers registered at runtime with
+ * registerReportParser(): their functions live in this thread's registry and
+ * cannot be posted to the worker, so when the worker returns no report the
+ * file is identified and parsed here instead - outside the worker's timeout.
+ *
+ * Shared by the upload slots and the batch upload, so a file is read the
+ * same way whichever drop target it arrives in.
+ */
+
+import { runReportWorker } from './reportWorkerClient.js';
+import { identifyReportType, parseReport } from '../parsers/reportRegistry.js';
+
+/**
+ * Extract, identify and parse a PDF
+ *
+ * Does not throw for files that are not one of acceptedTypes or whose type
+ * is ambiguous - report is null and identification says what the file is.
+ * Encrypted PDFs reject with a password error (isPasswordError) until
+ * called with the right password.
+ *
+ * @param {File} file
+ * @param {Object} options
+ * @param {string[]} options.acceptedTypes - Report types to parse
+ * @param {string} [options.password] - For encrypted PDFs; passed on to pdf.js only
+ * @param {AbortSignal} [options.signal]
+ * @param {(message: string) => void} [options.onProgress] - Human-readable progress
+ * @returns {Promise<{extractedPdf: Object, identification: Object|null, report: Object|null}>}
+ */
+export async function readReportPdf(file, { acceptedTypes, password, signal, onProgress }) {
+  console.log(`[ReportIntake] Extracting text from ${file.name}...`);
+  const result = await runReportWorker({ type: 'extract', file, acceptedTypes, password }, {
+    signal,
+    onProgress: (progress) => {
+      if (onProgress) onProgress(describeProgress(progress));
+    },
+  });
+
+  const { extractedPdf } = result;
+  let { identification, report } = result;
+
+  // Parsers registered at runtime are only known to this thread (see module header)
+  if (!report) {
+    identification = identifyReportType(extractedPdf.fullText);
+    if (identification && !identification.ambiguous && acceptedTypes.includes(identification.type)) {
+      report = await parseReport(extractedPdf);
+    }
+  }
+
+  console.log(`[ReportIntake] ${file.name} identified as: ${identification?.type || 'unknown'}`);
+
+  return { extractedPdf, identification, report };
+}
+
+/**
+ * Parse already-extracted text as a report type the user chose
+ *
+ * @param {Object} extractedPdf - From readReportPdf
+ * @param {string} reportType
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} parseReport output
+ */
+export async function parseReportAs(extractedPdf, reportType, { signal } = {}) {
+  const result = await runReportWorker(
+    { type: 'parse', extractedPdf, acceptedTypes: [reportType], reportType },
+    { signal }
+  );
+
+  // Parsers registered at runtime are only known to this thread (see module header)
+  return result.report || parseReport(extractedPdf, { reportType });
+}
+
+/**
+ * Human-readable text for a report worker progress message
+ */
+function describeProgress({ stage, page, numPages }) {
+  if (stage === 'parsing') return 'Parsing report…';
+  if (stage === 'ocr') {
+    return page > 0 ? `Running OCR, page ${page} of ${numPages}…` : 'Scanned PDF, running OCR…';
+  }
+  return `Reading page ${page} of ${numPages}…`;
+}
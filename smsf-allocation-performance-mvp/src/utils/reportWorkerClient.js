@@ -0,0 +1,93 @@
+/**
+ * Report Worker Client
+ * Runs PDF extraction, OCR and parsing in a dedicated Web Worker (workers/reportWorker.js)
+ *
+ * Each call starts its own worker and terminates it when done, so the UI stays
+ * responsive on large annual packs, an upload can be cancelled with an
+ * AbortSignal, and a document that stops making progress is timed out.
+ *
+ * Parsers registered at runtime with registerReportParser() live in the main
+ * thread's registry only - the worker has the built-in parsers. Callers fall
+ * back to parseReport() on the main thread when the worker returns no report.
+ */
+
+// A document that reports no progress for this long is treated as hung
+export const WORKER_TIMEOUT_MS = 30000;
+
+/**
+ * Send one request to a new report worker
+ *
+ * @param {{type: 'extract', file: File, acceptedTypes: string[], password?: string}|{type: 'parse', extractedPdf: Object, acceptedTypes: string[], reportType?: string}} request
+ * @param {Object} [options]
+ * @param {(progress: {stage: 'extracting'|'ocr'|'parsing', page?: number, numPages?: number}) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Aborting terminates the worker and rejects with an AbortError
+ * @param {number} [options.timeoutMs] - Inactivity timeout, reset on every progress message
+ * @returns {Promise<{extractedPdf: Object, identification: Object|null, report: Object|null}>}
+ */
+export function runReportWorker(request, { onProgress, signal, timeoutMs = WORKER_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const worker = new Worker(new URL('../workers/reportWorker.js', import.meta.url), { type: 'module' });
+    let timer = null;
+
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      worker.terminate();
+      settle(value);
+    };
+
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        console.warn(`[ReportWorker] No progress for ${timeoutMs}ms, terminating`);
+        finish(reject, new Error(
+          `Timed out after ${Math.round(timeoutMs / 1000)} seconds without progress. The PDF may be damaged or unusually complex.`
+        ));
+      }, timeoutMs);
+    };
+
+    const handleAbort = () => finish(reject, createAbortError());
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        resetTimer();
+        if (onProgress) onProgress(data);
+      } else if (data.type === 'result') {
+        finish(resolve, data);
+      } else if (data.type === 'error') {
+        const error = new Error(data.message);
+        if (data.code) error.code = data.code;
+        finish(reject, error);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(reject, new Error(`Report worker failed: ${event.message || 'unknown error'}`));
+    };
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+    resetTimer();
+    worker.postMessage(request);
+  });
+}
+
+/**
+ * Whether an error came from cancelling an upload
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+function createAbortError() {
+  const error = new Error('Upload cancelled');
+  error.name = 'AbortError';
+  return error;
+}
@@ -0,0 +1,130 @@
+/**
+ * Spreadsheet Reading Utility
+ * Reads CSV and XLSX exports into a header row plus data rows
+ *
+ * Output: { fileName, fileType, headers: string[], rows: Array<Array<string|number|Date|null>> }
+ * Cells keep their native type from XLSX (numbers, dates); CSV cells are strings.
+ * Leading title rows ("Smith Super Fund - Holdings as at ...") are skipped: the
+ * header is the first row with at least two text cells.
+ */
+
+import { readSheet } from 'read-excel-file/browser';
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// MIME types for the file input accept attribute
+export const SPREADSHEET_ACCEPT = [
+  '.csv',
+  'text/csv',
+  '.xlsx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+].join(',');
+
+/**
+ * Whether a file is a CSV or XLSX spreadsheet (by extension)
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isSpreadsheetFile(file) {
+  const name = file?.name?.toLowerCase() || '';
+  return SPREADSHEET_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Read the first sheet of a CSV or XLSX file
+ *
+ * @param {File} file - CSV or XLSX file
+ * @returns {Promise<{fileName: string, fileType: 'csv'|'xlsx', headers: string[], rows: Array<Array>}>}
+ */
+export async function readSpreadsheet(file) {
+  const fileType = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'xlsx';
+
+  let table;
+  try {
+    table = fileType === 'csv'
+      ? parseCsv(await file.text())
+      : await readSheet(file);
+  } catch (error) {
+    console.error('Spreadsheet reading error:', error);
+    throw new Error(`Failed to read spreadsheet: ${error.message}`);
+  }
+
+  const headerIndex = table.findIndex(row =>
+    row.filter(cell => typeof cell === 'string' && cell.trim() !== '').length >= 2
+  );
+
+  if (headerIndex === -1) {
+    throw new Error('Could not find a header row in the spreadsheet');
+  }
+
+  const headers = table[headerIndex].map((cell, i) =>
+    cell === null || cell === undefined || String(cell).trim() === '' ? `Column ${i + 1}` : String(cell).trim()
+  );
+
+  const rows = table
+    .slice(headerIndex + 1)
+    .filter(row => row.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== ''));
+
+  console.log(`[SpreadsheetReader] ${file.name}: ${headers.length} columns, ${rows.length} rows`);
+
+  return { fileName: file.name, fileType, headers, rows };
+}
+
+/**
+ * Parse CSV text into rows of string cells
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ * The delimiter is a comma, or a semicolon/tab when the first line has more of those.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  , ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.map(r => r.map(c => c.trim()));
+}
@@ -0,0 +1,82 @@
+/**
+ * ZIP Reading Utility
+ * Unpacks a zipped report pack in the browser into its PDFs
+ *
+ * Output: { pdfs: [{ path, file }], skipped: [{ path, reason }] }
+ * Only PDFs are unpacked; every other entry is listed as skipped with the
+ * reason, apart from folders and the metadata macOS adds (__MACOSX/, ._ files).
+ */
+
+import { unzip } from 'fflate';
+
+// MIME types for the file input accept attribute
+export const ZIP_ACCEPT = ['.zip', 'application/zip', 'application/x-zip-compressed'].join(',');
+
+// A PDF larger than this inside a pack is skipped rather than unpacked into memory
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+// Compression methods fflate can read: stored and deflate
+const SUPPORTED_COMPRESSION = [0, 8];
+
+/**
+ * Whether a file is a ZIP archive (by extension)
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isZipFile(file) {
+  return (file?.name?.toLowerCase() || '').endsWith('.zip');
+}
+
+/**
+ * Unpack the PDFs in a ZIP file
+ *
+ * @param {File} file - ZIP file
+ * @returns {Promise<{pdfs: Array<{path: string, file: File}>, skipped: Array<{path: string, reason: string}>}>}
+ */
+export async function readZipFile(file) {
+  const skipped = [];
+
+  const filter = ({ name, originalSize, compression }) => {
+    if (name.endsWith('/') || isMetadataEntry(name)) return false;
+
+    if (!name.toLowerCase().endsWith('.pdf')) {
+      skipped.push({ path: name, reason: name.toLowerCase().endsWith('.zip') ? 'ZIP files inside the pack are not unpacked' : 'not a PDF' });
+      return false;
+    }
+    if (originalSize > MAX_ENTRY_BYTES) {
+      skipped.push({ path: name, reason: `larger than ${MAX_ENTRY_BYTES / 1024 / 1024} MB` });
+      return false;
+    }
+    if (!SUPPORTED_COMPRESSION.includes(compression)) {
+      skipped.push({ path: name, reason: 'uses an unsupported ZIP compression method' });
+      return false;
+    }
+    return true;
+  };
+
+  let entries;
+  try {
+    const data = new Uint8Array(await file.arrayBuffer());
+    entries = await new Promise((resolve, reject) => {
+      unzip(data, { filter }, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  } catch (error) {
+    console.error('ZIP reading error:', error);
+    throw new Error(`Failed to unpack ZIP file: ${error.message}`);
+  }
+
+  const pdfs = Object.entries(entries)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([path, bytes]) => ({
+      path,
+      file: new File([bytes], path.split('/').pop(), { type: 'application/pdf' }),
+    }));
+
+  console.log(`[ZipReader] ${file.name}: ${pdfs.length} PDF(s), ${skipped.length} skipped`);
+
+  return { pdfs, skipped };
+}
+
+function isMetadataEntry(path) {
+  return path.startsWith('__MACOSX/') || path.split('/').pop().startsWith('._');
+}
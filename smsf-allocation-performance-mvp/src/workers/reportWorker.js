@@ -0,0 +1,83 @@
+/**
+ * Report Worker
+ * Extracts text from a PDF (with OCR for scanned PDFs) and parses it off the
+ * main thread
+ *
+ * Started by runReportWorker (utils/reportWorkerClient.js), one worker per
+ * upload so cancelling or timing out a document simply terminates it.
+ *
+ * Messages in:
+ * - { type: 'extract', file, acceptedTypes, password? } - extract text (OCR when
+ *   the PDF has no text layer), identify and parse (password opens an
+ *   encrypted PDF and is not kept)
+ * - { type: 'parse', extractedPdf, acceptedTypes, reportType? } - parse text
+ *   extracted earlier as the report type the user chose
+ *
+ * Messages out:
+ * - { type: 'progress', stage: 'extracting', page, numPages } after each page
+ * - { type: 'progress', stage: 'ocr', page, numPages } while recognising a
+ *   scanned page (page is 0 while the OCR engine loads)
+ * - { type: 'progress', stage: 'parsing' }
+ * - { type: 'result', extractedPdf, identification, report }
+ *   report is null when the PDF is not one of acceptedTypes, or its type is
+ *   ambiguous (identification.candidates) and no reportType was given;
+ *   parseReport output otherwise
+ * - { type: 'error', message, code } - code is set for password errors
+ */
+
+import { extractTextFromPDF } from '../utils/pdfParser.js';
+import { extractTextWithOCR } from '../utils/ocrParser.js';
+import { identifyReportType, parseReport, getReportSlot } from '../parsers/reportRegistry.js';
+
+// Less text than this means a scanned PDF that needs OCR - or, after OCR,
+// a blank or corrupted one
+const MIN_TEXT_LENGTH = 100;
+
+self.onmessage = async ({ data }) => {
+  try {
+    let extractedPdf = data.extractedPdf;
+
+    if (data.type === 'extract') {
+      extractedPdf = await extractTextFromPDF(data.file, {
+        password: data.password,
+        onProgress: ({ page, numPages }) => {
+          self.postMessage({ type: 'progress', stage: 'extracting', page, numPages });
+        },
+      });
+
+      // Scanned / image-based PDF - fall back to local OCR
+      if (!hasText(extractedPdf)) {
+        self.postMessage({ type: 'progress', stage: 'ocr', page: 0, numPages: extractedPdf.numPages });
+        extractedPdf = await extractTextWithOCR(data.file, {
+          password: data.password,
+          onProgress: ({ page, numPages }) => {
+            self.postMessage({ type: 'progress', stage: 'ocr', page, numPages });
+          },
+        });
+        console.log(`[ReportWorker] OCR confidence: ${extractedPdf.ocr.confidence ?? 'n/a'}`);
+
+        if (!hasText(extractedPdf)) {
+          throw new Error('Could not read text from PDF, even with OCR. The file may be blank or corrupted.');
+        }
+      }
+    }
+
+    self.postMessage({ type: 'progress', stage: 'parsing' });
+
+    const identification = identifyReportType(extractedPdf.fullText);
+    const reportType = data.reportType || (identification?.ambiguous ? null : identification?.type);
+
+    // Types registered at runtime are unknown here and parsed on the main thread
+    const report = reportType && data.acceptedTypes.includes(reportType) && getReportSlot(reportType)
+      ? await parseReport(extractedPdf, { reportType: data.reportType })
+      : null;
+
+    self.postMessage({ type: 'result', extractedPdf, identification, report });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message, code: error.code ?? null });
+  }
+};
+
+function hasText(extractedPdf) {
+  return Boolean(extractedPdf.fullText) && extractedPdf.fullText.length >= MIN_TEXT_LENGTH;
+}
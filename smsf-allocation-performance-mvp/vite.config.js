@@ -1,7 +1,50 @@
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const require = createRequire(import.meta.url)
+
+// OCR language data (see src/utils/ocrParser.js). tesseract.js loads it from
+// `<langPath>/eng.traineddata.gz`, so it must be served under a fixed name
+// rather than a hashed asset URL.
+const OCR_LANG_FILE = 'tesseract/eng.traineddata.gz'
+const OCR_LANG_SOURCE = path.join(
+  path.dirname(require.resolve('@tesseract.js-data/eng/package.json')),
+  '4.0.0_best_int',
+  'eng.traineddata.gz',
+)
+
+function ocrLanguageData() {
+  let base = '/'
+
+  return {
+    name: 'ocr-language-data',
+    configResolved(config) {
+      base = config.base
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}${OCR_LANG_FILE}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/octet-stream')
+        res.end(readFileSync(OCR_LANG_SOURCE))
+      })
+    },
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: OCR_LANG_FILE,
+        source: readFileSync(OCR_LANG_SOURCE),
+      })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ocrLanguageData()],
   base: '/smsf-allocation-performance/',
+  // The report worker (src/workers/reportWorker.js) is a module worker
+  worker: {
+    format: 'es',
+  },
 })